@@ -0,0 +1,118 @@
+/**
+ * Account Data Export & Deletion — Unit Tests
+ *
+ * Covers the personal data export and the OTP-confirmed account deletion
+ * (anonymise the user, keep orders).
+ * Prisma and the SMS service are mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  user: { findUnique: jest.fn(), update: jest.fn() },
+  address: { findMany: jest.fn(), deleteMany: jest.fn() },
+  order: { findMany: jest.fn(), count: jest.fn() },
+  productReview: { findMany: jest.fn() },
+  wishlist: { findMany: jest.fn(), deleteMany: jest.fn() },
+  pointsTransaction: { findMany: jest.fn() },
+  userCoupon: { findMany: jest.fn(), deleteMany: jest.fn() },
+  cart: { deleteMany: jest.fn() },
+  twoFactorRecoveryCode: { deleteMany: jest.fn() },
+  authSession: { updateMany: jest.fn() },
+  otpCode: { findMany: jest.fn().mockResolvedValue([]), findFirst: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+  $executeRaw: jest.fn(),
+  $queryRaw: jest.fn().mockResolvedValue([]),
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+jest.mock('../src/utils/sms', () => ({
+  sendOTP: jest.fn(),
+  sendTemplate: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const smsService = require('../src/utils/sms');
+const usersService = require('../src/modules/users/users.service');
+const { hashOtp } = require('../src/modules/otp/otp.service');
+
+const PHONE = '0599333444';
+
+describe('exportUserData', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ collects every section for the user only', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, name: 'Lina', phone_number: PHONE });
+    prisma.address.findMany.mockResolvedValue([{ address_id: 1 }]);
+    prisma.order.findMany.mockResolvedValue([{ order_id: 9, items: [] }]);
+    prisma.productReview.findMany.mockResolvedValue([]);
+    prisma.wishlist.findMany.mockResolvedValue([{ product_id: 3 }]);
+    prisma.pointsTransaction.findMany.mockResolvedValue([{ points: 10 }]);
+    prisma.userCoupon.findMany.mockResolvedValue([]);
+
+    const data = await usersService.exportUserData(5);
+
+    expect(Object.keys(data)).toEqual(
+      ['exported_at', 'profile', 'addresses', 'orders', 'reviews', 'wishlist', 'points_history', 'coupons']
+    );
+    expect(data.profile.phone_number).toBe(PHONE);
+    expect(data.orders).toHaveLength(1);
+    expect(prisma.order.findMany.mock.calls[0][0].where).toEqual({ user_id: 5 });
+    expect(prisma.user.findUnique.mock.calls[0][0].select).not.toHaveProperty('password_hash');
+  });
+
+  it('❌ unknown user', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    await expect(usersService.exportUserData(5)).rejects.toThrow('User not found');
+  });
+});
+
+describe('account deletion', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, phone_number: PHONE, role: 'Customer', deleted_at: null });
+    prisma.order.count.mockResolvedValue(0);
+  });
+
+  it('✅ request texts an OTP to the account phone', async () => {
+    await usersService.requestAccountDeletion(5);
+
+    expect(smsService.sendOTP.mock.calls[0][0]).toBe(PHONE);
+  });
+
+  it('❌ refused while orders are in progress', async () => {
+    prisma.order.count.mockResolvedValue(1);
+
+    await expect(usersService.requestAccountDeletion(5)).rejects.toThrow('Account has orders in progress');
+    expect(smsService.sendOTP).not.toHaveBeenCalled();
+  });
+
+  it('❌ staff accounts cannot delete themselves', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 2, phone_number: PHONE, role: 'OrderManager', deleted_at: null });
+
+    await expect(usersService.requestAccountDeletion(2)).rejects.toThrow('Staff accounts cannot be deleted by their owner');
+  });
+
+  it('✅ anonymises the user, removes personal data and keeps orders', async () => {
+    prisma.otpCode.findFirst.mockResolvedValue({ otp_id: 4, otp_hash: hashOtp(PHONE, '123456') });
+    prisma.otpCode.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authSession.updateMany.mockResolvedValue({ count: 2 });
+
+    await usersService.deleteAccount(5, '123456');
+
+    const { data } = prisma.user.update.mock.calls[0][0];
+    expect(data).toMatchObject({ phone_number: 'deleted_5', name: null, is_active: false, points: 0 });
+    expect(data.deleted_at).toBeInstanceOf(Date);
+    expect(prisma.address.deleteMany).toHaveBeenCalledWith({ where: { user_id: 5 } });
+    expect(prisma.wishlist.deleteMany).toHaveBeenCalledWith({ where: { user_id: 5 } });
+    expect(prisma.userCoupon.deleteMany).toHaveBeenCalledWith({ where: { user_id: 5, orders: { none: {} } } });
+    expect(prisma.authSession.updateMany.mock.calls[0][0].data.revoke_reason).toBe('account_deleted');
+    expect(prisma.order).not.toHaveProperty('deleteMany');
+  });
+
+  it('❌ wrong OTP changes nothing', async () => {
+    prisma.otpCode.findFirst.mockResolvedValue({ otp_id: 4, otp_hash: hashOtp(PHONE, '123456') });
+
+    await expect(usersService.deleteAccount(5, '000000')).rejects.toThrow('INVALID_OTP');
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
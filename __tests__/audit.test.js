@@ -0,0 +1,136 @@
+/**
+ * Audit Log — Unit Tests
+ *
+ * Covers what the audit middleware records for admin writes (actor,
+ * permission, before/after, IP) and that failed requests are not logged.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  product: { findUnique: jest.fn() },
+  user: { findUnique: jest.fn() },
+  rolePermission: { findMany: jest.fn() },
+  auditLog: { create: jest.fn(), count: jest.fn(), findMany: jest.fn() },
+  $disconnect: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const prisma = require('../src/config/prisma');
+const { requirePermission } = require('../src/middlewares/auth.middleware');
+const { audit } = require('../src/middlewares/audit.middleware');
+const auditService = require('../src/modules/audit/audit.service');
+
+// The log is written after the response is sent
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * Minimal admin router: a signed-in ProductManager (user 4) and stub handlers
+ */
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { user_id: 4, role: 'ProductManager', mfa_verified: true };
+    next();
+  });
+
+  const router = express.Router();
+  router.put('/products/:id', requirePermission('product.edit'), audit('product'), (req, res) => {
+    res.json({ success: true, data: { product_id: 7 } });
+  });
+  router.post('/products', requirePermission('product.create'), audit('product'), (req, res) => {
+    res.status(201).json({ success: true, data: { product_id: 12, name: 'Tea' } });
+  });
+  router.put('/users/:id/role', requirePermission('user.ban'), audit('user'), (req, res) => {
+    res.status(400).json({ success: false, message: 'Invalid role' });
+  });
+  app.use('/api/admin', router);
+  return app;
+};
+
+describe('audit middleware', () => {
+  const app = buildApp();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.rolePermission.findMany.mockResolvedValue(
+      ['product.create', 'product.edit', 'user.ban'].map(code => ({ permission: { code } }))
+    );
+  });
+
+  it('✅ records actor, permission, before and after of an update', async () => {
+    prisma.product.findUnique
+      .mockResolvedValueOnce({ product_id: 7, price: '10.00' })
+      .mockResolvedValueOnce({ product_id: 7, price: '12.50' });
+
+    await request(app).put('/api/admin/products/7').send({ price: 12.5 }).expect(200);
+    await flush();
+
+    expect(prisma.product.findUnique).toHaveBeenCalledWith({ where: { product_id: 7 } });
+    expect(prisma.auditLog.create).toHaveBeenCalledWith({
+      data: {
+        actor_id: 4,
+        permission: 'product.edit',
+        action: 'PUT /api/admin/products/:id',
+        entity_type: 'product',
+        entity_id: '7',
+        before: { product_id: 7, price: '10.00' },
+        after: { product_id: 7, price: '12.50' },
+        ip_address: expect.any(String)
+      },
+      select: { audit_id: true }
+    });
+  });
+
+  it('✅ takes the ID of a created entity from the response', async () => {
+    prisma.product.findUnique.mockResolvedValue({ product_id: 12, name: 'Tea' });
+
+    await request(app).post('/api/admin/products').send({ name: 'Tea' }).expect(201);
+    await flush();
+
+    const { data } = prisma.auditLog.create.mock.calls[0][0];
+    expect(data.entity_id).toBe('12');
+    expect(data.permission).toBe('product.create');
+    expect(data).not.toHaveProperty('before', expect.anything());
+    expect(data.after).toEqual({ product_id: 12, name: 'Tea' });
+  });
+
+  it('❌ does not log failed requests', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 9, role: 'Customer' });
+
+    await request(app).put('/api/admin/users/9/role').send({ role: 'Nope' }).expect(400);
+    await flush();
+
+    expect(prisma.auditLog.create).not.toHaveBeenCalled();
+  });
+
+  it('✅ never loads password hashes into the log', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 9 });
+
+    await auditService.AUDIT_ENTITIES.user.load('9');
+
+    const { select } = prisma.user.findUnique.mock.calls[0][0];
+    expect(select).toBeDefined();
+    expect(select).not.toHaveProperty('password_hash');
+  });
+});
+
+describe('getAuditLogs', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ filters by entity and date range, newest first', async () => {
+    prisma.auditLog.count.mockResolvedValue(0);
+    prisma.auditLog.findMany.mockResolvedValue([]);
+
+    await auditService.getAuditLogs({ entity_type: 'product', entity_id: 7, from: '2026-01-01', page: 1, limit: 20 });
+
+    const { where, orderBy } = prisma.auditLog.findMany.mock.calls[0][0];
+    expect(where).toEqual({
+      entity_type: 'product',
+      entity_id: '7',
+      created_at: { gte: new Date('2026-01-01') }
+    });
+    expect(orderBy).toEqual({ created_at: 'desc' });
+  });
+});
@@ -8,13 +8,29 @@
  */
 
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 
 // ─── Mock prisma BEFORE requiring app ─────────────────────────────────────────
 jest.mock('../src/config/prisma', () => ({
   user: {
     findUnique: jest.fn(),
     create: jest.fn(),
-    update: jest.fn()
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  pointsTransaction: {
+    create: jest.fn()
+  },
+  authSession: {
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    findUnique: jest.fn()
+  },
+  refreshToken: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    updateMany: jest.fn()
   },
   guest: {
     create: jest.fn()
@@ -22,8 +38,16 @@ jest.mock('../src/config/prisma', () => ({
   otpCode: {
     create: jest.fn(),
     findFirst: jest.fn(),
-    update: jest.fn()
+    findMany: jest.fn().mockResolvedValue([]),
+    update: jest.fn(),
+    updateMany: jest.fn()
   },
+  notificationOutbox: {
+    create: jest.fn()
+  },
+  $executeRaw: jest.fn(),
+  $queryRaw: jest.fn().mockResolvedValue([]),
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
   $disconnect: jest.fn()
 }));
 
@@ -123,7 +147,8 @@ describe('POST /api/auth/login', () => {
       is_verified: true,
       password_hash: hash
     });
-    prisma.user.update.mockResolvedValue({});
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authSession.create.mockResolvedValue({ session_id: 10 });
 
     const res = await request(app)
       .post('/api/auth/login')
@@ -132,6 +157,10 @@ describe('POST /api/auth/login', () => {
     expect(res.status).toBe(200);
     expect(res.body.success).toBe(true);
     expect(res.body.data).toHaveProperty('token');
+    expect(res.body.data).toHaveProperty('refresh_token');
+    expect(prisma.refreshToken.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ session_id: 10, token_hash: expect.any(String) })
+    });
     expect(res.body.data.user).not.toHaveProperty('password_hash');
   });
 
@@ -184,6 +213,81 @@ describe('POST /api/auth/login', () => {
     expect(res.body.message).toMatch(/deactivated/i);
   });
 
+  it('❌ returns 423 while the account is locked, without checking the password', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      user_id: 1,
+      phone_number: validUser.phone_number,
+      is_active: true,
+      is_verified: true,
+      password_hash: 'not-checked',
+      locked_until: new Date(Date.now() + 10 * 60 * 1000)
+    });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ phone_number: validUser.phone_number, password: validUser.password });
+
+    expect(res.status).toBe(423);
+    expect(res.body.message).toMatch(/Try again in 10 minutes/);
+    expect(prisma.authSession.create).not.toHaveBeenCalled();
+  });
+
+  it('❌ locks the account on the last allowed wrong password and texts the owner', async () => {
+    const bcrypt = require('bcryptjs');
+    const hash = await bcrypt.hash('correctpassword', 10);
+
+    prisma.user.findUnique.mockResolvedValue({
+      user_id: 1,
+      phone_number: validUser.phone_number,
+      is_active: true,
+      is_verified: true,
+      password_hash: hash
+    });
+    // 5th failure after one earlier lockout → 2 × 15 minutes
+    prisma.$queryRaw.mockResolvedValueOnce([{ failed_login_attempts: 5, lockout_count: 1 }]);
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ phone_number: validUser.phone_number, password: 'wrongpassword' });
+
+    expect(res.status).toBe(423);
+    const { data } = prisma.user.update.mock.calls[0][0];
+    expect(data).toMatchObject({ failed_login_attempts: 0, lockout_count: { increment: 1 } });
+    expect(Math.round((data.locked_until.getTime() - Date.now()) / 60000)).toBe(30);
+    expect(prisma.notificationOutbox.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ recipient: validUser.phone_number, template: 'account_locked', payload: { minutes: 30 } })
+    }));
+  });
+
+  it('✅ clears failed attempts after a successful login', async () => {
+    const bcrypt = require('bcryptjs');
+    const hash = await bcrypt.hash(validUser.password, 10);
+
+    prisma.user.findUnique.mockResolvedValue({
+      user_id: 1,
+      phone_number: validUser.phone_number,
+      role: 'Customer',
+      is_active: true,
+      is_verified: true,
+      password_hash: hash,
+      failed_login_attempts: 3,
+      lockout_count: 1,
+      locked_until: new Date(Date.now() - 60 * 1000)
+    });
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authSession.create.mockResolvedValue({ session_id: 10 });
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ phone_number: validUser.phone_number, password: validUser.password });
+
+    expect(res.status).toBe(200);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { user_id: 1 },
+      data: { failed_login_attempts: 0, lockout_count: 0, locked_until: null }
+    });
+  });
+
   it('❌ returns 400 for missing fields', async () => {
     const res = await request(app).post('/api/auth/login').send({});
     expect(res.status).toBe(400);
@@ -203,6 +307,97 @@ describe('GET /api/auth/me', () => {
       .set('Authorization', 'Bearer invalid.token.here');
     expect(res.status).toBe(401);
   });
+
+  it('❌ returns 401 when the session has been revoked', async () => {
+    const token = jwt.sign({ user_id: 1, role: 'Customer', session_id: 10 }, process.env.JWT_SECRET);
+    prisma.authSession.findUnique.mockResolvedValue({
+      user_id: 1,
+      revoked_at: new Date(),
+      user: { user_id: 1, role: 'Customer', is_active: true }
+    });
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/revoked/i);
+  });
+
+  it('❌ returns 401 for a user token without a session', async () => {
+    const token = jwt.sign({ user_id: 1, role: 'Customer' }, process.env.JWT_SECRET);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+// ─── POST /api/auth/refresh ────────────────────────────────────────────────────
+describe('POST /api/auth/refresh', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const storedToken = (overrides = {}) => ({
+    token_id: 1,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    used_at: null,
+    session: {
+      session_id: 10,
+      revoked_at: null,
+      user: { user_id: 1, role: 'Customer', is_active: true }
+    },
+    ...overrides
+  });
+
+  it('✅ rotates the refresh token and returns a new access token', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken());
+    prisma.refreshToken.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: 'old-token' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refresh_token).not.toBe('old-token');
+    expect(jwt.decode(res.body.data.token)).toMatchObject({ user_id: 1, session_id: 10 });
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+      where: { token_id: 1, used_at: null },
+      data: { used_at: expect.any(Date) }
+    });
+  });
+
+  it('❌ revokes the session when a used refresh token is presented again', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken({ used_at: new Date() }));
+    prisma.authSession.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: 'stolen-token' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/reuse/i);
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { session_id: 10, revoked_at: null },
+      data: { revoked_at: expect.any(Date), revoke_reason: 'token_reuse' }
+    });
+  });
+
+  it('❌ returns 401 for an unknown refresh token', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: 'unknown' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('❌ returns 400 when refresh_token is missing', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+    expect(res.status).toBe(400);
+  });
 });
 
 // ─── Security Headers ──────────────────────────────────────────────────────────
@@ -0,0 +1,333 @@
+/**
+ * Cart — Unit Tests
+ *
+ * Covers server-side carts for guests (keyed by guest_id), keeping them apart
+ * from user carts, the expiry of abandoned guest carts, price/availability
+ * change notices, the saved-for-later list, and merging a guest's cart and
+ * orders into the account on login.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../src/config/prisma', () => ({
+  cart: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), delete: jest.fn(), deleteMany: jest.fn() },
+  cartItem: { findMany: jest.fn(), findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), upsert: jest.fn(), delete: jest.fn(), deleteMany: jest.fn() },
+  savedCartItem: { findMany: jest.fn(), findUnique: jest.fn(), upsert: jest.fn(), delete: jest.fn(), deleteMany: jest.fn(), createMany: jest.fn() },
+  product: { findFirst: jest.fn() },
+  order: { updateMany: jest.fn() },
+  user: { findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  authSession: { create: jest.fn() },
+  refreshToken: { create: jest.fn() },
+  pointsTransaction: { create: jest.fn() },
+  notificationOutbox: { create: jest.fn() },
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const cartService = require('../src/modules/cart/cart.service');
+const authService = require('../src/modules/auth/auth.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('cartOwner', () => {
+  it('✅ keys guests by guest_id and users by user_id', () => {
+    expect(cartService.cartOwner({ guest_id: 4, role: 'Guest' })).toEqual({ guest_id: 4 });
+    expect(cartService.cartOwner({ user_id: 4, role: 'Customer' })).toEqual({ user_id: 4 });
+  });
+});
+
+describe('guest cart', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.cartItem.findMany.mockResolvedValue([]);
+    prisma.savedCartItem.findMany.mockResolvedValue([]);
+  });
+
+  it('✅ creates a cart owned by the guest', async () => {
+    prisma.cart.findUnique.mockResolvedValue(null);
+    prisma.cart.create.mockResolvedValue({ cart_id: 11, updated_at: new Date() });
+
+    const cart = await cartService.getCart({ guest_id: 4 });
+
+    expect(cart.cart_id).toBe(11);
+    expect(prisma.cart.findUnique.mock.calls[0][0].where).toEqual({ guest_id: 4 });
+    expect(prisma.cart.create.mock.calls[0][0].data).toEqual({ guest_id: 4 });
+  });
+
+  it('✅ adding an item refreshes the cart', async () => {
+    prisma.product.findFirst.mockResolvedValue({ product_id: 3, name: 'Rice', price: '5', sale_type: 'piece', stock_quantity: '10' });
+    prisma.cart.findUnique.mockResolvedValue({ cart_id: 11, updated_at: new Date() });
+    prisma.cartItem.findUnique.mockResolvedValue(null);
+
+    const item = await cartService.addToCart({ guest_id: 4 }, { product_id: 3, quantity: 2 });
+
+    expect(item).toMatchObject({ product_id: 3, quantity: 2, subtotal: 10 });
+    expect(prisma.cartItem.create.mock.calls[0][0].data.price_at_add).toBe('5');
+    expect(prisma.cart.update.mock.calls[0][0].where).toEqual({ cart_id: 11 });
+  });
+
+  it('✅ an abandoned guest cart is replaced by an empty one', async () => {
+    prisma.cart.findUnique.mockResolvedValue({ cart_id: 11, updated_at: new Date(Date.now() - 30 * DAY) });
+    prisma.cart.create.mockResolvedValue({ cart_id: 12, updated_at: new Date() });
+
+    const cart = await cartService.getCart({ guest_id: 4 });
+
+    expect(prisma.cart.delete).toHaveBeenCalledWith({ where: { cart_id: 11 } });
+    expect(cart.cart_id).toBe(12);
+  });
+
+  it('❌ an abandoned guest cart cannot be updated', async () => {
+    prisma.cart.findUnique.mockResolvedValue({ cart_id: 11, updated_at: new Date(Date.now() - 30 * DAY) });
+
+    await expect(cartService.updateCartItem({ guest_id: 4 }, 3, 1)).rejects.toThrow('Cart not found');
+  });
+
+  it('✅ user carts never expire', async () => {
+    prisma.cart.findUnique.mockResolvedValue({ cart_id: 20, updated_at: new Date(Date.now() - 365 * DAY) });
+
+    const cart = await cartService.getCart({ user_id: 4 });
+
+    expect(cart.cart_id).toBe(20);
+    expect(prisma.cart.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('cart change notices', () => {
+  const cartItem = (product_id, quantity, price_at_add, product) => ({
+    product_id,
+    quantity: String(quantity),
+    price_at_add,
+    product: { name: `P${product_id}`, price: '10', sale_type: 'piece', stock_quantity: '20', image_url: null, is_active: true, ...product }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.cart.findUnique.mockResolvedValue({ cart_id: 20, updated_at: new Date() });
+    prisma.savedCartItem.findMany.mockResolvedValue([]);
+    prisma.cartItem.findMany.mockResolvedValue([
+      cartItem(1, 1, '8'),
+      cartItem(2, 1, '12.5'),
+      cartItem(3, 1, '10', { is_active: false }),
+      cartItem(4, 5, '10', { stock_quantity: '2' }),
+      cartItem(5, 1, '10'),
+      cartItem(6, 1, null)
+    ]);
+  });
+
+  it('✅ getCart lists price moves, removed products and reduced stock', async () => {
+    const cart = await cartService.getCart({ user_id: 7 });
+
+    expect(cart.changes).toEqual([
+      { product_id: 3, name: 'P3', type: 'unavailable' },
+      { product_id: 1, name: 'P1', type: 'price_increased', old_price: 8, new_price: 10 },
+      { product_id: 2, name: 'P2', type: 'price_decreased', old_price: 12.5, new_price: 10 },
+      { product_id: 4, name: 'P4', type: 'stock_reduced', requested: 5, available: 2 }
+    ]);
+    expect(cart.items.map(i => i.product_id)).toEqual([1, 2, 4, 5, 6]);
+  });
+
+  it('✅ validateCart returns the same changes', async () => {
+    const result = await cartService.validateCart({ user_id: 7 });
+
+    expect(result.valid).toBe(false);
+    expect(result.changes.map(c => c.type)).toEqual(['unavailable', 'price_increased', 'price_decreased', 'stock_reduced']);
+  });
+
+  it('✅ changing the quantity takes the current price', async () => {
+    prisma.cartItem.findUnique.mockResolvedValue({
+      quantity: '1',
+      product: { name: 'P1', price: '10', sale_type: 'piece', stock_quantity: '20' }
+    });
+
+    await cartService.updateCartItem({ user_id: 7 }, 1, 2);
+
+    expect(prisma.cartItem.update.mock.calls[0][0].data).toEqual({ quantity: 2, price_at_add: '10' });
+  });
+});
+
+describe('saved for later', () => {
+  const owner = { user_id: 7 };
+  const key = { cart_id_product_id: { cart_id: 20, product_id: 3 } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.cart.findUnique.mockResolvedValue({ cart_id: 20, updated_at: new Date() });
+  });
+
+  it('✅ moves a cart item to the saved list', async () => {
+    prisma.cartItem.findUnique.mockResolvedValue({ quantity: '2.5' });
+
+    const result = await cartService.saveForLater(owner, 3);
+
+    expect(result).toEqual({ product_id: 3, quantity: 2.5, saved: true });
+    expect(prisma.cartItem.delete).toHaveBeenCalledWith({ where: key });
+    expect(prisma.savedCartItem.upsert.mock.calls[0][0].create).toEqual({ cart_id: 20, product_id: 3, quantity: '2.5' });
+  });
+
+  it('✅ moving back adds to the cart quantity', async () => {
+    prisma.savedCartItem.findUnique.mockResolvedValue({ quantity: '2' });
+    prisma.product.findFirst.mockResolvedValue({ name: 'Rice', price: '5', sale_type: 'piece', stock_quantity: '10' });
+    prisma.cartItem.findUnique.mockResolvedValue({ quantity: '1' });
+
+    const item = await cartService.moveToCart(owner, 3);
+
+    expect(item).toMatchObject({ product_id: 3, quantity: 3, subtotal: 15 });
+    expect(prisma.cartItem.upsert.mock.calls[0][0].update).toEqual({ quantity: 3, price_at_add: '5' });
+    expect(prisma.savedCartItem.delete).toHaveBeenCalledWith({ where: key });
+  });
+
+  it('❌ moving back is refused when stock is short', async () => {
+    prisma.savedCartItem.findUnique.mockResolvedValue({ quantity: '5' });
+    prisma.product.findFirst.mockResolvedValue({ name: 'Rice', price: '5', sale_type: 'piece', stock_quantity: '4' });
+    prisma.cartItem.findUnique.mockResolvedValue(null);
+
+    await expect(cartService.moveToCart(owner, 3)).rejects.toThrow('Insufficient stock');
+    expect(prisma.savedCartItem.delete).not.toHaveBeenCalled();
+  });
+
+  it('✅ getCart lists saved items apart from the totals', async () => {
+    prisma.cartItem.findMany.mockResolvedValue([]);
+    prisma.savedCartItem.findMany.mockResolvedValue([{
+      product_id: 3,
+      quantity: '2',
+      saved_at: new Date(),
+      product: { name: 'Rice', price: '6.5', sale_type: 'piece', stock_quantity: '0', image_url: null, is_active: true }
+    }]);
+
+    const cart = await cartService.getCart(owner);
+
+    expect(cart.summary.items_count).toBe(0);
+    expect(cart.saved_items[0]).toMatchObject({ product_id: 3, price: 6.5, stock_quantity: 0, is_available: false });
+  });
+
+  it('✅ validateCart ignores saved items', async () => {
+    prisma.cartItem.findMany.mockResolvedValue([]);
+    prisma.savedCartItem.findMany.mockResolvedValue([{
+      product_id: 3,
+      quantity: '50',
+      saved_at: new Date(),
+      product: { name: 'Rice', price: '5', sale_type: 'piece', stock_quantity: '1', image_url: null, is_active: true }
+    }]);
+
+    await expect(cartService.validateCart(owner)).resolves.toEqual({ valid: true, invalid_items: [], changes: [] });
+  });
+});
+
+describe('purgeExpiredGuestCarts', () => {
+  it('✅ deletes only guest carts older than the TTL', async () => {
+    prisma.cart.deleteMany.mockResolvedValue({ count: 3 });
+
+    const deleted = await cartService.purgeExpiredGuestCarts();
+
+    const { where } = prisma.cart.deleteMany.mock.calls[0][0];
+    expect(deleted).toBe(3);
+    expect(where.guest_id).toEqual({ not: null });
+    expect(Date.now() - where.updated_at.lt.getTime()).toBeGreaterThanOrEqual(cartService.GUEST_CART_TTL_DAYS * DAY);
+  });
+});
+
+describe('mergeGuestCart', () => {
+  const guestItem = (product_id, quantity, product) => ({
+    product_id,
+    quantity: String(quantity),
+    product: { name: `P${product_id}`, is_active: true, stock_quantity: '10', ...product }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.cart.findUnique.mockImplementation(({ where }) => Promise.resolve(
+      where.guest_id
+        ? {
+          cart_id: 11,
+          updated_at: new Date(),
+          items: [
+            guestItem(1, 2),
+            guestItem(2, 4, { stock_quantity: '5' }),
+            guestItem(3, 1, { is_active: false }),
+            guestItem(4, 1, { stock_quantity: '0' })
+          ],
+          saved_items: [{ product_id: 9, quantity: '1', saved_at: new Date() }]
+        }
+        : { cart_id: 20 }
+    ));
+    prisma.cartItem.findMany.mockResolvedValue([{ product_id: 2, quantity: '3' }, { product_id: 4, quantity: '1' }]);
+  });
+
+  it('✅ sums quantities, clamps to stock, drops unavailable products and reports adjustments', async () => {
+    const report = await cartService.mergeGuestCart(prisma, 4, 7);
+
+    expect(prisma.cartItem.upsert.mock.calls.map(([args]) => [args.create.product_id, args.update.quantity]))
+      .toEqual([[1, 2], [2, 5]]);
+    expect(prisma.cartItem.delete).toHaveBeenCalledWith({ where: { cart_id_product_id: { cart_id: 20, product_id: 4 } } });
+    expect(prisma.cart.delete).toHaveBeenCalledWith({ where: { cart_id: 11 } });
+    expect(prisma.savedCartItem.createMany.mock.calls[0][0]).toMatchObject({
+      data: [{ cart_id: 20, product_id: 9 }],
+      skipDuplicates: true
+    });
+    expect(report.merged.map(i => i.product_id)).toEqual([1, 2]);
+    expect(report.adjustments).toEqual([
+      { product_id: 2, name: 'P2', requested: 7, quantity: 5, reason: 'limited_by_stock' },
+      { product_id: 3, name: 'P3', requested: 1, quantity: 0, reason: 'product_unavailable' },
+      { product_id: 4, name: 'P4', requested: 2, quantity: 0, reason: 'out_of_stock' }
+    ]);
+  });
+
+  it('✅ an abandoned guest cart is discarded, not merged', async () => {
+    prisma.cart.findUnique.mockResolvedValue({ cart_id: 11, updated_at: new Date(Date.now() - 30 * DAY), items: [guestItem(1, 2)], saved_items: [] });
+
+    const report = await cartService.mergeGuestCart(prisma, 4, 7);
+
+    expect(report).toEqual({ merged: [], adjustments: [] });
+    expect(prisma.cartItem.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('login with a guest token', () => {
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    user = {
+      user_id: 7,
+      phone_number: '0599555666',
+      role: 'Customer',
+      is_active: true,
+      is_verified: true,
+      password_hash: await bcrypt.hash('Secret123', 10)
+    };
+    prisma.user.findUnique.mockResolvedValue(user);
+    prisma.authSession.create.mockResolvedValue({ session_id: 90 });
+    prisma.user.updateMany.mockResolvedValue({ count: 0 });
+    prisma.order.updateMany.mockResolvedValue({ count: 2 });
+    prisma.cart.findUnique.mockResolvedValue(null);
+  });
+
+  it('✅ moves the guest orders and cart to the account', async () => {
+    const result = await authService.login(user.phone_number, 'Secret123', {}, 4);
+
+    expect(prisma.order.updateMany).toHaveBeenCalledWith({ where: { guest_id: 4 }, data: { guest_id: null, user_id: 7 } });
+    expect(result.guest_merge).toEqual({ orders_moved: 2, cart: { merged: [], adjustments: [] } });
+    expect(result).toHaveProperty('token');
+  });
+
+  it('✅ without a guest token nothing is merged', async () => {
+    const result = await authService.login(user.phone_number, 'Secret123', {});
+
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+    expect(result.guest_merge).toBeUndefined();
+  });
+
+  it('✅ a two-factor login carries the guest in the challenge, not as a guest token', async () => {
+    user.totp_enabled = true;
+
+    const { challenge_token } = await authService.login(user.phone_number, 'Secret123', {}, 4);
+    const claims = jwt.decode(challenge_token);
+
+    expect(claims.merge_guest_id).toBe(4);
+    expect(claims).not.toHaveProperty('guest_id');
+    expect(prisma.order.updateMany).not.toHaveBeenCalled();
+  });
+});
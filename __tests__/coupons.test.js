@@ -0,0 +1,379 @@
+/**
+ * Coupons — Unit Tests
+ *
+ * Covers admin create/update/deactivate rules, discount calculation and
+ * checkout validation rules.
+ * The transaction client is a plain object of jest mocks, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  coupon: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  $transaction: jest.fn(),
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const { validationResult } = require('express-validator');
+const couponsService = require('../src/modules/coupons/coupons.service');
+const couponsValidators = require('../src/modules/coupons/coupons.validators');
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+const isoDay = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const buildCoupon = (overrides = {}) => ({
+  coupon_id: 1,
+  code: 'SAVE10',
+  discount_type: 'percentage',
+  discount_value: '10',
+  min_order_amount: '50',
+  points_cost: 0,
+  max_total_quantity: null,
+  used_count: 0,
+  is_active: true,
+  valid_from: new Date(isoDay(-1)),
+  valid_until: new Date(isoDay(1)),
+  ...overrides
+});
+
+const buildClient = (coupon, { usedClaim = null, unusedClaim = null } = {}) => ({
+  coupon: { findUnique: jest.fn().mockResolvedValue(coupon) },
+  userCoupon: {
+    findFirst: jest.fn()
+      .mockResolvedValueOnce(usedClaim)
+      .mockResolvedValueOnce(unusedClaim)
+  }
+});
+
+/**
+ * Run a validator chain and return the fields it rejected (sorted)
+ */
+const invalidFields = async (rules, body, params = {}) => {
+  const req = { body, params };
+  await Promise.all(rules.map(rule => rule.run(req)));
+  return validationResult(req).array().map(error => error.path).sort();
+};
+
+const validCoupon = {
+  code: 'summer-25',
+  discount_type: 'percentage',
+  discount_value: 25,
+  valid_from: '2026-06-01',
+  valid_until: '2026-08-31'
+};
+
+// ─── Admin validators ──────────────────────────────────────────────────────────
+describe('coupon validators', () => {
+  it('✅ accepts a complete coupon', async () => {
+    expect(await invalidFields(couponsValidators.create, validCoupon)).toEqual([]);
+  });
+
+  it('❌ create requires code, type, value and dates', async () => {
+    expect(await invalidFields(couponsValidators.create, {}))
+      .toEqual(expect.arrayContaining(['code', 'discount_type', 'discount_value', 'valid_from', 'valid_until']));
+  });
+
+  it('❌ rejects a percentage above 100 and a reversed date window', async () => {
+    const fields = await invalidFields(couponsValidators.create, {
+      ...validCoupon,
+      discount_value: 120,
+      valid_until: '2026-05-01'
+    });
+
+    expect(fields).toEqual(['discount_value', 'valid_until']);
+  });
+
+  it('❌ rejects codes with spaces or symbols', async () => {
+    expect(await invalidFields(couponsValidators.create, { ...validCoupon, code: 'SAVE 10%' })).toEqual(['code']);
+  });
+
+  it('✅ update accepts a partial body', async () => {
+    expect(await invalidFields(couponsValidators.update, { is_active: false }, { id: '3' })).toEqual([]);
+  });
+
+  it('❌ update checks the id and the fields it is given', async () => {
+    expect(await invalidFields(couponsValidators.update, { discount_value: 0, max_total_quantity: 0 }, { id: 'abc' }))
+      .toEqual(['discount_value', 'id', 'max_total_quantity']);
+  });
+});
+
+// ─── Admin management ──────────────────────────────────────────────────────────
+describe('createCoupon', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ stores the code upper-cased with defaults', async () => {
+    prisma.coupon.findUnique.mockResolvedValue(null);
+    prisma.coupon.create.mockImplementation(({ data }) => Promise.resolve({ coupon_id: 3, used_count: 0, ...data }));
+
+    const coupon = await couponsService.createCoupon(validCoupon);
+
+    expect(prisma.coupon.create.mock.calls[0][0].data).toMatchObject({
+      code: 'SUMMER-25',
+      min_order_amount: 0,
+      points_cost: 0,
+      max_total_quantity: null,
+      is_active: true
+    });
+    expect(coupon.remaining_quantity).toBeNull();
+  });
+
+  it('❌ rejects a duplicate code regardless of case', async () => {
+    prisma.coupon.findUnique.mockResolvedValue({ coupon_id: 1 });
+
+    await expect(couponsService.createCoupon({ ...validCoupon, code: 'save10' })).rejects.toThrow('Coupon code already exists');
+    expect(prisma.coupon.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { code: 'SAVE10' } }));
+    expect(prisma.coupon.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateCoupon', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('❌ rejects renaming to another coupon\'s code', async () => {
+    prisma.coupon.findUnique
+      .mockResolvedValueOnce(buildCoupon({ coupon_id: 2, code: 'WINTER' }))
+      .mockResolvedValueOnce({ coupon_id: 1 });
+
+    await expect(couponsService.updateCoupon(2, { code: 'save10' })).rejects.toThrow('Coupon code already exists');
+    expect(prisma.coupon.update).not.toHaveBeenCalled();
+  });
+
+  it('❌ rejects a percentage above 100 once merged with the stored type', async () => {
+    prisma.coupon.findUnique.mockResolvedValueOnce(buildCoupon());
+
+    await expect(couponsService.updateCoupon(1, { discount_value: 150 })).rejects.toThrow('Percentage discount cannot exceed 100');
+  });
+
+  it('❌ a coupon in use cannot drop below the times it was used', async () => {
+    prisma.coupon.findUnique.mockResolvedValueOnce(buildCoupon({ used_count: 8, max_total_quantity: 20 }));
+
+    await expect(couponsService.updateCoupon(1, { max_total_quantity: 5 }))
+      .rejects.toThrow('max_total_quantity cannot be less than the number of times the coupon was used');
+    expect(prisma.coupon.update).not.toHaveBeenCalled();
+  });
+
+  it('❌ rejects an empty update', async () => {
+    prisma.coupon.findUnique.mockResolvedValueOnce(buildCoupon());
+
+    await expect(couponsService.updateCoupon(1, {})).rejects.toThrow('At least one field must be provided to update');
+  });
+});
+
+describe('deactivateCoupon', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ deleting a coupon in use only deactivates it, keeping its claims and orders', async () => {
+    prisma.coupon.updateMany.mockResolvedValue({ count: 1 });
+
+    expect(await couponsService.deactivateCoupon(1)).toEqual({ coupon_id: 1, is_active: false });
+    expect(prisma.coupon.updateMany).toHaveBeenCalledWith({
+      where: { coupon_id: 1, is_active: true },
+      data: { is_active: false }
+    });
+  });
+
+  it('❌ reports a missing or already inactive coupon', async () => {
+    prisma.coupon.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(couponsService.deactivateCoupon(1)).rejects.toThrow('Coupon not found or already inactive');
+  });
+});
+
+// ─── calculateDiscount ─────────────────────────────────────────────────────────
+describe('calculateDiscount', () => {
+  it('✅ applies a percentage of the subtotal', () => {
+    expect(couponsService.calculateDiscount({ discount_type: 'percentage', discount_value: '15' }, 80)).toBe(12);
+  });
+
+  it('✅ applies a fixed amount', () => {
+    expect(couponsService.calculateDiscount({ discount_type: 'fixed', discount_value: '20' }, 80)).toBe(20);
+  });
+
+  it('✅ never exceeds the subtotal', () => {
+    expect(couponsService.calculateDiscount({ discount_type: 'fixed', discount_value: '100' }, 35.5)).toBe(35.5);
+  });
+});
+
+// ─── resolveCouponForOrder ─────────────────────────────────────────────────────
+describe('resolveCouponForOrder', () => {
+  it('✅ returns the discount for a valid coupon', async () => {
+    const client = buildClient(buildCoupon());
+
+    const result = await couponsService.resolveCouponForOrder(client, 7, ' save10 ', 100);
+
+    expect(client.coupon.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { code: 'SAVE10' } }));
+    expect(result.discount_amount).toBe(10);
+    expect(result.user_coupon).toBeNull();
+  });
+
+  it('❌ rejects an unknown code', async () => {
+    await expect(couponsService.resolveCouponForOrder(buildClient(null), 7, 'NOPE', 100))
+      .rejects.toThrow('Coupon code is invalid');
+  });
+
+  it('❌ rejects an inactive coupon', async () => {
+    await expect(couponsService.resolveCouponForOrder(buildClient(buildCoupon({ is_active: false })), 7, 'SAVE10', 100))
+      .rejects.toThrow('Coupon is not active');
+  });
+
+  it('❌ rejects a coupon outside its date window', async () => {
+    const expired = buildCoupon({ valid_from: new Date(isoDay(-10)), valid_until: new Date(isoDay(-2)) });
+    await expect(couponsService.resolveCouponForOrder(buildClient(expired), 7, 'SAVE10', 100))
+      .rejects.toThrow('Coupon is expired or not yet valid');
+  });
+
+  it('❌ rejects an order below the minimum amount', async () => {
+    await expect(couponsService.resolveCouponForOrder(buildClient(buildCoupon()), 7, 'SAVE10', 49.99))
+      .rejects.toThrow(/minimum order of 50/);
+  });
+
+  it('❌ rejects a coupon with no remaining quantity', async () => {
+    const exhausted = buildCoupon({ max_total_quantity: 5, used_count: 5 });
+    await expect(couponsService.resolveCouponForOrder(buildClient(exhausted), 7, 'SAVE10', 100))
+      .rejects.toThrow('Coupon usage limit has been reached');
+  });
+
+  it('❌ rejects a coupon this user already used', async () => {
+    const client = buildClient(buildCoupon(), { usedClaim: { user_coupon_id: 3 } });
+    await expect(couponsService.resolveCouponForOrder(client, 7, 'SAVE10', 100))
+      .rejects.toThrow('Coupon has already been used by this account');
+  });
+
+  it('❌ rejects a points coupon that was not redeemed first', async () => {
+    const client = buildClient(buildCoupon({ points_cost: 200 }));
+    await expect(couponsService.resolveCouponForOrder(client, 7, 'SAVE10', 100))
+      .rejects.toThrow('Coupon must be redeemed with points before it can be used');
+  });
+
+  it('✅ accepts a points coupon with an unused claim', async () => {
+    const client = buildClient(buildCoupon({ points_cost: 200 }), { unusedClaim: { user_coupon_id: 9 } });
+
+    const result = await couponsService.resolveCouponForOrder(client, 7, 'SAVE10', 100);
+
+    expect(result.user_coupon).toEqual({ user_coupon_id: 9 });
+  });
+});
+
+// ─── redeemCouponWithPoints ────────────────────────────────────────────────────
+describe('redeemCouponWithPoints', () => {
+  const buildTx = (coupon, { pointsMatched = 1, useTaken = 1 } = {}) => ({
+    $queryRaw: jest.fn().mockResolvedValue([]),
+    $executeRaw: jest.fn().mockResolvedValue(useTaken),
+    coupon: { findUnique: jest.fn().mockResolvedValue(coupon) },
+    user: {
+      updateMany: jest.fn().mockResolvedValue({ count: pointsMatched }),
+      findUnique: jest.fn().mockResolvedValue({ points: 50 })
+    },
+    pointsTransaction: { create: jest.fn().mockResolvedValue({}) },
+    userCoupon: {
+      findFirst: jest.fn().mockResolvedValue(null),
+      create: jest.fn().mockResolvedValue({ user_coupon_id: 11 })
+    }
+  });
+
+  const runWith = (tx) => prisma.$transaction.mockImplementation((fn) => fn(tx));
+
+  it('✅ deducts points, writes the ledger and creates an unused claim', async () => {
+    const tx = buildTx(buildCoupon({ points_cost: 150 }));
+    runWith(tx);
+
+    const result = await couponsService.redeemCouponWithPoints(7, 1);
+
+    expect(tx.user.updateMany).toHaveBeenCalledWith({
+      where: { user_id: 7, points: { gte: 150 } },
+      data: { points: { decrement: 150 } }
+    });
+    expect(tx.pointsTransaction.create).toHaveBeenCalledWith({
+      data: { user_id: 7, points: -150, reason: 'coupon_redeemed' }
+    });
+    expect(tx.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(tx.userCoupon.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: { user_id: 7, coupon_id: 1, is_used: false, use_reserved: true }
+    }));
+    expect(result).toEqual(expect.objectContaining({ user_coupon_id: 11, points_spent: 150, balance: 50 }));
+  });
+
+  it('❌ fails without creating a claim when the balance is too low', async () => {
+    const tx = buildTx(buildCoupon({ points_cost: 150 }), { pointsMatched: 0 });
+    runWith(tx);
+
+    await expect(couponsService.redeemCouponWithPoints(7, 1)).rejects.toThrow('Insufficient points balance');
+    expect(tx.pointsTransaction.create).not.toHaveBeenCalled();
+    expect(tx.userCoupon.create).not.toHaveBeenCalled();
+  });
+
+  it('❌ rejects a coupon that is not sold for points', async () => {
+    runWith(buildTx(buildCoupon({ points_cost: 0 })));
+
+    await expect(couponsService.redeemCouponWithPoints(7, 1)).rejects.toThrow('Coupon is not available for points');
+  });
+
+  it('❌ spends no points once a limited coupon has run out', async () => {
+    const tx = buildTx(buildCoupon({ points_cost: 150, max_total_quantity: 10, used_count: 9 }), { useTaken: 0 });
+    runWith(tx);
+
+    await expect(couponsService.redeemCouponWithPoints(7, 1)).rejects.toThrow('Coupon usage limit has been reached');
+    expect(tx.user.updateMany).not.toHaveBeenCalled();
+    expect(tx.userCoupon.create).not.toHaveBeenCalled();
+  });
+});
+
+// ─── Reserved uses at checkout ─────────────────────────────────────────────────
+describe('coupons bought with points', () => {
+  const soldOut = buildCoupon({ points_cost: 150, max_total_quantity: 10, used_count: 10 });
+
+  it('✅ a paid claim is honoured at checkout after the coupon runs out', async () => {
+    const tx = {
+      ...buildClient(soldOut, { unusedClaim: { user_coupon_id: 9, use_reserved: true } }),
+      $executeRaw: jest.fn()
+    };
+    tx.userCoupon.updateMany = jest.fn().mockResolvedValue({ count: 1 });
+
+    const result = await couponsService.applyCouponToOrder(tx, 7, 'SAVE10', 100);
+
+    expect(result).toEqual({ user_coupon_id: 9, coupon_code: 'SAVE10', discount_amount: 10 });
+    expect(tx.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  it('✅ cancelling the order keeps the paid use for the customer', async () => {
+    const tx = {
+      userCoupon: {
+        findUnique: jest.fn().mockResolvedValue({ coupon_id: 1, use_reserved: true }),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      coupon: { updateMany: jest.fn() }
+    };
+
+    await couponsService.releaseCoupon(tx, 9);
+
+    expect(tx.userCoupon.updateMany).toHaveBeenCalled();
+    expect(tx.coupon.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+// ─── applyCouponToOrder ────────────────────────────────────────────────────────
+describe('applyCouponToOrder', () => {
+  const buildTx = (create) => {
+    const tx = { ...buildClient(buildCoupon()), $executeRaw: jest.fn().mockResolvedValue(1) };
+    tx.userCoupon.create = create;
+    return tx;
+  };
+
+  it('✅ records a used claim for a first-time coupon', async () => {
+    const tx = buildTx(jest.fn().mockResolvedValue({ user_coupon_id: 12 }));
+
+    const result = await couponsService.applyCouponToOrder(tx, 7, 'SAVE10', 100);
+
+    expect(result).toEqual({ user_coupon_id: 12, coupon_code: 'SAVE10', discount_amount: 10 });
+    expect(tx.userCoupon.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ user_id: 7, coupon_id: 1, is_used: true })
+    }));
+  });
+
+  it('❌ a concurrent order that claimed the coupon first wins', async () => {
+    const duplicate = Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+    const tx = buildTx(jest.fn().mockRejectedValue(duplicate));
+
+    await expect(couponsService.applyCouponToOrder(tx, 7, 'SAVE10', 100))
+      .rejects.toThrow('Coupon has already been used by this account');
+  });
+});
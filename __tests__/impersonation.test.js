@@ -0,0 +1,180 @@
+/**
+ * Support Impersonation — Unit Tests
+ *
+ * Covers opening an impersonation session, the flagged token, the audit row
+ * for each impersonated request, blocked actions and routes, and the
+ * customer's view.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+const { EventEmitter } = require('events');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../src/config/prisma', () => ({
+  user: { findUnique: jest.fn() },
+  authSession: { create: jest.fn(), findUnique: jest.fn(), findMany: jest.fn(), updateMany: jest.fn() },
+  auditLog: { create: jest.fn() },
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const impersonationService = require('../src/modules/impersonation/impersonation.service');
+const sessionsService = require('../src/modules/sessions/sessions.service');
+const { authenticate, blockImpersonation } = require('../src/middlewares/auth.middleware');
+const usersRoutes = require('../src/modules/users/users.routes');
+
+const mockRes = () => Object.assign(new EventEmitter(), {
+  statusCode: 200,
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn()
+});
+
+describe('startImpersonation', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ opens an expiring session and returns a flagged token', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, name: 'Lina', phone_number: '0599333444', role: 'Customer', is_active: true });
+    prisma.authSession.create.mockResolvedValue({ session_id: 77 });
+
+    const result = await impersonationService.startImpersonation({ user_id: 5, reason: 'Cart issue' }, 1);
+
+    expect(prisma.authSession.create.mock.calls[0][0].data).toMatchObject({
+      user_id: 5,
+      impersonator_id: 1,
+      impersonation_reason: 'Cart issue'
+    });
+    expect(result.expires_at.getTime()).toBeGreaterThan(Date.now());
+    expect(jwt.verify(result.token, process.env.JWT_SECRET)).toMatchObject({
+      user_id: 5, session_id: 77, impersonator_id: 1, impersonation: true
+    });
+  });
+
+  it('❌ staff accounts cannot be impersonated', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 2, role: 'SuperAdmin', is_active: true });
+
+    await expect(impersonationService.startImpersonation({ user_id: 2, reason: 'x' }, 1))
+      .rejects.toThrow('Only customer accounts can be impersonated');
+    expect(prisma.authSession.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('impersonated requests', () => {
+  const token = jwt.sign({ user_id: 5, role: 'Customer', session_id: 77, impersonator_id: 1, impersonation: true }, process.env.JWT_SECRET);
+
+  const session = (extra = {}) => ({
+    user_id: 5,
+    revoked_at: null,
+    mfa_verified: false,
+    impersonator_id: 1,
+    expires_at: new Date(Date.now() + 60000),
+    user: { user_id: 5, role: 'Customer', is_active: true },
+    ...extra
+  });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ every request is written to the audit log', async () => {
+    prisma.authSession.findUnique.mockResolvedValue(session());
+    const req = { headers: { authorization: `Bearer ${token}` }, method: 'GET', originalUrl: '/api/cart', ip: '10.0.0.9' };
+    const res = mockRes();
+    const next = jest.fn();
+
+    await authenticate(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(req.user.impersonator_id).toBe(1);
+
+    res.emit('finish');
+    await new Promise(setImmediate);
+
+    expect(prisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+      actor_id: 1,
+      permission: 'user.impersonate',
+      action: 'GET /api/cart',
+      entity_type: 'user',
+      entity_id: '5'
+    });
+  });
+
+  it('❌ expired impersonation sessions are rejected', async () => {
+    prisma.authSession.findUnique.mockResolvedValue(session({ expires_at: new Date(Date.now() - 1000) }));
+    const res = mockRes();
+    const next = jest.fn();
+
+    await authenticate({ headers: { authorization: `Bearer ${token}` } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('❌ blockImpersonation refuses impersonated requests only', () => {
+    const res = mockRes();
+    const next = jest.fn();
+
+    blockImpersonation({ user: { user_id: 5, impersonator_id: 1 } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+
+    blockImpersonation({ user: { user_id: 5, impersonator_id: null } }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('blocked customer routes', () => {
+  const token = jwt.sign({ user_id: 5, role: 'Customer', session_id: 77, impersonator_id: 1, impersonation: true }, process.env.JWT_SECRET);
+  const app = express().use(express.json()).use('/api/users', usersRoutes);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.authSession.findUnique.mockResolvedValue({
+      user_id: 5,
+      revoked_at: null,
+      mfa_verified: false,
+      impersonator_id: 1,
+      expires_at: new Date(Date.now() + 60000),
+      user: { user_id: 5, role: 'Customer', is_active: true }
+    });
+  });
+
+  it.each([
+    ['DELETE', '/api/users/sessions'],
+    ['DELETE', '/api/users/sessions/3'],
+    ['GET', '/api/users/me/export']
+  ])('❌ %s %s is refused while impersonating', async (method, path) => {
+    const res = await request(app)[method.toLowerCase()](path).set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(prisma.authSession.updateMany).not.toHaveBeenCalled();
+    expect(prisma.user.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('✅ the session list can still be viewed', async () => {
+    prisma.authSession.findMany.mockResolvedValue([]);
+
+    const res = await request(app).get('/api/users/sessions').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('customer session list', () => {
+  it('✅ shows who impersonated the account', async () => {
+    prisma.authSession.findMany.mockResolvedValue([
+      {
+        session_id: 77,
+        user_agent: 'Chrome',
+        revoked_at: null,
+        expires_at: new Date(Date.now() + 60000),
+        impersonation_reason: 'Cart issue',
+        impersonator: { name: 'Sami' }
+      },
+      { session_id: 3, user_agent: 'Android', revoked_at: null, expires_at: null, impersonation_reason: null, impersonator: null }
+    ]);
+
+    const [impersonated, own] = await sessionsService.getUserSessions(5, 3);
+
+    expect(impersonated.impersonation).toMatchObject({ staff_name: 'Sami', reason: 'Cart issue', is_active: true });
+    expect(own.impersonation).toBeNull();
+    expect(own.is_current).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Notifications — Unit Tests
+ *
+ * Covers queuing order status messages, retry backoff, giving up after the
+ * last attempt, the admin resend, and the background loop running it.
+ * Prisma and the SMS service are mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  notificationOutbox: { create: jest.fn(), updateMany: jest.fn(), findUnique: jest.fn() },
+  $queryRaw: jest.fn(),
+  $disconnect: jest.fn()
+}));
+
+jest.mock('../src/utils/sms', () => ({
+  sendTemplate: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const smsService = require('../src/utils/sms');
+const notificationsService = require('../src/modules/notifications/notifications.service');
+const notificationsDispatcher = require('../src/modules/notifications/notifications.dispatcher');
+
+const { MAX_ATTEMPTS } = notificationsService;
+
+describe('enqueueOrderStatus', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ queues the SMS inside the given transaction', async () => {
+    const tx = { notificationOutbox: { create: jest.fn().mockResolvedValue({ notification_id: 1 }) } };
+
+    await notificationsService.enqueueOrderStatus(tx, { order_id: 12, shipping_phone: '0599123456' }, 'Shipped');
+
+    expect(tx.notificationOutbox.create).toHaveBeenCalledWith({
+      data: { order_id: 12, recipient: '0599123456', template: 'order_shipped', payload: { order_id: 12 } },
+      select: { notification_id: true }
+    });
+  });
+
+  it('✅ sends nothing for statuses without a message', async () => {
+    const tx = { notificationOutbox: { create: jest.fn() } };
+
+    const result = await notificationsService.enqueueOrderStatus(tx, { order_id: 12, shipping_phone: '0599123456' }, 'Refunded');
+
+    expect(result).toBeNull();
+    expect(tx.notificationOutbox.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('dispatchDueNotifications', () => {
+  const claimed = (attempts) => ({
+    notification_id: 5,
+    recipient: '0599123456',
+    template: 'order_confirmed',
+    payload: { order_id: 12 },
+    attempts
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.notificationOutbox.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('✅ marks sent messages with the provider id', async () => {
+    prisma.$queryRaw.mockResolvedValue([claimed(1)]);
+    smsService.sendTemplate.mockResolvedValue({ message_id: 'gw-1', status: 'queued' });
+
+    const summary = await notificationsService.dispatchDueNotifications();
+
+    expect(summary).toEqual({ sent: 1, retrying: 0, failed: 0 });
+    expect(smsService.sendTemplate).toHaveBeenCalledWith('0599123456', 'order_confirmed', { order_id: 12 });
+    expect(prisma.notificationOutbox.updateMany.mock.calls[0][0].data)
+      .toMatchObject({ status: 'sent', provider_message_id: 'gw-1' });
+  });
+
+  it('✅ schedules a retry with exponential backoff', async () => {
+    prisma.$queryRaw.mockResolvedValue([claimed(3)]);
+    smsService.sendTemplate.mockRejectedValue(new Error('SMS gateway responded with 503'));
+
+    const before = Date.now();
+    const summary = await notificationsService.dispatchDueNotifications();
+
+    expect(summary).toEqual({ sent: 0, retrying: 1, failed: 0 });
+    const { data } = prisma.notificationOutbox.updateMany.mock.calls[0][0];
+    expect(data.status).toBe('pending');
+    expect(data.last_error).toBe('SMS gateway responded with 503');
+    expect(data.next_attempt_at.getTime() - before).toBeGreaterThanOrEqual(notificationsService.retryDelaySeconds(3) * 1000);
+    expect(notificationsService.retryDelaySeconds(3)).toBe(4 * notificationsService.retryDelaySeconds(1));
+  });
+
+  it('❌ gives up after the last attempt', async () => {
+    prisma.$queryRaw.mockResolvedValue([claimed(MAX_ATTEMPTS)]);
+    smsService.sendTemplate.mockRejectedValue(new Error('timeout'));
+
+    const summary = await notificationsService.dispatchDueNotifications();
+
+    expect(summary).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    expect(prisma.notificationOutbox.updateMany.mock.calls[0][0].data).toEqual({ status: 'failed', last_error: 'timeout' });
+  });
+});
+
+describe('resendNotification', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ re-queues a failed notification with fresh attempts', async () => {
+    prisma.notificationOutbox.updateMany.mockResolvedValue({ count: 1 });
+    prisma.notificationOutbox.findUnique.mockResolvedValue({ notification_id: 5, status: 'pending', attempts: 0 });
+
+    const result = await notificationsService.resendNotification(5);
+
+    expect(result.status).toBe('pending');
+    expect(prisma.notificationOutbox.updateMany.mock.calls[0][0].where).toEqual({ notification_id: 5, status: 'failed' });
+  });
+
+  it('❌ refuses to resend a notification that has not failed', async () => {
+    prisma.notificationOutbox.updateMany.mockResolvedValue({ count: 0 });
+    prisma.notificationOutbox.findUnique.mockResolvedValue({ notification_id: 5 });
+
+    await expect(notificationsService.resendNotification(5)).rejects.toThrow('Only failed notifications can be resent');
+  });
+});
+
+describe('dispatcher loop', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ runs never overlap', async () => {
+    let finish;
+    const slow = new Promise((resolve) => { finish = resolve; });
+    jest.spyOn(notificationsService, 'dispatchDueNotifications').mockReturnValueOnce(slow.then(() => ({})));
+
+    const first = notificationsDispatcher.runOnce();
+    await notificationsDispatcher.runOnce();
+    finish();
+    await first;
+
+    expect(notificationsService.dispatchDueNotifications).toHaveBeenCalledTimes(1);
+  });
+
+  it('✅ a failed run is logged and the next one still runs', async () => {
+    jest.spyOn(notificationsService, 'dispatchDueNotifications')
+      .mockRejectedValueOnce(new Error('gateway down'))
+      .mockResolvedValueOnce({});
+
+    await expect(notificationsDispatcher.runOnce()).resolves.toBeUndefined();
+    await notificationsDispatcher.runOnce();
+
+    expect(notificationsService.dispatchDueNotifications).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Order Preview & Idempotency — Unit Tests
+ *
+ * Covers POST /api/orders/preview pricing (it matches the order placed from
+ * the same data and writes nothing) and Idempotency-Key handling on
+ * POST /api/orders.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  product: { findFirst: jest.fn(), updateMany: jest.fn() },
+  address: { findFirst: jest.fn() },
+  shippingZone: { findFirst: jest.fn() },
+  coupon: { findUnique: jest.fn() },
+  userCoupon: { findFirst: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+  order: { create: jest.fn() },
+  orderItem: { create: jest.fn() },
+  orderStatusHistory: { create: jest.fn() },
+  stockTransaction: { create: jest.fn() },
+  payment: { create: jest.fn() },
+  cart: { findUnique: jest.fn() },
+  cartItem: { deleteMany: jest.fn() },
+  idempotencyKey: { create: jest.fn(), findUnique: jest.fn(), update: jest.fn(), deleteMany: jest.fn() },
+  $executeRaw: jest.fn(),
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const ordersService = require('../src/modules/orders/orders.service');
+const { idempotency } = require('../src/middlewares/idempotency.middleware');
+const { hashRequest } = require('../src/modules/idempotency/idempotency.service');
+
+const PRODUCTS = {
+  1: { product_id: 1, name: 'Rice', price: '12.5', cost_price: '9', sale_type: 'piece', stock_quantity: '50' },
+  2: { product_id: 2, name: 'Tomatoes', price: '4', cost_price: '2', sale_type: 'kg', stock_quantity: '3' }
+};
+
+const orderData = {
+  user_id: 7,
+  items: [{ product_id: 1, quantity: 2 }, { product_id: 2, quantity: 1.5 }, { product_id: 1, quantity: 1 }],
+  region: 'عتيل',
+  first_name: 'Lina',
+  last_name: 'Saleh',
+  street: 'Main',
+  phone_number: '0599333444',
+  coupon_code: 'save10'
+};
+
+describe('previewOrder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.product.findFirst.mockImplementation(({ where }) => Promise.resolve(PRODUCTS[where.product_id] || null));
+    prisma.shippingZone.findFirst.mockResolvedValue({ fee: '15', free_delivery_threshold: '200' });
+    prisma.coupon.findUnique.mockResolvedValue({
+      coupon_id: 3,
+      code: 'SAVE10',
+      discount_type: 'percentage',
+      discount_value: '10',
+      min_order_amount: '0',
+      points_cost: 0,
+      max_total_quantity: null,
+      used_count: 0,
+      is_active: true,
+      valid_from: new Date('2020-01-01'),
+      valid_until: new Date('2999-01-01')
+    });
+    prisma.userCoupon.findFirst.mockResolvedValue(null);
+  });
+
+  it('✅ returns a line-by-line breakdown without writing anything', async () => {
+    const preview = await ordersService.previewOrder(orderData);
+
+    expect(preview).toEqual({
+      items: [
+        { product_id: 1, name: 'Rice', price: 12.5, quantity: 3, subtotal: 37.5 },
+        { product_id: 2, name: 'Tomatoes', price: 4, quantity: 1.5, subtotal: 6 }
+      ],
+      total_products_price: 43.5,
+      coupon_code: 'SAVE10',
+      discount_amount: 4.35,
+      region: 'عتيل',
+      shipping_fees: 15,
+      free_shipping_threshold: 200,
+      final_total: 54.15,
+      points_to_earn: 5
+    });
+    expect(prisma.$executeRaw).not.toHaveBeenCalled();
+    expect(prisma.userCoupon.create).not.toHaveBeenCalled();
+    expect(prisma.order.create).not.toHaveBeenCalled();
+  });
+
+  it('✅ matches the order placed from the same data', async () => {
+    const preview = await ordersService.previewOrder(orderData);
+
+    prisma.$executeRaw.mockResolvedValue(1);
+    prisma.userCoupon.create.mockResolvedValue({ user_coupon_id: 40 });
+    prisma.order.create.mockImplementation(({ data }) => Promise.resolve({ order_id: 100, status: 'Created', ...data }));
+    prisma.product.updateMany.mockResolvedValue({ count: 1 });
+    prisma.cart.findUnique.mockResolvedValue(null);
+
+    const order = await ordersService.placeOrder(orderData);
+
+    expect(order).toMatchObject({
+      total_products_price: preview.total_products_price,
+      discount_amount: preview.discount_amount,
+      shipping_fees: preview.shipping_fees,
+      final_total: preview.final_total,
+      coupon_code: preview.coupon_code
+    });
+  });
+
+  it('❌ reports the same stock error as placing the order', async () => {
+    await expect(ordersService.previewOrder({ ...orderData, items: [{ product_id: 2, quantity: 5 }] }))
+      .rejects.toThrow('Insufficient stock for Tomatoes');
+  });
+
+  it('❌ guests cannot preview with a coupon', async () => {
+    await expect(ordersService.previewOrder({ ...orderData, user_id: undefined, guest_id: 4 }))
+      .rejects.toThrow('Coupon codes are available for registered users only');
+  });
+});
+
+describe('Idempotency-Key', () => {
+  const KEY = '6f1c2d0e-order-tap';
+  const body = { items: [{ product_id: 1, quantity: 2 }], region: 'عتيل' };
+
+  const run = async (req) => {
+    const res = {
+      statusCode: 200,
+      set: jest.fn(),
+      status: jest.fn(function (code) { this.statusCode = code; return this; }),
+      json: jest.fn()
+    };
+    const sent = res.json;
+    const next = jest.fn();
+    await idempotency({
+      method: 'POST',
+      baseUrl: '/api/orders',
+      path: '/',
+      user: { user_id: 7 },
+      body,
+      get: (name) => (name === 'Idempotency-Key' ? KEY : undefined),
+      ...req
+    }, res, next);
+    return { res, sent, next };
+  };
+
+  const p2002 = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ the first request claims the key and stores the placed order', async () => {
+    const { res, sent, next } = await run();
+
+    expect(next).toHaveBeenCalled();
+    expect(prisma.idempotencyKey.create.mock.calls[0][0].data).toMatchObject({ owner: 'user:7', key: KEY });
+
+    res.status(201).json({ success: true, data: { order_id: 100 } });
+    await new Promise(setImmediate);
+
+    expect(prisma.idempotencyKey.update).toHaveBeenCalledWith({
+      where: { owner_key: { owner: 'user:7', key: KEY } },
+      data: { status_code: 201, response: { success: true, data: { order_id: 100 } } }
+    });
+    expect(sent).toHaveBeenCalledWith({ success: true, data: { order_id: 100 } });
+  });
+
+  it('✅ a retry gets the original order back without placing another', async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(p2002());
+    prisma.idempotencyKey.findUnique.mockResolvedValue({
+      request_hash: hashRequest('POST', '/api/orders/', body),
+      status_code: 201,
+      response: { success: true, data: { order_id: 100 } }
+    });
+
+    const { res, sent, next } = await run({ body: { region: 'عتيل', items: [{ quantity: 2, product_id: 1 }] } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(sent).toHaveBeenCalledWith({ success: true, data: { order_id: 100 } });
+  });
+
+  it('❌ the same key with a different body is refused', async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(p2002());
+    prisma.idempotencyKey.findUnique.mockResolvedValue({ request_hash: 'other', status_code: 201, response: {} });
+
+    const { res, next } = await run();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(422);
+  });
+
+  it('❌ a retry while the first request runs gets 409', async () => {
+    prisma.idempotencyKey.create.mockRejectedValue(p2002());
+    prisma.idempotencyKey.findUnique.mockResolvedValue({ request_hash: hashRequest('POST', '/api/orders/', body), status_code: null, response: null });
+
+    const { res } = await run();
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('✅ a failed order releases the key', async () => {
+    prisma.idempotencyKey.create.mockResolvedValue({});
+
+    const { res } = await run();
+    res.status(400).json({ success: false });
+    await new Promise(setImmediate);
+
+    expect(prisma.idempotencyKey.update).not.toHaveBeenCalled();
+    expect(prisma.idempotencyKey.deleteMany).toHaveBeenLastCalledWith({ where: { owner: 'user:7', key: KEY, status_code: null } });
+  });
+
+  it('✅ requests without the header are not tracked', async () => {
+    const { next } = await run({ get: () => undefined });
+
+    expect(next).toHaveBeenCalled();
+    expect(prisma.idempotencyKey.create).not.toHaveBeenCalled();
+  });
+});
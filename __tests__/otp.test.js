@@ -0,0 +1,93 @@
+/**
+ * OTP — Unit Tests
+ *
+ * Covers per-phone issuing limits, hashed storage, and invalidating a code
+ * after too many wrong guesses.
+ * Prisma and the SMS service are mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  otpCode: { findMany: jest.fn(), findFirst: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+  $executeRaw: jest.fn(),
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+jest.mock('../src/utils/sms', () => ({
+  sendOTP: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const smsService = require('../src/utils/sms');
+const otpService = require('../src/modules/otp/otp.service');
+
+const PHONE = '0599123456';
+const secondsAgo = (s) => new Date(Date.now() - s * 1000);
+
+describe('issueOtp', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ stores only a hash of the code it sends', async () => {
+    prisma.otpCode.findMany.mockResolvedValue([]);
+
+    await otpService.issueOtp(PHONE);
+
+    const sentCode = smsService.sendOTP.mock.calls[0][1];
+    const { data } = prisma.otpCode.create.mock.calls[0][0];
+    expect(sentCode).toMatch(/^\d{6}$/);
+    expect(data).not.toHaveProperty('otp_code');
+    expect(data.otp_hash).toBe(otpService.hashOtp(PHONE, sentCode));
+    // Older unused codes for the phone stop working
+    expect(prisma.otpCode.updateMany).toHaveBeenCalledWith({
+      where: { phone_number: PHONE, is_used: false },
+      data: { is_used: true }
+    });
+  });
+
+  it('❌ enforces the cooldown between codes', async () => {
+    prisma.otpCode.findMany.mockResolvedValue([{ created_at: secondsAgo(10) }]);
+
+    await expect(otpService.issueOtp(PHONE)).rejects.toThrow('OTP_COOLDOWN');
+    expect(smsService.sendOTP).not.toHaveBeenCalled();
+  });
+
+  it('❌ enforces the daily cap per phone', async () => {
+    prisma.otpCode.findMany.mockResolvedValue(
+      [600, 1200, 1800, 2400, 3000].map(s => ({ created_at: secondsAgo(s) }))
+    );
+
+    await expect(otpService.issueOtp(PHONE)).rejects.toThrow('OTP_DAILY_LIMIT');
+  });
+});
+
+describe('verifyOtp', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.otpCode.findFirst.mockResolvedValue({ otp_id: 3, otp_hash: otpService.hashOtp(PHONE, '123456') });
+  });
+
+  it('✅ accepts the right code', async () => {
+    await expect(otpService.verifyOtp(PHONE, '123456')).resolves.toEqual({ otp_id: 3 });
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+
+  it('❌ counts a wrong guess', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ failed_attempts: 2 }]);
+
+    await expect(otpService.verifyOtp(PHONE, '000000')).rejects.toThrow('INVALID_OTP');
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+  });
+
+  it('❌ invalidates the code on the last allowed wrong guess', async () => {
+    prisma.$queryRaw.mockResolvedValue([{ failed_attempts: 5 }]);
+
+    await expect(otpService.verifyOtp(PHONE, '000000')).rejects.toThrow('OTP_TOO_MANY_ATTEMPTS');
+  });
+
+  it('❌ a code can only be consumed once', async () => {
+    prisma.otpCode.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(otpService.consumeOtp(prisma, 3)).rejects.toThrow('INVALID_OTP');
+  });
+});
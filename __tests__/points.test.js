@@ -0,0 +1,213 @@
+/**
+ * Points — Unit Tests
+ *
+ * Covers the daily login streak (Asia/Hebron calendar days) and milestone rewards,
+ * and the points an order earns on delivery and loses on refund.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  user: { updateMany: jest.fn(), update: jest.fn(), findUnique: jest.fn() },
+  pointsTransaction: { create: jest.fn(), findFirst: jest.fn() },
+  order: { findUnique: jest.fn(), update: jest.fn() },
+  orderStatusHistory: { create: jest.fn() },
+  payment: { updateMany: jest.fn() },
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const pointsService = require('../src/modules/points/points.service');
+const ordersService = require('../src/modules/orders/orders.service');
+
+// 2026-03-10 23:30 UTC is already 2026-03-11 in Hebron (UTC+2)
+const NOW = new Date('2026-03-10T23:30:00Z');
+const day = (iso) => new Date(iso);
+
+describe('streakDate', () => {
+  it('✅ uses the Hebron calendar day', () => {
+    expect(pointsService.streakDate(NOW).toISOString().slice(0, 10)).toBe('2026-03-11');
+  });
+});
+
+describe('recordDailyLogin', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('✅ increments the streak on the next calendar day', async () => {
+    const result = await pointsService.recordDailyLogin(
+      { user_id: 1, daily_streak: 3, last_login_date: day('2026-03-10') }, NOW
+    );
+
+    expect(result).toEqual({ daily_streak: 4, reward_points: 0 });
+    expect(prisma.pointsTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it('✅ resets the streak after a missed day', async () => {
+    const result = await pointsService.recordDailyLogin(
+      { user_id: 1, daily_streak: 12, last_login_date: day('2026-03-08') }, NOW
+    );
+
+    expect(result.daily_streak).toBe(1);
+  });
+
+  it('✅ does nothing on a second login the same day', async () => {
+    const result = await pointsService.recordDailyLogin(
+      { user_id: 1, daily_streak: 5, last_login_date: day('2026-03-11') }, NOW
+    );
+
+    expect(result).toEqual({ daily_streak: 5, reward_points: 0 });
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('✅ grants and logs the milestone reward', async () => {
+    const result = await pointsService.recordDailyLogin(
+      { user_id: 1, daily_streak: 6, last_login_date: day('2026-03-10') }, NOW
+    );
+
+    expect(result).toEqual({ daily_streak: 7, reward_points: 50 });
+    expect(prisma.pointsTransaction.create).toHaveBeenCalledWith({
+      data: { user_id: 1, points: 50, reason: 'streak_milestone' }
+    });
+  });
+
+  it('✅ skips the reward when a concurrent login already moved the streak', async () => {
+    prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+    const result = await pointsService.recordDailyLogin(
+      { user_id: 1, daily_streak: 6, last_login_date: day('2026-03-10') }, NOW
+    );
+
+    expect(result.reward_points).toBe(0);
+    expect(prisma.pointsTransaction.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('getCurrentStreak', () => {
+  it('✅ keeps the streak while yesterday was the last login', () => {
+    expect(pointsService.getCurrentStreak({ daily_streak: 4, last_login_date: day('2026-03-10') }, NOW)).toBe(4);
+  });
+
+  it('✅ reports 0 once a day was missed', () => {
+    expect(pointsService.getCurrentStreak({ daily_streak: 4, last_login_date: day('2026-03-09') }, NOW)).toBe(0);
+  });
+});
+
+describe('awardOrderPoints', () => {
+  const order = { order_id: 40, user_id: 1, final_total: '255.50' };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ awards points for the order total once', async () => {
+    prisma.pointsTransaction.findFirst.mockResolvedValueOnce(null);
+
+    expect(await pointsService.awardOrderPoints(prisma, order)).toBe(25);
+    expect(prisma.user.update).toHaveBeenCalledWith({
+      where: { user_id: 1 },
+      data: { points: { increment: 25 } }
+    });
+    expect(prisma.pointsTransaction.create).toHaveBeenCalledWith({
+      data: { user_id: 1, points: 25, reason: 'order_delivered', related_order_id: 40 }
+    });
+  });
+
+  it('✅ is idempotent per order', async () => {
+    prisma.pointsTransaction.findFirst.mockResolvedValueOnce({ transaction_id: 9 });
+
+    expect(await pointsService.awardOrderPoints(prisma, order)).toBe(0);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+    expect(prisma.pointsTransaction.create).not.toHaveBeenCalled();
+  });
+
+  it('✅ skips guest orders', async () => {
+    expect(await pointsService.awardOrderPoints(prisma, { ...order, user_id: null })).toBe(0);
+    expect(prisma.pointsTransaction.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe('reverseOrderPoints', () => {
+  const order = { order_id: 40, user_id: 1 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('✅ takes back only what is left of the balance', async () => {
+    prisma.pointsTransaction.findFirst
+      .mockResolvedValueOnce({ points: 25 })
+      .mockResolvedValueOnce(null);
+    prisma.user.findUnique.mockResolvedValue({ points: 10 });
+
+    expect(await pointsService.reverseOrderPoints(prisma, order)).toBe(10);
+    expect(prisma.user.updateMany).toHaveBeenCalledWith({
+      where: { user_id: 1, points: { gte: 10 } },
+      data: { points: { decrement: 10 } }
+    });
+    expect(prisma.pointsTransaction.create).toHaveBeenCalledWith({
+      data: { user_id: 1, points: -10, reason: 'order_refunded', related_order_id: 40 }
+    });
+  });
+
+  it('✅ does nothing when the order was already reversed', async () => {
+    prisma.pointsTransaction.findFirst
+      .mockResolvedValueOnce({ points: 25 })
+      .mockResolvedValueOnce({ transaction_id: 12 });
+
+    expect(await pointsService.reverseOrderPoints(prisma, order)).toBe(0);
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+    expect(prisma.pointsTransaction.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('order status changes', () => {
+  const order = (status) => ({
+    order_id: 40,
+    user_id: 1,
+    status,
+    shipping_phone: null,
+    final_total: '255.50',
+    user_coupon_id: null,
+    delivery_slot_id: null,
+    delivery_date: null
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('✅ delivering an order awards its points', async () => {
+    prisma.order.findUnique.mockResolvedValue(order('Shipped'));
+    prisma.pointsTransaction.findFirst.mockResolvedValueOnce(null);
+
+    const result = await ordersService.changeOrderStatus(40, 'Delivered');
+
+    expect(result.points_awarded).toBe(25);
+    expect(prisma.pointsTransaction.create.mock.calls[0][0].data).toMatchObject({ points: 25, reason: 'order_delivered' });
+  });
+
+  it('✅ refunding a delivered order reverses its points', async () => {
+    prisma.order.findUnique.mockResolvedValue(order('Delivered'));
+    prisma.pointsTransaction.findFirst
+      .mockResolvedValueOnce({ points: 25 })
+      .mockResolvedValueOnce(null);
+    prisma.user.findUnique.mockResolvedValue({ points: 100 });
+
+    const result = await ordersService.changeOrderStatus(40, 'Refunded');
+
+    expect(result.points_reversed).toBe(25);
+    expect(prisma.pointsTransaction.create.mock.calls[0][0].data).toMatchObject({ points: -25, reason: 'order_refunded' });
+  });
+
+  it('✅ other transitions leave points alone', async () => {
+    prisma.order.findUnique.mockResolvedValue(order('Confirmed'));
+
+    const result = await ordersService.changeOrderStatus(40, 'Shipped');
+
+    expect(result).not.toHaveProperty('points_awarded');
+    expect(prisma.pointsTransaction.findFirst).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Roles — Unit Tests
+ *
+ * Covers creating custom roles, attaching/detaching permissions (and the
+ * permission cache picking up the change), the guards on system roles, and
+ * admins not handing out roles that carry more than they hold.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  role: { findUnique: jest.fn(), findMany: jest.fn(), create: jest.fn(), delete: jest.fn() },
+  permission: { findMany: jest.fn() },
+  rolePermission: { findMany: jest.fn(), createMany: jest.fn(), deleteMany: jest.fn() },
+  user: { count: jest.fn(), groupBy: jest.fn(), findUnique: jest.fn(), update: jest.fn() },
+  authSession: { updateMany: jest.fn() },
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const rolesService = require('../src/modules/roles/roles.service');
+const usersService = require('../src/modules/users/users.service');
+const { requirePermission } = require('../src/middlewares/auth.middleware');
+
+const withPermissions = (name, codes, extra = {}) => ({
+  name,
+  is_system: false,
+  ...extra,
+  role_permissions: codes.map(code => ({ permission: { code } }))
+});
+
+/**
+ * Run requirePermission for a role and report whether it let the request through
+ */
+const isAllowed = async (role, permission) => {
+  const next = jest.fn();
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  await requirePermission(permission)({ user: { role, mfa_verified: true } }, res, next);
+  return next.mock.calls.length === 1;
+};
+
+describe('createRole', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ creates a role with its permissions', async () => {
+    prisma.role.findUnique.mockResolvedValue(null);
+    prisma.permission.findMany.mockResolvedValue([
+      { permission_id: 6, code: 'order.view' },
+      { permission_id: 9, code: 'user.view' }
+    ]);
+    prisma.role.create.mockResolvedValue(withPermissions('Support', ['user.view', 'order.view']));
+
+    const role = await rolesService.createRole({ name: 'Support', permissions: ['order.view', 'user.view'] }, ['order.view', 'user.view']);
+
+    expect(role.permissions).toEqual(['order.view', 'user.view']);
+    expect(prisma.role.create.mock.calls[0][0].data.role_permissions).toEqual({
+      create: [{ permission_id: 6 }, { permission_id: 9 }]
+    });
+  });
+
+  it('❌ rejects unknown permission codes', async () => {
+    prisma.role.findUnique.mockResolvedValue(null);
+    prisma.permission.findMany.mockResolvedValue([{ permission_id: 6, code: 'order.view' }]);
+
+    await expect(rolesService.createRole({ name: 'Support', permissions: ['order.view', 'order.fly'] }))
+      .rejects.toThrow('Unknown permission: order.fly');
+    expect(prisma.role.create).not.toHaveBeenCalled();
+  });
+
+  it('❌ refuses permissions the acting admin does not hold', async () => {
+    prisma.role.findUnique.mockResolvedValue(null);
+    prisma.permission.findMany.mockResolvedValue([
+      { permission_id: 6, code: 'order.view' },
+      { permission_id: 14, code: 'user.impersonate' }
+    ]);
+
+    await expect(rolesService.createRole({ name: 'Support', permissions: ['order.view', 'user.impersonate'] }, ['order.view', 'settings.manage']))
+      .rejects.toThrow('Cannot grant permissions you do not hold: user.impersonate');
+    expect(prisma.role.create).not.toHaveBeenCalled();
+  });
+
+  it('❌ rejects a duplicate name', async () => {
+    prisma.role.findUnique.mockResolvedValue({ name: 'Support' });
+
+    await expect(rolesService.createRole({ name: 'Support' })).rejects.toThrow('Role already exists');
+  });
+});
+
+describe('role permissions', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ attaching a permission applies on the next request', async () => {
+    prisma.rolePermission.findMany.mockResolvedValue([]);
+    expect(await isAllowed('Support', 'report.view')).toBe(false);
+
+    prisma.role.findUnique.mockResolvedValue(withPermissions('Support', ['report.view']));
+    prisma.permission.findMany.mockResolvedValue([{ permission_id: 12, code: 'report.view' }]);
+    await rolesService.attachPermissions('Support', ['report.view'], ['report.view', 'settings.manage']);
+
+    expect(prisma.rolePermission.createMany).toHaveBeenCalledWith({
+      data: [{ role: 'Support', permission_id: 12 }],
+      skipDuplicates: true
+    });
+
+    prisma.rolePermission.findMany.mockResolvedValue([{ permission: { code: 'report.view' } }]);
+    expect(await isAllowed('Support', 'report.view')).toBe(true);
+  });
+
+  it('✅ detaching a permission applies on the next request', async () => {
+    prisma.rolePermission.findMany.mockResolvedValue([{ permission: { code: 'order.view' } }]);
+    expect(await isAllowed('Helper', 'order.view')).toBe(true);
+
+    prisma.role.findUnique.mockResolvedValue(withPermissions('Helper', []));
+    prisma.rolePermission.deleteMany.mockResolvedValue({ count: 1 });
+    await rolesService.detachPermission('Helper', 'order.view');
+
+    prisma.rolePermission.findMany.mockResolvedValue([]);
+    expect(await isAllowed('Helper', 'order.view')).toBe(false);
+  });
+
+  it('❌ an admin cannot attach a permission they do not hold, even to their own role', async () => {
+    prisma.role.findUnique.mockResolvedValue(withPermissions('Support', ['settings.manage']));
+    prisma.permission.findMany.mockResolvedValue([{ permission_id: 3, code: 'user.ban' }]);
+
+    await expect(rolesService.attachPermissions('Support', ['user.ban'], ['settings.manage']))
+      .rejects.toThrow('Cannot grant permissions you do not hold: user.ban');
+    expect(prisma.rolePermission.createMany).not.toHaveBeenCalled();
+  });
+
+  it('❌ SuperAdmin permissions cannot be changed', async () => {
+    prisma.role.findUnique.mockResolvedValue({ name: 'SuperAdmin', is_system: true });
+
+    await expect(rolesService.detachPermission('SuperAdmin', 'settings.manage'))
+      .rejects.toThrow('SuperAdmin permissions cannot be changed');
+    expect(prisma.rolePermission.deleteMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('deleteRole', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('❌ refuses to delete a system role', async () => {
+    prisma.role.findUnique.mockResolvedValue({ name: 'OrderManager', is_system: true });
+
+    await expect(rolesService.deleteRole('OrderManager')).rejects.toThrow('System roles cannot be deleted');
+  });
+
+  it('❌ refuses to delete a role that still has members', async () => {
+    prisma.role.findUnique.mockResolvedValue({ name: 'Support', is_system: false });
+    prisma.user.count.mockResolvedValue(2);
+
+    await expect(rolesService.deleteRole('Support')).rejects.toThrow('Role still has members');
+    expect(prisma.role.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('changeUserRole', () => {
+  const ALL = ['order.view', 'settings.manage', 'user.ban', 'user.view'];
+  const codes = { SuperAdmin: ALL, Support: ['user.ban', 'user.view'], Customer: [] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.role.findUnique.mockImplementation(({ where }) => Promise.resolve(codes[where.name] ? { name: where.name } : null));
+    prisma.rolePermission.findMany.mockImplementation(({ where }) => Promise.resolve(
+      (codes[where.role] || []).map(code => ({ permission: { code } }))
+    ));
+    prisma.user.update.mockImplementation(({ data }) => Promise.resolve({ user_id: 5, ...data }));
+    prisma.authSession.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('❌ a user.ban holder cannot promote anyone to SuperAdmin', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, role: 'Support', name: 'Sami' });
+
+    await expect(usersService.changeUserRole(5, 'SuperAdmin', codes.Support))
+      .rejects.toThrow('Role carries permissions you do not hold');
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('❌ a user.ban holder cannot demote a SuperAdmin', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, role: 'SuperAdmin', name: 'Rami' });
+
+    await expect(usersService.changeUserRole(5, 'Customer', codes.Support))
+      .rejects.toThrow('Role carries permissions you do not hold');
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('✅ an admin can hand out roles within their own permissions', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, role: 'Customer', name: 'Sara' });
+
+    const user = await usersService.changeUserRole(5, 'Support', codes.Support);
+
+    expect(user.role).toBe('Support');
+  });
+
+  it('✅ a SuperAdmin can assign SuperAdmin', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, role: 'Customer', name: 'Sara' });
+
+    const user = await usersService.changeUserRole(5, 'SuperAdmin', ALL);
+
+    expect(user.role).toBe('SuperAdmin');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Sessions — Unit Tests
+ *
+ * Covers the customer device list, revoking sessions, and the admin actions
+ * (role / status change) that log a user out everywhere.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  user: { findUnique: jest.fn(), update: jest.fn() },
+  role: { findUnique: jest.fn().mockResolvedValue({ name: 'OrderManager' }) },
+  rolePermission: { findMany: jest.fn().mockResolvedValue([]) },
+  authSession: { findMany: jest.fn(), updateMany: jest.fn() },
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const sessionsService = require('../src/modules/sessions/sessions.service');
+const usersService = require('../src/modules/users/users.service');
+
+describe('customer sessions', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('✅ lists only live sessions and flags the current one', async () => {
+    prisma.authSession.findMany.mockResolvedValue([
+      { session_id: 7, user_agent: 'Android', ip_address: '10.0.0.1' },
+      { session_id: 3, user_agent: 'Chrome', ip_address: '10.0.0.2' }
+    ]);
+
+    const sessions = await sessionsService.getUserSessions(1, 3);
+
+    expect(sessions.map(s => s.is_current)).toEqual([false, true]);
+    const { where } = prisma.authSession.findMany.mock.calls[0][0];
+    expect(where.user_id).toBe(1);
+    expect(where.OR[0]).toMatchObject({
+      revoked_at: null,
+      refresh_tokens: { some: { used_at: null } }
+    });
+  });
+
+  it('❌ cannot revoke a session of another user', async () => {
+    prisma.authSession.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(sessionsService.revokeUserSession(1, 99))
+      .rejects.toThrow('Session not found or already revoked');
+    expect(prisma.authSession.updateMany.mock.calls[0][0].where)
+      .toEqual({ session_id: 99, user_id: 1, revoked_at: null });
+  });
+
+  it('✅ revokes every other session but keeps the current one', async () => {
+    prisma.authSession.updateMany.mockResolvedValue({ count: 2 });
+
+    const result = await sessionsService.revokeOtherSessions(1, 3);
+
+    expect(result).toEqual({ revoked_count: 2 });
+    expect(prisma.authSession.updateMany.mock.calls[0][0].where)
+      .toEqual({ user_id: 1, revoked_at: null, session_id: { not: 3 } });
+  });
+});
+
+describe('admin changes revoke all sessions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.authSession.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('✅ changing the role logs the user out everywhere', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, role: 'Customer', name: 'Sara' });
+    prisma.user.update.mockResolvedValue({ user_id: 5, role: 'OrderManager' });
+
+    await usersService.changeUserRole(5, 'OrderManager');
+
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { user_id: 5, revoked_at: null },
+      data: { revoked_at: expect.any(Date), revoke_reason: 'role_changed' }
+    });
+  });
+
+  it('✅ toggling the status logs the user out everywhere', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 5, role: 'Customer', is_active: true });
+    prisma.user.update.mockResolvedValue({ user_id: 5, is_active: false });
+
+    await usersService.toggleUserStatus(5);
+
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { user_id: 5, revoked_at: null },
+      data: { revoked_at: expect.any(Date), revoke_reason: 'status_changed' }
+    });
+  });
+});
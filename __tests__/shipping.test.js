@@ -0,0 +1,48 @@
+/**
+ * Shipping — Unit Tests
+ *
+ * Covers delivery fee calculation from shipping zones.
+ * Prisma is mocked, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  shippingZone: { findFirst: jest.fn() },
+  $disconnect: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const shippingService = require('../src/modules/shipping/shipping.service');
+
+const zone = (overrides = {}) => ({
+  region_name: 'عتيل - عتيل',
+  fee: '20',
+  free_delivery_threshold: '50',
+  ...overrides
+});
+
+describe('calculateDeliveryFee', () => {
+  it('✅ charges the zone fee up to the threshold', () => {
+    expect(shippingService.calculateDeliveryFee(zone(), 50)).toEqual({ shipping_fees: 20, free_threshold: 50 });
+  });
+
+  it('✅ is free above the threshold', () => {
+    expect(shippingService.calculateDeliveryFee(zone(), 50.01).shipping_fees).toBe(0);
+  });
+
+  it('✅ is never free when the zone has no threshold', () => {
+    expect(shippingService.calculateDeliveryFee(zone({ free_delivery_threshold: null }), 1000))
+      .toEqual({ shipping_fees: 20, free_threshold: null });
+  });
+});
+
+describe('quoteDelivery', () => {
+  it('❌ rejects a region without an active zone', async () => {
+    prisma.shippingZone.findFirst.mockResolvedValue(null);
+
+    await expect(shippingService.quoteDelivery('غير موجودة', 100))
+      .rejects.toThrow('Invalid region. Please select a supported region.');
+    expect(prisma.shippingZone.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { region_name: 'غير موجودة', is_active: true }
+    }));
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Delivery Slots — Unit Tests
+ *
+ * Covers slot reservation rules at checkout.
+ * The transaction client is a plain object of jest mocks, so no real DB is needed.
+ */
+
+jest.mock('../src/config/prisma', () => ({
+  $disconnect: jest.fn()
+}));
+
+const slotsService = require('../src/modules/slots/slots.service');
+
+// Sunday 2026-03-08, 10:00 in Hebron (08:00 UTC)
+const NOW = new Date('2026-03-08T08:00:00Z');
+
+const buildSlot = (overrides = {}) => ({
+  slot_id: 4,
+  zone_id: 1,
+  day_of_week: 1, // Monday
+  start_time: '16:00',
+  end_time: '18:00',
+  max_orders: 10,
+  is_active: true,
+  zone: { region_name: 'عنبتا', is_active: true },
+  ...overrides
+});
+
+const buildTx = (slot, { reserved = 1 } = {}) => ({
+  deliverySlot: { findUnique: jest.fn().mockResolvedValue(slot) },
+  $executeRaw: jest.fn()
+    .mockResolvedValueOnce(1)          // counter row upsert
+    .mockResolvedValueOnce(reserved)   // conditional increment
+});
+
+describe('reserveSlot', () => {
+  beforeAll(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(NOW);
+  });
+  afterAll(() => jest.useRealTimers());
+
+  it('✅ reserves a place in an open slot', async () => {
+    const tx = buildTx(buildSlot());
+
+    const result = await slotsService.reserveSlot(tx, { slot_id: 4, delivery_date: '2026-03-09', region: 'عنبتا' });
+
+    expect(tx.$executeRaw).toHaveBeenCalledTimes(2);
+    expect(result).toEqual(expect.objectContaining({ delivery_slot_id: 4, start_time: '16:00', end_time: '18:00' }));
+  });
+
+  it('❌ rejects the order when the slot is full', async () => {
+    const tx = buildTx(buildSlot(), { reserved: 0 });
+
+    await expect(slotsService.reserveSlot(tx, { slot_id: 4, delivery_date: '2026-03-09', region: 'عنبتا' }))
+      .rejects.toThrow('Delivery slot is full');
+  });
+
+  it('❌ rejects a slot from another region', async () => {
+    const tx = buildTx(buildSlot());
+
+    await expect(slotsService.reserveSlot(tx, { slot_id: 4, delivery_date: '2026-03-09', region: 'بلعا' }))
+      .rejects.toThrow('Delivery slot is not available for this region');
+    expect(tx.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  it('❌ rejects a date that does not fall on the slot weekday', async () => {
+    const tx = buildTx(buildSlot());
+
+    await expect(slotsService.reserveSlot(tx, { slot_id: 4, delivery_date: '2026-03-10', region: 'عنبتا' }))
+      .rejects.toThrow('Delivery slot is not available on this date');
+  });
+
+  it('❌ rejects today\'s slot once it has started', async () => {
+    const tx = buildTx(buildSlot({ day_of_week: 0, start_time: '09:00', end_time: '11:00' }));
+
+    await expect(slotsService.reserveSlot(tx, { slot_id: 4, delivery_date: '2026-03-08', region: 'عنبتا' }))
+      .rejects.toThrow('Delivery slot is not available on this date');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * SMS — Unit Tests
+ *
+ * Covers templates, the file outbox driver, and the HTTP driver against a
+ * local stub gateway.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const smsService = require('../src/utils/sms');
+const fileDriver = require('../src/utils/sms/drivers/file');
+const { renderTemplate } = require('../src/utils/sms/templates');
+
+describe('SMS templates', () => {
+  afterEach(() => delete process.env.SMS_DEFAULT_LANGUAGE);
+
+  it('✅ renders Arabic by default and English when SMS_DEFAULT_LANGUAGE=en', () => {
+    expect(renderTemplate('otp', { code: '123456' })).toContain('رمز التحقق');
+
+    process.env.SMS_DEFAULT_LANGUAGE = 'en';
+    expect(renderTemplate('order_shipped', { order_id: 42 })).toBe('Your order #42 is on its way 🚚');
+  });
+
+  it('❌ rejects unknown templates', () => {
+    expect(() => renderTemplate('promo', {})).toThrow('Unknown SMS template: promo');
+  });
+});
+
+describe('file driver', () => {
+  let outbox;
+
+  beforeEach(() => {
+    outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-outbox-'));
+    process.env.SMS_DRIVER = 'file';
+    process.env.SMS_OUTBOX_DIR = outbox;
+  });
+
+  afterEach(() => {
+    fs.rmSync(outbox, { recursive: true, force: true });
+    delete process.env.SMS_DRIVER;
+    delete process.env.SMS_OUTBOX_DIR;
+  });
+
+  it('✅ writes each message to the outbox in send order', async () => {
+    await smsService.sendOTP('0599123456', '654321');
+    await smsService.sendTemplate('0599123456', 'order_confirmed', { order_id: 7 });
+
+    const messages = await fileDriver.readOutbox();
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toMatchObject({ to: '0599123456', template: 'otp' });
+    expect(messages[0].body).toContain('654321');
+    expect(messages[1].template).toBe('order_confirmed');
+  });
+
+  it('✅ reports delivery status for a sent message', async () => {
+    const { message_id } = await smsService.sendOTP('0599123456', '111111');
+
+    await expect(smsService.getDeliveryStatus(message_id)).resolves.toEqual({ message_id, status: 'delivered' });
+    await expect(smsService.getDeliveryStatus('file-missing')).rejects.toThrow('SMS message not found');
+  });
+});
+
+describe('http driver', () => {
+  let server;
+  let received;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.method === 'POST' && req.url === '/messages') {
+          received = { body: JSON.parse(raw), authorization: req.headers.authorization };
+          return res.end(JSON.stringify({ id: 'gw-1', status: 'queued' }));
+        }
+        if (req.method === 'GET' && req.url === '/messages/gw-1') {
+          return res.end(JSON.stringify({ id: 'gw-1', status: 'delivered' }));
+        }
+        res.statusCode = 404;
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    process.env.SMS_DRIVER = 'http';
+    process.env.SMS_HTTP_URL = `http://127.0.0.1:${server.address().port}/`;
+    process.env.SMS_HTTP_TOKEN = 'secret';
+    process.env.SMS_DEFAULT_LANGUAGE = 'en';
+  });
+
+  afterAll(async () => {
+    delete process.env.SMS_DRIVER;
+    delete process.env.SMS_HTTP_URL;
+    delete process.env.SMS_HTTP_TOKEN;
+    delete process.env.SMS_DEFAULT_LANGUAGE;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('✅ posts the rendered message to the gateway', async () => {
+    const result = await smsService.sendTemplate('0599123456', 'order_shipped', { order_id: 9 });
+
+    expect(result).toEqual({ message_id: 'gw-1', status: 'queued' });
+    expect(received.authorization).toBe('Bearer secret');
+    expect(received.body).toMatchObject({ to: '0599123456', body: 'Your order #9 is on its way 🚚' });
+  });
+
+  it('✅ reads the delivery status back from the gateway', async () => {
+    await expect(smsService.getDeliveryStatus('gw-1')).resolves.toEqual({ message_id: 'gw-1', status: 'delivered' });
+    await expect(smsService.getDeliveryStatus('gw-2')).rejects.toThrow('SMS message not found');
+  });
+});
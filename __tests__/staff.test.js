@@ -0,0 +1,172 @@
+/**
+ * Staff Invitations — Unit Tests
+ *
+ * Covers inviting staff by phone, setting the password with the setup code,
+ * and the login rules for invited and two-factor accounts.
+ * Prisma and the SMS service are mocked, so no real DB is needed.
+ */
+
+const bcrypt = require('bcryptjs');
+
+jest.mock('../src/config/prisma', () => ({
+  user: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  role: { findUnique: jest.fn() },
+  rolePermission: { findMany: jest.fn().mockResolvedValue([]) },
+  staffInvitation: { create: jest.fn(), findFirst: jest.fn(), updateMany: jest.fn() },
+  otpCode: { findMany: jest.fn().mockResolvedValue([]), findFirst: jest.fn(), create: jest.fn(), updateMany: jest.fn() },
+  authSession: { create: jest.fn(), findUnique: jest.fn() },
+  refreshToken: { create: jest.fn() },
+  pointsTransaction: { create: jest.fn() },
+  $executeRaw: jest.fn(),
+  $queryRaw: jest.fn().mockResolvedValue([]),
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+jest.mock('../src/utils/sms', () => ({
+  sendOTP: jest.fn(),
+  sendTemplate: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const smsService = require('../src/utils/sms');
+const staffService = require('../src/modules/staff/staff.service');
+const { hashOtp } = require('../src/modules/otp/otp.service');
+const authService = require('../src/modules/auth/auth.service');
+const { authenticate } = require('../src/middlewares/auth.middleware');
+
+const PHONE = '0599111222';
+
+describe('inviteStaff', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.role.findUnique.mockResolvedValue({ name: 'OrderManager' });
+  });
+
+  it('✅ creates a locked-down account and texts a setup code', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+    prisma.user.create.mockResolvedValue({ user_id: 30, phone_number: PHONE, role: 'OrderManager' });
+
+    const result = await staffService.inviteStaff({ phone_number: PHONE, name: 'Sami', role: 'OrderManager', require_two_factor: true }, 1);
+
+    expect(prisma.user.create.mock.calls[0][0].data).toMatchObject({
+      role: 'OrderManager',
+      must_set_password: true,
+      is_verified: false,
+      two_factor_required: true
+    });
+    const [to, template, { code }] = smsService.sendTemplate.mock.calls[0];
+    expect(to).toBe(PHONE);
+    expect(template).toBe('staff_invite');
+    expect(code).toMatch(/^\d{8}$/);
+    expect(prisma.staffInvitation.create.mock.calls[0][0].data).toMatchObject({
+      user_id: 30,
+      code_hash: hashOtp(PHONE, code),
+      invited_by: 1
+    });
+    expect(result.invitation_expires_at).toBeInstanceOf(Date);
+  });
+
+  it('❌ refuses customer roles', async () => {
+    await expect(staffService.inviteStaff({ phone_number: PHONE, name: 'Sami', role: 'Customer' }, 1))
+      .rejects.toThrow('Staff invitations need a staff role');
+  });
+
+  it('❌ refuses a role carrying permissions the inviting admin lacks', async () => {
+    prisma.role.findUnique.mockResolvedValue({ name: 'SuperAdmin' });
+    prisma.rolePermission.findMany.mockResolvedValueOnce([
+      { permission: { code: 'user.ban' } },
+      { permission: { code: 'settings.manage' } }
+    ]);
+
+    await expect(staffService.inviteStaff({ phone_number: PHONE, name: 'Sami', role: 'SuperAdmin' }, 1, ['user.ban']))
+      .rejects.toThrow('Role carries permissions you do not hold');
+    expect(prisma.user.create).not.toHaveBeenCalled();
+    expect(smsService.sendTemplate).not.toHaveBeenCalled();
+  });
+
+  it('❌ refuses phones that already have an account', async () => {
+    prisma.user.findUnique.mockResolvedValue({ user_id: 8, must_set_password: false });
+
+    await expect(staffService.inviteStaff({ phone_number: PHONE, name: 'Sami', role: 'OrderManager' }, 1))
+      .rejects.toThrow('Phone number already registered');
+    expect(smsService.sendTemplate).not.toHaveBeenCalled();
+  });
+});
+
+describe('acceptInvitation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.user.findUnique.mockResolvedValue({ user_id: 30, must_set_password: true });
+    prisma.staffInvitation.findFirst.mockResolvedValue({ invitation_id: 4, code_hash: hashOtp(PHONE, '12345678') });
+  });
+
+  it('✅ sets the password and verifies the account', async () => {
+    prisma.staffInvitation.updateMany.mockResolvedValue({ count: 1 });
+
+    await staffService.acceptInvitation(PHONE, '12345678', 'NewPass123');
+
+    const { data } = prisma.user.update.mock.calls[0][0];
+    expect(data).toMatchObject({ must_set_password: false, is_verified: true });
+    expect(await bcrypt.compare('NewPass123', data.password_hash)).toBe(true);
+  });
+
+  it('❌ counts a wrong code', async () => {
+    await expect(staffService.acceptInvitation(PHONE, '00000000', 'NewPass123'))
+      .rejects.toThrow('Invalid or expired setup code');
+    expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('staff login', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('❌ invited accounts must set a password first', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      user_id: 30, phone_number: PHONE, is_active: true, is_verified: false, must_set_password: true, password_hash: 'x'
+    });
+
+    await expect(authService.login(PHONE, 'Whatever1')).rejects.toThrow(/setup code/);
+  });
+
+  it('✅ two-factor accounts get a challenge instead of tokens, then finish with the SMS code', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      user_id: 30,
+      phone_number: PHONE,
+      role: 'OrderManager',
+      is_active: true,
+      is_verified: true,
+      two_factor_required: true,
+      password_hash: await bcrypt.hash('StaffPass1', 10)
+    });
+
+    const step1 = await authService.login(PHONE, 'StaffPass1');
+
+    expect(step1).toMatchObject({ two_factor_required: true, method: 'sms' });
+    expect(step1).not.toHaveProperty('token');
+    expect(prisma.authSession.create).not.toHaveBeenCalled();
+    const sentCode = smsService.sendOTP.mock.calls[0][1];
+
+    // The challenge is not an access token
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    await authenticate({ headers: { authorization: `Bearer ${step1.challenge_token}` } }, res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+
+    prisma.otpCode.findFirst.mockResolvedValue({ otp_id: 9, otp_hash: hashOtp(PHONE, sentCode) });
+    prisma.otpCode.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authSession.create.mockResolvedValue({ session_id: 50 });
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    const step2 = await authService.verifyLoginTwoFactor(step1.challenge_token, { otp_code: sentCode });
+
+    expect(step2).toHaveProperty('token');
+    expect(step2).toHaveProperty('refresh_token');
+  });
+
+  it('❌ rejects a forged challenge', async () => {
+    await expect(authService.verifyLoginTwoFactor('nope', { otp_code: '123456' })).rejects.toThrow('Invalid or expired login challenge');
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Two-Factor Authentication — Unit Tests
+ *
+ * Covers the TOTP helpers, authenticator enrollment, the two-step login with
+ * an authenticator or recovery code, and the 2FA check on admin routes.
+ * Prisma and the SMS service are mocked, so no real DB is needed.
+ */
+
+const bcrypt = require('bcryptjs');
+
+jest.mock('../src/config/prisma', () => ({
+  user: { findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  twoFactorRecoveryCode: { deleteMany: jest.fn(), createMany: jest.fn(), updateMany: jest.fn(), count: jest.fn() },
+  authSession: { create: jest.fn(), update: jest.fn() },
+  refreshToken: { create: jest.fn() },
+  rolePermission: { findMany: jest.fn() },
+  pointsTransaction: { create: jest.fn() },
+  notificationOutbox: { create: jest.fn() },
+  $queryRaw: jest.fn().mockResolvedValue([]),
+  $transaction: jest.fn((fn) => fn(require('../src/config/prisma'))),
+  $disconnect: jest.fn()
+}));
+
+jest.mock('../src/utils/sms', () => ({
+  sendOTP: jest.fn(),
+  sendTemplate: jest.fn()
+}));
+
+const prisma = require('../src/config/prisma');
+const smsService = require('../src/utils/sms');
+const totp = require('../src/utils/totp');
+const twoFactorService = require('../src/modules/twofactor/twofactor.service');
+const authService = require('../src/modules/auth/auth.service');
+const { requirePermission } = require('../src/middlewares/auth.middleware');
+
+const PHONE = '0599111222';
+
+describe('TOTP helpers', () => {
+  // RFC 6238 appendix B test secret ("12345678901234567890")
+  const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('✅ matches the RFC 6238 test vectors', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.generateCode(RFC_SECRET, totp.currentStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.currentStep(1111111109 * 1000))).toBe('081804');
+  });
+
+  it('✅ accepts the current code once its step is recorded, but not again', () => {
+    const secret = totp.generateSecret();
+    const step = totp.currentStep();
+    const code = totp.generateCode(secret, step);
+
+    expect(totp.verifyCode(secret, code)).toBe(step);
+    expect(totp.verifyCode(secret, code, step)).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+  });
+
+  it('✅ encrypts secrets at rest', () => {
+    const secret = totp.generateSecret();
+    const stored = totp.encryptSecret(secret);
+
+    expect(stored).not.toContain(secret);
+    expect(totp.decryptSecret(stored)).toBe(secret);
+  });
+});
+
+describe('enrollment', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('❌ customers cannot enroll', async () => {
+    prisma.user.findUnique.mockResolvedValue({ phone_number: PHONE, role: 'Customer', totp_enabled: false });
+
+    await expect(twoFactorService.startSetup(7)).rejects.toThrow('only available for staff accounts');
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+
+  it('✅ setup + enable returns recovery codes and verifies the current session', async () => {
+    prisma.user.findUnique.mockResolvedValue({ phone_number: PHONE, role: 'OrderManager', totp_enabled: false });
+
+    const { secret, otpauth_url } = await twoFactorService.startSetup(30);
+
+    expect(otpauth_url).toMatch(/^otpauth:\/\/totp\//);
+    const stored = prisma.user.update.mock.calls[0][0].data.totp_secret;
+    expect(totp.decryptSecret(stored)).toBe(secret);
+
+    prisma.user.findUnique.mockResolvedValue({ user_id: 30, totp_secret: stored, totp_enabled: false, totp_last_step: null });
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    const { recovery_codes } = await twoFactorService.enable(30, 12, totp.generateCode(secret));
+
+    expect(recovery_codes).toHaveLength(twoFactorService.RECOVERY_CODE_COUNT);
+    expect(prisma.twoFactorRecoveryCode.createMany.mock.calls[0][0].data[0].code_hash)
+      .toBe(twoFactorService.hashRecoveryCode(recovery_codes[0]));
+    expect(prisma.authSession.update).toHaveBeenCalledWith({ where: { session_id: 12 }, data: { mfa_verified: true } });
+  });
+
+  it('❌ enable rejects a wrong code', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      user_id: 30, totp_secret: totp.encryptSecret(totp.generateSecret()), totp_enabled: false, totp_last_step: null
+    });
+
+    await expect(twoFactorService.enable(30, 12, '000000')).rejects.toThrow('Invalid two-factor code');
+    expect(prisma.user.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('login with an authenticator', () => {
+  const secret = totp.generateSecret();
+  let user;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    user = {
+      user_id: 30,
+      phone_number: PHONE,
+      role: 'OrderManager',
+      is_active: true,
+      is_verified: true,
+      totp_enabled: true,
+      totp_secret: totp.encryptSecret(secret),
+      totp_last_step: null,
+      password_hash: await bcrypt.hash('StaffPass1', 10)
+    };
+    prisma.user.findUnique.mockResolvedValue(user);
+    prisma.authSession.create.mockResolvedValue({ session_id: 60 });
+  });
+
+  it('✅ answers with a TOTP challenge, then opens a 2FA-verified session', async () => {
+    const step1 = await authService.login(PHONE, 'StaffPass1');
+
+    expect(step1).toMatchObject({ two_factor_required: true, method: 'totp' });
+    expect(smsService.sendOTP).not.toHaveBeenCalled();
+
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+    const step2 = await authService.verifyLoginTwoFactor(step1.challenge_token, { otp_code: totp.generateCode(secret) });
+
+    expect(step2).toHaveProperty('token');
+    expect(prisma.authSession.create.mock.calls[0][0].data.mfa_verified).toBe(true);
+  });
+
+  it('✅ a recovery code works once', async () => {
+    const { challenge_token } = await authService.login(PHONE, 'StaffPass1');
+
+    prisma.twoFactorRecoveryCode.updateMany.mockResolvedValueOnce({ count: 1 });
+    await expect(authService.verifyLoginTwoFactor(challenge_token, { recovery_code: 'abcde-fghij' }))
+      .resolves.toHaveProperty('token');
+    expect(prisma.twoFactorRecoveryCode.updateMany.mock.calls[0][0].where)
+      .toMatchObject({ user_id: 30, code_hash: twoFactorService.hashRecoveryCode('ABCDEFGHIJ'), used_at: null });
+
+    prisma.twoFactorRecoveryCode.updateMany.mockResolvedValueOnce({ count: 0 });
+    await expect(authService.verifyLoginTwoFactor(challenge_token, { recovery_code: 'abcde-fghij' }))
+      .rejects.toThrow('Invalid two-factor code');
+  });
+
+  it('❌ a wrong code counts as a failed login', async () => {
+    const { challenge_token } = await authService.login(PHONE, 'StaffPass1');
+
+    await expect(authService.verifyLoginTwoFactor(challenge_token, { otp_code: '000000' }))
+      .rejects.toThrow('Invalid two-factor code');
+    expect(prisma.$queryRaw).toHaveBeenCalledTimes(1);
+    expect(prisma.authSession.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('requirePermission 2FA check', () => {
+  const run = async (user) => {
+    const next = jest.fn();
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    await requirePermission('report.view')({ user }, res, next);
+    return { next, res };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.rolePermission.findMany.mockResolvedValue([{ permission: { code: 'report.view' } }]);
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+  });
+
+  it('❌ rejects sessions that did not pass 2FA', async () => {
+    const { next, res } = await run({ user_id: 30, role: 'Viewer2fa', mfa_verified: false });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].message).toMatch(/Two-factor authentication required/);
+  });
+
+  it('✅ lets 2FA-verified sessions through', async () => {
+    const { next } = await run({ user_id: 30, role: 'Viewer2fa', mfa_verified: true });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('✅ can be turned off with REQUIRE_ADMIN_2FA=false', async () => {
+    process.env.REQUIRE_ADMIN_2FA = 'false';
+
+    const { next } = await run({ user_id: 30, role: 'Viewer2fa', mfa_verified: false });
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -1,6 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
 const fs = require('fs');
+const { readLatestOtp } = require('./src/utils/sms/drivers/file');
 const prisma = new PrismaClient();
+// Run the server with SMS_DRIVER=file — OTP codes are read from the SMS outbox
 const API_URL = 'http://localhost:3001/api';
 
 async function request(endpoint, method = 'GET', body = null, token = null) {
@@ -89,15 +91,12 @@ async function run() {
         });
 
         // Fetch and verify OTP for customer
-        const otpRecord = await prisma.otpCode.findFirst({
-            where: { phone_number: customerPhone },
-            orderBy: { created_at: 'desc' }
-        });
+        const otpCode = await readLatestOtp(customerPhone);
 
-        if (otpRecord) {
+        if (otpCode) {
             await request('/auth/verify-otp', 'POST', {
                 phone_number: customerPhone,
-                otp_code: otpRecord.otp_code
+                otp_code: otpCode
             });
         }
 
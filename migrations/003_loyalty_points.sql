@@ -0,0 +1,25 @@
+-- =========================================
+-- Migration: Loyalty points ledger + 'Refunded' order status
+-- =========================================
+-- WHY: Points are awarded when an order is Delivered and reversed when a
+--      delivered order is Refunded. Each ledger row must point back to the
+--      order that produced it so the award is never applied twice and the
+--      reversal knows how many points to take back.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/003_loyalty_points.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS / IF EXISTS guards)
+-- =========================================
+
+ALTER TABLE points_transactions ADD COLUMN IF NOT EXISTS related_order_id INT;
+
+CREATE INDEX IF NOT EXISTS idx_points_transactions_user ON points_transactions(user_id);
+CREATE INDEX IF NOT EXISTS idx_points_transactions_order ON points_transactions(related_order_id);
+
+-- Allow the new 'Refunded' status (and 'Pending', which the code already accepts)
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS order_status_check;
+
+ALTER TABLE orders
+ADD CONSTRAINT order_status_check
+CHECK (status IN ('Created', 'Pending', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'));
@@ -0,0 +1,66 @@
+-- =========================================
+-- Migration: Database-driven shipping zones
+-- =========================================
+-- WHY: Delivery regions and fees were hardcoded (VALID_REGIONS + if/else
+--      chains in the fee calculator and placeOrder). They now live in
+--      shipping_zones so admins can change them without a deploy.
+--      Seed rows reproduce the previous hardcoded rules exactly:
+--      20 ILS fee, free above 30 / 50 / 70 ILS depending on the region.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/004_shipping_zones.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS / ON CONFLICT guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS shipping_zones (
+    zone_id                 SERIAL PRIMARY KEY,
+    region_name             VARCHAR(100) NOT NULL UNIQUE,
+    fee                     DECIMAL(12, 2) NOT NULL DEFAULT 20 CHECK (fee >= 0),
+    free_delivery_threshold DECIMAL(12, 2) CHECK (free_delivery_threshold >= 0),
+    is_active               BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order              INT NOT NULL DEFAULT 0,
+    created_at              TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at              TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_zones_active_sort ON shipping_zones(is_active, sort_order);
+
+INSERT INTO shipping_zones (region_name, fee, free_delivery_threshold, sort_order) VALUES
+    ('عتيل - جبل المصرية', 20, 30, 1),
+    ('عتيل - عتيل', 20, 50, 2),
+    ('ارتاح', 20, 70, 3),
+    ('اكتابا', 20, 70, 4),
+    ('الجاروشية', 20, 70, 5),
+    ('المسقوفة', 20, 70, 6),
+    ('النزلة الشرقية', 20, 70, 7),
+    ('النزلة الغربية', 20, 70, 8),
+    ('النزلة الوسطى', 20, 70, 9),
+    ('باقة الشرقية', 20, 70, 10),
+    ('بلعا', 20, 70, 11),
+    ('دير الغصون', 20, 70, 12),
+    ('زيتا', 20, 70, 13),
+    ('شويكة', 20, 70, 14),
+    ('صيدا', 20, 70, 15),
+    ('عزبة الجراد', 20, 70, 16),
+    ('عزبة الطياح', 20, 70, 17),
+    ('عزبة شوفة', 20, 70, 18),
+    ('عزبة ناصر', 20, 70, 19),
+    ('علار', 20, 70, 20),
+    ('عنبتا', 20, 70, 21),
+    ('فرعون', 20, 70, 22),
+    ('قفين', 20, 70, 23),
+    ('كفر اللبد', 20, 70, 24),
+    ('مدينة طولكرم', 20, 70, 25),
+    ('نزلة عيسى', 20, 70, 26),
+    ('نور شمس', 20, 70, 27)
+ON CONFLICT (region_name) DO NOTHING;
+
+-- Permission for the admin CRUD routes (granted to SuperAdmin)
+INSERT INTO permissions (code, description)
+VALUES ('shipping.manage', 'إدارة مناطق ورسوم التوصيل')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_id)
+SELECT 'SuperAdmin', permission_id FROM permissions WHERE code = 'shipping.manage'
+ON CONFLICT (role, permission_id) DO NOTHING;
@@ -0,0 +1,42 @@
+-- =========================================
+-- Migration: Delivery time slots with capacity limits
+-- =========================================
+-- WHY: Customers can pick a delivery window at checkout. Admins define weekly
+--      slots per shipping zone (day, time window, max orders). Each dated
+--      occurrence keeps a reserved_count so placeOrder can take a place
+--      atomically and reject the order when the slot is full.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/005_delivery_slots.sql
+--
+-- REQUIRES: migrations/004_shipping_zones.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS delivery_slots (
+    slot_id     SERIAL PRIMARY KEY,
+    zone_id     INT NOT NULL REFERENCES shipping_zones(zone_id) ON DELETE CASCADE,
+    day_of_week INT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time  VARCHAR(5) NOT NULL,
+    end_time    VARCHAR(5) NOT NULL,
+    max_orders  INT NOT NULL CHECK (max_orders > 0),
+    is_active   BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_slots_zone_day ON delivery_slots(zone_id, day_of_week);
+
+CREATE TABLE IF NOT EXISTS delivery_slot_reservations (
+    reservation_id SERIAL PRIMARY KEY,
+    slot_id        INT NOT NULL REFERENCES delivery_slots(slot_id) ON DELETE CASCADE,
+    delivery_date  DATE NOT NULL,
+    reserved_count INT NOT NULL DEFAULT 0 CHECK (reserved_count >= 0),
+    UNIQUE (slot_id, delivery_date)
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_slot_id INT REFERENCES delivery_slots(slot_id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_orders_delivery_slot ON orders(delivery_slot_id, delivery_date);
@@ -0,0 +1,39 @@
+-- =========================================
+-- Migration: Login sessions and rotating refresh tokens
+-- =========================================
+-- WHY: Access tokens are now short-lived (15m) and tied to a login session.
+--      Clients renew them with a refresh token that is rotated on every use.
+--      Logout and password reset revoke sessions, so tokens stop working
+--      immediately instead of staying valid until they expire.
+--      Refresh tokens are stored as SHA-256 hashes only.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/006_auth_sessions.sql
+--
+-- NOTE: Tokens issued before this migration have no session and are rejected;
+--       users have to login again once after deploying.
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    session_id    SERIAL PRIMARY KEY,
+    user_id       INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    created_at    TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revoked_at    TIMESTAMP,
+    revoke_reason VARCHAR(30)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_id   SERIAL PRIMARY KEY,
+    session_id INT NOT NULL REFERENCES auth_sessions(session_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at    TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
@@ -0,0 +1,17 @@
+-- =========================================
+-- Migration: Device details on login sessions
+-- =========================================
+-- WHY: Customers can list the devices they are logged in from and log out
+--      any of them. Each session keeps the user agent of the login request
+--      and the IP address it was last used from.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/007_session_devices.sql
+--
+-- REQUIRES: migrations/006_auth_sessions.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS user_agent VARCHAR(255);
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45);
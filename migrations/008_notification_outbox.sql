@@ -0,0 +1,35 @@
+-- =========================================
+-- Migration: Notification outbox
+-- =========================================
+-- WHY: Customers get an SMS when an order is Confirmed, Shipped, Delivered or
+--      Cancelled. The message row is written in the same transaction as the
+--      status change; a background dispatcher sends it and retries with
+--      backoff. Rows that run out of attempts stay as 'failed' so admins can
+--      review and resend them.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/008_notification_outbox.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    notification_id     SERIAL PRIMARY KEY,
+    order_id            INT REFERENCES orders(order_id) ON DELETE SET NULL,
+    channel             VARCHAR(20) NOT NULL DEFAULT 'sms',
+    recipient           VARCHAR(20) NOT NULL,
+    template            VARCHAR(50) NOT NULL,
+    payload             JSONB NOT NULL DEFAULT '{}',
+    status              VARCHAR(20) NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts            INT NOT NULL DEFAULT 0,
+    next_attempt_at     TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error          TEXT,
+    provider_message_id VARCHAR(100),
+    sent_at             TIMESTAMP,
+    created_at          TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at          TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_order ON notification_outbox(order_id);
@@ -0,0 +1,28 @@
+-- =========================================
+-- Migration: Hashed OTP codes + wrong-attempt counter
+-- =========================================
+-- WHY: OTP codes were stored in plaintext and could be guessed without limit.
+--      Codes are now stored as HMAC-SHA256 (otp_hash) and each code is
+--      invalidated after OTP_MAX_ATTEMPTS wrong guesses (failed_attempts).
+--      Issuing is throttled per phone (cooldown + 24h cap), which reads
+--      otp_codes by (phone_number, created_at).
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/009_otp_hash_and_attempts.sql
+--
+-- NOTE: Codes issued before this migration can't be checked against a hash and
+--       are invalidated; users just request a new code.
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF EXISTS / IF NOT EXISTS guards)
+-- =========================================
+
+ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS otp_hash VARCHAR(64);
+ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS failed_attempts INT NOT NULL DEFAULT 0;
+
+-- Retire plaintext codes
+UPDATE otp_codes SET is_used = TRUE, otp_hash = '' WHERE otp_hash IS NULL;
+ALTER TABLE otp_codes ALTER COLUMN otp_hash SET NOT NULL;
+ALTER TABLE otp_codes DROP COLUMN IF EXISTS otp_code;
+
+DROP INDEX IF EXISTS idx_otp_phone;
+CREATE INDEX IF NOT EXISTS idx_otp_phone_created ON otp_codes(phone_number, created_at);
@@ -0,0 +1,20 @@
+-- =========================================
+-- Migration: Account lockout after repeated failed logins
+-- =========================================
+-- WHY: Passwords could be guessed without limit per account (the login rate
+--      limiter is per IP only). After LOGIN_MAX_FAILED_ATTEMPTS wrong
+--      passwords the account is locked until locked_until; each consecutive
+--      lockout (lockout_count) doubles the lock time. A successful login or
+--      an admin unlock resets all three columns.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/010_account_lockout.sql
+--
+-- NOTE: Existing users start unlocked with no failed attempts.
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_count INT NOT NULL DEFAULT 0;
@@ -0,0 +1,43 @@
+-- =========================================
+-- Migration: Roles table for custom RBAC roles
+-- =========================================
+-- WHY: Roles only existed as strings in users.role / role_permissions.role and
+--      the hardcoded map in prisma/seed-permissions.js. Admins can now create
+--      custom roles and attach permissions from /api/admin/roles, so roles get
+--      their own table. role_permissions.role references it and is removed
+--      together with the role.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/011_roles.sql
+--
+-- NOTE: Every role already used by a user or a permission mapping is kept
+--       (as a system role), so existing accounts keep working.
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS / ON CONFLICT guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS roles (
+    name         VARCHAR(20) PRIMARY KEY,
+    description  VARCHAR(200),
+    is_system    BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at   TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO roles (name, is_system)
+VALUES ('SuperAdmin', TRUE), ('ProductManager', TRUE), ('OrderManager', TRUE), ('Customer', TRUE), ('Guest', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO roles (name, is_system)
+SELECT DISTINCT role, TRUE FROM users
+UNION
+SELECT DISTINCT role, TRUE FROM role_permissions
+ON CONFLICT (name) DO NOTHING;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'role_permissions_role_fkey') THEN
+        ALTER TABLE role_permissions
+            ADD CONSTRAINT role_permissions_role_fkey
+            FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE ON UPDATE CASCADE;
+    END IF;
+END $$;
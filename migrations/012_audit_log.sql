@@ -0,0 +1,32 @@
+-- =========================================
+-- Migration: Admin audit log
+-- =========================================
+-- WHY: There was no record of which staff member changed a price, adjusted
+--      stock, hid a review or changed a role. Every successful write under
+--      /api/admin/* now adds an audit_logs row with the actor, the permission
+--      used, the entity before/after the change and the request IP.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/012_audit_log.sql
+--
+-- NOTE: Rows are kept when the actor is deleted (actor_id is set to NULL).
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    audit_id     SERIAL PRIMARY KEY,
+    actor_id     INT REFERENCES users(user_id) ON DELETE SET NULL,
+    permission   VARCHAR(50),
+    action       VARCHAR(150) NOT NULL,
+    entity_type  VARCHAR(50) NOT NULL,
+    entity_id    VARCHAR(50),
+    before       JSONB,
+    after        JSONB,
+    ip_address   VARCHAR(45),
+    created_at   TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at);
@@ -0,0 +1,35 @@
+-- =========================================
+-- Migration: Staff invitations + first-login password setup
+-- =========================================
+-- WHY: Staff accounts could only be made by registering as a customer and
+--      being promoted. Admins now invite staff by phone with a role; the
+--      invitee gets an SMS setup code (stored hashed in staff_invitations)
+--      and must set a password before the first login
+--      (users.must_set_password). users.two_factor_required makes login ask
+--      for a second factor.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/013_staff_invitations.sql
+--
+-- NOTE: Existing accounts keep logging in as before (both flags default FALSE).
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS must_set_password BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS staff_invitations (
+    invitation_id    SERIAL PRIMARY KEY,
+    user_id          INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    role             VARCHAR(20) NOT NULL,
+    code_hash        VARCHAR(64) NOT NULL,
+    failed_attempts  INT NOT NULL DEFAULT 0,
+    is_used          BOOLEAN NOT NULL DEFAULT FALSE,
+    expires_at       TIMESTAMP NOT NULL,
+    accepted_at      TIMESTAMP,
+    invited_by       INT REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at       TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_invitations_user ON staff_invitations(user_id);
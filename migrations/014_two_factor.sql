@@ -0,0 +1,34 @@
+-- =========================================
+-- Migration: Authenticator-app two-factor authentication
+-- =========================================
+-- WHY: Staff logged in with phone + password only. Staff can now enroll an
+--      authenticator app (TOTP); the secret is stored encrypted in
+--      users.totp_secret and single-use recovery codes are stored hashed in
+--      two_factor_recovery_codes. auth_sessions.mfa_verified records whether
+--      the login passed a second factor — admin routes require it.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/014_two_factor.sql
+--
+-- NOTE: Existing sessions start with mfa_verified = FALSE, so staff must log
+--       in again (and enroll 2FA) before using admin routes, unless
+--       REQUIRE_ADMIN_2FA=false.
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step INT;
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS mfa_verified BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    code_id     SERIAL PRIMARY KEY,
+    user_id     INT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    code_hash   VARCHAR(64) NOT NULL,
+    used_at     TIMESTAMP,
+    created_at  TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user ON two_factor_recovery_codes(user_id);
@@ -0,0 +1,15 @@
+-- =========================================
+-- Migration: Customer account deletion
+-- =========================================
+-- WHY: Customers can delete their account (confirmed by OTP). Orders keep
+--      referencing users.user_id for accounting, so the row is anonymised
+--      instead of removed; users.deleted_at records when that happened and
+--      stops admins from reactivating it.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/015_account_deletion.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guard)
+-- =========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
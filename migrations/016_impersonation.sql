@@ -0,0 +1,27 @@
+-- =========================================
+-- Migration: Support impersonation
+-- =========================================
+-- WHY: Support staff with the user.impersonate permission can open a
+--      short-lived session acting as a customer. The session records who
+--      opened it and why (auth_sessions.impersonator_id /
+--      impersonation_reason), ends at auth_sessions.expires_at and shows up
+--      in the customer's session list.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/016_impersonation.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS / ON CONFLICT guards)
+-- =========================================
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS impersonator_id INT REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS impersonation_reason VARCHAR(255);
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+-- Permission for POST /api/admin/impersonation (granted to SuperAdmin)
+INSERT INTO permissions (code, description)
+VALUES ('user.impersonate', 'الدخول كعميل لأغراض الدعم الفني')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission_id)
+SELECT 'SuperAdmin', permission_id FROM permissions WHERE code = 'user.impersonate'
+ON CONFLICT (role, permission_id) DO NOTHING;
@@ -0,0 +1,30 @@
+-- =========================================
+-- Migration: Server-side guest carts
+-- =========================================
+-- WHY: Guests kept their cart in the browser and sent the full item list to
+--      POST /api/orders. A cart now belongs to either a user (carts.user_id)
+--      or a guest (carts.guest_id), so the /api/cart endpoints work with a
+--      guest token too. Guest carts untouched for GUEST_CART_TTL_DAYS are
+--      removed by the cleanup job (carts.updated_at is indexed for it).
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/017_guest_carts.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS / pg_constraint guards)
+-- =========================================
+
+ALTER TABLE carts ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE carts ADD COLUMN IF NOT EXISTS guest_id INT REFERENCES guests(guest_id) ON DELETE CASCADE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS carts_guest_id_key ON carts(guest_id);
+CREATE INDEX IF NOT EXISTS carts_updated_at_idx ON carts(updated_at);
+
+-- A cart has exactly one owner
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'carts_owner_check') THEN
+        ALTER TABLE carts
+            ADD CONSTRAINT carts_owner_check
+            CHECK ((user_id IS NULL) <> (guest_id IS NULL));
+    END IF;
+END $$;
@@ -0,0 +1,21 @@
+-- =========================================
+-- Migration: Saved-for-later cart items
+-- =========================================
+-- WHY: Customers removed items from the cart only to add them again a week
+--      later. Items can now be moved to a "saved for later" list kept with
+--      the cart (user or guest). Saved items are not part of the cart totals,
+--      validation or orders.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/018_saved_cart_items.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS saved_cart_items (
+    cart_id    INT NOT NULL REFERENCES carts(cart_id) ON DELETE CASCADE,
+    product_id INT NOT NULL REFERENCES products(product_id) ON DELETE CASCADE,
+    quantity   DECIMAL(12, 3) NOT NULL,
+    saved_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (cart_id, product_id)
+);
@@ -0,0 +1,23 @@
+-- =========================================
+-- Migration: Price at time of adding on cart items
+-- =========================================
+-- WHY: Customers weren't told when a product in their cart changed price.
+--      cart_items.price_at_add keeps the price when the quantity was last
+--      set, so the cart can list price changes before checkout.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/019_cart_item_price.sql
+--
+-- NOTE: Existing cart items are backfilled with the current product price
+--       (no change is reported for them until the price moves again).
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS / IS NULL guards)
+-- =========================================
+
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS price_at_add DECIMAL(12, 2);
+
+UPDATE cart_items ci
+SET price_at_add = p.price
+FROM products p
+WHERE p.product_id = ci.product_id
+  AND ci.price_at_add IS NULL;
@@ -0,0 +1,28 @@
+-- =========================================
+-- Migration: Idempotency keys
+-- =========================================
+-- WHY: A double-tapped "order" button on a flaky connection created two
+--      orders and took the stock twice. POST /api/orders accepts an
+--      Idempotency-Key header; the key, a hash of the request and the
+--      response are kept here for IDEMPOTENCY_KEY_TTL_HOURS (24h) so a retry
+--      gets the original order back.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/020_idempotency_keys.sql
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guards)
+-- =========================================
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    idempotency_id SERIAL PRIMARY KEY,
+    owner          VARCHAR(30) NOT NULL,
+    key            VARCHAR(255) NOT NULL,
+    request_hash   VARCHAR(64) NOT NULL,
+    status_code    INT,
+    response       JSONB,
+    created_at     TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at     TIMESTAMP NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idempotency_keys_owner_key_key ON idempotency_keys(owner, key);
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at_idx ON idempotency_keys(expires_at);
@@ -0,0 +1,19 @@
+-- =========================================
+-- Migration: Reserve coupon uses when buying with points
+-- =========================================
+-- WHY: Points were spent at redeem time but a use of a limited coupon was
+--      only counted at checkout, so a customer who paid could be told
+--      "usage limit reached" with no refund. Redeeming now takes the use
+--      straight away; user_coupons.use_reserved marks claims that already
+--      hold one, so checkout and cancellation don't count it again.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/021_coupon_use_reservation.sql
+--
+-- NOTE: Claims redeemed before this migration keep use_reserved = FALSE and
+--       are counted at checkout as before.
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF NOT EXISTS guard)
+-- =========================================
+
+ALTER TABLE user_coupons ADD COLUMN IF NOT EXISTS use_reserved BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,23 @@
+-- =========================================
+-- Migration: One coupon claim per user
+-- =========================================
+-- WHY: Checkout looked for an earlier claim and then created a new one, so
+--      two concurrent orders from the same account could both pass the
+--      "already used" check and use the same coupon twice. A unique
+--      (user_id, coupon_id) index makes the second insert fail instead;
+--      the API reports it as "Coupon has already been used by this account".
+--      It replaces the plain index on the same columns.
+--
+-- HOW TO RUN:
+--   psql $DATABASE_URL -f migrations/022_user_coupons_unique.sql
+--
+-- NOTE: The index can't be built while duplicate claims exist. Find them with
+--         SELECT user_id, coupon_id, COUNT(*) FROM user_coupons
+--         GROUP BY user_id, coupon_id HAVING COUNT(*) > 1;
+--       and remove the extra rows (keep the one an order points to) first.
+--
+-- SAFE TO RUN MULTIPLE TIMES: YES (IF EXISTS / IF NOT EXISTS guards)
+-- =========================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_coupons_user_id_coupon_id_key ON user_coupons(user_id, coupon_id);
+DROP INDEX IF EXISTS user_coupons_user_id_coupon_id_idx;
@@ -19,8 +19,10 @@ const PERMISSIONS = [
     { code: 'user.view', description: 'عرض قائمة المستخدمين' },
     { code: 'user.edit', description: 'تعديل بيانات المستخدمين' },
     { code: 'user.ban', description: 'تفعيل/تعطيل حساب مستخدم' },
+    { code: 'user.impersonate', description: 'الدخول كعميل لأغراض الدعم الفني' },
     { code: 'report.view', description: 'عرض التقارير والإحصائيات' },
     { code: 'coupon.manage', description: 'إدارة الكوبونات' },
+    { code: 'shipping.manage', description: 'إدارة مناطق ورسوم التوصيل' },
     { code: 'settings.manage', description: 'إدارة إعدادات النظام' },
 ];
 
@@ -43,6 +45,14 @@ const ROLE_PERMISSIONS = {
     Guest: []
 };
 
+const ROLE_DESCRIPTIONS = {
+    SuperAdmin: 'كل الصلاحيات',
+    ProductManager: 'منتجات + تصنيفات + تقارير',
+    OrderManager: 'طلبات + تقارير',
+    Customer: 'شراء وتقييم',
+    Guest: 'تصفح فقط'
+};
+
 async function seed() {
     console.log('🔐 Seeding RBAC permissions...\n');
 
@@ -61,10 +71,16 @@ async function seed() {
     const permMap = {};
     allPerms.forEach(p => { permMap[p.code] = p.permission_id; });
 
-    // 3. Seed role-permission mappings
+    // 3. Seed role-permission mappings (system roles first — mappings reference them)
     console.log('\n📋 Seeding role mappings...\n');
 
     for (const [role, codes] of Object.entries(ROLE_PERMISSIONS)) {
+        await prisma.role.upsert({
+            where: { name: role },
+            update: { is_system: true },
+            create: { name: role, description: ROLE_DESCRIPTIONS[role], is_system: true }
+        });
+
         // Clear old mappings for this role
         await prisma.rolePermission.deleteMany({ where: { role } });
 
@@ -21,6 +21,10 @@ const reviewsRoutes = require('./modules/reviews/reviews.routes');
 const wishlistRoutes = require('./modules/wishlist/wishlist.routes');
 const addressesRoutes = require('./modules/addresses/addresses.routes');
 const shippingRoutes = require('./modules/shipping/shipping.routes');
+const couponsRoutes = require('./modules/coupons/coupons.routes');
+const slotsRoutes = require('./modules/slots/slots.routes');
+const staffRoutes = require('./modules/staff/staff.routes');
+const twoFactorRoutes = require('./modules/twofactor/twofactor.routes');
 
 // ─── Admin-only Route Imports ─────────────────────────────────────────────────
 const adminUsersRoutes = require('./modules/users/admin.users.routes');
@@ -28,6 +32,13 @@ const adminCategoriesRoutes = require('./modules/categories/admin.categories.rou
 const adminProductsRoutes = require('./modules/products/admin.products.routes');
 const adminOrdersRoutes = require('./modules/orders/admin.orders.routes');
 const adminReviewsRoutes = require('./modules/reviews/admin.reviews.routes');
+const adminCouponsRoutes = require('./modules/coupons/admin.coupons.routes');
+const adminShippingRoutes = require('./modules/shipping/admin.shipping.routes');
+const adminSlotsRoutes = require('./modules/slots/admin.slots.routes');
+const adminNotificationsRoutes = require('./modules/notifications/admin.notifications.routes');
+const adminRolesRoutes = require('./modules/roles/admin.roles.routes');
+const adminAuditRoutes = require('./modules/audit/admin.audit.routes');
+const adminStaffRoutes = require('./modules/staff/admin.staff.routes');
 const reportsRoutes = require('./modules/reports/reports.routes');
 
 const app = express();
@@ -114,6 +125,7 @@ app.get('/api/health', (req, res) => {
 
 // ─── Public / User API Routes ─────────────────────────────────────────────────
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/categories', categoriesRoutes);
 app.use('/api/products', productsRoutes);
@@ -123,6 +135,9 @@ app.use('/api', reviewsRoutes);
 app.use('/api/wishlist', wishlistRoutes);
 app.use('/api/addresses', addressesRoutes);
 app.use('/api/shipping', shippingRoutes);
+app.use('/api/coupons', couponsRoutes);
+app.use('/api/delivery-slots', slotsRoutes);
+app.use('/api/staff', staffRoutes);
 
 // ─── Admin API Routes ─────────────────────────────────────────────────────────
 app.use('/api/admin/users', adminUsersRoutes);
@@ -130,6 +145,13 @@ app.use('/api/admin/categories', adminCategoriesRoutes);
 app.use('/api/admin/products', adminProductsRoutes);
 app.use('/api/admin/orders', adminOrdersRoutes);
 app.use('/api/admin/reviews', adminReviewsRoutes);
+app.use('/api/admin/coupons', adminCouponsRoutes);
+app.use('/api/admin/shipping-zones', adminShippingRoutes);
+app.use('/api/admin/delivery-slots', adminSlotsRoutes);
+app.use('/api/admin/notifications', adminNotificationsRoutes);
+app.use('/api/admin/roles', adminRolesRoutes);
+app.use('/api/admin/audit-log', adminAuditRoutes);
+app.use('/api/admin/staff', adminStaffRoutes);
 app.use('/api/admin', reportsRoutes);
 
 // ─── Swagger API Documentation ────────────────────────────────────────────────
@@ -26,6 +26,8 @@ const options = {
 | **Customer** | شراء وتقييم |
 | **Guest** | تصفح فقط |
 
+يمكن إنشاء أدوار مخصصة وربط الصلاحيات بها من \`/api/admin/roles\` (settings.manage).
+
 ### رموز الاستجابة
 | الكود | المعنى |
 |-------|--------|
@@ -73,7 +75,7 @@ const options = {
                         user_id: { type: 'integer' },
                         phone_number: { type: 'string', example: '0599123456' },
                         name: { type: 'string', example: 'أحمد' },
-                        role: { type: 'string', enum: ['SuperAdmin', 'Admin', 'ProductManager', 'OrderManager', 'Support', 'Customer', 'Guest'] },
+                        role: { type: 'string', example: 'Customer', description: 'دور نظام أو دور مخصص' },
                         permissions: { type: 'array', items: { type: 'string' }, example: ['product.create', 'product.edit'] },
                         points: { type: 'integer' },
                         daily_streak: { type: 'integer' },
@@ -149,7 +151,7 @@ const options = {
                     properties: {
                         order_id: { type: 'integer' },
                         user_id: { type: 'integer' },
-                        status: { type: 'string', enum: ['Pending', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled'] },
+                        status: { type: 'string', enum: ['Pending', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'] },
                         total: { type: 'number' },
                         final_total: { type: 'number' }
                     }
@@ -158,6 +160,7 @@ const options = {
         },
         tags: [
             { name: 'Auth', description: 'المصادقة — تسجيل، دخول، OTP، استعادة كلمة المرور' },
+            { name: 'Two-Factor Auth', description: 'التحقق الثنائي بتطبيق المصادقة (TOTP) ورموز الاسترداد — للموظفين' },
             { name: 'Users', description: 'الملف الشخصي — تعديل الاسم، كلمة المرور، رقم الهاتف' },
             { name: 'Products', description: 'المنتجات — عرض وبحث' },
             { name: 'Categories', description: 'التصنيفات — عرض' },
@@ -165,11 +168,18 @@ const options = {
             { name: 'Orders', description: 'الطلبات — إنشاء ومتابعة' },
             { name: 'Reviews', description: 'التقييمات' },
             { name: 'Wishlist', description: 'قائمة الرغبات' },
+            { name: 'Coupons', description: 'الكوبونات — استبدال نقاط الولاء بكوبونات' },
             { name: 'Admin - Users', description: '👑 إدارة المستخدمين (user.view / user.ban)' },
+            { name: 'Admin - Staff', description: '👑 دعوة الموظفين برقم الهاتف ودور محدد (user.ban)' },
             { name: 'Admin - Products', description: '👑 إدارة المنتجات (product.create / edit / delete)' },
             { name: 'Admin - Categories', description: '👑 إدارة التصنيفات (category.manage)' },
             { name: 'Admin - Orders', description: '👑 إدارة الطلبات (order.view / update_status)' },
             { name: 'Admin - Reviews', description: '👑 إدارة التقييمات (product.edit)' },
+            { name: 'Admin - Coupons', description: '👑 إدارة الكوبونات (coupon.manage)' },
+            { name: 'Admin - Shipping', description: '👑 إدارة مناطق ورسوم التوصيل (shipping.manage)' },
+            { name: 'Admin - Notifications', description: '👑 رسائل SMS للعملاء وإعادة إرسال الفاشلة (order.view / update_status)' },
+            { name: 'Admin - Roles', description: '👑 الأدوار المخصصة وربط الصلاحيات بها (settings.manage)' },
+            { name: 'Admin - Audit Log', description: '👑 سجل تعديلات الموظفين في لوحة الإدارة (settings.manage)' },
             { name: 'Admin - Reports', description: '👑 التقارير والإحصائيات (report.view)' }
         ]
     },
@@ -0,0 +1,58 @@
+const { AUDIT_ENTITIES, recordAudit } = require('../modules/audit/audit.service');
+const logger = require('../config/logger');
+
+/**
+ * Audit Middleware
+ * Logs a back-office write to the audit log once it has succeeded.
+ * Place it after authenticate / requirePermission / validate on admin routes.
+ *
+ * @param {string} entity_type - Key of AUDIT_ENTITIES (product, order, user, …)
+ * @param {string} [param] - Route param holding the entity ID (default: id)
+ */
+const audit = (entity_type, param = 'id') => {
+  const entity = AUDIT_ENTITIES[entity_type];
+
+  return async (req, res, next) => {
+    const entity_id = req.params[param];
+
+    try {
+      req.auditBefore = entity_id ? await entity.load(entity_id) : null;
+    } catch (error) {
+      logger.error('Audit load error:', { error: error.message, entity_type, entity_id });
+      req.auditBefore = null;
+    }
+
+    // Keep the response body: creates only learn their ID from it
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.auditBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const data = res.auditBody && res.auditBody.data;
+        const id = entity_id || (data && data[entity.id_field]);
+
+        await recordAudit({
+          actor_id: req.user && req.user.user_id,
+          permission: req.permission_used,
+          action: `${req.method} ${req.baseUrl}${req.route.path}`,
+          entity_type,
+          entity_id: id,
+          before: req.auditBefore,
+          after: id ? await entity.load(id) : data,
+          ip_address: req.ip
+        });
+      } catch (error) {
+        logger.error('Audit log error:', { error: error.message, stack: error.stack, entity_type, entity_id });
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = { audit };
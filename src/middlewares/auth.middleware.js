@@ -1,15 +1,73 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../config/prisma');
 const { unauthorizedResponse, forbiddenResponse } = require('../utils/response');
+const { recordAudit } = require('../modules/audit/audit.service');
+const logger = require('../config/logger');
 
 /**
  * Authentication Middleware
  * Verifies JWT token and attaches user/guest info to request
  * 
- * Token payload for users: { user_id, role }
+ * Token payload for users: { user_id, role, session_id }
+ * Token payload for support impersonation: { user_id, role, session_id, impersonator_id, impersonation: true }
  * Token payload for guests: { guest_id, role: "Guest" }
  */
 
+/**
+ * Load the session behind a user token together with its user
+ * Returns null when the session is unknown, revoked, expired, or belongs to someone else.
+ * @param {Object} decoded - Verified JWT payload
+ * @returns {Object|null} { user_id, role, is_active, mfa_verified, impersonator_id } of the session owner
+ */
+const findSessionUser = async (decoded) => {
+  if (!decoded.session_id) return null;
+
+  const session = await prisma.authSession.findUnique({
+    where: { session_id: decoded.session_id },
+    select: {
+      user_id: true,
+      revoked_at: true,
+      mfa_verified: true,
+      impersonator_id: true,
+      expires_at: true,
+      user: { select: { user_id: true, role: true, is_active: true } }
+    }
+  });
+
+  if (!session || session.revoked_at || session.user_id !== decoded.user_id) {
+    return null;
+  }
+
+  if (session.expires_at && session.expires_at < new Date()) {
+    return null;
+  }
+
+  return { ...session.user, mfa_verified: session.mfa_verified, impersonator_id: session.impersonator_id };
+};
+
+/**
+ * Write every request made with an impersonation session to the audit log
+ * @param {Object} req - Express request (req.user already set)
+ * @param {Object} res - Express response
+ */
+const trackImpersonation = (req, res) => {
+  res.on('finish', async () => {
+    try {
+      await recordAudit({
+        actor_id: req.user.impersonator_id,
+        permission: 'user.impersonate',
+        action: `${req.method} ${req.originalUrl}`.slice(0, 150),
+        entity_type: 'user',
+        entity_id: req.user.user_id,
+        after: { status: res.statusCode, session_id: req.user.session_id },
+        ip_address: req.ip
+      });
+    } catch (error) {
+      logger.error('Impersonation audit error:', { error: error.message, user_id: req.user.user_id });
+    }
+  });
+};
+
 /**
  * Verify JWT token middleware
  * Required for all protected routes
@@ -43,14 +101,11 @@ const authenticate = async (req, res, next) => {
       return next();
     }
 
-    // Registered user — verify account is still active in DB
-    const dbUser = await prisma.user.findUnique({
-      where: { user_id: decoded.user_id },
-      select: { user_id: true, role: true, is_active: true }
-    });
+    // Registered user — verify the session is still live and the account active
+    const dbUser = await findSessionUser(decoded);
 
     if (!dbUser) {
-      return unauthorizedResponse(res, 'Account not found');
+      return unauthorizedResponse(res, 'Session has been revoked. Please login again.');
     }
 
     if (!dbUser.is_active) {
@@ -60,9 +115,16 @@ const authenticate = async (req, res, next) => {
     req.user = {
       id: dbUser.user_id,
       user_id: dbUser.user_id,
-      role: dbUser.role
+      role: dbUser.role,
+      session_id: decoded.session_id,
+      mfa_verified: dbUser.mfa_verified,
+      impersonator_id: dbUser.impersonator_id
     };
 
+    if (dbUser.impersonator_id) {
+      trackImpersonation(req, res);
+    }
+
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -104,11 +166,8 @@ const optionalAuth = async (req, res, next) => {
         role: 'Guest'
       };
     } else {
-      // Registered user — verify account is still active in DB
-      const dbUser = await prisma.user.findUnique({
-        where: { user_id: decoded.user_id },
-        select: { user_id: true, role: true, is_active: true }
-      });
+      // Registered user — verify the session is still live and the account active
+      const dbUser = await findSessionUser(decoded);
 
       if (!dbUser || !dbUser.is_active) {
         req.user = null;
@@ -118,8 +177,15 @@ const optionalAuth = async (req, res, next) => {
       req.user = {
         id: dbUser.user_id,
         user_id: dbUser.user_id,
-        role: dbUser.role
+        role: dbUser.role,
+        session_id: decoded.session_id,
+        mfa_verified: dbUser.mfa_verified,
+        impersonator_id: dbUser.impersonator_id
       };
+
+      if (dbUser.impersonator_id) {
+        trackImpersonation(req, res);
+      }
     }
 
     next();
@@ -189,6 +255,17 @@ const allowGuestOrUser = (req, res, next) => {
   next();
 };
 
+/**
+ * Refuse the request when it comes from a support impersonation session
+ * Used on routes that place orders or change credentials / the account.
+ */
+const blockImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonator_id) {
+    return forbiddenResponse(res, 'This action is not allowed while impersonating a customer');
+  }
+  next();
+};
+
 /**
  * Role-based authorization
  * @param {Array} roles - Array of allowed roles
@@ -234,7 +311,8 @@ const getPermissionsForRole = async (role) => {
 
 /**
  * Permission-based authorization middleware
- * Checks if user's role has the required permission(s)
+ * Checks if user's role has the required permission(s), and that the session
+ * passed two-factor authentication (unless REQUIRE_ADMIN_2FA=false)
  * @param  {...string} requiredPermissions - One or more permission codes (user needs at least one)
  */
 const requirePermission = (...requiredPermissions) => {
@@ -251,14 +329,19 @@ const requirePermission = (...requiredPermissions) => {
       const userPermissions = await getPermissionsForRole(req.user.role);
 
       // User needs at least ONE of the required permissions
-      const hasPermission = requiredPermissions.some(p => userPermissions.includes(p));
+      const grantedBy = requiredPermissions.find(p => userPermissions.includes(p));
 
-      if (!hasPermission) {
+      if (!grantedBy) {
         return forbiddenResponse(res, 'ليس لديك صلاحية للقيام بهذا الإجراء');
       }
 
-      // Attach permissions to request for optional use in controllers
+      if (!req.user.mfa_verified && process.env.REQUIRE_ADMIN_2FA !== 'false') {
+        return forbiddenResponse(res, 'Two-factor authentication required. Enable it with POST /api/auth/2fa/setup, or log in again with your second factor.');
+      }
+
+      // Attach permissions to request for optional use in controllers (and the audit log)
       req.permissions = userPermissions;
+      req.permission_used = grantedBy;
       next();
     } catch (error) {
       return forbiddenResponse(res, 'Permission check failed');
@@ -284,6 +367,7 @@ module.exports = {
   requireCustomer,
   requireUser,
   allowGuestOrUser,
+  blockImpersonation,
   requireRoles,
   requirePermission,
   clearPermissionCache
@@ -0,0 +1,68 @@
+const idempotencyService = require('../modules/idempotency/idempotency.service');
+const { errorResponse, serverErrorResponse } = require('../utils/response');
+const logger = require('../config/logger');
+
+/**
+ * Idempotency Middleware
+ * Honours an Idempotency-Key header: a retry of the same request gets the
+ * original response back (with an Idempotent-Replayed: true header).
+ * Requests without the header run normally.
+ * Place it after authenticate / validate so rejected requests don't use up a key.
+ */
+
+const IDEMPOTENCY_ERROR_STATUS = {
+  'Idempotency-Key was already used with a different request': 422,
+  'A request with this Idempotency-Key is still in progress': 409
+};
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > 255) {
+    return errorResponse(res, 'Idempotency-Key must be 1-255 characters', 400);
+  }
+
+  const owner = req.user.user_id ? `user:${req.user.user_id}` : `guest:${req.user.guest_id}`;
+  const request_hash = idempotencyService.hashRequest(req.method, `${req.baseUrl}${req.path}`, req.body);
+
+  let claim;
+  try {
+    claim = await idempotencyService.claimKey({ owner, key, request_hash });
+  } catch (error) {
+    const status = IDEMPOTENCY_ERROR_STATUS[error.message];
+    if (status) {
+      return errorResponse(res, error.message, status);
+    }
+    logger.error('Idempotency claim error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to process request');
+  }
+
+  if (!claim.claimed) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(claim.status_code).json(claim.response);
+  }
+
+  // Store the response before sending it, so a retry right after sees it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+
+    const saved = res.statusCode < 400
+      ? idempotencyService.completeKey({ owner, key, status_code: res.statusCode, response: body })
+      : idempotencyService.releaseKey({ owner, key });
+
+    saved
+      .catch((error) => logger.error('Idempotency save error:', { error: error.message, owner }))
+      .finally(() => json(body));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = { idempotency };
@@ -1,35 +1,5 @@
 const { body, param } = require('express-validator');
-
-// These must match exactly the predefined regions in the plan
-const VALID_REGIONS = [
-    'عتيل - جبل المصرية',
-    'عتيل - عتيل',
-    'ارتاح',
-    'اكتابا',
-    'الجاروشية',
-    'المسقوفة',
-    'النزلة الشرقية',
-    'النزلة الغربية',
-    'النزلة الوسطى',
-    'باقة الشرقية',
-    'بلعا',
-    'دير الغصون',
-    'زيتا',
-    'شويكة',
-    'صيدا',
-    'عزبة الجراد',
-    'عزبة الطياح',
-    'عزبة شوفة',
-    'عزبة ناصر',
-    'علار',
-    'عنبتا',
-    'فرعون',
-    'قفين',
-    'كفر اللبد',
-    'مدينة طولكرم',
-    'نزلة عيسى',
-    'نور شمس'
-];
+const { supportedRegion } = require('../shipping/shipping.validators');
 
 /**
  * Address Validation Rules
@@ -47,7 +17,8 @@ const createAddress = [
         .isLength({ min: 9, max: 20 }).withMessage('Phone number must be valid'),
     body('region')
         .notEmpty().withMessage('Region is required')
-        .isIn(VALID_REGIONS).withMessage(`منطقة غير صالحة. الرجاء اختيار منطقة مدعومة`),
+        .bail()
+        .custom(supportedRegion),
     body('street')
         .notEmpty().withMessage('Street is required')
         .isLength({ max: 255 }).withMessage('Street must be at most 255 characters'),
@@ -65,6 +36,5 @@ const checkAddressId = [
 module.exports = {
     createAddress,
     updateAddress,
-    checkAddressId,
-    VALID_REGIONS
+    checkAddressId
 };
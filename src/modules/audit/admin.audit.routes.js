@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('./audit.controller');
+const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const auditValidators = require('./audit.validators');
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: سجل التدقيق — كل التعديلات التي قام بها الموظفون في لوحة الإدارة
+ *     description: كل عملية ناجحة على /api/admin/* (إنشاء/تعديل/حذف) تُسجّل مع المنفّذ والصلاحية المستخدمة وحالة العنصر قبل وبعد التعديل وعنوان IP
+ *     tags: [Admin - Audit Log]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *         description: الموظف الذي نفّذ العملية
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *           enum: [product, category, order, user, review, coupon, shipping_zone, delivery_slot, notification, role]
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *         description: رقم العنصر (أو اسم الدور)
+ *       - in: query
+ *         name: permission
+ *         schema:
+ *           type: string
+ *         example: product.edit
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: السجلات (الأحدث أولاً) مع before / after وبيانات المنفّذ
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage"
+ */
+router.get('/', authenticate, requirePermission('settings.manage'), auditValidators.list, validate, auditController.getAuditLogs);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const auditService = require('./audit.service');
+const { successResponse, serverErrorResponse } = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Audit Controller
+ * Handles HTTP request and response for the admin audit log
+ */
+
+/**
+ * Search the audit log (admin only)
+ * GET /api/admin/audit-log
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor_id, entity_type, entity_id, permission, from, to, page, limit } = req.query;
+
+    const result = await auditService.getAuditLogs({
+      actor_id: actor_id ? parseInt(actor_id) : undefined,
+      entity_type,
+      entity_id,
+      permission,
+      from,
+      to,
+      page,
+      limit
+    });
+
+    return successResponse(res, result, 'Audit log retrieved successfully');
+  } catch (error) {
+    logger.error('Get audit log error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get audit log');
+  }
+};
+
+module.exports = {
+  getAuditLogs
+};
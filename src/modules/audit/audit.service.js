@@ -0,0 +1,128 @@
+const prisma = require('../../config/prisma');
+const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination');
+
+/**
+ * Audit Service
+ * Records back-office changes and lists them for admins.
+ *
+ * Rows are written by the audit middleware after a successful /api/admin/*
+ * write, with the entity loaded before and after the change.
+ */
+
+const byId = (model, key, select) => (id) => {
+  const value = parseInt(id);
+  if (isNaN(value)) return null;
+  return prisma[model].findUnique({ where: { [key]: value }, ...(select && { select }) });
+};
+
+// entity_type → { load(id), id_field } — id_field names the ID in a create response
+const AUDIT_ENTITIES = {
+  product: { load: byId('product', 'product_id'), id_field: 'product_id' },
+  category: { load: byId('category', 'category_id'), id_field: 'category_id' },
+  order: {
+    load: byId('order', 'order_id', { order_id: true, user_id: true, status: true, final_total: true }),
+    id_field: 'order_id'
+  },
+  user: {
+    // Never copy password_hash into the log
+    load: byId('user', 'user_id', {
+      user_id: true,
+      name: true,
+      phone_number: true,
+      role: true,
+      is_active: true,
+      failed_login_attempts: true,
+      locked_until: true
+    }),
+    id_field: 'user_id'
+  },
+  review: { load: byId('productReview', 'review_id'), id_field: 'review_id' },
+  coupon: { load: byId('coupon', 'coupon_id'), id_field: 'coupon_id' },
+  shipping_zone: { load: byId('shippingZone', 'zone_id'), id_field: 'zone_id' },
+  delivery_slot: { load: byId('deliverySlot', 'slot_id'), id_field: 'slot_id' },
+  notification: {
+    load: byId('notificationOutbox', 'notification_id', { notification_id: true, status: true, attempts: true }),
+    id_field: 'notification_id'
+  },
+  role: {
+    load: (name) => prisma.role.findUnique({
+      where: { name },
+      include: { role_permissions: { select: { permission: { select: { code: true } } } } }
+    }),
+    id_field: 'name'
+  }
+};
+
+/**
+ * Make a row storable as JSON (Decimal → string, Date → ISO string)
+ * @param {*} value - Entity or null
+ * @returns {*} Plain JSON value, or null
+ */
+const toJson = (value) => (value == null ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Add an audit log row
+ * @param {Object} entry - { actor_id, permission, action, entity_type, entity_id, before, after, ip_address }
+ * @returns {Object} Created row ID
+ */
+const recordAudit = async (entry) => {
+  return await prisma.auditLog.create({
+    data: {
+      actor_id: entry.actor_id || null,
+      permission: entry.permission || null,
+      action: entry.action,
+      entity_type: entry.entity_type,
+      entity_id: entry.entity_id != null ? String(entry.entity_id) : null,
+      before: toJson(entry.before) ?? undefined,
+      after: toJson(entry.after) ?? undefined,
+      ip_address: entry.ip_address || null
+    },
+    select: { audit_id: true }
+  });
+};
+
+/**
+ * Search the audit log (admin only)
+ * @param {Object} options - { actor_id, entity_type, entity_id, permission, from, to, page, limit }
+ * @returns {Object} Paginated rows, newest first
+ */
+const getAuditLogs = async (options = {}) => {
+  const { skip, take, page: safePage, limit: safeLimit } = safePaginate(options.page, options.limit);
+
+  const where = {};
+  if (options.actor_id) {
+    where.actor_id = options.actor_id;
+  }
+  if (options.entity_type) {
+    where.entity_type = options.entity_type;
+  }
+  if (options.entity_id) {
+    where.entity_id = String(options.entity_id);
+  }
+  if (options.permission) {
+    where.permission = options.permission;
+  }
+  if (options.from || options.to) {
+    where.created_at = {};
+    if (options.from) where.created_at.gte = new Date(options.from);
+    if (options.to) where.created_at.lte = new Date(options.to);
+  }
+
+  const totalItems = await prisma.auditLog.count({ where });
+
+  const logs = await prisma.auditLog.findMany({
+    where,
+    include: { actor: { select: { user_id: true, name: true, role: true } } },
+    orderBy: { created_at: 'desc' },
+    skip,
+    take
+  });
+
+  return buildPaginatedResponse(logs, totalItems, safePage, safeLimit);
+};
+
+module.exports = {
+  AUDIT_ENTITIES,
+  recordAudit,
+  getAuditLogs
+};
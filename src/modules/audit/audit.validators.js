@@ -0,0 +1,45 @@
+const { query } = require('express-validator');
+const { AUDIT_ENTITIES } = require('./audit.service');
+
+/**
+ * Audit Log Validation Rules
+ */
+
+/**
+ * Search audit log query validation rules
+ */
+const list = [
+  query('actor_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Actor ID must be a positive integer'),
+
+  query('entity_type')
+    .optional()
+    .isIn(Object.keys(AUDIT_ENTITIES))
+    .withMessage(`entity_type must be one of: ${Object.keys(AUDIT_ENTITIES).join(', ')}`),
+
+  query('entity_id')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Entity ID must be at most 50 characters'),
+
+  query('permission')
+    .optional()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Permission must be a permission code'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date (YYYY-MM-DD or ISO 8601)'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date (YYYY-MM-DD or ISO 8601)')
+];
+
+module.exports = {
+  list
+};
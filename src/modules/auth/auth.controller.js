@@ -1,8 +1,12 @@
 const authService = require('./auth.service');
+const pointsService = require('../points/points.service');
+const { OTP_ERROR_RESPONSES } = require('../otp/otp.service');
+const { ACCOUNT_LOCKED_PREFIX } = require('../lockout/lockout.service');
 const {
   successResponse,
   errorResponse,
   createdResponse,
+  unauthorizedResponse,
   serverErrorResponse
 } = require('../../utils/response');
 const logger = require('../../config/logger');
@@ -12,6 +16,16 @@ const logger = require('../../config/logger');
  * Handles HTTP request and response for authentication endpoints
  */
 
+/**
+ * Device details stored on the login session (shown in the sessions list)
+ * @param {Object} req - Express request
+ * @returns {Object} { user_agent, ip_address }
+ */
+const getDeviceInfo = (req) => ({
+  user_agent: req.get('user-agent')?.slice(0, 255) || null,
+  ip_address: req.ip || null
+});
+
 /**
  * Register a new user
  * POST /api/auth/register
@@ -27,6 +41,10 @@ const register = async (req, res) => {
     if (error.message === 'Phone number already registered' || error.message.includes('Phone number is registered but not verified')) {
       return errorResponse(res, error.message, 409);
     }
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
+    }
     logger.error('Register error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Registration failed');
   }
@@ -40,24 +58,77 @@ const login = async (req, res) => {
   try {
     const { phone_number, password } = req.body;
 
-    const result = await authService.login(phone_number, password);
+    // A guest token in the Authorization header (optionalAuth) hands its cart and orders to the account
+    const result = await authService.login(phone_number, password, getDeviceInfo(req), req.user?.guest_id);
+
+    if (result.two_factor_required) {
+      return successResponse(res, result, 'Verification code sent. Complete the login with POST /api/auth/login/2fa');
+    }
 
     return successResponse(res, {
       user: result.user,
-      token: result.token
+      token: result.token,
+      refresh_token: result.refresh_token,
+      streak: result.streak,
+      guest_merge: result.guest_merge
     }, 'Login successful');
   } catch (error) {
     if (error.message === 'Invalid phone number or password') {
       return errorResponse(res, error.message, 401);
     }
-    if (error.message === 'Account is deactivated. Please contact support.' || error.message === 'Account is not verified. Please verify your phone number first.') {
+    if (error.message === 'Account is deactivated. Please contact support.' ||
+        error.message === 'Account is not verified. Please verify your phone number first.' ||
+        error.message.startsWith('Account setup is not complete')) {
       return errorResponse(res, error.message, 403);
     }
+    if (error.message.startsWith(ACCOUNT_LOCKED_PREFIX)) {
+      return errorResponse(res, error.message, 423);
+    }
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
+    }
     logger.error('Login error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Login failed');
   }
 };
 
+/**
+ * Second login step for accounts that require a second factor
+ * POST /api/auth/login/2fa
+ */
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challenge_token, otp_code, recovery_code } = req.body;
+
+    const result = await authService.verifyLoginTwoFactor(challenge_token, { otp_code, recovery_code }, getDeviceInfo(req));
+
+    return successResponse(res, {
+      user: result.user,
+      token: result.token,
+      refresh_token: result.refresh_token,
+      streak: result.streak,
+      guest_merge: result.guest_merge
+    }, 'Login successful');
+  } catch (error) {
+    if (error.message === 'Invalid or expired login challenge') {
+      return errorResponse(res, error.message, 401);
+    }
+    if (error.message === 'Invalid two-factor code') {
+      return errorResponse(res, error.message, 400);
+    }
+    if (error.message.startsWith(ACCOUNT_LOCKED_PREFIX)) {
+      return errorResponse(res, error.message, 423);
+    }
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
+    }
+    logger.error('Login 2FA error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Login failed');
+  }
+};
+
 /**
  * Logout user
  * POST /api/auth/logout
@@ -65,13 +136,13 @@ const login = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
-    const user_id = req.user?.user_id;
+    const session_id = req.user?.session_id;
 
-    if (!user_id) {
+    if (!session_id) {
       return errorResponse(res, 'Invalid session', 400);
     }
 
-    await authService.logout(user_id);
+    await authService.logout(session_id);
 
     return successResponse(res, null, 'Logged out successfully');
   } catch (error) {
@@ -80,6 +151,28 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * Refresh access token
+ * POST /api/auth/refresh
+ */
+const refresh = async (req, res) => {
+  try {
+    const result = await authService.refreshSession(req.body.refresh_token, getDeviceInfo(req));
+
+    return successResponse(res, result, 'Token refreshed successfully');
+  } catch (error) {
+    if (error.message === 'Invalid refresh token' ||
+      error.message === 'Refresh token has expired' ||
+      error.message === 'Session has been revoked' ||
+      error.message === 'Refresh token reuse detected' ||
+      error.message === 'Account is deactivated. Please contact support.') {
+      return unauthorizedResponse(res, error.message);
+    }
+    logger.error('Refresh token error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to refresh token');
+  }
+};
+
 /**
  * Create guest user
  * POST /api/auth/guest
@@ -132,7 +225,11 @@ const getCurrentUser = async (req, res) => {
       phone_number: userInfo.phone_number,
       name: userInfo.name,
       role: userInfo.role,
-      permissions
+      points: userInfo.points,
+      daily_streak: pointsService.getCurrentStreak(userInfo),
+      permissions,
+      // Lets the app show a banner while support acts as this customer
+      ...(user.impersonator_id && { impersonator_id: user.impersonator_id })
     }, 'User info retrieved');
   } catch (error) {
     logger.error('Get current user error:', { error: error.message, stack: error.stack });
@@ -148,16 +245,21 @@ const verifyOtp = async (req, res) => {
   try {
     const { phone_number, otp_code } = req.body;
 
-    const result = await authService.verifyOtp(phone_number, otp_code);
+    const result = await authService.verifyOtp(phone_number, otp_code, getDeviceInfo(req));
 
     return successResponse(res, {
       user: result.user,
-      token: result.token
+      token: result.token,
+      refresh_token: result.refresh_token
     }, 'Phone number verified successfully');
   } catch (error) {
-    if (error.message === 'User not found' || error.message === 'Account is already verified' || error.message === 'Invalid or expired OTP code') {
+    if (error.message === 'User not found' || error.message === 'Account is already verified') {
       return errorResponse(res, error.message, 400);
     }
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
+    }
     logger.error('Verify OTP error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'OTP verification failed');
   }
@@ -178,6 +280,10 @@ const resendOtp = async (req, res) => {
     if (error.message === 'User not found' || error.message === 'Account is already verified') {
       return errorResponse(res, error.message, 400);
     }
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
+    }
     logger.error('Resend OTP error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to resend OTP');
   }
@@ -228,6 +334,10 @@ const forgotPassword = async (req, res) => {
     if (error.message === 'ACCOUNT_NOT_VERIFIED') {
       return errorResponse(res, 'الحساب غير مؤكد. يرجى تأكيد حسابك أولاً.', 403);
     }
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
+    }
     logger.error('Forgot password error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to process forgot password request');
   }
@@ -243,8 +353,9 @@ const verifyResetOtp = async (req, res) => {
     await authService.verifyResetOtp(phone_number, otp_code);
     return successResponse(res, null, 'OTP is valid');
   } catch (error) {
-    if (error.message === 'INVALID_OTP') {
-      return errorResponse(res, 'رمز التحقق غير صحيح أو منتهي الصلاحية', 400);
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
     }
     logger.error('Verify reset OTP error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to verify OTP');
@@ -261,8 +372,9 @@ const resetPassword = async (req, res) => {
     const result = await authService.resetPassword(phone_number, otp_code, new_password);
     return successResponse(res, null, result.message);
   } catch (error) {
-    if (error.message === 'INVALID_OTP') {
-      return errorResponse(res, 'رمز التحقق غير صحيح أو منتهي الصلاحية', 400);
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
     }
     logger.error('Reset password error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to reset password');
@@ -274,7 +386,9 @@ module.exports = {
   verifyOtp,
   resendOtp,
   login,
+  loginTwoFactor,
   logout,
+  refresh,
   createGuest,
   getCurrentUser,
   checkPhone,
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('./auth.controller');
-const { authenticate, requireUser } = require('../../middlewares/auth.middleware');
+const { authenticate, optionalAuth, requireUser } = require('../../middlewares/auth.middleware');
 const { validate } = require('../../middlewares/validate.middleware');
 const authValidators = require('./auth.validators');
 const { loginLimiter, registerLimiter, guestLimiter } = require('../../middlewares/rateLimit.middleware');
@@ -43,9 +43,11 @@ router.post('/register', registerLimiter, authValidators.register, validate, aut
  *             $ref: '#/components/schemas/VerifyOtp'
  *     responses:
  *       200:
- *         description: تم التأكيد — يرجع token + بيانات المستخدم
+ *         description: تم التأكيد — يرجع token + refresh_token + بيانات المستخدم
  *       400:
  *         description: رمز غير صحيح أو منتهي
+ *       429:
+ *         description: تجاوز عدد المحاولات الخاطئة — تم إلغاء الرمز ويجب طلب رمز جديد
  */
 router.post('/verify-otp', authValidators.verifyOtp, validate, authController.verifyOtp);
 
@@ -64,6 +66,8 @@ router.post('/verify-otp', authValidators.verifyOtp, validate, authController.ve
  *     responses:
  *       200:
  *         description: تم إرسال الرمز
+ *       429:
+ *         description: طلب رمز جديد قبل انتهاء مهلة الانتظار أو تجاوز الحد اليومي لهذا الرقم
  */
 router.post('/resend-otp', authValidators.resendOtp, validate, authController.resendOtp);
 
@@ -95,6 +99,10 @@ router.post('/check-phone', authValidators.checkPhone, validate, authController.
  * /api/auth/login:
  *   post:
  *     summary: "الخطوة 2: تسجيل الدخول بكلمة المرور"
+ *     description: |
+ *       إذا أُرسل guest token في Authorization تُنقل سلة الزائر وطلباته إلى الحساب ويرجع guest_merge:
+ *       orders_moved + cart.merged + cart.adjustments (reason = product_unavailable أو limited_by_stock أو out_of_stock).
+ *       مع الحسابات التي تتطلب عامل تحقق ثانٍ يتم النقل بعد POST /api/auth/login/2fa.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -104,19 +112,64 @@ router.post('/check-phone', authValidators.checkPhone, validate, authController.
  *             $ref: '#/components/schemas/LoginStep2'
  *     responses:
  *       200:
- *         description: نجاح — يرجع token + بيانات المستخدم + role + permissions
+ *         description: نجاح — يرجع token (صالح 15 دقيقة) + refresh_token + بيانات المستخدم + role + permissions + streak (سلسلة الدخول اليومي ومكافأة النقاط إن وجدت) — أو two_factor_required + challenge_token إذا كان الحساب يتطلب عامل تحقق ثانٍ (أكمل عبر POST /api/auth/login/2fa)
  *       401:
  *         description: كلمة مرور خاطئة
+ *       403:
+ *         description: الحساب معطل، غير مفعّل، أو حساب موظف لم يعيّن كلمة المرور بعد (POST /api/staff/setup)
+ *       423:
+ *         description: الحساب مقفل مؤقتاً بعد محاولات دخول خاطئة متكررة (تتضاعف مدة القفل مع كل قفل متتالٍ ويصل صاحب الحساب SMS)
  *       429:
  *         description: محاولات كثيرة
  */
-router.post('/login', loginLimiter, authValidators.login, validate, authController.login);
+router.post('/login', loginLimiter, optionalAuth, authValidators.login, validate, authController.login);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: الخطوة الثانية لتسجيل الدخول (للحسابات التي تتطلب عامل تحقق ثانٍ)
+ *     description: |
+ *       عندما يرجع POST /api/auth/login القيمة two_factor_required = true يُرسل هنا الرمز مع challenge_token (صالح 5 دقائق)
+ *       للحصول على الـ token والـ refresh_token. method = totp: رمز تطبيق المصادقة في otp_code أو رمز استرداد في recovery_code.
+ *       method = sms: الرمز المرسل بالـ SMS في otp_code. الرموز الخاطئة تُحتسب ضمن قفل الحساب.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challenge_token]
+ *             properties:
+ *               challenge_token:
+ *                 type: string
+ *               otp_code:
+ *                 type: string
+ *                 example: '123456'
+ *               recovery_code:
+ *                 type: string
+ *                 example: ABCDE-FGHIJ
+ *     responses:
+ *       200:
+ *         description: نجاح — نفس استجابة تسجيل الدخول
+ *       400:
+ *         description: رمز غير صحيح أو منتهي الصلاحية
+ *       401:
+ *         description: challenge_token غير صالح أو منتهي
+ *       423:
+ *         description: الحساب مقفل مؤقتاً بسبب محاولات خاطئة
+ *       429:
+ *         description: محاولات كثيرة
+ */
+router.post('/login/2fa', loginLimiter, authValidators.loginTwoFactor, validate, authController.loginTwoFactor);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: تسجيل الخروج
+ *     description: يلغي الجلسة الحالية — يتوقف الـ token والـ refresh_token التابعين لها عن العمل فوراً
  *     tags: [Auth]
  *     security:
  *       - BearerAuth: []
@@ -126,6 +179,33 @@ router.post('/login', loginLimiter, authValidators.login, validate, authControll
  */
 router.post('/logout', authenticate, requireUser, authController.logout);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: تجديد الـ token باستخدام refresh_token
+ *     description: |
+ *       كل refresh_token يُستخدم مرة واحدة فقط ويُستبدل بواحد جديد.
+ *       إعادة استخدام refresh_token قديم تلغي الجلسة بالكامل (حماية من سرقة الـ token).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: نجاح — يرجع token جديد + refresh_token جديد
+ *       401:
+ *         description: refresh_token غير صالح أو منتهي أو الجلسة ملغاة
+ */
+router.post('/refresh', authValidators.refresh, validate, authController.refresh);
+
 /**
  * @swagger
  * /api/auth/guest:
@@ -143,7 +223,7 @@ router.post('/guest', guestLimiter, authValidators.guest, validate, authControll
  * /api/auth/me:
  *   get:
  *     summary: بيانات المستخدم الحالي + صلاحياته
- *     description: يرجع بيانات المستخدم مع مصفوفة `permissions` لتحديد الواجهة
+ *     description: يرجع بيانات المستخدم مع مصفوفة `permissions` لتحديد الواجهة، ورصيد النقاط `points` وسلسلة الدخول اليومي `daily_streak`
  *     tags: [Auth]
  *     security:
  *       - BearerAuth: []
@@ -181,6 +261,8 @@ router.get('/me', authenticate, authController.getCurrentUser);
  *         description: تم إرسال رمز التحقق
  *       404:
  *         description: الرقم غير مسجّل
+ *       429:
+ *         description: طلب رمز جديد قبل انتهاء مهلة الانتظار أو تجاوز الحد اليومي لهذا الرقم
  */
 router.post('/forgot-password', authValidators.forgotPassword, validate, authController.forgotPassword);
 
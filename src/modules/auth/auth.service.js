@@ -1,13 +1,31 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const prisma = require('../../config/prisma');
-const smsService = require('../../utils/sms');
+const cartService = require('../cart/cart.service');
+const lockoutService = require('../lockout/lockout.service');
+const otpService = require('../otp/otp.service');
+const pointsService = require('../points/points.service');
+const sessionsService = require('../sessions/sessions.service');
+const twoFactorService = require('../twofactor/twofactor.service');
 
 /**
  * Auth Service
  * Handles all authentication-related database operations
  */
 
+const LOGIN_CHALLENGE_PURPOSE = 'login_2fa';
+
+/**
+ * Second factor the account logs in with
+ * @param {Object} user - User row
+ * @returns {string|null} 'totp' (authenticator app), 'sms', or null
+ */
+const twoFactorMethod = (user) => {
+  if (user.totp_enabled) return 'totp';
+  if (user.two_factor_required) return 'sms';
+  return null;
+};
+
 /**
  * Register a new user
  * @param {Object} userData - User registration data
@@ -29,6 +47,9 @@ const register = async (userData) => {
     }
   }
 
+  // Refuse before creating the account if this phone can't get a code now
+  await otpService.assertCanIssue(phone_number);
+
   // Hash password
   const saltRounds = 10;
   const password_hash = await bcrypt.hash(password, saltRounds);
@@ -45,20 +66,8 @@ const register = async (userData) => {
     }
   });
 
-  // Generate 6-digit OTP
-  const otp_code = Math.floor(100000 + Math.random() * 900000).toString();
-  const expires_at = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-
-  await prisma.otpCode.create({
-    data: {
-      phone_number,
-      otp_code,
-      expires_at
-    }
-  });
-
   // Send OTP
-  await smsService.sendOTP(phone_number, otp_code);
+  await otpService.issueOtp(phone_number);
 
   return { message: 'Registration successful. Please verify your phone number with the OTP sent to you.' };
 };
@@ -67,9 +76,11 @@ const register = async (userData) => {
  * Login user
  * @param {string} phone_number - User's phone number
  * @param {string} password - User's password
- * @returns {Object} User data with JWT token
+ * @param {Object} [device] - { user_agent, ip_address } of the request
+ * @param {number} [guest_id] - Guest token sent with the login; its cart and orders move to the account
+ * @returns {Object} User data with JWT token, or a challenge when the account needs a second factor
  */
-const login = async (phone_number, password) => {
+const login = async (phone_number, password, device, guest_id) => {
   // Find user by phone number
   const user = await prisma.user.findUnique({
     where: { phone_number }
@@ -84,26 +95,86 @@ const login = async (phone_number, password) => {
     throw new Error('Account is deactivated. Please contact support.');
   }
 
+  // Invited staff choose their password with the setup code first
+  if (user.must_set_password) {
+    throw new Error('Account setup is not complete. Use the setup code sent by SMS to set your password.');
+  }
+
   // Check if user is verified
   if (!user.is_verified) {
     throw new Error('Account is not verified. Please verify your phone number first.');
   }
 
+  // Refuse to check passwords while the account is locked
+  lockoutService.assertNotLocked(user);
+
   // Verify password
   const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
   if (!isValidPassword) {
+    const { locked, locked_until } = await lockoutService.recordFailedLogin(user);
+    if (locked) {
+      throw lockoutService.lockedError(locked_until);
+    }
     throw new Error('Invalid phone number or password');
   }
 
-  // Generate JWT token
-  const token = generateToken(user.user_id, user.role);
+  // Second factor: answer with a challenge instead of tokens. Failed
+  // attempts are only cleared once the second factor passes too.
+  const method = twoFactorMethod(user);
+  if (method) {
+    if (method === 'sms') {
+      await otpService.issueOtp(user.phone_number);
+    }
+
+    return {
+      two_factor_required: true,
+      method,
+      challenge_token: generateLoginChallenge(user.user_id, guest_id)
+    };
+  }
+
+  await lockoutService.resetFailedLogins(user);
+
+  return await startSession(user, device, false, guest_id);
+};
+
+/**
+ * Hand a guest's cart and orders over to the account logging in
+ * @param {number} guest_id - Guest ID from the guest token
+ * @param {number} user_id - User logging in
+ * @returns {Object} { orders_moved, cart: { merged, adjustments } } (see cartService.mergeGuestCart)
+ */
+const adoptGuest = async (guest_id, user_id) => {
+  return await prisma.$transaction(async (tx) => {
+    const { count: orders_moved } = await tx.order.updateMany({
+      where: { guest_id },
+      data: { guest_id: null, user_id }
+    });
+
+    const cart = await cartService.mergeGuestCart(tx, guest_id, user_id);
 
-  // Update last login date
-  await prisma.user.update({
-    where: { user_id: user.user_id },
-    data: { last_login_date: new Date() }
+    return { orders_moved, cart };
   });
+};
+
+/**
+ * Finish a login: open a session and update the daily streak
+ * @param {Object} user - User row
+ * @param {Object} [device] - { user_agent, ip_address } of the request
+ * @param {boolean} [mfa_verified] - Login passed a second factor
+ * @param {number} [guest_id] - Guest whose cart and orders move to the account
+ * @returns {Object} User data with JWT token (+ guest_merge report when guest_id is given)
+ */
+const startSession = async (user, device, mfa_verified = false, guest_id) => {
+  const guest_merge = guest_id ? await adoptGuest(guest_id, user.user_id) : undefined;
+
+  // Start a session: short-lived access token + rotating refresh token
+  const { session_id, refresh_token } = await sessionsService.createSession(user.user_id, device, mfa_verified);
+  const token = generateToken(user.user_id, user.role, session_id);
+
+  // Update last login date and the daily streak
+  const streak = await pointsService.recordDailyLogin(user);
 
   return {
     user: {
@@ -112,31 +183,98 @@ const login = async (phone_number, password) => {
       name: user.name,
       role: user.role
     },
-    token
+    token,
+    refresh_token,
+    streak,
+    guest_merge
   };
 };
 
 /**
- * Logout user (client-side token invalidation)
- * Since JWT is stateless, logout is handled client-side
- * @param {number} user_id - User ID
- * @returns {Object} Success message
+ * Second login step for accounts with TOTP enabled or two_factor_required
+ * Wrong authenticator/recovery codes count towards the login lockout.
+ * @param {string} challenge_token - Token returned by login
+ * @param {Object} factor - { otp_code } (SMS or authenticator code) or { recovery_code }
+ * @param {Object} [device] - { user_agent, ip_address } of the request
+ * @returns {Object} User data with JWT token
  */
-const logout = async (user_id) => {
-  // Verify user exists
+const verifyLoginTwoFactor = async (challenge_token, { otp_code, recovery_code }, device) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challenge_token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid or expired login challenge');
+  }
+
+  if (decoded.purpose !== LOGIN_CHALLENGE_PURPOSE) {
+    throw new Error('Invalid or expired login challenge');
+  }
+
   const user = await prisma.user.findUnique({
-    where: { user_id },
-    select: { user_id: true }
+    where: { user_id: decoded.user_id }
   });
 
-  if (!user) {
-    throw new Error('User not found');
+  const method = user && user.is_active ? twoFactorMethod(user) : null;
+
+  if (!method) {
+    throw new Error('Invalid or expired login challenge');
+  }
+
+  lockoutService.assertNotLocked(user);
+
+  if (method === 'totp') {
+    const accepted = await twoFactorService.checkSecondFactor(user, { code: otp_code, recovery_code });
+
+    if (!accepted) {
+      const { locked, locked_until } = await lockoutService.recordFailedLogin(user);
+      if (locked) {
+        throw lockoutService.lockedError(locked_until);
+      }
+      throw new Error('Invalid two-factor code');
+    }
+  } else {
+    // Recovery codes belong to authenticator-app 2FA only
+    if (!otp_code) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const otpRecord = await otpService.verifyOtp(user.phone_number, otp_code);
+    await otpService.consumeOtp(prisma, otpRecord.otp_id);
   }
 
-  // In a stateless JWT system, logout is primarily handled client-side
+  await lockoutService.resetFailedLogins(user);
+
+  return await startSession(user, device, true, decoded.merge_guest_id);
+};
+
+/**
+ * Logout user
+ * Revokes the current session, which ends its refresh token and every
+ * access token issued for it
+ * @param {number} session_id - Session ID from the access token
+ * @returns {Object} Success message
+ */
+const logout = async (session_id) => {
+  await sessionsService.revokeSession(session_id, sessionsService.REVOKE_REASONS.LOGOUT);
+
   return { message: 'Logged out successfully' };
 };
 
+/**
+ * Exchange a refresh token for a new access token + refresh token
+ * @param {string} refresh_token - Refresh token from login or the previous refresh
+ * @param {Object} [device] - { ip_address } of the request
+ * @returns {Object} { token, refresh_token }
+ */
+const refreshSession = async (refresh_token, device) => {
+  const rotated = await sessionsService.rotateRefreshToken(refresh_token, device);
+
+  return {
+    token: generateToken(rotated.user.user_id, rotated.user.role, rotated.session_id),
+    refresh_token: rotated.refresh_token
+  };
+};
+
 /**
  * Create guest user and return guest JWT
  * @param {Object} guestData - Guest data (optional phone_number and name)
@@ -169,18 +307,32 @@ const createGuest = async (guestData = {}) => {
 };
 
 /**
- * Generate JWT token for registered users
+ * Generate short-lived JWT access token for registered users
  * @param {number} user_id - User ID
  * @param {string} role - User role
+ * @param {number} session_id - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user_id, role) => {
-  const payload = { user_id, role };
-  const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+const generateToken = (user_id, role, session_id) => {
+  const payload = { user_id, role, session_id };
+  const expiresIn = process.env.JWT_EXPIRES_IN || '15m';
 
   return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
 };
 
+/**
+ * Short-lived token proving the password step of a two-factor login
+ * It has no session_id, so authenticate() rejects it as an access token.
+ * The guest to merge is stored as merge_guest_id (a guest_id claim would
+ * make authenticate() accept it as a guest token).
+ * @param {number} user_id - User ID
+ * @param {number} [guest_id] - Guest token sent with the login
+ * @returns {string} JWT (5 minutes)
+ */
+const generateLoginChallenge = (user_id, guest_id) => {
+  return jwt.sign({ user_id, merge_guest_id: guest_id, purpose: LOGIN_CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: '5m' });
+};
+
 /**
  * Generate JWT token for guest users
  * @param {number} guest_id - Guest ID
@@ -206,7 +358,10 @@ const verifyUser = async (user_id) => {
       phone_number: true,
       name: true,
       role: true,
-      is_active: true
+      is_active: true,
+      points: true,
+      daily_streak: true,
+      last_login_date: true
     }
   });
 
@@ -221,9 +376,10 @@ const verifyUser = async (user_id) => {
  * Verify OTP code
  * @param {string} phone_number - User's phone number
  * @param {string} otp_code - The OTP code
+ * @param {Object} [device] - { user_agent, ip_address } of the request
  * @returns {Object} User data with JWT token
  */
-const verifyOtp = async (phone_number, otp_code) => {
+const verifyOtp = async (phone_number, otp_code, device) => {
   const user = await prisma.user.findUnique({ where: { phone_number } });
 
   if (!user) {
@@ -234,32 +390,17 @@ const verifyOtp = async (phone_number, otp_code) => {
     throw new Error('Account is already verified');
   }
 
-  const otpRecord = await prisma.otpCode.findFirst({
-    where: {
-      phone_number,
-      otp_code,
-      is_used: false,
-      expires_at: { gt: new Date() }
-    },
-    orderBy: { created_at: 'desc' }
-  });
-
-  if (!otpRecord) {
-    throw new Error('Invalid or expired OTP code');
-  }
+  const otpRecord = await otpService.verifyOtp(phone_number, otp_code);
 
   // Mark OTP as used, update user as verified, and migrate guest orders in a transaction
   await prisma.$transaction(async (tx) => {
     // 1. Mark OTP as used
-    await tx.otpCode.update({
-      where: { otp_id: otpRecord.otp_id },
-      data: { is_used: true }
-    });
+    await otpService.consumeOtp(tx, otpRecord.otp_id);
 
     // 2. Update user as verified
     await tx.user.update({
       where: { user_id: user.user_id },
-      data: { is_verified: true, last_login_date: new Date() }
+      data: { is_verified: true, last_login_date: pointsService.streakDate(), daily_streak: 1 }
     });
 
     // 3. Migrate Guest Orders
@@ -287,8 +428,9 @@ const verifyOtp = async (phone_number, otp_code) => {
     }
   });
 
-  // Generate JWT token
-  const token = generateToken(user.user_id, user.role);
+  // Start a session: short-lived access token + rotating refresh token
+  const { session_id, refresh_token } = await sessionsService.createSession(user.user_id, device);
+  const token = generateToken(user.user_id, user.role, session_id);
 
   return {
     user: {
@@ -297,7 +439,8 @@ const verifyOtp = async (phone_number, otp_code) => {
       name: user.name,
       role: user.role
     },
-    token
+    token,
+    refresh_token
   };
 };
 
@@ -317,20 +460,8 @@ const resendOtp = async (phone_number) => {
     throw new Error('Account is already verified');
   }
 
-  // Generate new OTP
-  const otp_code = Math.floor(100000 + Math.random() * 900000).toString();
-  const expires_at = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-
-  await prisma.otpCode.create({
-    data: {
-      phone_number,
-      otp_code,
-      expires_at
-    }
-  });
-
-  // Send OTP
-  await smsService.sendOTP(phone_number, otp_code);
+  // Send a new OTP (per-phone cooldown and daily cap apply)
+  await otpService.issueOtp(phone_number);
 
   return { message: 'A new OTP has been sent to your phone number.' };
 };
@@ -355,15 +486,13 @@ const checkPhone = async (phone_number) => {
   }
 
   if (!user.is_verified) {
-    // Auto-resend OTP for unverified accounts
-    const otp_code = Math.floor(100000 + Math.random() * 900000).toString();
-    const expires_at = new Date(Date.now() + 5 * 60 * 1000);
-
-    await prisma.otpCode.create({
-      data: { phone_number, otp_code, expires_at }
-    });
-
-    await smsService.sendOTP(phone_number, otp_code);
+    // Auto-resend OTP for unverified accounts. When the phone is throttled the
+    // code sent moments ago is still valid, so the user is just sent to verify.
+    try {
+      await otpService.issueOtp(phone_number);
+    } catch (error) {
+      if (!otpService.OTP_ERROR_RESPONSES[error.message]) throw error;
+    }
 
     throw new Error('ACCOUNT_NOT_VERIFIED');
   }
@@ -391,37 +520,19 @@ const forgotPassword = async (phone_number) => {
     throw new Error('ACCOUNT_NOT_VERIFIED');
   }
 
-  const otp_code = Math.floor(100000 + Math.random() * 900000).toString();
-  const expires_at = new Date(Date.now() + 5 * 60 * 1000);
-
-  await prisma.otpCode.create({
-    data: { phone_number, otp_code, expires_at }
-  });
-
-  await smsService.sendOTP(phone_number, otp_code);
+  await otpService.issueOtp(phone_number);
 
   return { message: 'تم إرسال رمز التحقق لإعادة تعيين كلمة المرور' };
 };
 
 /**
  * Verify OTP code for password reset without consuming it
+ * Wrong codes still count towards the code's attempt limit.
  * @param {string} phone_number
  * @param {string} otp_code
  */
 const verifyResetOtp = async (phone_number, otp_code) => {
-  const otpRecord = await prisma.otpCode.findFirst({
-    where: {
-      phone_number,
-      otp_code,
-      is_used: false,
-      expires_at: { gt: new Date() }
-    },
-    orderBy: { created_at: 'desc' }
-  });
-
-  if (!otpRecord) {
-    throw new Error('INVALID_OTP');
-  }
+  await otpService.verifyOtp(phone_number, otp_code);
 
   return { valid: true };
 };
@@ -433,36 +544,24 @@ const verifyResetOtp = async (phone_number, otp_code) => {
  * @param {string} new_password
  */
 const resetPassword = async (phone_number, otp_code, new_password) => {
-  // Verify OTP
-  const otpRecord = await prisma.otpCode.findFirst({
-    where: {
-      phone_number,
-      otp_code,
-      is_used: false,
-      expires_at: { gt: new Date() }
-    },
-    orderBy: { created_at: 'desc' }
-  });
-
-  if (!otpRecord) {
-    throw new Error('INVALID_OTP');
-  }
-
-  // Mark OTP as used
-  await prisma.otpCode.update({
-    where: { otp_id: otpRecord.otp_id },
-    data: { is_used: true }
-  });
+  // Verify OTP and mark it as used
+  const otpRecord = await otpService.verifyOtp(phone_number, otp_code);
+  await otpService.consumeOtp(prisma, otpRecord.otp_id);
 
   // Hash new password and update
   const saltRounds = 10;
   const password_hash = await bcrypt.hash(new_password, saltRounds);
 
-  await prisma.user.update({
+  // Proving ownership of the phone also lifts a login lockout
+  const user = await prisma.user.update({
     where: { phone_number },
-    data: { password_hash }
+    data: { password_hash, failed_login_attempts: 0, lockout_count: 0, locked_until: null },
+    select: { user_id: true }
   });
 
+  // Log out every device: whoever knew the old password may hold a session
+  await sessionsService.revokeAllUserSessions(user.user_id, sessionsService.REVOKE_REASONS.PASSWORD_RESET);
+
   return { message: 'تم تغيير كلمة المرور بنجاح' };
 };
 
@@ -471,7 +570,9 @@ module.exports = {
   verifyOtp,
   resendOtp,
   login,
+  verifyLoginTwoFactor,
   logout,
+  refreshSession,
   createGuest,
   generateToken,
   generateGuestToken,
@@ -46,6 +46,28 @@ const login = [
     .withMessage('Password is required')
 ];
 
+/**
+ * Second login step validation rules
+ */
+const loginTwoFactor = [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('otp_code')
+    .if(body('recovery_code').not().exists())
+    .notEmpty()
+    .withMessage('otp_code or recovery_code is required')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('OTP code must be 6 digits'),
+
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+];
+
 /**
  * Guest validation rules
  * phone_number is optional — guests may provide it for contact purposes
@@ -130,13 +152,25 @@ const resetPassword = [
     .withMessage('Password must contain at least one number')
 ];
 
+/**
+ * Refresh token validation rules
+ */
+const refresh = [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   guest,
   verifyOtp,
   resendOtp,
   checkPhone,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  refresh
 };
@@ -0,0 +1,29 @@
+const cartService = require('./cart.service');
+const logger = require('../../config/logger');
+const { createIntervalJob } = require('../../utils/intervalJob');
+
+/**
+ * Guest Cart Cleanup
+ * Background loop started by server.js that deletes abandoned guest carts
+ * (untouched for GUEST_CART_TTL_DAYS).
+ */
+
+const INTERVAL_MS = Number(process.env.GUEST_CART_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+
+const job = createIntervalJob({
+  name: 'Guest cart cleanup',
+  intervalMs: INTERVAL_MS,
+  task: async () => {
+    const deleted = await cartService.purgeExpiredGuestCarts();
+
+    if (deleted) {
+      logger.info('Expired guest carts deleted', { deleted });
+    }
+  }
+});
+
+module.exports = {
+  startCleanup: job.start,
+  stopCleanup: job.stop,
+  runOnce: job.runOnce
+};
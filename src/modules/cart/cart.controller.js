@@ -15,13 +15,13 @@ const logger = require('../../config/logger');
 /**
  * Get cart
  * GET /api/cart
- * Protected route (registered users only)
+ * Protected route (guest or registered user)
  */
 const getCart = async (req, res) => {
   try {
-    const user_id = req.user.user_id || req.user.guest_id;
+    const owner = cartService.cartOwner(req.user);
 
-    const cart = await cartService.getCart(user_id);
+    const cart = await cartService.getCart(owner);
 
     return successResponse(res, cart, 'Cart retrieved successfully');
   } catch (error) {
@@ -33,11 +33,11 @@ const getCart = async (req, res) => {
 /**
  * Add item to cart
  * POST /api/cart/items
- * Protected route (registered users only)
+ * Protected route (guest or registered user)
  */
 const addToCart = async (req, res) => {
   try {
-    const user_id = req.user.user_id || req.user.guest_id;
+    const owner = cartService.cartOwner(req.user);
     const { product_id, quantity } = req.body;
 
     // Validate required fields
@@ -55,7 +55,7 @@ const addToCart = async (req, res) => {
       return errorResponse(res, 'Quantity must be a positive number', 400);
     }
 
-    const item = await cartService.addToCart(user_id, {
+    const item = await cartService.addToCart(owner, {
       product_id: parseInt(product_id),
       quantity: parseFloat(quantity)
     });
@@ -78,11 +78,11 @@ const addToCart = async (req, res) => {
 /**
  * Update cart item quantity
  * PUT /api/cart/items/:productId
- * Protected route (registered users only)
+ * Protected route (guest or registered user)
  */
 const updateCartItem = async (req, res) => {
   try {
-    const user_id = req.user.user_id || req.user.guest_id;
+    const owner = cartService.cartOwner(req.user);
     const { productId } = req.params;
     const { quantity } = req.body;
 
@@ -96,7 +96,7 @@ const updateCartItem = async (req, res) => {
       return errorResponse(res, 'Quantity is required and must be a number', 400);
     }
 
-    const result = await cartService.updateCartItem(user_id, parseInt(productId), parseFloat(quantity));
+    const result = await cartService.updateCartItem(owner, parseInt(productId), parseFloat(quantity));
 
     return successResponse(res, result, result.removed ? 'Item removed from cart' : 'Cart updated successfully');
   } catch (error) {
@@ -114,11 +114,11 @@ const updateCartItem = async (req, res) => {
 /**
  * Remove item from cart
  * DELETE /api/cart/items/:productId
- * Protected route (registered users only)
+ * Protected route (guest or registered user)
  */
 const removeFromCart = async (req, res) => {
   try {
-    const user_id = req.user.user_id || req.user.guest_id;
+    const owner = cartService.cartOwner(req.user);
     const { productId } = req.params;
 
     // Validate product_id
@@ -126,7 +126,7 @@ const removeFromCart = async (req, res) => {
       return errorResponse(res, 'Invalid product_id', 400);
     }
 
-    const result = await cartService.removeFromCart(user_id, parseInt(productId));
+    const result = await cartService.removeFromCart(owner, parseInt(productId));
 
     return successResponse(res, result, 'Item removed from cart');
   } catch (error) {
@@ -141,13 +141,13 @@ const removeFromCart = async (req, res) => {
 /**
  * Clear cart
  * DELETE /api/cart
- * Protected route (registered users only)
+ * Protected route (guest or registered user)
  */
 const clearCart = async (req, res) => {
   try {
-    const user_id = req.user.user_id || req.user.guest_id;
+    const owner = cartService.cartOwner(req.user);
 
-    const result = await cartService.clearCart(user_id);
+    const result = await cartService.clearCart(owner);
 
     return successResponse(res, result, 'Cart cleared successfully');
   } catch (error) {
@@ -159,16 +159,96 @@ const clearCart = async (req, res) => {
   }
 };
 
+/**
+ * Map saved-for-later errors to a response
+ * @returns {Object|null} Response, or null if the error is unexpected
+ */
+const handleSavedItemError = (res, error) => {
+  if (error.message === 'Cart not found') {
+    return notFoundResponse(res, 'Cart');
+  }
+  if (error.message === 'Item not found in cart' || error.message === 'Item not found in saved list') {
+    return notFoundResponse(res, 'Item');
+  }
+  if (error.message === 'Product not found or unavailable') {
+    return notFoundResponse(res, 'Product');
+  }
+  if (error.message.startsWith('Insufficient stock')) {
+    return errorResponse(res, error.message, 400);
+  }
+  return null;
+};
+
+/**
+ * Move cart item to saved for later
+ * POST /api/cart/items/:productId/save-for-later
+ * Protected route (guest or registered user)
+ */
+const saveForLater = async (req, res) => {
+  try {
+    const owner = cartService.cartOwner(req.user);
+
+    const result = await cartService.saveForLater(owner, parseInt(req.params.productId));
+
+    return successResponse(res, result, 'Item saved for later');
+  } catch (error) {
+    const handled = handleSavedItemError(res, error);
+    if (handled) return handled;
+    logger.error('Save for later error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to save item for later');
+  }
+};
+
+/**
+ * Move saved item back to the cart
+ * POST /api/cart/saved/:productId/move-to-cart
+ * Protected route (guest or registered user)
+ */
+const moveToCart = async (req, res) => {
+  try {
+    const owner = cartService.cartOwner(req.user);
+
+    const result = await cartService.moveToCart(owner, parseInt(req.params.productId));
+
+    return successResponse(res, result, 'Item moved to cart');
+  } catch (error) {
+    const handled = handleSavedItemError(res, error);
+    if (handled) return handled;
+    logger.error('Move to cart error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to move item to cart');
+  }
+};
+
+/**
+ * Remove saved item
+ * DELETE /api/cart/saved/:productId
+ * Protected route (guest or registered user)
+ */
+const removeSavedItem = async (req, res) => {
+  try {
+    const owner = cartService.cartOwner(req.user);
+
+    const result = await cartService.removeSavedItem(owner, parseInt(req.params.productId));
+
+    return successResponse(res, result, 'Saved item removed');
+  } catch (error) {
+    const handled = handleSavedItemError(res, error);
+    if (handled) return handled;
+    logger.error('Remove saved item error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to remove saved item');
+  }
+};
+
 /**
  * Validate cart
  * GET /api/cart/validate
- * Protected route (registered users only)
+ * Protected route (guest or registered user)
  */
 const validateCart = async (req, res) => {
   try {
-    const user_id = req.user.user_id || req.user.guest_id;
+    const owner = cartService.cartOwner(req.user);
 
-    const result = await cartService.validateCart(user_id);
+    const result = await cartService.validateCart(owner);
 
     return successResponse(res, result, result.valid ? 'Cart is valid' : 'Cart has invalid items');
   } catch (error) {
@@ -183,5 +263,8 @@ module.exports = {
   updateCartItem,
   removeFromCart,
   clearCart,
+  saveForLater,
+  moveToCart,
+  removeSavedItem,
   validateCart
 };
\ No newline at end of file
@@ -10,12 +10,16 @@ const cartValidators = require('./cart.validators');
  * /api/cart:
  *   get:
  *     summary: عرض محتويات السلة
+ *     description: |
+ *       changes تعرض ما تغيّر منذ إضافة كل منتج (type):
+ *       price_increased / price_decreased (old_price, new_price)، unavailable (أصبح غير متاح وأُزيل من السلة)،
+ *       stock_reduced (requested, available).
  *     tags: [Cart]
  *     security:
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: محتويات السلة مع الإجماليات
+ *         description: محتويات السلة مع الإجماليات والتغييرات والمنتجات المحفوظة
  *   delete:
  *     summary: تفريغ السلة بالكامل
  *     tags: [Cart]
@@ -38,7 +42,7 @@ router.delete('/', authenticate, allowGuestOrUser, cartController.clearCart);
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: نتيجة التحقق
+ *         description: نتيجة التحقق — valid + invalid_items + changes (نفس تغييرات عرض السلة، لعرضها قبل إتمام الطلب)
  */
 router.get('/validate', authenticate, allowGuestOrUser, cartController.validateCart);
 
@@ -113,5 +117,75 @@ router.post('/items', authenticate, allowGuestOrUser, cartValidators.addToCart,
 router.put('/items/:productId', authenticate, allowGuestOrUser, cartValidators.updateCartItem, validate, cartController.updateCartItem);
 router.delete('/items/:productId', authenticate, allowGuestOrUser, cartValidators.removeFromCart, validate, cartController.removeFromCart);
 
+/**
+ * @swagger
+ * /api/cart/items/{productId}/save-for-later:
+ *   post:
+ *     summary: نقل منتج من السلة إلى "محفوظ لوقت لاحق"
+ *     description: المنتجات المحفوظة لا تدخل في إجمالي السلة ولا في التحقق منها، وتظهر في saved_items عند عرض السلة بسعرها ومخزونها الحالي
+ *     tags: [Cart]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم حفظ المنتج لوقت لاحق
+ *       404:
+ *         description: المنتج غير موجود في السلة
+ */
+router.post('/items/:productId/save-for-later', authenticate, allowGuestOrUser, cartValidators.savedItem, validate, cartController.saveForLater);
+
+/**
+ * @swagger
+ * /api/cart/saved/{productId}/move-to-cart:
+ *   post:
+ *     summary: إرجاع منتج محفوظ إلى السلة
+ *     description: تُضاف الكمية المحفوظة إلى الكمية الموجودة في السلة (مع التحقق من المخزون)
+ *     tags: [Cart]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم نقل المنتج إلى السلة
+ *       400:
+ *         description: المخزون غير كافٍ
+ *       404:
+ *         description: المنتج غير محفوظ أو غير متوفر
+ */
+router.post('/saved/:productId/move-to-cart', authenticate, allowGuestOrUser, cartValidators.savedItem, validate, cartController.moveToCart);
+
+/**
+ * @swagger
+ * /api/cart/saved/{productId}:
+ *   delete:
+ *     summary: حذف منتج من "محفوظ لوقت لاحق"
+ *     tags: [Cart]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم حذف المنتج المحفوظ
+ *       404:
+ *         description: المنتج غير محفوظ
+ */
+router.delete('/saved/:productId', authenticate, allowGuestOrUser, cartValidators.savedItem, validate, cartController.removeSavedItem);
+
 module.exports = router;
 
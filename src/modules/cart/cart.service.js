@@ -3,18 +3,64 @@ const prisma = require('../../config/prisma');
 /**
  * Cart Service
  * Handles all cart-related database operations
- * Note: Guests do not have a cart in the database - guest cart lives in the browser
+ *
+ * A cart belongs to a registered user (carts.user_id) or to a guest token
+ * (carts.guest_id). Functions take the owner as { user_id } or { guest_id },
+ * built from req.user with cartOwner().
+ * Guest carts untouched for GUEST_CART_TTL_DAYS are treated as abandoned:
+ * they are emptied on next access and deleted by purgeExpiredGuestCarts.
+ *
+ * Each cart item keeps the price the customer last saw (price_at_add, set
+ * when the item is added or its quantity changed). getCart/validateCart
+ * return `changes` for price moves, products that went inactive and stock
+ * that dropped below the requested quantity.
  */
 
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 7;
+
+/**
+ * Cart owner for an authenticated request
+ * @param {Object} account - req.user (user or guest)
+ * @returns {Object} { user_id } or { guest_id }
+ */
+const cartOwner = (account) => (
+  account.user_id ? { user_id: account.user_id } : { guest_id: account.guest_id }
+);
+
+/**
+ * Oldest updated_at a guest cart may have before it counts as abandoned
+ * @returns {Date} Cutoff date
+ */
+const guestCartCutoff = () => new Date(Date.now() - GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+
 /**
- * Get or create cart for user
- * @param {number} user_id - User ID
+ * Find the owner's cart, ignoring an abandoned guest cart
+ * @param {Object} owner - { user_id } or { guest_id }
+ * @returns {Object|null} { cart_id, updated_at }
+ */
+const findCart = async (owner) => {
+  const cart = await prisma.cart.findUnique({
+    where: owner,
+    select: { cart_id: true, updated_at: true }
+  });
+
+  if (cart && owner.guest_id && cart.updated_at < guestCartCutoff()) {
+    return null;
+  }
+
+  return cart;
+};
+
+/**
+ * Get or create cart for user or guest
+ * An abandoned guest cart is replaced by an empty one.
+ * @param {Object} owner - { user_id } or { guest_id }
  * @returns {Object} Cart info
  */
-const getOrCreateCart = async (user_id) => {
+const getOrCreateCart = async (owner) => {
   // Try to get existing cart
   let cart = await prisma.cart.findUnique({
-    where: { user_id },
+    where: owner,
     select: {
       cart_id: true,
       created_at: true,
@@ -22,13 +68,18 @@ const getOrCreateCart = async (user_id) => {
     }
   });
 
+  if (cart && owner.guest_id && cart.updated_at < guestCartCutoff()) {
+    await prisma.cart.delete({ where: { cart_id: cart.cart_id } });
+    cart = null;
+  }
+
   if (cart) {
     return cart;
   }
 
   // Create new cart
   cart = await prisma.cart.create({
-    data: { user_id },
+    data: owner,
     select: {
       cart_id: true,
       created_at: true,
@@ -41,11 +92,11 @@ const getOrCreateCart = async (user_id) => {
 
 /**
  * Get cart with items and totals
- * @param {number} user_id - User ID
- * @returns {Object} Cart with items and calculated totals
+ * @param {Object} owner - { user_id } or { guest_id }
+ * @returns {Object} Cart with items, calculated totals and changes since the items were added
  */
-const getCart = async (user_id) => {
-  const cart = await getOrCreateCart(user_id);
+const getCart = async (owner) => {
+  const cart = await getOrCreateCart(owner);
 
   // Get cart items with product details
   const items = await prisma.cartItem.findMany({
@@ -53,6 +104,7 @@ const getCart = async (user_id) => {
     select: {
       product_id: true,
       quantity: true,
+      price_at_add: true,
       product: {
         select: {
           name: true,
@@ -66,8 +118,16 @@ const getCart = async (user_id) => {
     }
   });
 
-  // Remove inactive products from DB cart (cleanup) and filter
+  // Changes since the customer added each item: price up/down, now
+  // unavailable, stock below the requested quantity
+  const changes = [];
+
+  // Remove inactive products from DB cart (cleanup) and filter.
+  // They are reported once, in the response that removes them.
   const inactiveItems = items.filter(item => !item.product.is_active);
+  inactiveItems.forEach(item => {
+    changes.push({ product_id: item.product_id, name: item.product.name, type: 'unavailable' });
+  });
   if (inactiveItems.length > 0) {
     await prisma.cartItem.deleteMany({
       where: {
@@ -85,18 +145,41 @@ const getCart = async (user_id) => {
   const formattedItems = activeItems.map(item => {
     const quantity = parseFloat(item.quantity);
     const price = parseFloat(item.product.price);
+    const price_at_add = item.price_at_add === null ? null : parseFloat(item.price_at_add);
+    const stock_quantity = parseFloat(item.product.stock_quantity);
     const subtotal = quantity * price;
 
     total_items += quantity;
     total_price += subtotal;
 
+    if (price_at_add !== null && price !== price_at_add) {
+      changes.push({
+        product_id: item.product_id,
+        name: item.product.name,
+        type: price > price_at_add ? 'price_increased' : 'price_decreased',
+        old_price: price_at_add,
+        new_price: price
+      });
+    }
+
+    if (quantity > stock_quantity) {
+      changes.push({
+        product_id: item.product_id,
+        name: item.product.name,
+        type: 'stock_reduced',
+        requested: quantity,
+        available: stock_quantity
+      });
+    }
+
     return {
       product_id: item.product_id,
       quantity,
       name: item.product.name,
       price,
+      price_at_add,
       sale_type: item.product.sale_type,
-      stock_quantity: parseFloat(item.product.stock_quantity),
+      stock_quantity,
       image_url: item.product.image_url,
       subtotal: parseFloat(subtotal.toFixed(2))
     };
@@ -110,17 +193,65 @@ const getCart = async (user_id) => {
       total_price: parseFloat(total_price.toFixed(2)),
       items_count: formattedItems.length
     },
+    changes,
+    saved_items: await getSavedItems(cart.cart_id),
     updated_at: cart.updated_at
   };
 };
 
+/**
+ * Saved-for-later items with current price and stock
+ * Unlike cart items, inactive products are kept (flagged is_available: false)
+ * so the customer still sees what they saved.
+ * @param {number} cart_id - Cart ID
+ * @returns {Array} Saved items, newest first
+ */
+const getSavedItems = async (cart_id) => {
+  const saved = await prisma.savedCartItem.findMany({
+    where: { cart_id },
+    orderBy: { saved_at: 'desc' },
+    select: {
+      product_id: true,
+      quantity: true,
+      saved_at: true,
+      product: {
+        select: {
+          name: true,
+          price: true,
+          sale_type: true,
+          stock_quantity: true,
+          image_url: true,
+          is_active: true
+        }
+      }
+    }
+  });
+
+  return saved.map(item => {
+    const quantity = parseFloat(item.quantity);
+    const stock_quantity = parseFloat(item.product.stock_quantity);
+
+    return {
+      product_id: item.product_id,
+      quantity,
+      name: item.product.name,
+      price: parseFloat(item.product.price),
+      sale_type: item.product.sale_type,
+      stock_quantity,
+      image_url: item.product.image_url,
+      is_available: item.product.is_active && stock_quantity > 0,
+      saved_at: item.saved_at
+    };
+  });
+};
+
 /**
  * Add item to cart
- * @param {number} user_id - User ID
+ * @param {Object} owner - { user_id } or { guest_id }
  * @param {Object} itemData - Item data
  * @returns {Object} Added item
  */
-const addToCart = async (user_id, itemData) => {
+const addToCart = async (owner, itemData) => {
   const { product_id, quantity } = itemData;
 
   // Verify product exists and is active
@@ -150,7 +281,7 @@ const addToCart = async (user_id, itemData) => {
   }
 
   // Get or create cart
-  const cart = await getOrCreateCart(user_id);
+  const cart = await getOrCreateCart(owner);
 
   // Run stock check and upsert inside a transaction to prevent race conditions
   return await prisma.$transaction(async (tx) => {
@@ -192,18 +323,25 @@ const addToCart = async (user_id, itemData) => {
             product_id
           }
         },
-        data: { quantity: newQty }
+        data: { quantity: newQty, price_at_add: freshProduct.price }
       });
     } else {
       await tx.cartItem.create({
         data: {
           cart_id: cart.cart_id,
           product_id,
-          quantity
+          quantity,
+          price_at_add: freshProduct.price
         }
       });
     }
 
+    // Touch cart updated_at (also keeps a guest cart from expiring)
+    await tx.cart.update({
+      where: { cart_id: cart.cart_id },
+      data: { updated_at: new Date() }
+    });
+
     return {
       product_id,
       name: freshProduct.name,
@@ -217,17 +355,14 @@ const addToCart = async (user_id, itemData) => {
 
 /**
  * Update cart item quantity
- * @param {number} user_id - User ID
+ * @param {Object} owner - { user_id } or { guest_id }
  * @param {number} product_id - Product ID
  * @param {number} quantity - New quantity
  * @returns {Object} Updated item
  */
-const updateCartItem = async (user_id, product_id, quantity) => {
+const updateCartItem = async (owner, product_id, quantity) => {
   // Get cart
-  const cart = await prisma.cart.findUnique({
-    where: { user_id },
-    select: { cart_id: true }
-  });
+  const cart = await findCart(owner);
 
   if (!cart) {
     throw new Error('Cart not found');
@@ -295,7 +430,7 @@ const updateCartItem = async (user_id, product_id, quantity) => {
         product_id
       }
     },
-    data: { quantity }
+    data: { quantity, price_at_add: item.product.price }
   });
 
   // Touch cart updated_at to reflect latest change
@@ -316,16 +451,13 @@ const updateCartItem = async (user_id, product_id, quantity) => {
 
 /**
  * Remove item from cart
- * @param {number} user_id - User ID
+ * @param {Object} owner - { user_id } or { guest_id }
  * @param {number} product_id - Product ID
  * @returns {Object} Removed item info
  */
-const removeFromCart = async (user_id, product_id) => {
+const removeFromCart = async (owner, product_id) => {
   // Get cart
-  const cart = await prisma.cart.findUnique({
-    where: { user_id },
-    select: { cart_id: true }
-  });
+  const cart = await findCart(owner);
 
   if (!cart) {
     throw new Error('Cart not found');
@@ -354,15 +486,12 @@ const removeFromCart = async (user_id, product_id) => {
 
 /**
  * Clear all items from cart
- * @param {number} user_id - User ID
+ * @param {Object} owner - { user_id } or { guest_id }
  * @returns {Object} Success info
  */
-const clearCart = async (user_id) => {
+const clearCart = async (owner) => {
   // Get cart
-  const cart = await prisma.cart.findUnique({
-    where: { user_id },
-    select: { cart_id: true }
-  });
+  const cart = await findCart(owner);
 
   if (!cart) {
     throw new Error('Cart not found');
@@ -379,12 +508,146 @@ const clearCart = async (user_id) => {
 };
 
 /**
- * Validate cart items against stock
- * @param {number} user_id - User ID
+ * Move a cart item to the saved-for-later list
+ * @param {Object} owner - { user_id } or { guest_id }
+ * @param {number} product_id - Product ID
+ * @returns {Object} Saved item info
+ */
+const saveForLater = async (owner, product_id) => {
+  const cart = await findCart(owner);
+
+  if (!cart) {
+    throw new Error('Cart not found');
+  }
+
+  const key = { cart_id_product_id: { cart_id: cart.cart_id, product_id } };
+
+  return await prisma.$transaction(async (tx) => {
+    const item = await tx.cartItem.findUnique({ where: key, select: { quantity: true } });
+
+    if (!item) {
+      throw new Error('Item not found in cart');
+    }
+
+    await tx.cartItem.delete({ where: key });
+
+    // Saving a product that is already saved replaces the saved quantity
+    await tx.savedCartItem.upsert({
+      where: key,
+      update: { quantity: item.quantity, saved_at: new Date() },
+      create: { cart_id: cart.cart_id, product_id, quantity: item.quantity }
+    });
+
+    await tx.cart.update({
+      where: { cart_id: cart.cart_id },
+      data: { updated_at: new Date() }
+    });
+
+    return {
+      product_id,
+      quantity: parseFloat(item.quantity),
+      saved: true
+    };
+  });
+};
+
+/**
+ * Move a saved-for-later item back into the cart
+ * Its quantity is added to any quantity already in the cart (stock checked).
+ * @param {Object} owner - { user_id } or { guest_id }
+ * @param {number} product_id - Product ID
+ * @returns {Object} Cart item
+ */
+const moveToCart = async (owner, product_id) => {
+  const cart = await findCart(owner);
+
+  if (!cart) {
+    throw new Error('Cart not found');
+  }
+
+  const key = { cart_id_product_id: { cart_id: cart.cart_id, product_id } };
+
+  return await prisma.$transaction(async (tx) => {
+    const saved = await tx.savedCartItem.findUnique({ where: key, select: { quantity: true } });
+
+    if (!saved) {
+      throw new Error('Item not found in saved list');
+    }
+
+    const product = await tx.product.findFirst({
+      where: { product_id, is_active: true },
+      select: { name: true, price: true, sale_type: true, stock_quantity: true }
+    });
+
+    if (!product) {
+      throw new Error('Product not found or unavailable');
+    }
+
+    const existingItem = await tx.cartItem.findUnique({ where: key, select: { quantity: true } });
+    const newQty = (existingItem ? parseFloat(existingItem.quantity) : 0) + parseFloat(saved.quantity);
+
+    if (newQty > parseFloat(product.stock_quantity)) {
+      throw new Error(`Insufficient stock. Available: ${product.stock_quantity} ${product.sale_type}`);
+    }
+
+    await tx.cartItem.upsert({
+      where: key,
+      update: { quantity: newQty, price_at_add: product.price },
+      create: { cart_id: cart.cart_id, product_id, quantity: newQty, price_at_add: product.price }
+    });
+
+    await tx.savedCartItem.delete({ where: key });
+
+    await tx.cart.update({
+      where: { cart_id: cart.cart_id },
+      data: { updated_at: new Date() }
+    });
+
+    return {
+      product_id,
+      name: product.name,
+      quantity: newQty,
+      price: parseFloat(product.price),
+      sale_type: product.sale_type,
+      subtotal: parseFloat((newQty * parseFloat(product.price)).toFixed(2))
+    };
+  });
+};
+
+/**
+ * Remove an item from the saved-for-later list
+ * @param {Object} owner - { user_id } or { guest_id }
+ * @param {number} product_id - Product ID
+ * @returns {Object} Removed item info
+ */
+const removeSavedItem = async (owner, product_id) => {
+  const cart = await findCart(owner);
+
+  if (!cart) {
+    throw new Error('Cart not found');
+  }
+
+  const { count } = await prisma.savedCartItem.deleteMany({
+    where: { cart_id: cart.cart_id, product_id }
+  });
+
+  if (count === 0) {
+    throw new Error('Item not found in saved list');
+  }
+
+  return {
+    product_id,
+    removed: true
+  };
+};
+
+/**
+ * Validate cart items against stock (saved-for-later items are not checked)
+ * @param {Object} owner - { user_id } or { guest_id }
  * @returns {Object} Validation result
  */
-const validateCart = async (user_id) => {
-  const cart = await getCart(user_id);
+const validateCart = async (owner) => {
+  const cart = await getCart(owner);
   const invalidItems = [];
 
   cart.items.forEach(item => {
@@ -400,16 +663,142 @@ const validateCart = async (user_id) => {
 
   return {
     valid: invalidItems.length === 0,
-    invalid_items: invalidItems
+    invalid_items: invalidItems,
+    changes: cart.changes
   };
 };
 
+/**
+ * Move a guest's cart into a user's cart (on login with a guest token)
+ * Quantities of products in both carts are summed and clamped to stock;
+ * inactive or sold-out products are dropped. Saved-for-later items are added
+ * to the user's saved list. The guest cart is deleted.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} guest_id - Guest ID from the guest token
+ * @param {number} user_id - User logging in
+ * @returns {Object} { merged: [{ product_id, name, quantity }], adjustments: [{ product_id, name, requested, quantity, reason }] }
+ */
+const mergeGuestCart = async (client, guest_id, user_id) => {
+  const report = { merged: [], adjustments: [] };
+
+  const guestCart = await client.cart.findUnique({
+    where: { guest_id },
+    select: {
+      cart_id: true,
+      updated_at: true,
+      items: {
+        select: {
+          product_id: true,
+          quantity: true,
+          price_at_add: true,
+          product: { select: { name: true, is_active: true, stock_quantity: true } }
+        }
+      },
+      saved_items: { select: { product_id: true, quantity: true, saved_at: true } }
+    }
+  });
+
+  if (!guestCart) {
+    return report;
+  }
+
+  await client.cart.delete({ where: { cart_id: guestCart.cart_id } });
+
+  if (guestCart.updated_at < guestCartCutoff() ||
+      (guestCart.items.length === 0 && guestCart.saved_items.length === 0)) {
+    return report;
+  }
+
+  let userCart = await client.cart.findUnique({ where: { user_id }, select: { cart_id: true } });
+  if (!userCart) {
+    userCart = await client.cart.create({ data: { user_id }, select: { cart_id: true } });
+  }
+
+  // Products the user already saved keep the user's saved quantity
+  if (guestCart.saved_items.length > 0) {
+    await client.savedCartItem.createMany({
+      data: guestCart.saved_items.map(item => ({ ...item, cart_id: userCart.cart_id })),
+      skipDuplicates: true
+    });
+  }
+
+  const userItems = await client.cartItem.findMany({
+    where: { cart_id: userCart.cart_id, product_id: { in: guestCart.items.map(i => i.product_id) } },
+    select: { product_id: true, quantity: true }
+  });
+  const existing = new Map(userItems.map(i => [i.product_id, parseFloat(i.quantity)]));
+
+  for (const item of guestCart.items) {
+    const { product_id } = item;
+    const name = item.product.name;
+    const requested = (existing.get(product_id) || 0) + parseFloat(item.quantity);
+    const key = { cart_id_product_id: { cart_id: userCart.cart_id, product_id } };
+
+    if (!item.product.is_active) {
+      report.adjustments.push({ product_id, name, requested, quantity: 0, reason: 'product_unavailable' });
+      continue;
+    }
+
+    const stock = parseFloat(item.product.stock_quantity);
+    const quantity = Math.min(requested, stock);
+
+    if (quantity <= 0) {
+      if (existing.has(product_id)) {
+        await client.cartItem.delete({ where: key });
+      }
+      report.adjustments.push({ product_id, name, requested, quantity: 0, reason: 'out_of_stock' });
+      continue;
+    }
+
+    await client.cartItem.upsert({
+      where: key,
+      update: { quantity },
+      create: { cart_id: userCart.cart_id, product_id, quantity, price_at_add: item.price_at_add }
+    });
+
+    if (quantity < requested) {
+      report.adjustments.push({ product_id, name, requested, quantity, reason: 'limited_by_stock' });
+    }
+    report.merged.push({ product_id, name, quantity });
+  }
+
+  await client.cart.update({
+    where: { cart_id: userCart.cart_id },
+    data: { updated_at: new Date() }
+  });
+
+  return report;
+};
+
+/**
+ * Delete guest carts untouched for GUEST_CART_TTL_DAYS (items cascade)
+ * Run periodically by cart.cleanup.js.
+ * @returns {number} Number of carts deleted
+ */
+const purgeExpiredGuestCarts = async () => {
+  const result = await prisma.cart.deleteMany({
+    where: {
+      guest_id: { not: null },
+      updated_at: { lt: guestCartCutoff() }
+    }
+  });
+
+  return result.count;
+};
+
 module.exports = {
+  GUEST_CART_TTL_DAYS,
+  cartOwner,
   getOrCreateCart,
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
   clearCart,
-  validateCart
+  validateCart,
+  saveForLater,
+  moveToCart,
+  removeSavedItem,
+  mergeGuestCart,
+  purgeExpiredGuestCarts
 };
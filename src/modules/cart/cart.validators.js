@@ -45,8 +45,18 @@ const removeFromCart = [
     .withMessage('Product ID must be a positive integer')
 ];
 
+/**
+ * Save for later / move to cart / remove saved item validation rules
+ */
+const savedItem = [
+  param('productId')
+    .isInt({ min: 1 })
+    .withMessage('Product ID must be a positive integer')
+];
+
 module.exports = {
   addToCart,
   updateCartItem,
-  removeFromCart
+  removeFromCart,
+  savedItem
 };
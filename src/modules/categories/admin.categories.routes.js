@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const categoriesController = require('./categories.controller');
 const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
 const { validate } = require('../../middlewares/validate.middleware');
 const categoriesValidators = require('./categories.validators');
 
@@ -32,7 +33,7 @@ const categoriesValidators = require('./categories.validators');
  *       403:
  *         description: "صلاحية مطلوبة: category.manage"
  */
-router.post('/', authenticate, requirePermission('category.manage'), categoriesValidators.create, validate, categoriesController.createCategory);
+router.post('/', authenticate, requirePermission('category.manage'), categoriesValidators.create, validate, audit('category'), categoriesController.createCategory);
 
 /**
  * @swagger
@@ -70,7 +71,7 @@ router.post('/', authenticate, requirePermission('category.manage'), categoriesV
  *       403:
  *         description: "صلاحية مطلوبة: category.manage"
  */
-router.put('/:id', authenticate, requirePermission('category.manage'), categoriesValidators.update, validate, categoriesController.updateCategory);
-router.delete('/:id', authenticate, requirePermission('category.manage'), categoriesController.deleteCategory);
+router.put('/:id', authenticate, requirePermission('category.manage'), categoriesValidators.update, validate, audit('category'), categoriesController.updateCategory);
+router.delete('/:id', authenticate, requirePermission('category.manage'), audit('category'), categoriesController.deleteCategory);
 
 module.exports = router;
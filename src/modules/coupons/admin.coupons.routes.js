@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const couponsController = require('./coupons.controller');
+const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const couponsValidators = require('./coupons.validators');
+
+/**
+ * @swagger
+ * /api/admin/coupons:
+ *   get:
+ *     summary: قائمة الكوبونات مع إحصائيات الاستخدام
+ *     tags: [Admin - Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: بحث بكود الكوبون
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: قائمة الكوبونات (used_count, claimed_count, remaining_quantity, total_discount_given)
+ *       403:
+ *         description: "صلاحية مطلوبة: coupon.manage"
+ *   post:
+ *     summary: إنشاء كوبون جديد
+ *     tags: [Admin - Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, discount_type, discount_value, valid_from, valid_until]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "RAMADAN10"
+ *               discount_type:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               discount_value:
+ *                 type: number
+ *                 example: 10
+ *               min_order_amount:
+ *                 type: number
+ *                 example: 50
+ *               points_cost:
+ *                 type: integer
+ *                 description: عدد النقاط المطلوبة لاستبدال الكوبون (0 = غير قابل للاستبدال بالنقاط)
+ *               max_total_quantity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: الحد الأقصى لعدد مرات الاستخدام (null = غير محدود)
+ *               valid_from:
+ *                 type: string
+ *                 format: date
+ *               valid_until:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: تم إنشاء الكوبون
+ *       409:
+ *         description: كود الكوبون مستخدم مسبقاً
+ *       403:
+ *         description: "صلاحية مطلوبة: coupon.manage"
+ */
+router.get('/', authenticate, requirePermission('coupon.manage'), couponsController.getAllCoupons);
+router.post('/', authenticate, requirePermission('coupon.manage'), couponsValidators.create, validate, audit('coupon'), couponsController.createCoupon);
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   get:
+ *     summary: تفاصيل كوبون مع إحصائياته
+ *     tags: [Admin - Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: بيانات الكوبون
+ *       404:
+ *         description: الكوبون غير موجود
+ *   put:
+ *     summary: تعديل كوبون
+ *     tags: [Admin - Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم تعديل الكوبون
+ *       403:
+ *         description: "صلاحية مطلوبة: coupon.manage"
+ *   delete:
+ *     summary: تعطيل كوبون (soft delete)
+ *     tags: [Admin - Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم تعطيل الكوبون
+ *       403:
+ *         description: "صلاحية مطلوبة: coupon.manage"
+ */
+router.get('/:id', authenticate, requirePermission('coupon.manage'), couponsValidators.checkCouponId, validate, couponsController.getCouponById);
+router.put('/:id', authenticate, requirePermission('coupon.manage'), couponsValidators.update, validate, audit('coupon'), couponsController.updateCoupon);
+router.delete('/:id', authenticate, requirePermission('coupon.manage'), couponsValidators.checkCouponId, validate, audit('coupon'), couponsController.deactivateCoupon);
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const couponsService = require('./coupons.service');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  createdResponse,
+  serverErrorResponse
+} = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Coupons Controller
+ * Handles HTTP request and response for coupon endpoints
+ */
+
+/**
+ * Normalize numeric/boolean coupon fields from the request body
+ * @param {Object} body - Express request body
+ * @returns {Object} Parsed coupon fields (undefined when not provided)
+ */
+const parseCouponBody = (body) => ({
+  code: body.code,
+  discount_type: body.discount_type,
+  discount_value: body.discount_value !== undefined ? parseFloat(body.discount_value) : undefined,
+  min_order_amount: body.min_order_amount !== undefined ? parseFloat(body.min_order_amount) : undefined,
+  points_cost: body.points_cost !== undefined ? parseInt(body.points_cost) : undefined,
+  max_total_quantity: body.max_total_quantity === null
+    ? null
+    : (body.max_total_quantity !== undefined ? parseInt(body.max_total_quantity) : undefined),
+  is_active: body.is_active !== undefined ? (body.is_active === true || body.is_active === 'true') : undefined,
+  valid_from: body.valid_from,
+  valid_until: body.valid_until
+});
+
+/**
+ * Get all coupons with usage stats (admin only)
+ * GET /api/admin/coupons
+ */
+const getAllCoupons = async (req, res) => {
+  try {
+    const { search, is_active, page, limit } = req.query;
+
+    const result = await couponsService.getAllCoupons({
+      search,
+      is_active,
+      page: page || 1,
+      limit: limit || 20
+    });
+
+    return successResponse(res, result, 'Coupons retrieved successfully');
+  } catch (error) {
+    logger.error('Get all coupons error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get coupons');
+  }
+};
+
+/**
+ * Get coupon by ID (admin only)
+ * GET /api/admin/coupons/:id
+ */
+const getCouponById = async (req, res) => {
+  try {
+    const coupon = await couponsService.getCouponById(parseInt(req.params.id));
+
+    return successResponse(res, coupon, 'Coupon retrieved successfully');
+  } catch (error) {
+    if (error.message === 'Coupon not found') {
+      return notFoundResponse(res, 'Coupon');
+    }
+    logger.error('Get coupon error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get coupon');
+  }
+};
+
+/**
+ * Create coupon (admin only)
+ * POST /api/admin/coupons
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const coupon = await couponsService.createCoupon(parseCouponBody(req.body));
+
+    return createdResponse(res, coupon, 'Coupon created successfully');
+  } catch (error) {
+    if (error.message === 'Coupon code already exists') {
+      return errorResponse(res, error.message, 409);
+    }
+    if (error.message.startsWith('discount_type') ||
+      error.message === 'Percentage discount cannot exceed 100' ||
+      error.message === 'valid_until must be on or after valid_from') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Create coupon error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to create coupon');
+  }
+};
+
+/**
+ * Update coupon (admin only)
+ * PUT /api/admin/coupons/:id
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await couponsService.updateCoupon(parseInt(req.params.id), parseCouponBody(req.body));
+
+    return successResponse(res, coupon, 'Coupon updated successfully');
+  } catch (error) {
+    if (error.message === 'Coupon not found') {
+      return notFoundResponse(res, 'Coupon');
+    }
+    if (error.message === 'Coupon code already exists') {
+      return errorResponse(res, error.message, 409);
+    }
+    if (error.message.startsWith('discount_type') ||
+      error.message.startsWith('max_total_quantity') ||
+      error.message === 'Percentage discount cannot exceed 100' ||
+      error.message === 'valid_until must be on or after valid_from' ||
+      error.message === 'At least one field must be provided to update') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Update coupon error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to update coupon');
+  }
+};
+
+/**
+ * Deactivate coupon (admin only)
+ * DELETE /api/admin/coupons/:id
+ */
+const deactivateCoupon = async (req, res) => {
+  try {
+    const result = await couponsService.deactivateCoupon(parseInt(req.params.id));
+
+    return successResponse(res, result, 'Coupon deactivated successfully');
+  } catch (error) {
+    if (error.message === 'Coupon not found or already inactive') {
+      return notFoundResponse(res, 'Active coupon');
+    }
+    logger.error('Deactivate coupon error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to deactivate coupon');
+  }
+};
+
+/**
+ * Get coupons that can be bought with points
+ * GET /api/coupons/rewards
+ * Protected route
+ */
+const getRedeemableCoupons = async (req, res) => {
+  try {
+    const result = await couponsService.getRedeemableCoupons(req.user.user_id);
+
+    return successResponse(res, result, 'Redeemable coupons retrieved successfully');
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return notFoundResponse(res, 'User');
+    }
+    logger.error('Get redeemable coupons error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get redeemable coupons');
+  }
+};
+
+/**
+ * Redeem a coupon with loyalty points
+ * POST /api/coupons/:id/redeem
+ * Protected route
+ */
+const redeemCoupon = async (req, res) => {
+  try {
+    const result = await couponsService.redeemCouponWithPoints(req.user.user_id, parseInt(req.params.id));
+
+    return createdResponse(res, result, 'Coupon redeemed successfully');
+  } catch (error) {
+    if (error.message === 'Coupon not found') {
+      return notFoundResponse(res, 'Coupon');
+    }
+    if (error.message === 'Coupon has already been redeemed by this account') {
+      return errorResponse(res, error.message, 409);
+    }
+    if (error.message.startsWith('Coupon') || error.message === 'Insufficient points balance') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Redeem coupon error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to redeem coupon');
+  }
+};
+
+/**
+ * Get the user's unused coupons
+ * GET /api/coupons/mine
+ * Protected route
+ */
+const getMyCoupons = async (req, res) => {
+  try {
+    const coupons = await couponsService.getMyCoupons(req.user.user_id);
+
+    return successResponse(res, coupons, 'Coupons retrieved successfully');
+  } catch (error) {
+    logger.error('Get my coupons error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get coupons');
+  }
+};
+
+module.exports = {
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  getRedeemableCoupons,
+  redeemCoupon,
+  getMyCoupons
+};
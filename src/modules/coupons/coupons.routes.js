@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const couponsController = require('./coupons.controller');
+const { authenticate, requireUser } = require('../../middlewares/auth.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const couponsValidators = require('./coupons.validators');
+
+/**
+ * @swagger
+ * /api/coupons/rewards:
+ *   get:
+ *     summary: الكوبونات المتاحة للاستبدال بالنقاط
+ *     tags: [Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: رصيد النقاط وقائمة الكوبونات (already_redeemed, can_redeem)
+ */
+router.get('/rewards', authenticate, requireUser, couponsController.getRedeemableCoupons);
+
+/**
+ * @swagger
+ * /api/coupons/mine:
+ *   get:
+ *     summary: كوبوناتي غير المستخدمة
+ *     tags: [Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: قائمة الكوبونات التي يمكن استخدامها عند إتمام الطلب
+ */
+router.get('/mine', authenticate, requireUser, couponsController.getMyCoupons);
+
+/**
+ * @swagger
+ * /api/coupons/{id}/redeem:
+ *   post:
+ *     summary: استبدال النقاط بكوبون
+ *     description: يخصم points_cost من رصيد النقاط ويضيف الكوبون لحساب المستخدم لاستخدامه لاحقاً عبر coupon_code
+ *     tags: [Coupons]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: تم الاستبدال
+ *       400:
+ *         description: رصيد النقاط غير كافٍ أو الكوبون غير متاح
+ *       404:
+ *         description: الكوبون غير موجود
+ *       409:
+ *         description: تم استبدال هذا الكوبون مسبقاً
+ */
+router.post('/:id/redeem', authenticate, requireUser, couponsValidators.checkCouponId, validate, couponsController.redeemCoupon);
+
+module.exports = router;
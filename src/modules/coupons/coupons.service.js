@@ -0,0 +1,648 @@
+const prisma = require('../../config/prisma');
+const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination');
+const pointsService = require('../points/points.service');
+
+/**
+ * Coupons Service
+ * Handles all coupon-related database operations:
+ * admin management, redeeming coupons with loyalty points
+ * and coupon application at checkout
+ */
+
+const couponSelect = {
+  coupon_id: true,
+  code: true,
+  discount_type: true,
+  discount_value: true,
+  min_order_amount: true,
+  points_cost: true,
+  max_total_quantity: true,
+  used_count: true,
+  is_active: true,
+  valid_from: true,
+  valid_until: true,
+  created_at: true
+};
+
+/**
+ * Convert Decimal fields and derive remaining quantity
+ * @param {Object} coupon - Raw coupon record
+ * @returns {Object} Formatted coupon
+ */
+const formatCoupon = (coupon) => ({
+  ...coupon,
+  discount_value: parseFloat(coupon.discount_value),
+  min_order_amount: parseFloat(coupon.min_order_amount),
+  remaining_quantity: coupon.max_total_quantity === null
+    ? null
+    : Math.max(coupon.max_total_quantity - coupon.used_count, 0)
+});
+
+/**
+ * Validate the combined coupon rules (shared by create and update)
+ * @param {Object} data - Final coupon values after merging the update
+ */
+const assertCouponRules = (data) => {
+  if (!['percentage', 'fixed'].includes(data.discount_type)) {
+    throw new Error("discount_type must be 'percentage' or 'fixed'");
+  }
+
+  if (data.discount_type === 'percentage' && parseFloat(data.discount_value) > 100) {
+    throw new Error('Percentage discount cannot exceed 100');
+  }
+
+  if (new Date(data.valid_until) < new Date(data.valid_from)) {
+    throw new Error('valid_until must be on or after valid_from');
+  }
+
+  if (data.max_total_quantity !== null && data.max_total_quantity !== undefined &&
+    data.max_total_quantity < data.used_count) {
+    throw new Error('max_total_quantity cannot be less than the number of times the coupon was used');
+  }
+};
+
+/**
+ * Create coupon (admin only)
+ * @param {Object} couponData - Coupon data
+ * @returns {Object} Created coupon
+ */
+const createCoupon = async (couponData) => {
+  const code = couponData.code.trim().toUpperCase();
+
+  assertCouponRules({ ...couponData, used_count: 0 });
+
+  const existing = await prisma.coupon.findUnique({
+    where: { code },
+    select: { coupon_id: true }
+  });
+
+  if (existing) {
+    throw new Error('Coupon code already exists');
+  }
+
+  const coupon = await prisma.coupon.create({
+    data: {
+      code,
+      discount_type: couponData.discount_type,
+      discount_value: couponData.discount_value,
+      min_order_amount: couponData.min_order_amount ?? 0,
+      points_cost: couponData.points_cost ?? 0,
+      max_total_quantity: couponData.max_total_quantity ?? null,
+      is_active: couponData.is_active ?? true,
+      valid_from: new Date(couponData.valid_from),
+      valid_until: new Date(couponData.valid_until)
+    },
+    select: couponSelect
+  });
+
+  return formatCoupon(coupon);
+};
+
+/**
+ * Update coupon (admin only)
+ * @param {number} coupon_id - Coupon ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Object} Updated coupon
+ */
+const updateCoupon = async (coupon_id, updateData) => {
+  const existing = await prisma.coupon.findUnique({
+    where: { coupon_id },
+    select: couponSelect
+  });
+
+  if (!existing) {
+    throw new Error('Coupon not found');
+  }
+
+  const allowedFields = [
+    'code', 'discount_type', 'discount_value', 'min_order_amount', 'points_cost',
+    'max_total_quantity', 'is_active', 'valid_from', 'valid_until'
+  ];
+
+  const updatePayload = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) updatePayload[field] = updateData[field];
+  }
+
+  // Guard: reject empty update request
+  if (Object.keys(updatePayload).length === 0) {
+    throw new Error('At least one field must be provided to update');
+  }
+
+  if (updatePayload.code !== undefined) {
+    updatePayload.code = updatePayload.code.trim().toUpperCase();
+
+    if (updatePayload.code !== existing.code) {
+      const duplicate = await prisma.coupon.findUnique({
+        where: { code: updatePayload.code },
+        select: { coupon_id: true }
+      });
+
+      if (duplicate) {
+        throw new Error('Coupon code already exists');
+      }
+    }
+  }
+
+  // Validate the coupon as it will look after the update
+  assertCouponRules({ ...existing, ...updatePayload });
+
+  if (updatePayload.valid_from !== undefined) updatePayload.valid_from = new Date(updatePayload.valid_from);
+  if (updatePayload.valid_until !== undefined) updatePayload.valid_until = new Date(updatePayload.valid_until);
+
+  const coupon = await prisma.coupon.update({
+    where: { coupon_id },
+    data: updatePayload,
+    select: couponSelect
+  });
+
+  return formatCoupon(coupon);
+};
+
+/**
+ * Deactivate coupon (admin only)
+ * Coupons are never hard-deleted because orders reference them through user_coupons
+ * @param {number} coupon_id - Coupon ID
+ * @returns {Object} Deactivated coupon info
+ */
+const deactivateCoupon = async (coupon_id) => {
+  const result = await prisma.coupon.updateMany({
+    where: { coupon_id, is_active: true },
+    data: { is_active: false }
+  });
+
+  if (result.count === 0) {
+    throw new Error('Coupon not found or already inactive');
+  }
+
+  return { coupon_id, is_active: false };
+};
+
+/**
+ * Get all coupons with usage stats (admin only)
+ * @param {Object} options - Query options
+ * @returns {Object} Paginated coupons list
+ */
+const getAllCoupons = async (options) => {
+  const { search, is_active } = options;
+  const { skip, take, page: safePage, limit: safeLimit } = safePaginate(options.page, options.limit);
+
+  // Build where clause
+  const where = {};
+  if (search) {
+    where.code = { contains: search, mode: 'insensitive' };
+  }
+  if (is_active !== undefined) {
+    where.is_active = is_active === 'true';
+  }
+
+  // Get total count
+  const totalItems = await prisma.coupon.count({ where });
+
+  const coupons = await prisma.coupon.findMany({
+    where,
+    select: {
+      ...couponSelect,
+      _count: { select: { user_coupons: true } }
+    },
+    orderBy: { created_at: 'desc' },
+    skip,
+    take
+  });
+
+  // Sum the discount granted per coupon (cancelled orders excluded)
+  const couponIds = coupons.map(c => c.coupon_id);
+  const discountTotals = {};
+
+  if (couponIds.length > 0) {
+    const orders = await prisma.order.findMany({
+      where: {
+        status: { not: 'Cancelled' },
+        user_coupon: { coupon_id: { in: couponIds } }
+      },
+      select: {
+        discount_amount: true,
+        user_coupon: { select: { coupon_id: true } }
+      }
+    });
+
+    for (const order of orders) {
+      const key = order.user_coupon.coupon_id;
+      discountTotals[key] = (discountTotals[key] || 0) + parseFloat(order.discount_amount);
+    }
+  }
+
+  return buildPaginatedResponse(
+    coupons.map(({ _count, ...c }) => {
+      const formatted = formatCoupon(c);
+      return {
+        ...formatted,
+        stats: {
+          used_count: c.used_count,
+          claimed_count: _count.user_coupons,
+          remaining_quantity: formatted.remaining_quantity,
+          total_discount_given: Math.round((discountTotals[c.coupon_id] || 0) * 100) / 100
+        }
+      };
+    }),
+    totalItems,
+    safePage,
+    safeLimit
+  );
+};
+
+/**
+ * Get coupon by ID (admin only)
+ * @param {number} coupon_id - Coupon ID
+ * @returns {Object} Coupon details
+ */
+const getCouponById = async (coupon_id) => {
+  const coupon = await prisma.coupon.findUnique({
+    where: { coupon_id },
+    select: {
+      ...couponSelect,
+      _count: { select: { user_coupons: true } }
+    }
+  });
+
+  if (!coupon) {
+    throw new Error('Coupon not found');
+  }
+
+  const discountStats = await prisma.order.aggregate({
+    where: {
+      status: { not: 'Cancelled' },
+      user_coupon: { coupon_id }
+    },
+    _count: { order_id: true },
+    _sum: { discount_amount: true }
+  });
+
+  const { _count, ...rest } = coupon;
+  const formatted = formatCoupon(rest);
+
+  return {
+    ...formatted,
+    stats: {
+      used_count: coupon.used_count,
+      claimed_count: _count.user_coupons,
+      remaining_quantity: formatted.remaining_quantity,
+      orders_count: discountStats._count.order_id,
+      total_discount_given: parseFloat(discountStats._sum.discount_amount || 0)
+    }
+  };
+};
+
+// ─── Checkout ─────────────────────────────────────────────────────────────────
+
+/**
+ * Today's date at UTC midnight, comparable with @db.Date columns
+ * @returns {Date}
+ */
+const startOfToday = () => new Date(new Date().toISOString().slice(0, 10));
+
+/**
+ * Calculate the discount a coupon grants on a products subtotal
+ * The discount never exceeds the subtotal and does not apply to shipping fees
+ * @param {Object} coupon - Coupon record (discount_type, discount_value)
+ * @param {number} subtotal - Products total before discount
+ * @returns {number} Discount amount rounded to 2 decimals
+ */
+const calculateDiscount = (coupon, subtotal) => {
+  const value = parseFloat(coupon.discount_value);
+  const discount = coupon.discount_type === 'percentage'
+    ? subtotal * value / 100
+    : value;
+
+  return Math.round(Math.min(discount, subtotal) * 100) / 100;
+};
+
+/**
+ * Whether a limited coupon still has uses left
+ * @param {Object} coupon - Coupon record (max_total_quantity, used_count)
+ * @returns {boolean}
+ */
+const hasUseLeft = (coupon) => coupon.max_total_quantity === null || coupon.used_count < coupon.max_total_quantity;
+
+/**
+ * Count one use of a coupon
+ * Atomic guard: increments only while quantity remains, so two concurrent
+ * requests cannot both take the last use of a limited coupon
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} coupon_id - Coupon ID
+ */
+const takeCouponUse = async (tx, coupon_id) => {
+  const incremented = await tx.$executeRaw`
+    UPDATE coupons
+    SET used_count = used_count + 1
+    WHERE coupon_id = ${coupon_id}
+      AND is_active = TRUE
+      AND (max_total_quantity IS NULL OR used_count < max_total_quantity)
+  `;
+
+  if (incremented === 0) {
+    throw new Error('Coupon usage limit has been reached');
+  }
+};
+
+/**
+ * Validate a coupon code for a user's order without writing anything
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} user_id - User ID
+ * @param {string} code - Coupon code as entered by the customer
+ * @param {number} subtotal - Products total before discount
+ * @returns {Object} { coupon, user_coupon, discount_amount }
+ */
+const resolveCouponForOrder = async (client, user_id, code, subtotal) => {
+  const coupon = await client.coupon.findUnique({
+    where: { code: String(code).trim().toUpperCase() },
+    select: couponSelect
+  });
+
+  if (!coupon) {
+    throw new Error('Coupon code is invalid');
+  }
+
+  if (!coupon.is_active) {
+    throw new Error('Coupon is not active');
+  }
+
+  const today = startOfToday();
+  if (coupon.valid_from > today || coupon.valid_until < today) {
+    throw new Error('Coupon is expired or not yet valid');
+  }
+
+  if (subtotal < parseFloat(coupon.min_order_amount)) {
+    throw new Error(`Coupon requires a minimum order of ${parseFloat(coupon.min_order_amount)}`);
+  }
+
+  const alreadyUsed = await client.userCoupon.findFirst({
+    where: { user_id, coupon_id: coupon.coupon_id, is_used: true },
+    select: { user_coupon_id: true }
+  });
+
+  if (alreadyUsed) {
+    throw new Error('Coupon has already been used by this account');
+  }
+
+  // Re-use an unused claim (e.g. released by a cancelled order) instead of creating a new one
+  const user_coupon = await client.userCoupon.findFirst({
+    where: { user_id, coupon_id: coupon.coupon_id, is_used: false },
+    select: { user_coupon_id: true, use_reserved: true },
+    orderBy: { created_at: 'asc' }
+  });
+
+  // Points coupons can only be used after they were bought with points
+  if (coupon.points_cost > 0 && !user_coupon) {
+    throw new Error('Coupon must be redeemed with points before it can be used');
+  }
+
+  // A claim bought with points already holds its use
+  if (!user_coupon?.use_reserved && !hasUseLeft(coupon)) {
+    throw new Error('Coupon usage limit has been reached');
+  }
+
+  return {
+    coupon,
+    user_coupon,
+    discount_amount: calculateDiscount(coupon, subtotal)
+  };
+};
+
+/**
+ * Validate and consume a coupon inside the order transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} user_id - User ID
+ * @param {string} code - Coupon code
+ * @param {number} subtotal - Products total before discount
+ * @returns {Object} { user_coupon_id, coupon_code, discount_amount }
+ */
+const applyCouponToOrder = async (tx, user_id, code, subtotal) => {
+  const { coupon, user_coupon, discount_amount } = await resolveCouponForOrder(tx, user_id, code, subtotal);
+
+  if (!user_coupon?.use_reserved) {
+    await takeCouponUse(tx, coupon.coupon_id);
+  }
+
+  let user_coupon_id;
+  if (user_coupon) {
+    const claimed = await tx.userCoupon.updateMany({
+      where: { user_coupon_id: user_coupon.user_coupon_id, is_used: false },
+      data: { is_used: true, used_at: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      throw new Error('Coupon has already been used by this account');
+    }
+    user_coupon_id = user_coupon.user_coupon_id;
+  } else {
+    let created;
+    try {
+      created = await tx.userCoupon.create({
+        data: {
+          user_id,
+          coupon_id: coupon.coupon_id,
+          is_used: true,
+          used_at: new Date()
+        },
+        select: { user_coupon_id: true }
+      });
+    } catch (error) {
+      // P2002: unique (user_id, coupon_id) — a concurrent order claimed it first
+      if (error.code === 'P2002') {
+        throw new Error('Coupon has already been used by this account');
+      }
+      throw error;
+    }
+    user_coupon_id = created.user_coupon_id;
+  }
+
+  return {
+    user_coupon_id,
+    coupon_code: coupon.code,
+    discount_amount
+  };
+};
+
+/**
+ * Release a coupon consumed by an order that is being cancelled
+ * Marks the user's claim as unused again and gives the use back to the coupon
+ * (unless the claim was bought with points and holds its use)
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} user_coupon_id - UserCoupon ID stored on the order
+ */
+const releaseCoupon = async (tx, user_coupon_id) => {
+  const userCoupon = await tx.userCoupon.findUnique({
+    where: { user_coupon_id },
+    select: { coupon_id: true, use_reserved: true }
+  });
+
+  if (!userCoupon) return;
+
+  const released = await tx.userCoupon.updateMany({
+    where: { user_coupon_id, is_used: true },
+    data: { is_used: false, used_at: null }
+  });
+
+  // A claim bought with points keeps its use for the customer's next order
+  if (released.count > 0 && !userCoupon.use_reserved) {
+    await tx.coupon.updateMany({
+      where: { coupon_id: userCoupon.coupon_id, used_count: { gt: 0 } },
+      data: { used_count: { decrement: 1 } }
+    });
+  }
+};
+
+// ─── Points Redemption ────────────────────────────────────────────────────────
+
+/**
+ * Get coupons that can currently be bought with points
+ * @param {number} user_id - User ID
+ * @returns {Object} { balance, coupons } with per-coupon redeem state
+ */
+const getRedeemableCoupons = async (user_id) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { points: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const today = startOfToday();
+  const coupons = await prisma.coupon.findMany({
+    where: {
+      is_active: true,
+      points_cost: { gt: 0 },
+      valid_from: { lte: today },
+      valid_until: { gte: today }
+    },
+    select: couponSelect,
+    orderBy: { points_cost: 'asc' }
+  });
+
+  // Coupons this user already claimed (a coupon can be used once per account)
+  const claims = await prisma.userCoupon.findMany({
+    where: { user_id, coupon_id: { in: coupons.map(c => c.coupon_id) } },
+    select: { coupon_id: true }
+  });
+  const claimedIds = new Set(claims.map(c => c.coupon_id));
+
+  return {
+    balance: user.points,
+    coupons: coupons
+      .map(formatCoupon)
+      .filter(c => c.remaining_quantity === null || c.remaining_quantity > 0)
+      .map(c => ({
+        ...c,
+        already_redeemed: claimedIds.has(c.coupon_id),
+        can_redeem: !claimedIds.has(c.coupon_id) && user.points >= c.points_cost
+      }))
+  };
+};
+
+/**
+ * Buy a coupon with loyalty points
+ * Deducts the points, writes the ledger row and creates an unused claim
+ * the customer can apply later at checkout — all in one transaction.
+ * @param {number} user_id - User ID
+ * @param {number} coupon_id - Coupon ID
+ * @returns {Object} { user_coupon_id, coupon, points_spent, balance }
+ */
+const redeemCouponWithPoints = async (user_id, coupon_id) => {
+  return await prisma.$transaction(async (tx) => {
+    // Lock the user row so concurrent redeems for the same account run one
+    // after the other (prevents claiming the same coupon twice)
+    await tx.$queryRaw`SELECT user_id FROM users WHERE user_id = ${user_id} FOR UPDATE`;
+
+    const coupon = await tx.coupon.findUnique({
+      where: { coupon_id },
+      select: couponSelect
+    });
+
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    if (!coupon.is_active || coupon.points_cost <= 0) {
+      throw new Error('Coupon is not available for points');
+    }
+
+    const today = startOfToday();
+    if (coupon.valid_from > today || coupon.valid_until < today) {
+      throw new Error('Coupon is expired or not yet valid');
+    }
+
+    const existingClaim = await tx.userCoupon.findFirst({
+      where: { user_id, coupon_id },
+      select: { user_coupon_id: true }
+    });
+
+    if (existingClaim) {
+      throw new Error('Coupon has already been redeemed by this account');
+    }
+
+    // Take the use now, so the points buy a coupon that can still be used
+    await takeCouponUse(tx, coupon_id);
+
+    const balance = await pointsService.spendPoints(
+      tx, user_id, coupon.points_cost, pointsService.REASONS.COUPON_REDEEMED
+    );
+
+    const userCoupon = await tx.userCoupon.create({
+      data: {
+        user_id,
+        coupon_id,
+        is_used: false,
+        use_reserved: true
+      },
+      select: { user_coupon_id: true }
+    });
+
+    return {
+      user_coupon_id: userCoupon.user_coupon_id,
+      coupon: formatCoupon(coupon),
+      points_spent: coupon.points_cost,
+      balance
+    };
+  });
+};
+
+/**
+ * Get the user's unused coupon claims (e.g. coupons bought with points)
+ * @param {number} user_id - User ID
+ * @returns {Array} Unused claims with coupon details
+ */
+const getMyCoupons = async (user_id) => {
+  const claims = await prisma.userCoupon.findMany({
+    where: { user_id, is_used: false },
+    select: {
+      user_coupon_id: true,
+      created_at: true,
+      coupon: { select: couponSelect }
+    },
+    orderBy: { created_at: 'desc' }
+  });
+
+  return claims.map(claim => ({
+    user_coupon_id: claim.user_coupon_id,
+    redeemed_at: claim.created_at,
+    coupon: formatCoupon(claim.coupon)
+  }));
+};
+
+module.exports = {
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  getAllCoupons,
+  getCouponById,
+  getRedeemableCoupons,
+  redeemCouponWithPoints,
+  getMyCoupons,
+  calculateDiscount,
+  resolveCouponForOrder,
+  applyCouponToOrder,
+  releaseCoupon
+};
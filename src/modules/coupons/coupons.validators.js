@@ -0,0 +1,157 @@
+const { body, param } = require('express-validator');
+
+/**
+ * Coupons Validation Rules
+ */
+
+/**
+ * Reject a percentage discount above 100 when both fields are in the body
+ */
+const percentageCap = (value, { req }) => {
+  if (req.body.discount_type === 'percentage' && parseFloat(value) > 100) {
+    throw new Error('Percentage discount cannot exceed 100');
+  }
+  return true;
+};
+
+/**
+ * Reject valid_until earlier than valid_from when both fields are in the body
+ */
+const dateWindow = (value, { req }) => {
+  if (req.body.valid_from && new Date(value) < new Date(req.body.valid_from)) {
+    throw new Error('valid_until must be on or after valid_from');
+  }
+  return true;
+};
+
+/**
+ * Create coupon validation rules
+ */
+const create = [
+  body('code')
+    .notEmpty()
+    .withMessage('Coupon code is required')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Coupon code must be between 3 and 50 characters')
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Coupon code may contain only letters, numbers, dashes and underscores'),
+
+  body('discount_type')
+    .notEmpty()
+    .withMessage('Discount type is required')
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be "percentage" or "fixed"'),
+
+  body('discount_value')
+    .notEmpty()
+    .withMessage('Discount value is required')
+    .isFloat({ gt: 0 })
+    .withMessage('Discount value must be greater than 0')
+    .custom(percentageCap),
+
+  body('min_order_amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order amount must be a non-negative number'),
+
+  body('points_cost')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Points cost must be a non-negative integer'),
+
+  body('max_total_quantity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Max total quantity must be a positive integer or null'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+
+  body('valid_from')
+    .notEmpty()
+    .withMessage('valid_from is required')
+    .isISO8601()
+    .withMessage('valid_from must be a valid date (YYYY-MM-DD)'),
+
+  body('valid_until')
+    .notEmpty()
+    .withMessage('valid_until is required')
+    .isISO8601()
+    .withMessage('valid_until must be a valid date (YYYY-MM-DD)')
+    .custom(dateWindow)
+];
+
+/**
+ * Update coupon validation rules
+ */
+const update = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Coupon ID must be a positive integer'),
+
+  body('code')
+    .optional()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Coupon code must be between 3 and 50 characters')
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Coupon code may contain only letters, numbers, dashes and underscores'),
+
+  body('discount_type')
+    .optional()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be "percentage" or "fixed"'),
+
+  body('discount_value')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Discount value must be greater than 0')
+    .custom(percentageCap),
+
+  body('min_order_amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order amount must be a non-negative number'),
+
+  body('points_cost')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Points cost must be a non-negative integer'),
+
+  body('max_total_quantity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Max total quantity must be a positive integer or null'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+
+  body('valid_from')
+    .optional()
+    .isISO8601()
+    .withMessage('valid_from must be a valid date (YYYY-MM-DD)'),
+
+  body('valid_until')
+    .optional()
+    .isISO8601()
+    .withMessage('valid_until must be a valid date (YYYY-MM-DD)')
+    .custom(dateWindow)
+];
+
+/**
+ * Coupon ID param validation rules
+ */
+const checkCouponId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Coupon ID must be a positive integer')
+];
+
+module.exports = {
+  create,
+  update,
+  checkCouponId
+};
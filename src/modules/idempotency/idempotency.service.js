@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const prisma = require('../../config/prisma');
+
+/**
+ * Idempotency Service
+ * Remembers the response to a write request sent with an Idempotency-Key
+ * header, so a retry of the same request gets that response instead of
+ * running again.
+ *
+ * - A key belongs to the caller (user or guest) and lives for
+ *   IDEMPOTENCY_KEY_TTL_HOURS.
+ * - The first request claims the key (status_code null) before it runs;
+ *   a concurrent retry is refused until it finishes.
+ * - Only successful responses are kept. After an error the key is released
+ *   so the client can retry with it. A request that never finished (server
+ *   stopped mid-way) keeps its key blocked until it expires.
+ */
+
+const IDEMPOTENCY_KEY_TTL_HOURS = Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+/**
+ * JSON with object keys sorted, so equal bodies hash the same
+ * @param {*} value - Any JSON value
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash of what the request asks for
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Request body
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashRequest = (method, path, body) => crypto
+  .createHash('sha256')
+  .update(`${method} ${path} ${canonicalJson(body || {})}`)
+  .digest('hex');
+
+/**
+ * Claim a key for a request, or get the response stored for it
+ * @param {Object} data - { owner, key, request_hash }
+ * @returns {Object} { claimed: true } to run the request, or { claimed: false, status_code, response } to replay
+ */
+const claimKey = async ({ owner, key, request_hash }) => {
+  await prisma.idempotencyKey.deleteMany({ where: { expires_at: { lt: new Date() } } });
+
+  try {
+    await prisma.idempotencyKey.create({
+      data: {
+        owner,
+        key,
+        request_hash,
+        expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+      }
+    });
+    return { claimed: true };
+  } catch (error) {
+    // P2002: unique (owner, key) — the key was used before
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({
+    where: { owner_key: { owner, key } },
+    select: { request_hash: true, status_code: true, response: true }
+  });
+
+  if (existing && existing.request_hash !== request_hash) {
+    throw new Error('Idempotency-Key was already used with a different request');
+  }
+
+  if (!existing || existing.status_code === null) {
+    throw new Error('A request with this Idempotency-Key is still in progress');
+  }
+
+  return { claimed: false, status_code: existing.status_code, response: existing.response };
+};
+
+/**
+ * Store the response of a claimed key
+ * @param {Object} data - { owner, key, status_code, response }
+ */
+const completeKey = async ({ owner, key, status_code, response }) => {
+  await prisma.idempotencyKey.update({
+    where: { owner_key: { owner, key } },
+    data: { status_code, response }
+  });
+};
+
+/**
+ * Release a claimed key after a failed request
+ * @param {Object} data - { owner, key }
+ */
+const releaseKey = async ({ owner, key }) => {
+  await prisma.idempotencyKey.deleteMany({ where: { owner, key, status_code: null } });
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  hashRequest,
+  claimKey,
+  completeKey,
+  releaseKey
+};
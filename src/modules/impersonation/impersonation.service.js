@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const prisma = require('../../config/prisma');
+
+/**
+ * Impersonation Service
+ * Lets support staff (user.impersonate) see the app as a customer.
+ *
+ * - Each impersonation is its own auth_sessions row with impersonator_id,
+ *   the reason and expires_at; it has no refresh token, so it ends when the
+ *   IMPERSONATION_TOKEN_MINUTES access token does (or on logout).
+ * - The token carries impersonator_id; authenticate turns that into
+ *   req.user.impersonator_id, every request is written to the audit log, and
+ *   blockImpersonation keeps these sessions away from orders, passwords and
+ *   other account changes.
+ * - The customer sees these sessions in GET /api/users/sessions.
+ */
+
+const IMPERSONATION_MINUTES = Number(process.env.IMPERSONATION_TOKEN_MINUTES) || 15;
+
+/**
+ * Open an impersonation session for a customer (support staff only)
+ * @param {Object} data - { user_id, reason }
+ * @param {number} impersonator_id - Staff user ID
+ * @param {Object} [device] - { user_agent, ip_address } of the request
+ * @returns {Object} { token, expires_at, session_id, user }
+ */
+const startImpersonation = async ({ user_id, reason }, impersonator_id, device = {}) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { user_id: true, name: true, phone_number: true, role: true, is_active: true, deleted_at: true }
+  });
+
+  if (!user || user.deleted_at) {
+    throw new Error('User not found');
+  }
+
+  // Staff accounts hold permissions; acting as them would be an escalation
+  if (user.role !== 'Customer') {
+    throw new Error('Only customer accounts can be impersonated');
+  }
+
+  if (!user.is_active) {
+    throw new Error('Account is deactivated');
+  }
+
+  const expires_at = new Date(Date.now() + IMPERSONATION_MINUTES * 60 * 1000);
+
+  const session = await prisma.authSession.create({
+    data: {
+      user_id,
+      user_agent: device.user_agent || null,
+      ip_address: device.ip_address || null,
+      impersonator_id,
+      impersonation_reason: reason,
+      expires_at
+    },
+    select: { session_id: true }
+  });
+
+  const token = jwt.sign(
+    { user_id, role: user.role, session_id: session.session_id, impersonator_id, impersonation: true },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_MINUTES * 60 }
+  );
+
+  return {
+    token,
+    expires_at,
+    session_id: session.session_id,
+    user: { user_id: user.user_id, name: user.name, phone_number: user.phone_number }
+  };
+};
+
+module.exports = {
+  IMPERSONATION_MINUTES,
+  startImpersonation
+};
@@ -0,0 +1,111 @@
+const prisma = require('../../config/prisma');
+const notificationsService = require('../notifications/notifications.service');
+
+/**
+ * Lockout Service
+ * Locks an account after repeated wrong passwords.
+ *
+ * - Every wrong password increments users.failed_login_attempts.
+ * - At LOGIN_MAX_FAILED_ATTEMPTS the account is locked until locked_until and
+ *   the owner gets an SMS (through the notifications outbox).
+ * - Each consecutive lockout doubles the lock time, capped at
+ *   LOGIN_LOCKOUT_MAX_MINUTES.
+ * - A successful login or an admin unlock resets the counters.
+ */
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_BASE_MINUTES = Number(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 15;
+const LOCKOUT_MAX_MINUTES = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+const ACCOUNT_LOCKED_PREFIX = 'Account is temporarily locked';
+
+/**
+ * Lock duration for the next lockout
+ * @param {number} lockout_count - Lockouts since the last successful login
+ * @returns {number} 15, 30, 60, … minutes with the default base
+ */
+const lockoutMinutes = (lockout_count) => Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockout_count, LOCKOUT_MAX_MINUTES);
+
+/**
+ * Error thrown while an account is locked
+ * @param {Date} locked_until - End of the lock
+ * @returns {Error}
+ */
+const lockedError = (locked_until) => {
+  const minutes = Math.max(1, Math.ceil((locked_until.getTime() - Date.now()) / 60000));
+  return new Error(`${ACCOUNT_LOCKED_PREFIX} due to too many failed login attempts. Try again in ${minutes} minutes.`);
+};
+
+/**
+ * Throw if the account is currently locked
+ * @param {Object} user - User row (needs locked_until)
+ */
+const assertNotLocked = (user) => {
+  if (user.locked_until && user.locked_until > new Date()) {
+    throw lockedError(user.locked_until);
+  }
+};
+
+/**
+ * Count a wrong password and lock the account on the last allowed attempt
+ * @param {Object} user - { user_id, phone_number }
+ * @returns {Object} { locked, locked_until }
+ */
+const recordFailedLogin = async (user) => {
+  return await prisma.$transaction(async (tx) => {
+    // The row lock serializes parallel failures for the same account
+    const [counted] = await tx.$queryRaw`
+      UPDATE users
+      SET failed_login_attempts = failed_login_attempts + 1
+      WHERE user_id = ${user.user_id}
+      RETURNING failed_login_attempts, lockout_count
+    `;
+
+    if (!counted || counted.failed_login_attempts < MAX_FAILED_ATTEMPTS) {
+      return { locked: false, locked_until: null };
+    }
+
+    const minutes = lockoutMinutes(counted.lockout_count);
+    const locked_until = new Date(Date.now() + minutes * 60 * 1000);
+
+    await tx.user.update({
+      where: { user_id: user.user_id },
+      data: {
+        failed_login_attempts: 0,
+        lockout_count: { increment: 1 },
+        locked_until
+      }
+    });
+
+    await notificationsService.enqueueSms(tx, {
+      recipient: user.phone_number,
+      template: 'account_locked',
+      payload: { minutes }
+    });
+
+    return { locked: true, locked_until };
+  });
+};
+
+/**
+ * Clear the counters after a successful login
+ * @param {Object} user - User row
+ */
+const resetFailedLogins = async (user) => {
+  if (!user.failed_login_attempts && !user.lockout_count && !user.locked_until) return;
+
+  await prisma.user.update({
+    where: { user_id: user.user_id },
+    data: { failed_login_attempts: 0, lockout_count: 0, locked_until: null }
+  });
+};
+
+module.exports = {
+  ACCOUNT_LOCKED_PREFIX,
+  MAX_FAILED_ATTEMPTS,
+  lockoutMinutes,
+  lockedError,
+  assertNotLocked,
+  recordFailedLogin,
+  resetFailedLogins
+};
@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const notificationsController = require('./notifications.controller');
+const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const notificationsValidators = require('./notifications.validators');
+
+/**
+ * @swagger
+ * /api/admin/notifications:
+ *   get:
+ *     summary: رسائل العملاء (SMS) المرسلة والمعلّقة والفاشلة
+ *     tags: [Admin - Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, failed]
+ *         description: استخدم failed لعرض الرسائل التي فشلت بعد كل المحاولات
+ *       - in: query
+ *         name: order_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: قائمة الرسائل (الأحدث أولاً) مع عدد المحاولات وآخر خطأ
+ *       403:
+ *         description: "صلاحية مطلوبة: order.view"
+ */
+router.get('/', authenticate, requirePermission('order.view'), notificationsValidators.list, validate, notificationsController.getNotifications);
+
+/**
+ * @swagger
+ * /api/admin/notifications/{id}/resend:
+ *   post:
+ *     summary: إعادة إرسال رسالة فاشلة
+ *     description: ترجع الرسالة لقائمة الانتظار بعدد محاولات جديد ويرسلها الـ dispatcher في الدورة القادمة
+ *     tags: [Admin - Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تمت إعادة الرسالة لقائمة الإرسال
+ *       400:
+ *         description: الرسالة ليست في حالة failed
+ *       404:
+ *         description: الرسالة غير موجودة
+ *       403:
+ *         description: "صلاحية مطلوبة: order.update_status"
+ */
+router.post('/:id/resend', authenticate, requirePermission('order.update_status'), notificationsValidators.checkNotificationId, validate, audit('notification'), notificationsController.resendNotification);
+
+module.exports = router;
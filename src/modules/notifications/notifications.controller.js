@@ -0,0 +1,61 @@
+const notificationsService = require('./notifications.service');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  serverErrorResponse
+} = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Notifications Controller
+ * Handles HTTP request and response for admin notification endpoints
+ */
+
+/**
+ * Get notifications (admin only)
+ * GET /api/admin/notifications
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { status, order_id, page, limit } = req.query;
+
+    const result = await notificationsService.getNotifications({
+      status,
+      order_id: order_id ? parseInt(order_id) : undefined,
+      page,
+      limit
+    });
+
+    return successResponse(res, result, 'Notifications retrieved successfully');
+  } catch (error) {
+    logger.error('Get notifications error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get notifications');
+  }
+};
+
+/**
+ * Re-queue a failed notification (admin only)
+ * POST /api/admin/notifications/:id/resend
+ */
+const resendNotification = async (req, res) => {
+  try {
+    const notification = await notificationsService.resendNotification(parseInt(req.params.id));
+
+    return successResponse(res, notification, 'Notification queued for resending');
+  } catch (error) {
+    if (error.message === 'Notification not found') {
+      return notFoundResponse(res, 'Notification');
+    }
+    if (error.message === 'Only failed notifications can be resent') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Resend notification error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to resend notification');
+  }
+};
+
+module.exports = {
+  getNotifications,
+  resendNotification
+};
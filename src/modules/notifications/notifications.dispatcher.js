@@ -0,0 +1,29 @@
+const notificationsService = require('./notifications.service');
+const logger = require('../../config/logger');
+const { createIntervalJob } = require('../../utils/intervalJob');
+
+/**
+ * Notifications Dispatcher
+ * Background loop started by server.js that sends queued notifications.
+ * Runs never overlap: a slow gateway just delays the next run.
+ */
+
+const INTERVAL_MS = Number(process.env.NOTIFICATION_DISPATCH_INTERVAL_MS) || 15000;
+
+const job = createIntervalJob({
+  name: 'Notifications dispatcher',
+  intervalMs: INTERVAL_MS,
+  task: async () => {
+    const summary = await notificationsService.dispatchDueNotifications();
+
+    if (summary.sent || summary.retrying || summary.failed) {
+      logger.info('Notifications dispatched', summary);
+    }
+  }
+});
+
+module.exports = {
+  startDispatcher: job.start,
+  stopDispatcher: job.stop,
+  runOnce: job.runOnce
+};
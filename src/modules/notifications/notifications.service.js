@@ -0,0 +1,252 @@
+const prisma = require('../../config/prisma');
+const smsService = require('../../utils/sms');
+const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination');
+
+/**
+ * Notifications Service
+ * Transactional outbox for customer messages.
+ *
+ * Callers add a notification_outbox row inside the transaction that makes the
+ * change (so a rolled-back change never notifies and a committed one always
+ * does). The dispatcher then claims due rows, sends them through utils/sms and
+ * retries failures with exponential backoff until NOTIFICATION_MAX_ATTEMPTS.
+ */
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = Number(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+
+// A claimed row is handed to another dispatcher run if not finished in time
+// (e.g. the process died mid-send)
+const SEND_LEASE_SECONDS = 120;
+
+const NOTIFICATION_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// Order statuses the customer gets a text message for
+const ORDER_STATUS_TEMPLATES = {
+  Confirmed: 'order_confirmed',
+  Shipped: 'order_shipped',
+  Delivered: 'order_delivered',
+  Cancelled: 'order_cancelled'
+};
+
+const notificationSelect = {
+  notification_id: true,
+  order_id: true,
+  channel: true,
+  recipient: true,
+  template: true,
+  payload: true,
+  status: true,
+  attempts: true,
+  next_attempt_at: true,
+  last_error: true,
+  provider_message_id: true,
+  sent_at: true,
+  created_at: true
+};
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} 30s, 60s, 120s, … with the default base
+ */
+const retryDelaySeconds = (attempts) => RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+/**
+ * Queue the customer SMS for an order status change
+ * Must be called inside the status-change transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - { order_id, shipping_phone }
+ * @param {string} new_status - Status the order moved to
+ * @returns {Object|null} Created outbox row, or null when nothing is sent
+ */
+const enqueueOrderStatus = async (tx, order, new_status) => {
+  const template = ORDER_STATUS_TEMPLATES[new_status];
+
+  if (!template || !order.shipping_phone) return null;
+
+  return await enqueueSms(tx, {
+    order_id: order.order_id,
+    recipient: order.shipping_phone,
+    template,
+    payload: { order_id: order.order_id }
+  });
+};
+
+/**
+ * Queue an SMS for the dispatcher
+ * Call it inside the transaction that makes the change being notified about.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} message - { recipient, template, payload, order_id? }
+ * @returns {Object} Created outbox row
+ */
+const enqueueSms = async (client, { recipient, template, payload = {}, order_id = null }) => {
+  return await client.notificationOutbox.create({
+    data: { order_id, recipient, template, payload },
+    select: { notification_id: true }
+  });
+};
+
+/**
+ * Claim due notifications for sending
+ * One statement marks the rows as sending and counts the attempt;
+ * SKIP LOCKED lets several dispatchers run without sending a row twice.
+ * @param {number} limit - Max rows to claim
+ * @returns {Array} Claimed rows
+ */
+const claimDueNotifications = async (limit) => {
+  return await prisma.$queryRaw`
+    UPDATE notification_outbox
+    SET status = ${NOTIFICATION_STATUS.SENDING},
+        attempts = attempts + 1,
+        next_attempt_at = NOW() + ${SEND_LEASE_SECONDS} * INTERVAL '1 second',
+        updated_at = NOW()
+    WHERE notification_id IN (
+      SELECT notification_id
+      FROM notification_outbox
+      WHERE status IN (${NOTIFICATION_STATUS.PENDING}, ${NOTIFICATION_STATUS.SENDING})
+        AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING notification_id, recipient, template, payload, attempts
+  `;
+};
+
+/**
+ * Send one claimed notification and record the outcome
+ * @param {Object} notification - Claimed row
+ * @returns {string} Resulting status (sent | pending | failed)
+ */
+const deliverNotification = async (notification) => {
+  const { notification_id, attempts } = notification;
+
+  try {
+    const result = await smsService.sendTemplate(notification.recipient, notification.template, notification.payload);
+
+    await prisma.notificationOutbox.updateMany({
+      where: { notification_id, status: NOTIFICATION_STATUS.SENDING },
+      data: {
+        status: NOTIFICATION_STATUS.SENT,
+        sent_at: new Date(),
+        provider_message_id: result.message_id,
+        last_error: null
+      }
+    });
+
+    return NOTIFICATION_STATUS.SENT;
+  } catch (error) {
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    const status = giveUp ? NOTIFICATION_STATUS.FAILED : NOTIFICATION_STATUS.PENDING;
+
+    await prisma.notificationOutbox.updateMany({
+      where: { notification_id, status: NOTIFICATION_STATUS.SENDING },
+      data: {
+        status,
+        last_error: error.message.slice(0, 500),
+        ...(!giveUp && { next_attempt_at: new Date(Date.now() + retryDelaySeconds(attempts) * 1000) })
+      }
+    });
+
+    return status;
+  }
+};
+
+/**
+ * Send every due notification (one dispatcher run)
+ * @param {number} [limit] - Max rows per run
+ * @returns {Object} { sent, retrying, failed }
+ */
+const dispatchDueNotifications = async (limit = 50) => {
+  const claimed = await claimDueNotifications(limit);
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const notification of claimed) {
+    const status = await deliverNotification(notification);
+
+    if (status === NOTIFICATION_STATUS.SENT) summary.sent++;
+    else if (status === NOTIFICATION_STATUS.FAILED) summary.failed++;
+    else summary.retrying++;
+  }
+
+  return summary;
+};
+
+// ─── Admin ────────────────────────────────────────────────────────────────────
+
+/**
+ * Get notifications (admin only)
+ * @param {Object} options - { status, order_id, page, limit }
+ * @returns {Object} Paginated notifications, newest first
+ */
+const getNotifications = async (options = {}) => {
+  const { skip, take, page: safePage, limit: safeLimit } = safePaginate(options.page, options.limit);
+
+  const where = {};
+  if (options.status) {
+    where.status = options.status;
+  }
+  if (options.order_id) {
+    where.order_id = options.order_id;
+  }
+
+  const totalItems = await prisma.notificationOutbox.count({ where });
+
+  const notifications = await prisma.notificationOutbox.findMany({
+    where,
+    select: notificationSelect,
+    orderBy: { created_at: 'desc' },
+    skip,
+    take
+  });
+
+  return buildPaginatedResponse(notifications, totalItems, safePage, safeLimit);
+};
+
+/**
+ * Put a failed notification back in the queue (admin only)
+ * @param {number} notification_id - Notification ID
+ * @returns {Object} Re-queued notification
+ */
+const resendNotification = async (notification_id) => {
+  const result = await prisma.notificationOutbox.updateMany({
+    where: { notification_id, status: NOTIFICATION_STATUS.FAILED },
+    data: {
+      status: NOTIFICATION_STATUS.PENDING,
+      attempts: 0,
+      next_attempt_at: new Date()
+    }
+  });
+
+  if (result.count === 0) {
+    const existing = await prisma.notificationOutbox.findUnique({
+      where: { notification_id },
+      select: { notification_id: true }
+    });
+
+    throw new Error(existing ? 'Only failed notifications can be resent' : 'Notification not found');
+  }
+
+  return await prisma.notificationOutbox.findUnique({
+    where: { notification_id },
+    select: notificationSelect
+  });
+};
+
+module.exports = {
+  NOTIFICATION_STATUS,
+  MAX_ATTEMPTS,
+  retryDelaySeconds,
+  enqueueOrderStatus,
+  enqueueSms,
+  dispatchDueNotifications,
+  deliverNotification,
+  getNotifications,
+  resendNotification
+};
@@ -0,0 +1,32 @@
+const { param, query } = require('express-validator');
+const { NOTIFICATION_STATUS } = require('./notifications.service');
+
+/**
+ * Notifications Validation Rules
+ */
+
+/**
+ * List notifications query validation rules
+ */
+const list = [
+  query('status')
+    .optional()
+    .isIn(Object.values(NOTIFICATION_STATUS))
+    .withMessage(`status must be one of: ${Object.values(NOTIFICATION_STATUS).join(', ')}`),
+
+  query('order_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Order ID must be a positive integer')
+];
+
+const checkNotificationId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Notification ID must be a positive integer')
+];
+
+module.exports = {
+  list,
+  checkNotificationId
+};
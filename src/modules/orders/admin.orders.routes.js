@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const ordersController = require('./orders.controller');
 const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
 const { validate } = require('../../middlewares/validate.middleware');
 const ordersValidators = require('./orders.validators');
 
@@ -18,7 +19,17 @@ const ordersValidators = require('./orders.validators');
  *         name: status
  *         schema:
  *           type: string
- *           enum: [Pending, Confirmed, Shipped, Delivered, Cancelled]
+ *           enum: [Pending, Confirmed, Shipped, Delivered, Cancelled, Refunded]
+ *       - in: query
+ *         name: slot_id
+ *         schema:
+ *           type: integer
+ *         description: فلترة حسب موعد التوصيل
+ *       - in: query
+ *         name: delivery_date
+ *         schema:
+ *           type: string
+ *           format: date
  *       - in: query
  *         name: page
  *         schema:
@@ -64,6 +75,9 @@ router.get('/:id', authenticate, requirePermission('order.view'), ordersControll
  * /api/admin/orders/{id}/status:
  *   put:
  *     summary: تغيير حالة طلب
+ *     description: |
+ *       عند التوصيل (Delivered) تُضاف نقاط الولاء للعميل حسب final_total،
+ *       وعند الاسترداد (Refunded) لطلب مُسلَّم تُخصم النقاط التي حصل عليها.
  *     tags: [Admin - Orders]
  *     security:
  *       - BearerAuth: []
@@ -82,14 +96,14 @@ router.get('/:id', authenticate, requirePermission('order.view'), ordersControll
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [Confirmed, Shipped, Delivered, Cancelled]
+ *                 enum: [Confirmed, Shipped, Delivered, Cancelled, Refunded]
  *     responses:
  *       200:
  *         description: تم تحديث حالة الطلب
  *       403:
  *         description: "صلاحية مطلوبة: order.update_status"
  */
-router.put('/:id/status', authenticate, requirePermission('order.update_status'), ordersValidators.changeStatus, validate, ordersController.changeOrderStatus);
+router.put('/:id/status', authenticate, requirePermission('order.update_status'), ordersValidators.changeStatus, validate, audit('order'), ordersController.changeOrderStatus);
 
 /**
  * @swagger
@@ -13,6 +13,98 @@ const logger = require('../../config/logger');
  * Handles HTTP request and response for order endpoints
  */
 
+/**
+ * Order data for the service from the checkout request body
+ * @param {Object} req - Express request (guest or user)
+ * @returns {Object} orderData for placeOrder / previewOrder
+ */
+const buildOrderData = (req) => {
+  const user = req.user;
+  const {
+    items,
+    address_id,
+    first_name,
+    last_name,
+    region,
+    street,
+    phone_number,
+    coupon_code,
+    slot_id,
+    delivery_date
+  } = req.body;
+
+  // Prepare order data
+  const orderData = {
+    items: items.map(item => ({
+      product_id: parseInt(item.product_id),
+      quantity: parseFloat(item.quantity)
+    })),
+    address_id: address_id ? parseInt(address_id) : undefined,
+    first_name,
+    last_name,
+    region,
+    street,
+    phone_number,
+    coupon_code: coupon_code ? String(coupon_code).trim() : undefined,
+    slot_id: slot_id ? parseInt(slot_id) : undefined,
+    delivery_date
+  };
+
+  // Set user_id or guest_id based on user type
+  if (user.role === 'Guest') {
+    if (!user.guest_id) {
+      throw new Error('Invalid guest session');
+    }
+    orderData.guest_id = user.guest_id;
+  } else {
+    if (!user.user_id) {
+      throw new Error('Invalid user session');
+    }
+    orderData.user_id = user.user_id;
+  }
+
+  return orderData;
+};
+
+/**
+ * Map checkout (place / preview) errors to a response
+ * @returns {Object|null} Response, or null if the error is unexpected
+ */
+const handleCheckoutError = (res, error) => {
+  if (error.message === 'Invalid guest session' || error.message === 'Invalid user session') {
+    return errorResponse(res, error.message, 400);
+  }
+  if (error.message.startsWith('Product') && error.message.includes('not found')) {
+    return notFoundResponse(res, 'Product');
+  }
+  if (error.message.startsWith('Insufficient stock')) {
+    return errorResponse(res, error.message, 400);
+  }
+  if (error.message.startsWith('Coupon')) {
+    return errorResponse(res, error.message, 400);
+  }
+  if (error.message === 'Invalid region. Please select a supported region.') {
+    return errorResponse(res, error.message, 400);
+  }
+  if (error.message === 'Address not found or does not belong to user') {
+    return notFoundResponse(res, 'Address');
+  }
+  if (error.message === 'Delivery slot not found') {
+    return notFoundResponse(res, 'Delivery slot');
+  }
+  if (error.message.startsWith('Delivery slot is full')) {
+    return errorResponse(res, error.message, 409);
+  }
+  if (error.message.startsWith('Delivery slot')) {
+    return errorResponse(res, error.message, 400);
+  }
+  if (error.message === 'Order must contain at least one item' ||
+    error.message === 'Either user_id or guest_id must be provided, but not both') {
+    return errorResponse(res, error.message, 400);
+  }
+  return null;
+};
+
 /**
  * Place order
  * POST /api/orders
@@ -20,63 +112,35 @@ const logger = require('../../config/logger');
  */
 const placeOrder = async (req, res) => {
   try {
-    const user = req.user;
-    const {
-      items,
-      address_id,
-      first_name,
-      last_name,
-      region,
-      street,
-      phone_number
-    } = req.body;
-
-    // Prepare order data
-    const orderData = {
-      items: items.map(item => ({
-        product_id: parseInt(item.product_id),
-        quantity: parseFloat(item.quantity)
-      })),
-      address_id: address_id ? parseInt(address_id) : undefined,
-      first_name,
-      last_name,
-      region,
-      street,
-      phone_number
-    };
-
-    // Set user_id or guest_id based on user type
-    if (user.role === 'Guest') {
-      if (!user.guest_id) {
-        return errorResponse(res, 'Invalid guest session', 400);
-      }
-      orderData.guest_id = user.guest_id;
-    } else {
-      if (!user.user_id) {
-        return errorResponse(res, 'Invalid user session', 400);
-      }
-      orderData.user_id = user.user_id;
-    }
-
-    const order = await ordersService.placeOrder(orderData);
+    const order = await ordersService.placeOrder(buildOrderData(req));
 
     return createdResponse(res, order, 'Order placed successfully');
   } catch (error) {
-    if (error.message.startsWith('Product') && error.message.includes('not found')) {
-      return notFoundResponse(res, 'Product');
-    }
-    if (error.message.startsWith('Insufficient stock')) {
-      return errorResponse(res, error.message, 400);
-    }
-    if (error.message === 'Order must contain at least one item' ||
-      error.message === 'Either user_id or guest_id must be provided, but not both') {
-      return errorResponse(res, error.message, 400);
-    }
+    const handled = handleCheckoutError(res, error);
+    if (handled) return handled;
     logger.error('Place order error', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to place order');
   }
 };
 
+/**
+ * Preview order totals without placing it
+ * POST /api/orders/preview
+ * Protected route (user or guest)
+ */
+const previewOrder = async (req, res) => {
+  try {
+    const preview = await ordersService.previewOrder(buildOrderData(req));
+
+    return successResponse(res, preview, 'Order preview calculated');
+  } catch (error) {
+    const handled = handleCheckoutError(res, error);
+    if (handled) return handled;
+    logger.error('Preview order error', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to preview order');
+  }
+};
+
 /**
  * Get user's orders
  * GET /api/orders
@@ -187,15 +251,25 @@ const getAdminOrderById = async (req, res) => {
  */
 const getAllOrders = async (req, res) => {
   try {
-    const { status, page, limit } = req.query;
+    const { status, slot_id, delivery_date, page, limit } = req.query;
 
     // Validate status if provided
-    if (status && !['Created', 'Pending', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled'].includes(status)) {
+    if (status && !['Created', 'Pending', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'].includes(status)) {
       return errorResponse(res, 'Invalid status', 400);
     }
 
+    if (slot_id && isNaN(parseInt(slot_id))) {
+      return errorResponse(res, 'Invalid slot ID', 400);
+    }
+
+    if (delivery_date && isNaN(new Date(delivery_date).getTime())) {
+      return errorResponse(res, 'delivery_date must be a valid date (YYYY-MM-DD)', 400);
+    }
+
     const result = await ordersService.getAllOrders({
       status,
+      slot_id: slot_id ? parseInt(slot_id) : undefined,
+      delivery_date,
       page: page || 1,
       limit: limit || 20
     });
@@ -323,6 +397,7 @@ const getOrderInvoice = async (req, res) => {
 
 module.exports = {
   placeOrder,
+  previewOrder,
   getOrders,
   getOrderById,
   cancelOrder,
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const ordersController = require('./orders.controller');
-const { authenticate, allowGuestOrUser, requireUser } = require('../../middlewares/auth.middleware');
+const { authenticate, allowGuestOrUser, requireUser, blockImpersonation } = require('../../middlewares/auth.middleware');
 const { validate } = require('../../middlewares/validate.middleware');
+const { idempotency } = require('../../middlewares/idempotency.middleware');
 const ordersValidators = require('./orders.validators');
 
 /**
@@ -18,10 +19,20 @@ const ordersValidators = require('./orders.validators');
  *         description: قائمة الطلبات الخاصة بالمستخدم
  *   post:
  *     summary: إتمام الطلب (Checkout)
- *     description: متاح للمستخدمين المسجلين والزوار
+ *     description: |
+ *       متاح للمستخدمين المسجلين والزوار.
+ *       أرسل Idempotency-Key (مثلاً UUID لكل ضغطة "اطلب") حتى لا تُنشئ إعادة المحاولة طلباً ثانياً:
+ *       إعادة نفس الطلب بنفس المفتاح خلال 24 ساعة ترجع الطلب الأصلي مع الترويسة Idempotent-Replayed = true.
  *     tags: [Orders]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
  *     requestBody:
  *       required: true
  *       content:
@@ -60,11 +71,69 @@ const ordersValidators = require('./orders.validators');
  *                 enum: [cash_on_delivery]
  *               coupon_code:
  *                 type: string
+ *               slot_id:
+ *                 type: integer
+ *                 description: موعد التوصيل من GET /api/delivery-slots (اختياري)
+ *               delivery_date:
+ *                 type: string
+ *                 format: date
+ *                 description: تاريخ الموعد — مطلوب مع slot_id
  *     responses:
  *       201:
- *         description: تم إنشاء الطلب بنجاح
+ *         description: تم إنشاء الطلب بنجاح (أو الطلب الأصلي عند إعادة نفس Idempotency-Key)
+ *       409:
+ *         description: موعد التوصيل ممتلئ، أو طلب بنفس Idempotency-Key ما زال قيد التنفيذ
+ *       422:
+ *         description: Idempotency-Key مستخدم سابقاً مع بيانات طلب مختلفة
+ */
+router.post('/', authenticate, allowGuestOrUser, blockImpersonation, ordersValidators.placeOrder, validate, idempotency, ordersController.placeOrder);
+
+/**
+ * @swagger
+ * /api/orders/preview:
+ *   post:
+ *     summary: معاينة إجماليات الطلب قبل إتمامه
+ *     description: |
+ *       يحسب الطلب بنفس خطوات POST /api/orders (الأسعار والمخزون الحاليان، الكوبون، رسوم منطقة التوصيل) دون حفظ أي شيء،
+ *       فتتطابق المعاينة مع الطلب الذي يُنشأ بنفس البيانات. الكوبون يُتحقق منه فقط ولا يُستهلك.
+ *       يرجع items (السعر والكمية والمجموع لكل منتج) + total_products_price + discount_amount + shipping_fees
+ *       + free_shipping_threshold + final_total + points_to_earn (النقاط التي يكسبها الطلب عند التسليم).
+ *     tags: [Orders]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                     quantity:
+ *                       type: number
+ *               address_id:
+ *                 type: integer
+ *                 description: معرف العنوان المحفوظ (للمسجلين) — أو أرسل region
+ *               region:
+ *                 type: string
+ *               coupon_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: تفاصيل الأسعار والإجماليات
+ *       400:
+ *         description: مخزون غير كافٍ، كوبون غير صالح أو منطقة غير مدعومة
+ *       404:
+ *         description: منتج أو عنوان غير موجود
  */
-router.post('/', authenticate, allowGuestOrUser, ordersValidators.placeOrder, validate, ordersController.placeOrder);
+router.post('/preview', authenticate, allowGuestOrUser, ordersValidators.previewOrder, validate, ordersController.previewOrder);
 router.get('/', authenticate, allowGuestOrUser, ordersController.getOrders);
 
 /**
@@ -1,5 +1,11 @@
 const prisma = require('../../config/prisma');
 const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination');
+const cartService = require('../cart/cart.service');
+const couponsService = require('../coupons/coupons.service');
+const pointsService = require('../points/points.service');
+const shippingService = require('../shipping/shipping.service');
+const slotsService = require('../slots/slots.service');
+const notificationsService = require('../notifications/notifications.service');
 
 /**
  * Orders Service
@@ -9,12 +15,11 @@ const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination
  */
 
 /**
- * Place order (user or guest)
- * @param {Object} orderData - Order data
- * @returns {Object} Created order
+ * Checks shared by placeOrder and previewOrder
+ * @param {Object} orderData - Order data ({ user_id } or { guest_id }, items, coupon_code)
  */
-const placeOrder = async (orderData) => {
-  let { user_id, guest_id, items } = orderData;
+const assertOrderRequest = (orderData) => {
+  const { user_id, guest_id, items } = orderData;
 
   // Validate that either user_id or guest_id is provided, not both
   if ((user_id && guest_id) || (!user_id && !guest_id)) {
@@ -26,6 +31,160 @@ const placeOrder = async (orderData) => {
     throw new Error('Order must contain at least one item');
   }
 
+  // Coupons are claimed per account (user_coupons), so guests cannot use them.
+  if (orderData.coupon_code && !user_id) {
+    throw new Error('Coupon codes are available for registered users only');
+  }
+};
+
+/**
+ * Merge duplicate product_ids by summing their quantities
+ * @param {Array} items - [{ product_id, quantity }]
+ * @returns {Array} One entry per product
+ */
+const mergeOrderItems = (items) => {
+  const mergedItemsMap = {};
+  for (const item of items) {
+    const key = item.product_id;
+    if (mergedItemsMap[key]) {
+      mergedItemsMap[key].quantity += item.quantity;
+    } else {
+      mergedItemsMap[key] = { product_id: item.product_id, quantity: item.quantity };
+    }
+  }
+  return Object.values(mergedItemsMap);
+};
+
+/**
+ * Pricing pipeline of an order: items at current prices (stock checked),
+ * shipping address, coupon discount, zone delivery fee and final total.
+ * placeOrder and previewOrder both go through here so a quote always
+ * matches the order placed from it.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} orderData - Order data with merged items
+ * @param {number|undefined} user_id - Ordering user (none for guests)
+ * @param {boolean} claimCoupon - Consume the coupon (placeOrder) or only check it (preview)
+ * @returns {Object} { validatedItems, shippingDetails, total_products_price, discount_amount, user_coupon_id, coupon_code, shipping_fees, free_threshold, final_total }
+ */
+const priceOrder = async (client, orderData, user_id, claimCoupon) => {
+  // 1. Validate stock for every item and prepare data
+  const validatedItems = [];
+  let total_products_price = 0;
+
+  for (const item of orderData.items) {
+    const product = await client.product.findFirst({
+      where: { product_id: item.product_id, is_active: true },
+      select: {
+        product_id: true,
+        name: true,
+        price: true,
+        cost_price: true,
+        sale_type: true,
+        stock_quantity: true
+      }
+    });
+
+    if (!product) {
+      throw new Error(`Product ${item.product_id} not found or unavailable`);
+    }
+
+    if (item.quantity > parseFloat(product.stock_quantity)) {
+      throw new Error(`Insufficient stock for ${product.name}. Available: ${product.stock_quantity} ${product.sale_type}`);
+    }
+
+    const subtotal = Math.round(item.quantity * parseFloat(product.price) * 100) / 100;
+    total_products_price += subtotal;
+
+    validatedItems.push({
+      product_id: product.product_id,
+      name: product.name,
+      price: parseFloat(product.price),
+      cost_price: parseFloat(product.cost_price),
+      quantity: item.quantity,
+      subtotal
+    });
+  }
+
+  // 2. Resolve Shipping Address
+  let shippingDetails = {};
+  if (orderData.address_id && user_id) {
+    // Fetch address from DB, ensuring it belongs to user
+    const address = await client.address.findFirst({
+      where: { address_id: orderData.address_id, user_id }
+    });
+    if (!address) {
+      throw new Error('Address not found or does not belong to user');
+    }
+    shippingDetails = {
+      shipping_first_name: address.first_name,
+      shipping_last_name: address.last_name,
+      shipping_city: address.city || 'طولكرم',
+      shipping_region: address.region,
+      shipping_street: address.street,
+      shipping_phone: address.phone_number
+    };
+  } else {
+    // Use explicit fields (guest or one-time address)
+    shippingDetails = {
+      shipping_first_name: orderData.first_name,
+      shipping_last_name: orderData.last_name,
+      shipping_city: 'طولكرم', // Default fixed city
+      shipping_region: orderData.region,
+      shipping_street: orderData.street,
+      shipping_phone: orderData.phone_number
+    };
+  }
+
+  // 3. Calculate Final Totals & Dynamic Delivery Fees
+  total_products_price = Math.round(total_products_price * 100) / 100;
+
+  // Apply coupon: placeOrder validates and consumes it atomically inside its
+  // transaction, a preview only validates it
+  let discount_amount = 0;
+  let user_coupon_id = null;
+  let coupon_code = null;
+  if (orderData.coupon_code && claimCoupon) {
+    const applied = await couponsService.applyCouponToOrder(client, user_id, orderData.coupon_code, total_products_price);
+    discount_amount = applied.discount_amount;
+    user_coupon_id = applied.user_coupon_id;
+    coupon_code = applied.coupon_code;
+  } else if (orderData.coupon_code) {
+    const resolved = await couponsService.resolveCouponForOrder(client, user_id, orderData.coupon_code, total_products_price);
+    discount_amount = resolved.discount_amount;
+    coupon_code = resolved.coupon.code;
+  }
+
+  // Delivery fee from the region's shipping zone
+  const { shipping_fees, free_threshold } = await shippingService.quoteDelivery(
+    shippingDetails.shipping_region, total_products_price, client
+  );
+
+  const final_total = Math.round((total_products_price + shipping_fees - discount_amount) * 100) / 100;
+
+  return {
+    validatedItems,
+    shippingDetails,
+    total_products_price,
+    discount_amount,
+    user_coupon_id,
+    coupon_code,
+    shipping_fees,
+    free_threshold,
+    final_total
+  };
+};
+
+/**
+ * Place order (user or guest)
+ * @param {Object} orderData - Order data
+ * @returns {Object} Created order
+ */
+const placeOrder = async (orderData) => {
+  let { user_id, guest_id, items } = orderData;
+
+  // Checked before guest phone resolution so a guest cannot borrow a user's coupons
+  assertOrderRequest(orderData);
+
   // ── Guest phone resolution ─────────────────────────────────
   // Always update original guest session to match the provided phone number
   if (guest_id && orderData.phone_number) {
@@ -70,108 +229,33 @@ const placeOrder = async (orderData) => {
     }
   }
 
-  // Merge duplicate product_ids by summing their quantities
-  const mergedItemsMap = {};
-  for (const item of items) {
-    const key = item.product_id;
-    if (mergedItemsMap[key]) {
-      mergedItemsMap[key].quantity += item.quantity;
-    } else {
-      mergedItemsMap[key] = { product_id: item.product_id, quantity: item.quantity };
-    }
-  }
-  const mergedItems = Object.values(mergedItemsMap);
+  const mergedItems = mergeOrderItems(items);
 
   // Run order placement in a transaction
   return await prisma.$transaction(async (tx) => {
 
-    // 1. Validate stock for every item and prepare data
-    const validatedItems = [];
-    let total_products_price = 0;
-
-    for (const item of mergedItems) {
-      const product = await tx.product.findFirst({
-        where: { product_id: item.product_id, is_active: true },
-        select: {
-          product_id: true,
-          name: true,
-          price: true,
-          cost_price: true,
-          sale_type: true,
-          stock_quantity: true
-        }
-      });
-
-      if (!product) {
-        throw new Error(`Product ${item.product_id} not found or unavailable`);
-      }
-
-      if (item.quantity > parseFloat(product.stock_quantity)) {
-        throw new Error(`Insufficient stock for ${product.name}. Available: ${product.stock_quantity} ${product.sale_type}`);
-      }
-
-      const subtotal = Math.round(item.quantity * parseFloat(product.price) * 100) / 100;
-      total_products_price += subtotal;
-
-      validatedItems.push({
-        product_id: product.product_id,
-        name: product.name,
-        price: parseFloat(product.price),
-        cost_price: parseFloat(product.cost_price),
-        quantity: item.quantity,
-        subtotal
-      });
-    }
-
-    // 2. Resolve Shipping Address
-    let shippingDetails = {};
-    if (orderData.address_id && user_id) {
-      // Fetch address from DB, ensuring it belongs to user
-      const address = await tx.address.findFirst({
-        where: { address_id: orderData.address_id, user_id }
+    // 1-3. Stock check, shipping address, coupon (consumed), delivery fee, totals
+    const {
+      validatedItems,
+      shippingDetails,
+      total_products_price,
+      discount_amount,
+      user_coupon_id,
+      coupon_code,
+      shipping_fees,
+      final_total
+    } = await priceOrder(tx, { ...orderData, items: mergedItems }, user_id, true);
+
+    // Reserve the requested delivery slot (rejects the order when the slot is full)
+    let delivery = null;
+    if (orderData.slot_id) {
+      delivery = await slotsService.reserveSlot(tx, {
+        slot_id: orderData.slot_id,
+        delivery_date: orderData.delivery_date,
+        region: shippingDetails.shipping_region
       });
-      if (!address) {
-        throw new Error('Address not found or does not belong to user');
-      }
-      shippingDetails = {
-        shipping_first_name: address.first_name,
-        shipping_last_name: address.last_name,
-        shipping_city: address.city || 'طولكرم',
-        shipping_region: address.region,
-        shipping_street: address.street,
-        shipping_phone: address.phone_number
-      };
-    } else {
-      // Use explicit fields (guest or one-time address)
-      shippingDetails = {
-        shipping_first_name: orderData.first_name,
-        shipping_last_name: orderData.last_name,
-        shipping_city: 'طولكرم', // Default fixed city
-        shipping_region: orderData.region,
-        shipping_street: orderData.street,
-        shipping_phone: orderData.phone_number
-      };
-    }
-
-    // 3. Calculate Final Totals & Dynamic Delivery Fees
-    total_products_price = Math.round(total_products_price * 100) / 100;
-    const discount_amount = 0;
-
-    // Delivery Fee Logic Based on Region
-    let shipping_fees = 20; // Default flat fee
-    const region = shippingDetails.shipping_region;
-
-    if (region === 'عتيل - جبل المصرية') {
-      if (total_products_price > 30) shipping_fees = 0;
-    } else if (region === 'عتيل - عتيل') {
-      if (total_products_price > 50) shipping_fees = 0;
-    } else {
-      // Every other region (ارتاح, بلعا, الخ)
-      if (total_products_price > 70) shipping_fees = 0;
     }
 
-    const final_total = Math.round((total_products_price + shipping_fees - discount_amount) * 100) / 100;
-
     // 4. Create order record
     const order = await tx.order.create({
       data: {
@@ -182,6 +266,9 @@ const placeOrder = async (orderData) => {
         shipping_fees,
         discount_amount,
         final_total,
+        user_coupon_id,
+        delivery_slot_id: delivery ? delivery.delivery_slot_id : null,
+        delivery_date: delivery ? delivery.delivery_date : null,
         ...shippingDetails
       },
       select: {
@@ -255,18 +342,17 @@ const placeOrder = async (orderData) => {
       }
     });
 
-    // 8. Clear user cart if user order
-    if (user_id) {
-      const cart = await tx.cart.findUnique({
-        where: { user_id },
-        select: { cart_id: true }
-      });
+    // 8. Clear the cart of whoever placed the order (the original guest
+    //    token's cart, even if the order was linked to a user by phone)
+    const cart = await tx.cart.findUnique({
+      where: cartService.cartOwner(orderData),
+      select: { cart_id: true }
+    });
 
-      if (cart) {
-        await tx.cartItem.deleteMany({
-          where: { cart_id: cart.cart_id }
-        });
-      }
+    if (cart) {
+      await tx.cartItem.deleteMany({
+        where: { cart_id: cart.cart_id }
+      });
     }
 
     return {
@@ -276,12 +362,47 @@ const placeOrder = async (orderData) => {
       shipping_fees: parseFloat(order.shipping_fees),
       discount_amount: parseFloat(order.discount_amount),
       final_total: parseFloat(order.final_total),
+      coupon_code,
+      delivery_slot: delivery,
       items_count: validatedItems.length,
       created_at: order.created_at
     };
   }, { timeout: 30000 });
 };
 
+/**
+ * Quote an order without writing anything (POST /api/orders/preview)
+ * Runs the same pricing as placeOrder: current prices and stock, coupon
+ * (checked, not consumed), zone delivery fee, and the points the order will
+ * earn once delivered.
+ * @param {Object} orderData - Same fields as placeOrder
+ * @returns {Object} Line-by-line breakdown and totals
+ */
+const previewOrder = async (orderData) => {
+  assertOrderRequest(orderData);
+
+  const { user_id } = orderData;
+  const pricing = await priceOrder(prisma, { ...orderData, items: mergeOrderItems(orderData.items) }, user_id, false);
+
+  return {
+    items: pricing.validatedItems.map(item => ({
+      product_id: item.product_id,
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      subtotal: item.subtotal
+    })),
+    total_products_price: pricing.total_products_price,
+    coupon_code: pricing.coupon_code,
+    discount_amount: pricing.discount_amount,
+    region: pricing.shippingDetails.shipping_region,
+    shipping_fees: pricing.shipping_fees,
+    free_shipping_threshold: pricing.free_threshold,
+    final_total: pricing.final_total,
+    points_to_earn: user_id ? pointsService.calculateEarnedPoints(pricing.final_total) : 0
+  };
+};
+
 /**
  * Get user's orders (paginated)
  * @param {number} user_id - User ID
@@ -396,6 +517,8 @@ const getOrderById = async (order_id, user_id = null, guest_id = null) => {
       shipping_region: true,
       shipping_street: true,
       shipping_phone: true,
+      delivery_date: true,
+      delivery_slot: { select: { slot_id: true, start_time: true, end_time: true } },
       created_at: true,
       delivered_at: true,
       user: { select: { phone_number: true } },
@@ -486,7 +609,7 @@ const cancelOrder = async (order_id, user_id) => {
     // Get order
     const order = await tx.order.findFirst({
       where: { order_id, user_id },
-      select: { order_id: true, status: true }
+      select: { order_id: true, status: true, user_coupon_id: true, delivery_slot_id: true, delivery_date: true }
     });
 
     if (!order) {
@@ -543,6 +666,16 @@ const cancelOrder = async (order_id, user_id) => {
       data: { status: 'Cancelled' }
     });
 
+    // Give the coupon back so the customer can use it again
+    if (order.user_coupon_id) {
+      await couponsService.releaseCoupon(tx, order.user_coupon_id);
+    }
+
+    // Free the delivery slot place for other customers
+    if (order.delivery_slot_id) {
+      await slotsService.releaseSlot(tx, order.delivery_slot_id, order.delivery_date);
+    }
+
     return {
       order_id,
       status: 'Cancelled',
@@ -557,7 +690,7 @@ const cancelOrder = async (order_id, user_id) => {
  * @returns {Object} Paginated orders
  */
 const getAllOrders = async (options) => {
-  const { status } = options;
+  const { status, slot_id, delivery_date } = options;
   const { skip, take, page: safePage, limit: safeLimit } = safePaginate(options.page, options.limit);
 
   // Build where clause
@@ -565,6 +698,12 @@ const getAllOrders = async (options) => {
   if (status) {
     where.status = status;
   }
+  if (slot_id) {
+    where.delivery_slot_id = slot_id;
+  }
+  if (delivery_date) {
+    where.delivery_date = new Date(delivery_date);
+  }
 
   // Get total count
   const totalItems = await prisma.order.count({ where });
@@ -582,6 +721,10 @@ const getAllOrders = async (options) => {
       shipping_city: true,
       shipping_street: true,
       shipping_phone: true,
+      delivery_date: true,
+      delivery_slot: {
+        select: { slot_id: true, start_time: true, end_time: true }
+      },
       user: {
         select: { name: true, phone_number: true }
       },
@@ -608,7 +751,9 @@ const getAllOrders = async (options) => {
       guest_phone: o.guest?.phone_number || null,
       shipping_city: o.shipping_city,
       shipping_street: o.shipping_street,
-      shipping_phone: o.shipping_phone
+      shipping_phone: o.shipping_phone,
+      delivery_date: o.delivery_date,
+      delivery_slot: o.delivery_slot
     })),
     totalItems,
     safePage,
@@ -618,22 +763,33 @@ const getAllOrders = async (options) => {
 
 /**
  * Change order status (admin only)
+ * Confirmed/Shipped/Delivered/Cancelled queue an SMS to the customer in the
+ * same transaction (sent later by the notifications dispatcher).
  * @param {number} order_id - Order ID
  * @param {string} new_status - New status
  * @returns {Object} Updated order
  */
 const changeOrderStatus = async (order_id, new_status) => {
   // Validate status (admin cannot set status back to 'Created' or 'Pending')
-  const validStatuses = ['Confirmed', 'Shipped', 'Delivered', 'Cancelled'];
+  const validStatuses = ['Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'];
   if (!validStatuses.includes(new_status)) {
-    throw new Error('Invalid status. Admin can only set: Confirmed, Shipped, Delivered, or Cancelled');
+    throw new Error('Invalid status. Admin can only set: Confirmed, Shipped, Delivered, Cancelled, or Refunded');
   }
 
   return await prisma.$transaction(async (tx) => {
     // Get current order
     const order = await tx.order.findUnique({
       where: { order_id },
-      select: { order_id: true, status: true }
+      select: {
+        order_id: true,
+        user_id: true,
+        status: true,
+        shipping_phone: true,
+        final_total: true,
+        user_coupon_id: true,
+        delivery_slot_id: true,
+        delivery_date: true
+      }
     });
 
     if (!order) {
@@ -646,8 +802,9 @@ const changeOrderStatus = async (order_id, new_status) => {
       'Pending': ['Confirmed', 'Shipped', 'Cancelled'], // In case Pending is used
       'Confirmed': ['Shipped', 'Cancelled'],
       'Shipped': ['Delivered', 'Cancelled'],
-      'Delivered': [],
-      'Cancelled': []
+      'Delivered': ['Refunded'],
+      'Cancelled': [],
+      'Refunded': []
     };
 
     if (!transitions[order.status].includes(new_status)) {
@@ -674,12 +831,26 @@ const changeOrderStatus = async (order_id, new_status) => {
       }
     });
 
-    // Update payment status if delivered
+    // Update payment status and award loyalty points if delivered
+    let points_awarded = 0;
     if (new_status === 'Delivered') {
       await tx.payment.updateMany({
         where: { order_id },
         data: { status: 'Completed' }
       });
+
+      points_awarded = await pointsService.awardOrderPoints(tx, order);
+    }
+
+    // Refund of a delivered order - take back the points it earned
+    let points_reversed = 0;
+    if (new_status === 'Refunded') {
+      await tx.payment.updateMany({
+        where: { order_id },
+        data: { status: 'Refunded' }
+      });
+
+      points_reversed = await pointsService.reverseOrderPoints(tx, order);
     }
 
     // Handle cancellation - restore stock
@@ -710,12 +881,24 @@ const changeOrderStatus = async (order_id, new_status) => {
         where: { order_id },
         data: { status: 'Cancelled' }
       });
+
+      if (order.user_coupon_id) {
+        await couponsService.releaseCoupon(tx, order.user_coupon_id);
+      }
+
+      if (order.delivery_slot_id) {
+        await slotsService.releaseSlot(tx, order.delivery_slot_id, order.delivery_date);
+      }
     }
 
+    await notificationsService.enqueueOrderStatus(tx, order, new_status);
+
     return {
       order_id,
       old_status: order.status,
-      new_status
+      new_status,
+      ...(points_awarded > 0 && { points_awarded }),
+      ...(points_reversed > 0 && { points_reversed })
     };
   });
 };
@@ -1005,6 +1188,7 @@ const getGuestInvoiceByPhone = async (order_id, phone_number) => {
 
 module.exports = {
   placeOrder,
+  previewOrder,
   getUserOrders,
   getGuestOrders,
   getOrderById,
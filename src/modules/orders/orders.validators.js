@@ -4,12 +4,12 @@ const { body, param } = require('express-validator');
  * Orders Validation Rules
  */
 
-const { VALID_REGIONS } = require('../addresses/addresses.validators');
+const { supportedRegion } = require('../shipping/shipping.validators');
 
 /**
- * Place order validation rules
+ * Order items (shared by place order and preview)
  */
-const placeOrder = [
+const orderItems = [
   body('items')
     .notEmpty()
     .withMessage('Items are required')
@@ -22,7 +22,22 @@ const placeOrder = [
 
   body('items.*.quantity')
     .isFloat({ min: 0.001 })
-    .withMessage('Each item must have a quantity greater than 0'),
+    .withMessage('Each item must have a quantity greater than 0')
+];
+
+/**
+ * Coupon code (shared by place order and preview)
+ */
+const couponCode = body('coupon_code')
+  .optional({ checkFalsy: true })
+  .isString().withMessage('Coupon code must be a string')
+  .isLength({ max: 50 }).withMessage('Coupon code must be at most 50 characters');
+
+/**
+ * Place order validation rules
+ */
+const placeOrder = [
+  ...orderItems,
 
   // Validation allows either an address_id OR explicit address fields (for guest checkout)
   body('address_id')
@@ -42,7 +57,8 @@ const placeOrder = [
   body('region')
     .if(body('address_id').not().exists())
     .notEmpty().withMessage('Region is required if no address_id provided')
-    .isIn(VALID_REGIONS).withMessage(`منطقة غير صالحة. الرجاء اختيار منطقة مدعومة`),
+    .bail()
+    .custom(supportedRegion),
 
   body('street')
     .if(body('address_id').not().exists())
@@ -52,7 +68,38 @@ const placeOrder = [
   body('phone_number')
     .if(body('address_id').not().exists())
     .notEmpty().withMessage('Phone number is required if no address_id provided')
-    .isLength({ min: 9, max: 20 }).withMessage('Phone number must be valid')
+    .isLength({ min: 9, max: 20 }).withMessage('Phone number must be valid'),
+
+  body('slot_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Slot ID must be a positive integer'),
+
+  body('delivery_date')
+    .if(body('slot_id').exists())
+    .notEmpty().withMessage('delivery_date is required when slot_id is provided')
+    .isISO8601().withMessage('delivery_date must be a valid date (YYYY-MM-DD)'),
+
+  couponCode
+];
+
+/**
+ * Preview order validation rules
+ * Only what affects the price: items, address_id or region, coupon_code.
+ */
+const previewOrder = [
+  ...orderItems,
+
+  body('address_id')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Valid address ID is required if not providing a region'),
+
+  body('region')
+    .if(body('address_id').not().exists())
+    .notEmpty().withMessage('Region is required if no address_id provided')
+    .bail()
+    .custom(supportedRegion),
+
+  couponCode
 ];
 
 /**
@@ -75,12 +122,13 @@ const changeStatus = [
   body('status')
     .notEmpty()
     .withMessage('Status is required')
-    .isIn(['Confirmed', 'Shipped', 'Delivered', 'Cancelled'])
-    .withMessage('Status must be one of: Confirmed, Shipped, Delivered, Cancelled')
+    .isIn(['Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Refunded'])
+    .withMessage('Status must be one of: Confirmed, Shipped, Delivered, Cancelled, Refunded')
 ];
 
 module.exports = {
   placeOrder,
+  previewOrder,
   cancelOrder,
   changeStatus
 };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const prisma = require('../../config/prisma');
+const smsService = require('../../utils/sms');
+
+/**
+ * OTP Service
+ * Issues and checks the 6-digit SMS codes used for sign-up, password reset
+ * and phone changes.
+ *
+ * - Codes are stored as HMAC-SHA256 hashes, never in plaintext.
+ * - Issuing is limited per phone number: a cooldown between codes and a cap
+ *   per rolling 24 hours (on top of the IP-based rate limiters).
+ * - Each code allows OTP_MAX_ATTEMPTS wrong guesses, then it is invalidated.
+ * - A new code invalidates the previous unused codes for the same phone.
+ */
+
+const OTP_TTL_MINUTES = 5;
+const RESEND_COOLDOWN_SECONDS = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const DAILY_LIMIT = Number(process.env.OTP_DAILY_LIMIT) || 5;
+const MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// Controller responses for the OTP error codes thrown below
+const OTP_ERROR_RESPONSES = {
+  INVALID_OTP: { status: 400, message: 'رمز التحقق غير صحيح أو منتهي الصلاحية' },
+  OTP_TOO_MANY_ATTEMPTS: { status: 429, message: 'تم تجاوز عدد المحاولات المسموح. يرجى طلب رمز جديد.' },
+  OTP_COOLDOWN: { status: 429, message: `يرجى الانتظار ${RESEND_COOLDOWN_SECONDS} ثانية قبل طلب رمز جديد` },
+  OTP_DAILY_LIMIT: { status: 429, message: 'تم تجاوز الحد المسموح لطلب رموز التحقق لهذا الرقم. حاول مجدداً بعد 24 ساعة.' }
+};
+
+/**
+ * Hash a code for storage/comparison
+ * Keyed with a server secret so a leaked table can't be brute-forced offline.
+ * @param {string} phone_number - Phone the code was sent to
+ * @param {string} otp_code - Raw code
+ * @returns {string} Hex HMAC-SHA256
+ */
+const hashOtp = (phone_number, otp_code) => crypto
+  .createHmac('sha256', process.env.OTP_HASH_SECRET || process.env.JWT_SECRET)
+  .update(`${phone_number}:${otp_code}`)
+  .digest('hex');
+
+/**
+ * Check the phone may receive a new code now
+ * @param {string} phone_number - Phone number
+ * @param {Object} [client] - Prisma client or transaction client
+ */
+const assertCanIssue = async (phone_number, client = prisma) => {
+  const now = Date.now();
+
+  const recent = await client.otpCode.findMany({
+    where: { phone_number, created_at: { gte: new Date(now - 24 * 60 * 60 * 1000) } },
+    select: { created_at: true },
+    orderBy: { created_at: 'desc' }
+  });
+
+  if (recent.length > 0 && now - recent[0].created_at.getTime() < RESEND_COOLDOWN_SECONDS * 1000) {
+    throw new Error('OTP_COOLDOWN');
+  }
+
+  if (recent.length >= DAILY_LIMIT) {
+    throw new Error('OTP_DAILY_LIMIT');
+  }
+};
+
+/**
+ * Create a new code for a phone and send it by SMS
+ * @param {string} phone_number - Phone number
+ */
+const issueOtp = async (phone_number) => {
+  const otp_code = crypto.randomInt(100000, 1000000).toString();
+
+  await prisma.$transaction(async (tx) => {
+    // Serialize issuing per phone so parallel requests can't skip the limits
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${phone_number}))`;
+
+    await assertCanIssue(phone_number, tx);
+
+    await tx.otpCode.updateMany({
+      where: { phone_number, is_used: false },
+      data: { is_used: true }
+    });
+
+    await tx.otpCode.create({
+      data: {
+        phone_number,
+        otp_hash: hashOtp(phone_number, otp_code),
+        expires_at: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+      }
+    });
+  });
+
+  await smsService.sendOTP(phone_number, otp_code);
+};
+
+/**
+ * Check a code without consuming it
+ * A wrong guess counts against the phone's latest live code.
+ * @param {string} phone_number - Phone number
+ * @param {string} otp_code - Code entered by the user
+ * @returns {Object} { otp_id } of the matching code
+ */
+const verifyOtp = async (phone_number, otp_code) => {
+  const otp = await prisma.otpCode.findFirst({
+    where: { phone_number, is_used: false, expires_at: { gt: new Date() } },
+    select: { otp_id: true, otp_hash: true },
+    orderBy: { created_at: 'desc' }
+  });
+
+  if (!otp) {
+    throw new Error('INVALID_OTP');
+  }
+
+  const expected = Buffer.from(otp.otp_hash, 'hex');
+  const actual = Buffer.from(hashOtp(phone_number, otp_code), 'hex');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    // Count the miss and invalidate the code on the last allowed attempt
+    const [counted] = await prisma.$queryRaw`
+      UPDATE otp_codes
+      SET failed_attempts = failed_attempts + 1,
+          is_used = (failed_attempts + 1 >= ${MAX_ATTEMPTS})
+      WHERE otp_id = ${otp.otp_id} AND is_used = FALSE
+      RETURNING failed_attempts
+    `;
+
+    if (counted && counted.failed_attempts >= MAX_ATTEMPTS) {
+      throw new Error('OTP_TOO_MANY_ATTEMPTS');
+    }
+    throw new Error('INVALID_OTP');
+  }
+
+  return { otp_id: otp.otp_id };
+};
+
+/**
+ * Mark a verified code as used (only one request can consume it)
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} otp_id - Code returned by verifyOtp
+ */
+const consumeOtp = async (client, otp_id) => {
+  const result = await client.otpCode.updateMany({
+    where: { otp_id, is_used: false },
+    data: { is_used: true }
+  });
+
+  if (result.count === 0) {
+    throw new Error('INVALID_OTP');
+  }
+};
+
+module.exports = {
+  OTP_ERROR_RESPONSES,
+  hashOtp,
+  assertCanIssue,
+  issueOtp,
+  verifyOtp,
+  consumeOtp
+};
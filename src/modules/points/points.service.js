@@ -0,0 +1,300 @@
+const prisma = require('../../config/prisma');
+const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination');
+const { localDate, daysBetween } = require('../../utils/date');
+
+/**
+ * Points Service
+ * Handles the loyalty points ledger (users.points + points_transactions)
+ *
+ * Every change to users.points must be written together with a
+ * points_transactions row inside the same DB transaction.
+ */
+
+// Points earned per 1 ILS of an order's final_total (default: 1 point per 10 ILS)
+const POINTS_EARN_RATE = Number(process.env.POINTS_EARN_RATE) || 0.1;
+
+// Ledger reason codes
+const REASONS = {
+  ORDER_DELIVERED: 'order_delivered',
+  ORDER_REFUNDED: 'order_refunded',
+  COUPON_REDEEMED: 'coupon_redeemed',
+  STREAK_MILESTONE: 'streak_milestone'
+};
+
+/**
+ * Parse streak milestone rewards from "day:points" pairs (e.g. "7:50,30:200")
+ * @param {string} value - Raw env value
+ * @returns {Object} Map of streak day → points
+ */
+const parseMilestones = (value) => {
+  const milestones = {};
+  for (const pair of String(value).split(',')) {
+    const [day, points] = pair.split(':').map(v => parseInt(v, 10));
+    if (day > 0 && points > 0) milestones[day] = points;
+  }
+  return milestones;
+};
+
+const STREAK_MILESTONES = parseMilestones(process.env.STREAK_MILESTONE_REWARDS || '7:50,30:200');
+
+/**
+ * Calculate points earned for an order total
+ * @param {number} final_total - Order final total
+ * @returns {number} Whole points (rounded down)
+ */
+const calculateEarnedPoints = (final_total) => {
+  return Math.max(Math.floor(parseFloat(final_total) * POINTS_EARN_RATE), 0);
+};
+
+/**
+ * Award points for a delivered order (idempotent per order)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - { order_id, user_id, final_total }
+ * @returns {number} Points awarded (0 for guest orders or if already awarded)
+ */
+const awardOrderPoints = async (tx, order) => {
+  if (!order.user_id) return 0;
+
+  const points = calculateEarnedPoints(order.final_total);
+  if (points === 0) return 0;
+
+  const alreadyAwarded = await tx.pointsTransaction.findFirst({
+    where: { related_order_id: order.order_id, reason: REASONS.ORDER_DELIVERED },
+    select: { transaction_id: true }
+  });
+
+  if (alreadyAwarded) return 0;
+
+  await tx.user.update({
+    where: { user_id: order.user_id },
+    data: { points: { increment: points } }
+  });
+
+  await tx.pointsTransaction.create({
+    data: {
+      user_id: order.user_id,
+      points,
+      reason: REASONS.ORDER_DELIVERED,
+      related_order_id: order.order_id
+    }
+  });
+
+  return points;
+};
+
+/**
+ * Reverse the points awarded for an order that is being refunded
+ * If the customer already spent part of them, only the remaining balance is
+ * deducted so users.points never goes negative.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - { order_id, user_id }
+ * @returns {number} Points deducted
+ */
+const reverseOrderPoints = async (tx, order) => {
+  if (!order.user_id) return 0;
+
+  const awarded = await tx.pointsTransaction.findFirst({
+    where: { related_order_id: order.order_id, reason: REASONS.ORDER_DELIVERED },
+    select: { points: true }
+  });
+
+  if (!awarded) return 0;
+
+  const alreadyReversed = await tx.pointsTransaction.findFirst({
+    where: { related_order_id: order.order_id, reason: REASONS.ORDER_REFUNDED },
+    select: { transaction_id: true }
+  });
+
+  if (alreadyReversed) return 0;
+
+  const user = await tx.user.findUnique({
+    where: { user_id: order.user_id },
+    select: { points: true }
+  });
+
+  const deducted = Math.min(awarded.points, user ? user.points : 0);
+
+  if (deducted > 0) {
+    const updated = await tx.user.updateMany({
+      where: { user_id: order.user_id, points: { gte: deducted } },
+      data: { points: { decrement: deducted } }
+    });
+
+    if (updated.count === 0) {
+      throw new Error('Points balance changed during refund. Please try again.');
+    }
+  }
+
+  await tx.pointsTransaction.create({
+    data: {
+      user_id: order.user_id,
+      points: -deducted,
+      reason: REASONS.ORDER_REFUNDED,
+      related_order_id: order.order_id
+    }
+  });
+
+  return deducted;
+};
+
+/**
+ * Spend points from a user's balance
+ * The conditional decrement is the guard against concurrent requests:
+ * it only matches while the balance still covers the amount.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} user_id - User ID
+ * @param {number} points - Points to deduct (positive)
+ * @param {string} reason - Ledger reason code
+ * @returns {number} Remaining balance
+ */
+const spendPoints = async (tx, user_id, points, reason) => {
+  const updated = await tx.user.updateMany({
+    where: { user_id, points: { gte: points } },
+    data: { points: { decrement: points } }
+  });
+
+  if (updated.count === 0) {
+    throw new Error('Insufficient points balance');
+  }
+
+  await tx.pointsTransaction.create({
+    data: {
+      user_id,
+      points: -points,
+      reason
+    }
+  });
+
+  const user = await tx.user.findUnique({
+    where: { user_id },
+    select: { points: true }
+  });
+
+  return user.points;
+};
+
+// ─── Daily Login Streak ───────────────────────────────────────────────────────
+
+/**
+ * Calendar date for the login streak: the store's local date, as a
+ * UTC-midnight Date (comparable with the @db.Date last_login_date column)
+ * @param {Date} [now] - Point in time (defaults to now)
+ * @returns {Date}
+ */
+const streakDate = (now = new Date()) => localDate(now);
+
+/**
+ * Streak the user currently holds (0 once a calendar day has been missed)
+ * @param {Object} user - { daily_streak, last_login_date }
+ * @param {Date} [now] - Point in time (defaults to now)
+ * @returns {number}
+ */
+const getCurrentStreak = (user, now = new Date()) => {
+  if (!user.last_login_date) return 0;
+
+  const gapDays = daysBetween(new Date(user.last_login_date), streakDate(now));
+  return gapDays <= 1 ? user.daily_streak : 0;
+};
+
+/**
+ * Record a login for the daily streak and grant milestone rewards
+ * Consecutive calendar days increment the streak, a gap resets it to 1 and a
+ * second login on the same day changes nothing.
+ * @param {Object} user - { user_id, daily_streak, last_login_date }
+ * @param {Date} [now] - Point in time (defaults to now)
+ * @returns {Object} { daily_streak, reward_points }
+ */
+const recordDailyLogin = async (user, now = new Date()) => {
+  const today = streakDate(now);
+  const previous = user.last_login_date ? new Date(user.last_login_date) : null;
+  const gapDays = previous ? daysBetween(previous, today) : null;
+
+  if (gapDays === 0) {
+    return { daily_streak: user.daily_streak, reward_points: 0 };
+  }
+
+  const daily_streak = gapDays === 1 ? user.daily_streak + 1 : 1;
+  const reward_points = STREAK_MILESTONES[daily_streak] || 0;
+
+  return await prisma.$transaction(async (tx) => {
+    // Guard: only the first login of the day moves the streak, even when
+    // two logins arrive at the same time
+    const updated = await tx.user.updateMany({
+      where: { user_id: user.user_id, last_login_date: user.last_login_date },
+      data: {
+        last_login_date: today,
+        daily_streak,
+        ...(reward_points > 0 && { points: { increment: reward_points } })
+      }
+    });
+
+    if (updated.count === 0) {
+      return { daily_streak: user.daily_streak, reward_points: 0 };
+    }
+
+    if (reward_points > 0) {
+      await tx.pointsTransaction.create({
+        data: {
+          user_id: user.user_id,
+          points: reward_points,
+          reason: REASONS.STREAK_MILESTONE
+        }
+      });
+    }
+
+    return { daily_streak, reward_points };
+  });
+};
+
+/**
+ * Get user's points balance and ledger (paginated)
+ * @param {number} user_id - User ID
+ * @param {Object} options - Pagination options
+ * @returns {Object} Balance + paginated transactions
+ */
+const getPointsHistory = async (user_id, options) => {
+  const { skip, take, page: safePage, limit: safeLimit } = safePaginate(options.page, options.limit);
+
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { points: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const totalItems = await prisma.pointsTransaction.count({ where: { user_id } });
+
+  const transactions = await prisma.pointsTransaction.findMany({
+    where: { user_id },
+    select: {
+      transaction_id: true,
+      points: true,
+      reason: true,
+      related_order_id: true,
+      created_at: true
+    },
+    orderBy: { created_at: 'desc' },
+    skip,
+    take
+  });
+
+  return {
+    balance: user.points,
+    earn_rate: POINTS_EARN_RATE,
+    ...buildPaginatedResponse(transactions, totalItems, safePage, safeLimit)
+  };
+};
+
+module.exports = {
+  REASONS,
+  calculateEarnedPoints,
+  awardOrderPoints,
+  reverseOrderPoints,
+  spendPoints,
+  streakDate,
+  getCurrentStreak,
+  recordDailyLogin,
+  getPointsHistory
+};
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const productsController = require('./products.controller');
 const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
 const { validate } = require('../../middlewares/validate.middleware');
 const { uploadProductImage, handleMulterError } = require('../../config/multer');
 const { uploadLimiter } = require('../../middlewares/rateLimit.middleware');
@@ -64,6 +65,7 @@ router.post(
   handleMulterError,
   productsValidators.create,
   validate,
+  audit('product'),
   productsController.createProduct
 );
 
@@ -112,9 +114,10 @@ router.put(
   handleMulterError,
   productsValidators.update,
   validate,
+  audit('product'),
   productsController.updateProduct
 );
-router.delete('/:id', authenticate, requirePermission('product.delete'), productsController.deleteProduct);
+router.delete('/:id', authenticate, requirePermission('product.delete'), audit('product'), productsController.deleteProduct);
 
 /**
  * @swagger
@@ -136,7 +139,7 @@ router.delete('/:id', authenticate, requirePermission('product.delete'), product
  *       403:
  *         description: "صلاحية مطلوبة: product.edit"
  */
-router.post('/:id/stock', authenticate, requirePermission('product.edit'), productsValidators.adjustStock, validate, productsController.adjustStock);
+router.post('/:id/stock', authenticate, requirePermission('product.edit'), productsValidators.adjustStock, validate, audit('product'), productsController.adjustStock);
 
 /**
  * @swagger
@@ -22,7 +22,7 @@ const getDashboardSummary = async () => {
   const todayStats = await prisma.order.aggregate({
     where: {
       created_at: { gte: today },
-      status: { not: 'Cancelled' }
+      status: { notIn: ['Cancelled', 'Refunded'] }
     },
     _count: { order_id: true },
     _sum: { final_total: true }
@@ -93,7 +93,7 @@ const getSalesReport = async (period, options = {}) => {
   const normalizedEndDate = end_date ? new Date(new Date(end_date).setHours(23, 59, 59, 999)).toISOString() : null;
 
   // Build where conditions
-  const conditions = ["status != 'Cancelled'"];
+  const conditions = ["status NOT IN ('Cancelled', 'Refunded')"];
   const params = [];
   let paramIndex = 1;
 
@@ -147,7 +147,7 @@ const getTopProducts = async (options = {}) => {
   const normalizedEndDate = end_date ? new Date(new Date(end_date).setHours(23, 59, 59, 999)).toISOString() : null;
 
   // Build where conditions
-  const conditions = ["o.status != 'Cancelled'"];
+  const conditions = ["o.status NOT IN ('Cancelled', 'Refunded')"];
   const params = [];
   let paramIndex = 1;
 
@@ -245,7 +245,7 @@ const getProfitReport = async (period, options = {}) => {
   const dateTrunc = validPeriods[period] || 'day';
 
   // Build where conditions
-  const conditions = ["o.status != 'Cancelled'"];
+  const conditions = ["o.status NOT IN ('Cancelled', 'Refunded')"];
   const params = [];
   let paramIndex = 1;
 
@@ -306,7 +306,7 @@ const getCategorySales = async (options = {}) => {
   const normalizedEndDate = end_date ? new Date(new Date(end_date).setHours(23, 59, 59, 999)).toISOString() : null;
 
   // Build where conditions
-  const conditions = ["o.status != 'Cancelled'"];
+  const conditions = ["o.status NOT IN ('Cancelled', 'Refunded')"];
   const params = [];
   let paramIndex = 1;
 
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const reviewsController = require('./reviews.controller');
 const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
 const { validate } = require('../../middlewares/validate.middleware');
 const reviewsValidators = require('./reviews.validators');
 
@@ -41,6 +42,6 @@ router.get('/', authenticate, requirePermission('product.edit'), reviewsControll
  *       403:
  *         description: "صلاحية مطلوبة: product.edit"
  */
-router.put('/:id/hide', authenticate, requirePermission('product.edit'), reviewsValidators.toggleVisibility, validate, reviewsController.toggleReviewVisibility);
+router.put('/:id/hide', authenticate, requirePermission('product.edit'), reviewsValidators.toggleVisibility, validate, audit('review'), reviewsController.toggleReviewVisibility);
 
 module.exports = router;
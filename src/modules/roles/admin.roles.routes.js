@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const rolesController = require('./roles.controller');
+const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const rolesValidators = require('./roles.validators');
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     summary: قائمة الأدوار مع صلاحياتها وعدد المستخدمين في كل دور
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: الأدوار (أدوار النظام أولاً) — is_system, permissions, member_count
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage"
+ */
+router.get('/', authenticate, requirePermission('settings.manage'), rolesController.getRoles);
+
+/**
+ * @swagger
+ * /api/admin/roles/permissions:
+ *   get:
+ *     summary: كل أكواد الصلاحيات المتاحة للربط بالأدوار
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: قائمة الصلاحيات (code + description)
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage"
+ */
+router.get('/permissions', authenticate, requirePermission('settings.manage'), rolesController.getPermissions);
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   post:
+ *     summary: إنشاء دور مخصص
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Support
+ *                 description: 2-20 حرف/رقم/_ ويبدأ بحرف
+ *               description:
+ *                 type: string
+ *                 example: عرض الطلبات والمستخدمين
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [order.view, user.view]
+ *     responses:
+ *       201:
+ *         description: تم إنشاء الدور
+ *       400:
+ *         description: بيانات غير صحيحة أو صلاحية غير معروفة
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage — ولا يمكن منح صلاحية لا تملكها"
+ *       409:
+ *         description: الدور موجود مسبقاً
+ */
+router.post('/', authenticate, requirePermission('settings.manage'), rolesValidators.create, validate, audit('role', 'name'), rolesController.createRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}:
+ *   delete:
+ *     summary: حذف دور مخصص
+ *     description: لا يمكن حذف أدوار النظام أو دور ما زال مسنداً لمستخدمين
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: تم حذف الدور وصلاحياته
+ *       400:
+ *         description: دور نظام
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage"
+ *       404:
+ *         description: الدور غير موجود
+ *       409:
+ *         description: الدور مسند لمستخدمين — غيّر أدوارهم أولاً
+ */
+router.delete('/:name', authenticate, requirePermission('settings.manage'), rolesValidators.checkRoleName, validate, audit('role', 'name'), rolesController.deleteRole);
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}/permissions:
+ *   post:
+ *     summary: ربط صلاحيات بدور
+ *     description: الصلاحيات المربوطة مسبقاً يتم تجاهلها. التغيير يسري فوراً على كل مستخدمي الدور. صلاحيات SuperAdmin لا يمكن تعديلها.
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [report.view]
+ *     responses:
+ *       200:
+ *         description: الدور مع صلاحياته بعد التعديل
+ *       400:
+ *         description: صلاحية غير معروفة أو دور SuperAdmin
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage — ولا يمكن منح صلاحية لا تملكها"
+ *       404:
+ *         description: الدور غير موجود
+ */
+router.post('/:name/permissions', authenticate, requirePermission('settings.manage'), rolesValidators.attachPermissions, validate, audit('role', 'name'), rolesController.attachPermissions);
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}/permissions/{code}:
+ *   delete:
+ *     summary: إزالة صلاحية من دور
+ *     description: التغيير يسري فوراً على كل مستخدمي الدور. صلاحيات SuperAdmin لا يمكن تعديلها.
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: report.view
+ *     responses:
+ *       200:
+ *         description: الدور مع صلاحياته بعد التعديل
+ *       400:
+ *         description: دور SuperAdmin
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage"
+ *       404:
+ *         description: الدور غير موجود أو الصلاحية غير مربوطة به
+ */
+router.delete('/:name/permissions/:code', authenticate, requirePermission('settings.manage'), rolesValidators.detachPermission, validate, audit('role', 'name'), rolesController.detachPermission);
+
+/**
+ * @swagger
+ * /api/admin/roles/{name}/members:
+ *   get:
+ *     summary: المستخدمون الذين يحملون هذا الدور
+ *     tags: [Admin - Roles]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: قائمة المستخدمين مع pagination
+ *       403:
+ *         description: "صلاحية مطلوبة: settings.manage"
+ *       404:
+ *         description: الدور غير موجود
+ */
+router.get('/:name/members', authenticate, requirePermission('settings.manage'), rolesValidators.members, validate, rolesController.getRoleMembers);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const rolesService = require('./roles.service');
+const {
+  successResponse,
+  errorResponse,
+  createdResponse,
+  notFoundResponse,
+  forbiddenResponse,
+  serverErrorResponse
+} = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Roles Controller
+ * Handles HTTP request and response for admin role management endpoints
+ */
+
+/**
+ * Map role errors shared by several handlers
+ * @returns {Object|undefined} Response, or undefined if the error is unexpected
+ */
+const handleRoleError = (res, error) => {
+  if (error.message === 'Role not found') {
+    return notFoundResponse(res, 'Role');
+  }
+  if (error.message === 'Role already exists' || error.message === 'Role still has members') {
+    return errorResponse(res, error.message, 409);
+  }
+  if (error.message.startsWith('Unknown permission') ||
+      error.message === `${rolesService.PROTECTED_ROLE} permissions cannot be changed` ||
+      error.message === 'System roles cannot be deleted') {
+    return errorResponse(res, error.message, 400);
+  }
+  if (error.message.startsWith('Cannot grant permissions you do not hold')) {
+    return forbiddenResponse(res, error.message);
+  }
+  if (error.message === 'Permission is not attached to this role') {
+    return errorResponse(res, error.message, 404);
+  }
+  return undefined;
+};
+
+/**
+ * Get roles with their permissions (admin only)
+ * GET /api/admin/roles
+ */
+const getRoles = async (req, res) => {
+  try {
+    const roles = await rolesService.getRoles();
+
+    return successResponse(res, roles, 'Roles retrieved successfully');
+  } catch (error) {
+    logger.error('Get roles error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get roles');
+  }
+};
+
+/**
+ * Get all permission codes (admin only)
+ * GET /api/admin/roles/permissions
+ */
+const getPermissions = async (req, res) => {
+  try {
+    const permissions = await rolesService.getPermissions();
+
+    return successResponse(res, permissions, 'Permissions retrieved successfully');
+  } catch (error) {
+    logger.error('Get permissions error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get permissions');
+  }
+};
+
+/**
+ * Create a custom role (admin only)
+ * POST /api/admin/roles
+ */
+const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    const role = await rolesService.createRole({ name, description, permissions }, req.permissions);
+
+    return createdResponse(res, role, 'Role created successfully');
+  } catch (error) {
+    const handled = handleRoleError(res, error);
+    if (handled) return handled;
+    logger.error('Create role error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to create role');
+  }
+};
+
+/**
+ * Delete a custom role (admin only)
+ * DELETE /api/admin/roles/:name
+ */
+const deleteRole = async (req, res) => {
+  try {
+    await rolesService.deleteRole(req.params.name);
+
+    return successResponse(res, null, 'Role deleted successfully');
+  } catch (error) {
+    const handled = handleRoleError(res, error);
+    if (handled) return handled;
+    logger.error('Delete role error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to delete role');
+  }
+};
+
+/**
+ * Attach permissions to a role (admin only)
+ * POST /api/admin/roles/:name/permissions
+ */
+const attachPermissions = async (req, res) => {
+  try {
+    const role = await rolesService.attachPermissions(req.params.name, req.body.permissions, req.permissions);
+
+    return successResponse(res, role, 'Permissions attached successfully');
+  } catch (error) {
+    const handled = handleRoleError(res, error);
+    if (handled) return handled;
+    logger.error('Attach permissions error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to attach permissions');
+  }
+};
+
+/**
+ * Detach a permission from a role (admin only)
+ * DELETE /api/admin/roles/:name/permissions/:code
+ */
+const detachPermission = async (req, res) => {
+  try {
+    const role = await rolesService.detachPermission(req.params.name, req.params.code);
+
+    return successResponse(res, role, 'Permission detached successfully');
+  } catch (error) {
+    const handled = handleRoleError(res, error);
+    if (handled) return handled;
+    logger.error('Detach permission error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to detach permission');
+  }
+};
+
+/**
+ * Get users holding a role (admin only)
+ * GET /api/admin/roles/:name/members
+ */
+const getRoleMembers = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+
+    const result = await rolesService.getRoleMembers(req.params.name, { page, limit });
+
+    return successResponse(res, result, 'Role members retrieved successfully');
+  } catch (error) {
+    const handled = handleRoleError(res, error);
+    if (handled) return handled;
+    logger.error('Get role members error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get role members');
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  deleteRole,
+  attachPermissions,
+  detachPermission,
+  getRoleMembers
+};
@@ -0,0 +1,284 @@
+const prisma = require('../../config/prisma');
+const { clearPermissionCache } = require('../../middlewares/auth.middleware');
+const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination');
+
+/**
+ * Roles Service
+ * Custom RBAC roles and their permission mappings.
+ *
+ * Every change to a role's permissions clears that role from the permission
+ * cache in auth.middleware, so it applies on the next request (other server
+ * processes pick it up when their cache entry expires).
+ */
+
+// Its permissions can't be edited, so admins can't lock themselves out
+const PROTECTED_ROLE = 'SuperAdmin';
+
+/**
+ * Shape a role row with its permission codes
+ * @param {Object} role - Role with role_permissions.permission.code
+ * @returns {Object} Role with a flat permissions array
+ */
+const formatRole = ({ role_permissions, ...role }) => ({
+  ...role,
+  permissions: role_permissions.map(rp => rp.permission.code).sort()
+});
+
+const roleInclude = {
+  role_permissions: { select: { permission: { select: { code: true } } } }
+};
+
+/**
+ * Get a role or throw
+ * @param {string} name - Role name
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Object} Role
+ */
+const findRoleOrThrow = async (name, client = prisma) => {
+  const role = await client.role.findUnique({ where: { name } });
+
+  if (!role) {
+    throw new Error('Role not found');
+  }
+
+  return role;
+};
+
+/**
+ * Map permission codes to IDs, rejecting unknown codes
+ * @param {Array<string>} codes - Permission codes
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Array<number>} Permission IDs
+ */
+const resolvePermissionIds = async (codes, client = prisma) => {
+  const unique = [...new Set(codes)];
+  if (unique.length === 0) return [];
+
+  const permissions = await client.permission.findMany({
+    where: { code: { in: unique } },
+    select: { permission_id: true, code: true }
+  });
+
+  const known = permissions.map(p => p.code);
+  const unknown = unique.filter(code => !known.includes(code));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return permissions.map(p => p.permission_id);
+};
+
+/**
+ * Make sure the acting admin holds every permission they are handing to a role,
+ * so settings.manage alone can't build a role with user.impersonate
+ * @param {Array<string>} codes - Permission codes being granted
+ * @param {Array<string>} actorPermissions - Permission codes of the acting admin (req.permissions)
+ */
+const assertHoldsPermissions = (codes, actorPermissions = []) => {
+  const missing = [...new Set(codes)].filter(code => !actorPermissions.includes(code));
+  if (missing.length > 0) {
+    throw new Error(`Cannot grant permissions you do not hold: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Make sure a role carries no permission the acting admin lacks, so holding
+ * user.ban isn't enough to hand out (or take away) SuperAdmin
+ * @param {string} name - Role name
+ * @param {Array<string>} actorPermissions - Permission codes of the acting admin (req.permissions)
+ * @param {Object} [client] - Prisma client or transaction client
+ */
+const assertCanGrantRole = async (name, actorPermissions = [], client = prisma) => {
+  const rolePermissions = await client.rolePermission.findMany({
+    where: { role: name },
+    select: { permission: { select: { code: true } } }
+  });
+
+  const missing = rolePermissions.filter(rp => !actorPermissions.includes(rp.permission.code));
+  if (missing.length > 0) {
+    throw new Error('Role carries permissions you do not hold');
+  }
+};
+
+/**
+ * List roles with their permissions and member counts
+ * @returns {Array} Roles
+ */
+const getRoles = async () => {
+  const roles = await prisma.role.findMany({
+    include: roleInclude,
+    orderBy: [{ is_system: 'desc' }, { name: 'asc' }]
+  });
+
+  const counts = await prisma.user.groupBy({
+    by: ['role'],
+    _count: { user_id: true }
+  });
+  const memberCounts = Object.fromEntries(counts.map(c => [c.role, c._count.user_id]));
+
+  return roles.map(role => ({
+    ...formatRole(role),
+    member_count: memberCounts[role.name] || 0
+  }));
+};
+
+/**
+ * List every permission code that can be attached to a role
+ * @returns {Array} Permissions
+ */
+const getPermissions = async () => {
+  return await prisma.permission.findMany({
+    select: { code: true, description: true },
+    orderBy: { code: 'asc' }
+  });
+};
+
+/**
+ * Create a custom role
+ * @param {Object} data - { name, description, permissions }
+ * @param {Array<string>} actorPermissions - Permission codes of the acting admin
+ * @returns {Object} Created role with its permissions
+ */
+const createRole = async ({ name, description, permissions = [] }, actorPermissions) => {
+  const existing = await prisma.role.findUnique({ where: { name } });
+  if (existing) {
+    throw new Error('Role already exists');
+  }
+
+  const permissionIds = await resolvePermissionIds(permissions);
+  assertHoldsPermissions(permissions, actorPermissions);
+
+  const role = await prisma.role.create({
+    data: {
+      name,
+      description,
+      role_permissions: {
+        create: permissionIds.map(permission_id => ({ permission_id }))
+      }
+    },
+    include: roleInclude
+  });
+
+  clearPermissionCache(name);
+
+  return formatRole(role);
+};
+
+/**
+ * Attach permissions to a role (already attached codes are ignored)
+ * @param {string} name - Role name
+ * @param {Array<string>} codes - Permission codes
+ * @param {Array<string>} actorPermissions - Permission codes of the acting admin
+ * @returns {Object} Role with its permissions
+ */
+const attachPermissions = async (name, codes, actorPermissions) => {
+  await findRoleOrThrow(name);
+
+  if (name === PROTECTED_ROLE) {
+    throw new Error(`${PROTECTED_ROLE} permissions cannot be changed`);
+  }
+
+  const permissionIds = await resolvePermissionIds(codes);
+  assertHoldsPermissions(codes, actorPermissions);
+
+  await prisma.rolePermission.createMany({
+    data: permissionIds.map(permission_id => ({ role: name, permission_id })),
+    skipDuplicates: true
+  });
+
+  clearPermissionCache(name);
+
+  return formatRole(await prisma.role.findUnique({ where: { name }, include: roleInclude }));
+};
+
+/**
+ * Detach one permission from a role
+ * @param {string} name - Role name
+ * @param {string} code - Permission code
+ * @returns {Object} Role with its permissions
+ */
+const detachPermission = async (name, code) => {
+  await findRoleOrThrow(name);
+
+  if (name === PROTECTED_ROLE) {
+    throw new Error(`${PROTECTED_ROLE} permissions cannot be changed`);
+  }
+
+  const result = await prisma.rolePermission.deleteMany({
+    where: { role: name, permission: { code } }
+  });
+
+  if (result.count === 0) {
+    throw new Error('Permission is not attached to this role');
+  }
+
+  clearPermissionCache(name);
+
+  return formatRole(await prisma.role.findUnique({ where: { name }, include: roleInclude }));
+};
+
+/**
+ * Delete a custom role that nobody holds
+ * @param {string} name - Role name
+ */
+const deleteRole = async (name) => {
+  const role = await findRoleOrThrow(name);
+
+  if (role.is_system) {
+    throw new Error('System roles cannot be deleted');
+  }
+
+  const members = await prisma.user.count({ where: { role: name } });
+  if (members > 0) {
+    throw new Error('Role still has members');
+  }
+
+  // Permission mappings go with it (ON DELETE CASCADE)
+  await prisma.role.delete({ where: { name } });
+
+  clearPermissionCache(name);
+};
+
+/**
+ * List users holding a role
+ * @param {string} name - Role name
+ * @param {Object} options - { page, limit }
+ * @returns {Object} Paginated users
+ */
+const getRoleMembers = async (name, options = {}) => {
+  await findRoleOrThrow(name);
+
+  const { skip, take, page: safePage, limit: safeLimit } = safePaginate(options.page, options.limit);
+  const where = { role: name };
+
+  const totalItems = await prisma.user.count({ where });
+
+  const users = await prisma.user.findMany({
+    where,
+    select: {
+      user_id: true,
+      name: true,
+      phone_number: true,
+      is_active: true,
+      created_at: true
+    },
+    orderBy: { created_at: 'desc' },
+    skip,
+    take
+  });
+
+  return buildPaginatedResponse(users, totalItems, safePage, safeLimit);
+};
+
+module.exports = {
+  PROTECTED_ROLE,
+  findRoleOrThrow,
+  assertCanGrantRole,
+  getRoles,
+  getPermissions,
+  createRole,
+  attachPermissions,
+  detachPermission,
+  deleteRole,
+  getRoleMembers
+};
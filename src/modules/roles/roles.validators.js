@@ -0,0 +1,92 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Roles Validation Rules
+ */
+
+/**
+ * permissions: array of permission codes
+ * @param {boolean} optional - Whether the field may be omitted
+ */
+const permissionCodes = (optional) => {
+  const field = body('permissions');
+  return [
+    (optional ? field.optional() : field)
+      .isArray({ min: 1 })
+      .withMessage('Permissions must be a non-empty array of permission codes'),
+
+    body('permissions.*')
+      .isString()
+      .withMessage('Each permission must be a permission code')
+      .trim()
+  ];
+};
+
+const checkRoleName = [
+  param('name')
+    .matches(/^[A-Za-z][A-Za-z0-9_]{1,19}$/)
+    .withMessage('Invalid role name')
+];
+
+/**
+ * Create role validation rules
+ */
+const create = [
+  body('name')
+    .notEmpty()
+    .withMessage('Role name is required')
+    .matches(/^[A-Za-z][A-Za-z0-9_]{1,19}$/)
+    .withMessage('Role name must be 2-20 letters, numbers or underscores and start with a letter'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must be at most 200 characters'),
+
+  ...permissionCodes(true)
+];
+
+/**
+ * Attach permissions validation rules
+ */
+const attachPermissions = [
+  ...checkRoleName,
+  ...permissionCodes(false)
+];
+
+/**
+ * Detach permission validation rules
+ */
+const detachPermission = [
+  ...checkRoleName,
+
+  param('code')
+    .notEmpty()
+    .withMessage('Permission code is required')
+];
+
+/**
+ * Role members query validation rules
+ */
+const members = [
+  ...checkRoleName,
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+module.exports = {
+  checkRoleName,
+  create,
+  attachPermissions,
+  detachPermission,
+  members
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const prisma = require('../../config/prisma');
+
+/**
+ * Sessions Service
+ * Login sessions and their rotating refresh tokens.
+ *
+ * Each login creates an auth_sessions row (the refresh-token family). Refresh
+ * tokens are random strings stored only as SHA-256 hashes; every refresh marks
+ * the presented token as used and issues a new one. Presenting a used token
+ * again means it was copied, so the whole session is revoked.
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// How long support impersonations stay in the customer's session list
+const IMPERSONATION_HISTORY_DAYS = 30;
+
+// Session revoke reason codes
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  PASSWORD_RESET: 'password_reset',
+  TOKEN_REUSE: 'token_reuse',
+  USER_REVOKED: 'user_revoked',
+  ROLE_CHANGED: 'role_changed',
+  STATUS_CHANGED: 'status_changed',
+  ACCOUNT_DELETED: 'account_deleted'
+};
+
+/**
+ * Hash a refresh token for storage/lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Create and store a new refresh token for a session
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} session_id - Session ID
+ * @returns {string} Raw refresh token (only ever returned to the client)
+ */
+const issueRefreshToken = async (client, session_id) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await client.refreshToken.create({
+    data: {
+      session_id,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return token;
+};
+
+/**
+ * Start a new session for a user
+ * @param {number} user_id - User ID
+ * @param {Object} [device] - { user_agent, ip_address } of the login request
+ * @param {boolean} [mfa_verified] - Login passed a second factor (needed for admin routes)
+ * @returns {Object} { session_id, refresh_token }
+ */
+const createSession = async (user_id, device = {}, mfa_verified = false) => {
+  return await prisma.$transaction(async (tx) => {
+    const session = await tx.authSession.create({
+      data: {
+        user_id,
+        user_agent: device.user_agent || null,
+        ip_address: device.ip_address || null,
+        mfa_verified
+      },
+      select: { session_id: true }
+    });
+
+    const refresh_token = await issueRefreshToken(tx, session.session_id);
+
+    return { session_id: session.session_id, refresh_token };
+  });
+};
+
+/**
+ * Revoke one session
+ * @param {number} session_id - Session ID
+ * @param {string} reason - Revoke reason code
+ * @returns {boolean} True if the session was active
+ */
+const revokeSession = async (session_id, reason) => {
+  const result = await prisma.authSession.updateMany({
+    where: { session_id, revoked_at: null },
+    data: { revoked_at: new Date(), revoke_reason: reason }
+  });
+
+  return result.count > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {number} user_id - User ID
+ * @param {string} reason - Revoke reason code
+ * @param {Object} [client] - Prisma transaction client (defaults to prisma)
+ * @returns {number} Sessions revoked
+ */
+const revokeAllUserSessions = async (user_id, reason, client = prisma) => {
+  const result = await client.authSession.updateMany({
+    where: { user_id, revoked_at: null },
+    data: { revoked_at: new Date(), revoke_reason: reason }
+  });
+
+  return result.count;
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation with reuse detection)
+ * @param {string} refresh_token - Raw refresh token from the client
+ * @param {Object} [device] - { ip_address } of the refresh request
+ * @returns {Object} { session_id, user: { user_id, role }, refresh_token }
+ */
+const rotateRefreshToken = async (refresh_token, device = {}) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { token_hash: hashToken(refresh_token) },
+    select: {
+      token_id: true,
+      expires_at: true,
+      used_at: true,
+      session: {
+        select: {
+          session_id: true,
+          revoked_at: true,
+          user: { select: { user_id: true, role: true, is_active: true } }
+        }
+      }
+    }
+  });
+
+  if (!stored) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const { session } = stored;
+
+  if (session.revoked_at) {
+    throw new Error('Session has been revoked');
+  }
+
+  if (stored.used_at) {
+    await revokeSession(session.session_id, REVOKE_REASONS.TOKEN_REUSE);
+    throw new Error('Refresh token reuse detected');
+  }
+
+  if (stored.expires_at < new Date()) {
+    throw new Error('Refresh token has expired');
+  }
+
+  if (!session.user.is_active) {
+    throw new Error('Account is deactivated. Please contact support.');
+  }
+
+  const newToken = await prisma.$transaction(async (tx) => {
+    // Guard: only one request can consume a token. Losing the race means the
+    // same token was sent twice, which is handled as reuse below.
+    const claimed = await tx.refreshToken.updateMany({
+      where: { token_id: stored.token_id, used_at: null },
+      data: { used_at: new Date() }
+    });
+
+    if (claimed.count === 0) return null;
+
+    await tx.authSession.update({
+      where: { session_id: session.session_id },
+      data: {
+        last_used_at: new Date(),
+        ...(device.ip_address && { ip_address: device.ip_address })
+      }
+    });
+
+    return await issueRefreshToken(tx, session.session_id);
+  });
+
+  if (!newToken) {
+    await revokeSession(session.session_id, REVOKE_REASONS.TOKEN_REUSE);
+    throw new Error('Refresh token reuse detected');
+  }
+
+  return {
+    session_id: session.session_id,
+    user: { user_id: session.user.user_id, role: session.user.role },
+    refresh_token: newToken
+  };
+};
+
+// ─── Customer session management ──────────────────────────────────────────────
+
+/**
+ * List the user's active sessions (devices currently logged in)
+ * Sessions whose refresh token has expired are left out — they cannot be used
+ * again even though they were never revoked. Support impersonations of the
+ * last IMPERSONATION_HISTORY_DAYS are always listed, with who opened them.
+ * @param {number} user_id - User ID
+ * @param {number} current_session_id - Session of the requesting token
+ * @returns {Array} Sessions, most recently used first, with is_current flag
+ */
+const getUserSessions = async (user_id, current_session_id) => {
+  const sessions = await prisma.authSession.findMany({
+    where: {
+      user_id,
+      OR: [
+        {
+          revoked_at: null,
+          refresh_tokens: { some: { used_at: null, expires_at: { gt: new Date() } } }
+        },
+        {
+          impersonator_id: { not: null },
+          created_at: { gte: new Date(Date.now() - IMPERSONATION_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+        }
+      ]
+    },
+    select: {
+      session_id: true,
+      user_agent: true,
+      ip_address: true,
+      created_at: true,
+      last_used_at: true,
+      revoked_at: true,
+      expires_at: true,
+      impersonation_reason: true,
+      impersonator: { select: { name: true } }
+    },
+    orderBy: { last_used_at: 'desc' }
+  });
+
+  return sessions.map(({ revoked_at, expires_at, impersonation_reason, impersonator, ...session }) => ({
+    ...session,
+    is_current: session.session_id === current_session_id,
+    impersonation: expires_at
+      ? {
+        staff_name: impersonator ? impersonator.name : null,
+        reason: impersonation_reason,
+        expires_at,
+        is_active: !revoked_at && expires_at > new Date()
+      }
+      : null
+  }));
+};
+
+/**
+ * Revoke one of the user's own sessions (log out a device)
+ * @param {number} user_id - User ID
+ * @param {number} session_id - Session to revoke
+ * @returns {Object} { session_id }
+ */
+const revokeUserSession = async (user_id, session_id) => {
+  const result = await prisma.authSession.updateMany({
+    where: { session_id, user_id, revoked_at: null },
+    data: { revoked_at: new Date(), revoke_reason: REVOKE_REASONS.USER_REVOKED }
+  });
+
+  if (result.count === 0) {
+    throw new Error('Session not found or already revoked');
+  }
+
+  return { session_id };
+};
+
+/**
+ * Revoke every session of the user except the current one
+ * @param {number} user_id - User ID
+ * @param {number} current_session_id - Session to keep
+ * @returns {Object} { revoked_count }
+ */
+const revokeOtherSessions = async (user_id, current_session_id) => {
+  const result = await prisma.authSession.updateMany({
+    where: { user_id, revoked_at: null, session_id: { not: current_session_id } },
+    data: { revoked_at: new Date(), revoke_reason: REVOKE_REASONS.USER_REVOKED }
+  });
+
+  return { revoked_count: result.count };
+};
+
+module.exports = {
+  REVOKE_REASONS,
+  hashToken,
+  createSession,
+  revokeSession,
+  revokeAllUserSessions,
+  rotateRefreshToken,
+  getUserSessions,
+  revokeUserSession,
+  revokeOtherSessions
+};
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('./shipping.controller');
+const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const shippingValidators = require('./shipping.validators');
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones:
+ *   get:
+ *     summary: قائمة مناطق التوصيل ورسومها
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: قائمة المناطق مرتبة حسب sort_order
+ *       403:
+ *         description: "صلاحية مطلوبة: shipping.manage"
+ *   post:
+ *     summary: إضافة منطقة توصيل
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [region_name, fee]
+ *             properties:
+ *               region_name:
+ *                 type: string
+ *                 example: "عنبتا"
+ *               fee:
+ *                 type: number
+ *                 example: 20
+ *               free_delivery_threshold:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 70
+ *                 description: التوصيل مجاني إذا تجاوز مجموع المنتجات هذا المبلغ (null = لا يوجد توصيل مجاني)
+ *               is_active:
+ *                 type: boolean
+ *               sort_order:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: تمت إضافة المنطقة
+ *       409:
+ *         description: المنطقة موجودة مسبقاً
+ *       403:
+ *         description: "صلاحية مطلوبة: shipping.manage"
+ */
+router.get('/', authenticate, requirePermission('shipping.manage'), shippingController.getAllZones);
+router.post('/', authenticate, requirePermission('shipping.manage'), shippingValidators.createZone, validate, audit('shipping_zone'), shippingController.createZone);
+
+/**
+ * @swagger
+ * /api/admin/shipping-zones/{id}:
+ *   get:
+ *     summary: تفاصيل منطقة توصيل
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: بيانات المنطقة
+ *       404:
+ *         description: المنطقة غير موجودة
+ *   put:
+ *     summary: تعديل منطقة توصيل (الرسوم، حد التوصيل المجاني، التفعيل، الترتيب)
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم تعديل المنطقة
+ *       403:
+ *         description: "صلاحية مطلوبة: shipping.manage"
+ *   delete:
+ *     summary: حذف منطقة توصيل
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم حذف المنطقة
+ *       404:
+ *         description: المنطقة غير موجودة
+ */
+router.get('/:id', authenticate, requirePermission('shipping.manage'), shippingValidators.checkZoneId, validate, shippingController.getZoneById);
+router.put('/:id', authenticate, requirePermission('shipping.manage'), shippingValidators.updateZone, validate, audit('shipping_zone'), shippingController.updateZone);
+router.delete('/:id', authenticate, requirePermission('shipping.manage'), shippingValidators.checkZoneId, validate, audit('shipping_zone'), shippingController.deleteZone);
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const shippingService = require('./shipping.service');
+const {
+    successResponse,
+    errorResponse,
+    notFoundResponse,
+    createdResponse,
+    serverErrorResponse
+} = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Shipping Controller
+ * Handles HTTP request and response for shipping endpoints
+ */
+
+/**
+ * Normalize numeric/boolean zone fields from the request body
+ * @param {Object} body - Express request body
+ * @returns {Object} Parsed zone fields (undefined when not provided)
+ */
+const parseZoneBody = (body) => ({
+    region_name: body.region_name,
+    fee: body.fee !== undefined ? parseFloat(body.fee) : undefined,
+    free_delivery_threshold: body.free_delivery_threshold === null
+        ? null
+        : (body.free_delivery_threshold !== undefined ? parseFloat(body.free_delivery_threshold) : undefined),
+    is_active: body.is_active !== undefined ? (body.is_active === true || body.is_active === 'true') : undefined,
+    sort_order: body.sort_order !== undefined ? parseInt(body.sort_order) : undefined
+});
+
+/**
+ * Get supported shipping regions
+ * GET /api/shipping/regions
+ */
+const getRegions = async (req, res) => {
+    try {
+        const regions = await shippingService.getActiveRegions();
+
+        return successResponse(res, regions, 'Supported shipping regions');
+    } catch (error) {
+        logger.error('Get shipping regions error:', { error: error.message, stack: error.stack });
+        return serverErrorResponse(res, 'Failed to get shipping regions');
+    }
+};
+
+/**
+ * Calculate delivery fee for a region and cart total
+ * GET /api/shipping/calculate
+ */
+const calculateFee = async (req, res) => {
+    try {
+        const { region, cart_total } = req.query;
+
+        if (!region || !cart_total) {
+            return errorResponse(res, 'region and cart_total are required', 400);
+        }
+
+        const cartTotal = parseFloat(cart_total);
+        if (isNaN(cartTotal) || cartTotal < 0) {
+            return errorResponse(res, 'cart_total must be a valid positive number', 400);
+        }
+
+        const { shipping_fees, free_threshold } = await shippingService.quoteDelivery(region, cartTotal);
+        const final_total = Math.round((cartTotal + shipping_fees) * 100) / 100;
+
+        return successResponse(res, {
+            region,
+            cart_total: cartTotal,
+            shipping_fees,
+            free_threshold,
+            final_total
+        }, 'Delivery fee calculated');
+    } catch (error) {
+        if (error.message === shippingService.INVALID_REGION_MESSAGE) {
+            return errorResponse(res, error.message, 400);
+        }
+        logger.error('Calculate delivery fee error:', { error: error.message, stack: error.stack });
+        return serverErrorResponse(res, 'Failed to calculate delivery fee');
+    }
+};
+
+/**
+ * Get all shipping zones (admin only)
+ * GET /api/admin/shipping-zones
+ */
+const getAllZones = async (req, res) => {
+    try {
+        const zones = await shippingService.getAllZones({ is_active: req.query.is_active });
+
+        return successResponse(res, zones, 'Shipping zones retrieved successfully');
+    } catch (error) {
+        logger.error('Get shipping zones error:', { error: error.message, stack: error.stack });
+        return serverErrorResponse(res, 'Failed to get shipping zones');
+    }
+};
+
+/**
+ * Get shipping zone by ID (admin only)
+ * GET /api/admin/shipping-zones/:id
+ */
+const getZoneById = async (req, res) => {
+    try {
+        const zone = await shippingService.getZoneById(parseInt(req.params.id));
+
+        return successResponse(res, zone, 'Shipping zone retrieved successfully');
+    } catch (error) {
+        if (error.message === 'Shipping zone not found') {
+            return notFoundResponse(res, 'Shipping zone');
+        }
+        logger.error('Get shipping zone error:', { error: error.message, stack: error.stack });
+        return serverErrorResponse(res, 'Failed to get shipping zone');
+    }
+};
+
+/**
+ * Create shipping zone (admin only)
+ * POST /api/admin/shipping-zones
+ */
+const createZone = async (req, res) => {
+    try {
+        const zone = await shippingService.createZone(parseZoneBody(req.body));
+
+        return createdResponse(res, zone, 'Shipping zone created successfully');
+    } catch (error) {
+        if (error.message === 'Shipping zone already exists') {
+            return errorResponse(res, error.message, 409);
+        }
+        logger.error('Create shipping zone error:', { error: error.message, stack: error.stack });
+        return serverErrorResponse(res, 'Failed to create shipping zone');
+    }
+};
+
+/**
+ * Update shipping zone (admin only)
+ * PUT /api/admin/shipping-zones/:id
+ */
+const updateZone = async (req, res) => {
+    try {
+        const zone = await shippingService.updateZone(parseInt(req.params.id), parseZoneBody(req.body));
+
+        return successResponse(res, zone, 'Shipping zone updated successfully');
+    } catch (error) {
+        if (error.message === 'Shipping zone not found') {
+            return notFoundResponse(res, 'Shipping zone');
+        }
+        if (error.message === 'Shipping zone already exists') {
+            return errorResponse(res, error.message, 409);
+        }
+        if (error.message === 'At least one field must be provided to update') {
+            return errorResponse(res, error.message, 400);
+        }
+        logger.error('Update shipping zone error:', { error: error.message, stack: error.stack });
+        return serverErrorResponse(res, 'Failed to update shipping zone');
+    }
+};
+
+/**
+ * Delete shipping zone (admin only)
+ * DELETE /api/admin/shipping-zones/:id
+ */
+const deleteZone = async (req, res) => {
+    try {
+        const result = await shippingService.deleteZone(parseInt(req.params.id));
+
+        return successResponse(res, result, 'Shipping zone deleted successfully');
+    } catch (error) {
+        if (error.message === 'Shipping zone not found') {
+            return notFoundResponse(res, 'Shipping zone');
+        }
+        logger.error('Delete shipping zone error:', { error: error.message, stack: error.stack });
+        return serverErrorResponse(res, 'Failed to delete shipping zone');
+    }
+};
+
+module.exports = {
+    getRegions,
+    calculateFee,
+    getAllZones,
+    getZoneById,
+    createZone,
+    updateZone,
+    deleteZone
+};
@@ -0,0 +1,256 @@
+const prisma = require('../../config/prisma');
+
+/**
+ * Shipping Service
+ * Shipping zones (regions, delivery fees, free-delivery thresholds) live in the
+ * shipping_zones table so fee changes don't require a deploy.
+ * Used by the public fee calculator, address/checkout validation and placeOrder.
+ */
+
+const INVALID_REGION_MESSAGE = 'Invalid region. Please select a supported region.';
+
+const zoneSelect = {
+    zone_id: true,
+    region_name: true,
+    fee: true,
+    free_delivery_threshold: true,
+    is_active: true,
+    sort_order: true,
+    created_at: true,
+    updated_at: true
+};
+
+/**
+ * Convert Decimal fields
+ * @param {Object} zone - Raw zone record
+ * @returns {Object} Formatted zone
+ */
+const formatZone = (zone) => ({
+    ...zone,
+    fee: parseFloat(zone.fee),
+    free_delivery_threshold: zone.free_delivery_threshold === null ? null : parseFloat(zone.free_delivery_threshold)
+});
+
+/**
+ * Delivery fee for a zone and products total
+ * Delivery is free when the total is above the zone's threshold
+ * @param {Object} zone - Zone record (fee, free_delivery_threshold)
+ * @param {number} cartTotal - Products total in ILS
+ * @returns {{ shipping_fees: number, free_threshold: number|null }}
+ */
+const calculateDeliveryFee = (zone, cartTotal) => {
+    const free_threshold = zone.free_delivery_threshold === null ? null : parseFloat(zone.free_delivery_threshold);
+    const shipping_fees = free_threshold !== null && cartTotal > free_threshold ? 0 : parseFloat(zone.fee);
+
+    return { shipping_fees, free_threshold };
+};
+
+/**
+ * Find an active zone by region name
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} region - Region name
+ * @returns {Object|null} Zone record
+ */
+const findActiveZone = async (client, region) => {
+    if (!region) return null;
+
+    return await client.shippingZone.findFirst({
+        where: { region_name: region, is_active: true },
+        select: zoneSelect
+    });
+};
+
+/**
+ * Quote the delivery fee for a region
+ * @param {string} region - Region name
+ * @param {number} cartTotal - Products total in ILS
+ * @param {Object} [client] - Prisma transaction client (defaults to prisma)
+ * @returns {{ shipping_fees: number, free_threshold: number|null }}
+ */
+const quoteDelivery = async (region, cartTotal, client = prisma) => {
+    const zone = await findActiveZone(client, region);
+
+    if (!zone) {
+        throw new Error(INVALID_REGION_MESSAGE);
+    }
+
+    return calculateDeliveryFee(zone, cartTotal);
+};
+
+/**
+ * Check whether a region is an active shipping zone
+ * @param {string} region - Region name
+ * @returns {boolean}
+ */
+const isSupportedRegion = async (region) => {
+    return Boolean(await findActiveZone(prisma, region));
+};
+
+/**
+ * Get active region names in display order (public)
+ * @returns {Array<string>}
+ */
+const getActiveRegions = async () => {
+    const zones = await prisma.shippingZone.findMany({
+        where: { is_active: true },
+        select: { region_name: true },
+        orderBy: [{ sort_order: 'asc' }, { region_name: 'asc' }]
+    });
+
+    return zones.map(z => z.region_name);
+};
+
+// ─── Admin ────────────────────────────────────────────────────────────────────
+
+/**
+ * Get all zones (admin only)
+ * @param {Object} options - { is_active }
+ * @returns {Array} Zones in display order
+ */
+const getAllZones = async (options = {}) => {
+    const where = {};
+    if (options.is_active !== undefined) {
+        where.is_active = options.is_active === 'true';
+    }
+
+    const zones = await prisma.shippingZone.findMany({
+        where,
+        select: zoneSelect,
+        orderBy: [{ sort_order: 'asc' }, { region_name: 'asc' }]
+    });
+
+    return zones.map(formatZone);
+};
+
+/**
+ * Get zone by ID (admin only)
+ * @param {number} zone_id - Zone ID
+ * @returns {Object} Zone
+ */
+const getZoneById = async (zone_id) => {
+    const zone = await prisma.shippingZone.findUnique({
+        where: { zone_id },
+        select: zoneSelect
+    });
+
+    if (!zone) {
+        throw new Error('Shipping zone not found');
+    }
+
+    return formatZone(zone);
+};
+
+/**
+ * Ensure no other zone uses the region name
+ * @param {string} region_name - Region name
+ * @param {number} [exclude_id] - Zone being updated
+ */
+const assertRegionNameAvailable = async (region_name, exclude_id) => {
+    const existing = await prisma.shippingZone.findUnique({
+        where: { region_name },
+        select: { zone_id: true }
+    });
+
+    if (existing && existing.zone_id !== exclude_id) {
+        throw new Error('Shipping zone already exists');
+    }
+};
+
+/**
+ * Create zone (admin only)
+ * @param {Object} zoneData - Zone data
+ * @returns {Object} Created zone
+ */
+const createZone = async (zoneData) => {
+    const region_name = zoneData.region_name.trim();
+
+    await assertRegionNameAvailable(region_name);
+
+    const zone = await prisma.shippingZone.create({
+        data: {
+            region_name,
+            fee: zoneData.fee,
+            free_delivery_threshold: zoneData.free_delivery_threshold ?? null,
+            is_active: zoneData.is_active ?? true,
+            sort_order: zoneData.sort_order ?? 0
+        },
+        select: zoneSelect
+    });
+
+    return formatZone(zone);
+};
+
+/**
+ * Update zone (admin only)
+ * @param {number} zone_id - Zone ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Object} Updated zone
+ */
+const updateZone = async (zone_id, updateData) => {
+    const existing = await prisma.shippingZone.findUnique({
+        where: { zone_id },
+        select: { zone_id: true }
+    });
+
+    if (!existing) {
+        throw new Error('Shipping zone not found');
+    }
+
+    const allowedFields = ['region_name', 'fee', 'free_delivery_threshold', 'is_active', 'sort_order'];
+
+    const updatePayload = {};
+    for (const field of allowedFields) {
+        if (updateData[field] !== undefined) updatePayload[field] = updateData[field];
+    }
+
+    // Guard: reject empty update request
+    if (Object.keys(updatePayload).length === 0) {
+        throw new Error('At least one field must be provided to update');
+    }
+
+    if (updatePayload.region_name !== undefined) {
+        updatePayload.region_name = updatePayload.region_name.trim();
+        await assertRegionNameAvailable(updatePayload.region_name, zone_id);
+    }
+
+    const zone = await prisma.shippingZone.update({
+        where: { zone_id },
+        data: updatePayload,
+        select: zoneSelect
+    });
+
+    return formatZone(zone);
+};
+
+/**
+ * Delete zone (admin only)
+ * Orders and addresses keep the region as plain text, so removing a zone only
+ * stops new checkouts to it. Use is_active=false to hide it temporarily.
+ * @param {number} zone_id - Zone ID
+ * @returns {Object} Deleted zone info
+ */
+const deleteZone = async (zone_id) => {
+    const result = await prisma.shippingZone.deleteMany({
+        where: { zone_id }
+    });
+
+    if (result.count === 0) {
+        throw new Error('Shipping zone not found');
+    }
+
+    return { zone_id };
+};
+
+module.exports = {
+    INVALID_REGION_MESSAGE,
+    calculateDeliveryFee,
+    findActiveZone,
+    quoteDelivery,
+    isSupportedRegion,
+    getActiveRegions,
+    getAllZones,
+    getZoneById,
+    createZone,
+    updateZone,
+    deleteZone
+};
@@ -0,0 +1,74 @@
+const { body, param } = require('express-validator');
+const shippingService = require('./shipping.service');
+
+/**
+ * Shipping Validation Rules
+ */
+
+/**
+ * Reject regions that are not an active shipping zone
+ * Shared by the address and checkout validators
+ */
+const supportedRegion = async (value) => {
+    if (!(await shippingService.isSupportedRegion(value))) {
+        throw new Error('منطقة غير صالحة. الرجاء اختيار منطقة مدعومة');
+    }
+    return true;
+};
+
+/**
+ * Create zone validation rules
+ */
+const createZone = [
+    body('region_name')
+        .trim()
+        .notEmpty().withMessage('Region name is required')
+        .isLength({ max: 100 }).withMessage('Region name must be at most 100 characters'),
+    body('fee')
+        .notEmpty().withMessage('Fee is required')
+        .isFloat({ min: 0 }).withMessage('Fee must be a non-negative number'),
+    body('free_delivery_threshold')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 }).withMessage('Free delivery threshold must be a non-negative number or null'),
+    body('is_active')
+        .optional()
+        .isBoolean().withMessage('is_active must be a boolean'),
+    body('sort_order')
+        .optional()
+        .isInt().withMessage('sort_order must be an integer')
+];
+
+/**
+ * Update zone validation rules
+ */
+const updateZone = [
+    param('id').isInt({ min: 1 }).withMessage('Zone ID must be a positive integer'),
+    body('region_name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Region name cannot be empty')
+        .isLength({ max: 100 }).withMessage('Region name must be at most 100 characters'),
+    body('fee')
+        .optional()
+        .isFloat({ min: 0 }).withMessage('Fee must be a non-negative number'),
+    body('free_delivery_threshold')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 }).withMessage('Free delivery threshold must be a non-negative number or null'),
+    body('is_active')
+        .optional()
+        .isBoolean().withMessage('is_active must be a boolean'),
+    body('sort_order')
+        .optional()
+        .isInt().withMessage('sort_order must be an integer')
+];
+
+const checkZoneId = [
+    param('id').isInt({ min: 1 }).withMessage('Zone ID must be a positive integer')
+];
+
+module.exports = {
+    supportedRegion,
+    createZone,
+    updateZone,
+    checkZoneId
+};
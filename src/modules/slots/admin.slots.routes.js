@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const slotsController = require('./slots.controller');
+const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const slotsValidators = require('./slots.validators');
+
+/**
+ * @swagger
+ * /api/admin/delivery-slots:
+ *   get:
+ *     summary: قائمة مواعيد التوصيل الأسبوعية
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: zone_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: قائمة المواعيد
+ *       403:
+ *         description: "صلاحية مطلوبة: shipping.manage"
+ *   post:
+ *     summary: إضافة موعد توصيل أسبوعي لمنطقة
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [zone_id, day_of_week, start_time, end_time, max_orders]
+ *             properties:
+ *               zone_id:
+ *                 type: integer
+ *               day_of_week:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: 0 = الأحد ... 6 = السبت
+ *               start_time:
+ *                 type: string
+ *                 example: "16:00"
+ *               end_time:
+ *                 type: string
+ *                 example: "18:00"
+ *               max_orders:
+ *                 type: integer
+ *                 example: 10
+ *                 description: الحد الأقصى لعدد الطلبات في كل موعد
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: تمت إضافة الموعد
+ *       404:
+ *         description: المنطقة غير موجودة
+ *       403:
+ *         description: "صلاحية مطلوبة: shipping.manage"
+ */
+router.get('/', authenticate, requirePermission('shipping.manage'), slotsController.getAllSlots);
+router.post('/', authenticate, requirePermission('shipping.manage'), slotsValidators.create, validate, audit('delivery_slot'), slotsController.createSlot);
+
+/**
+ * @swagger
+ * /api/admin/delivery-slots/{id}:
+ *   put:
+ *     summary: تعديل موعد توصيل
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم تعديل الموعد
+ *       403:
+ *         description: "صلاحية مطلوبة: shipping.manage"
+ *   delete:
+ *     summary: تعطيل موعد توصيل (الحجوزات الحالية تبقى صالحة)
+ *     tags: [Admin - Shipping]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم تعطيل الموعد
+ *       404:
+ *         description: الموعد غير موجود
+ */
+router.put('/:id', authenticate, requirePermission('shipping.manage'), slotsValidators.update, validate, audit('delivery_slot'), slotsController.updateSlot);
+router.delete('/:id', authenticate, requirePermission('shipping.manage'), slotsValidators.checkSlotId, validate, audit('delivery_slot'), slotsController.deactivateSlot);
+
+module.exports = router;
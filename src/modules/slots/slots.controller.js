@@ -0,0 +1,138 @@
+const slotsService = require('./slots.service');
+const shippingService = require('../shipping/shipping.service');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  createdResponse,
+  serverErrorResponse
+} = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Delivery Slots Controller
+ * Handles HTTP request and response for delivery slot endpoints
+ */
+
+/**
+ * Normalize numeric/boolean slot fields from the request body
+ * @param {Object} body - Express request body
+ * @returns {Object} Parsed slot fields (undefined when not provided)
+ */
+const parseSlotBody = (body) => ({
+  zone_id: body.zone_id !== undefined ? parseInt(body.zone_id) : undefined,
+  day_of_week: body.day_of_week !== undefined ? parseInt(body.day_of_week) : undefined,
+  start_time: body.start_time,
+  end_time: body.end_time,
+  max_orders: body.max_orders !== undefined ? parseInt(body.max_orders) : undefined,
+  is_active: body.is_active !== undefined ? (body.is_active === true || body.is_active === 'true') : undefined
+});
+
+/**
+ * Get bookable delivery slots for a region
+ * GET /api/delivery-slots
+ */
+const getAvailableSlots = async (req, res) => {
+  try {
+    const { region, days } = req.query;
+
+    const slots = await slotsService.getAvailableSlots(region, days ? parseInt(days) : undefined);
+
+    return successResponse(res, slots, 'Delivery slots retrieved successfully');
+  } catch (error) {
+    if (error.message === shippingService.INVALID_REGION_MESSAGE) {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Get delivery slots error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get delivery slots');
+  }
+};
+
+/**
+ * Get all delivery slots (admin only)
+ * GET /api/admin/delivery-slots
+ */
+const getAllSlots = async (req, res) => {
+  try {
+    const { zone_id, is_active } = req.query;
+
+    const slots = await slotsService.getAllSlots({
+      zone_id: zone_id ? parseInt(zone_id) : undefined,
+      is_active
+    });
+
+    return successResponse(res, slots, 'Delivery slots retrieved successfully');
+  } catch (error) {
+    logger.error('Get all delivery slots error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get delivery slots');
+  }
+};
+
+/**
+ * Create delivery slot (admin only)
+ * POST /api/admin/delivery-slots
+ */
+const createSlot = async (req, res) => {
+  try {
+    const slot = await slotsService.createSlot(parseSlotBody(req.body));
+
+    return createdResponse(res, slot, 'Delivery slot created successfully');
+  } catch (error) {
+    if (error.message === 'Shipping zone not found') {
+      return notFoundResponse(res, 'Shipping zone');
+    }
+    if (error.message === 'end_time must be after start_time') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Create delivery slot error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to create delivery slot');
+  }
+};
+
+/**
+ * Update delivery slot (admin only)
+ * PUT /api/admin/delivery-slots/:id
+ */
+const updateSlot = async (req, res) => {
+  try {
+    const slot = await slotsService.updateSlot(parseInt(req.params.id), parseSlotBody(req.body));
+
+    return successResponse(res, slot, 'Delivery slot updated successfully');
+  } catch (error) {
+    if (error.message === 'Delivery slot not found') {
+      return notFoundResponse(res, 'Delivery slot');
+    }
+    if (error.message === 'end_time must be after start_time' ||
+      error.message === 'At least one field must be provided to update') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Update delivery slot error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to update delivery slot');
+  }
+};
+
+/**
+ * Deactivate delivery slot (admin only)
+ * DELETE /api/admin/delivery-slots/:id
+ */
+const deactivateSlot = async (req, res) => {
+  try {
+    const result = await slotsService.deactivateSlot(parseInt(req.params.id));
+
+    return successResponse(res, result, 'Delivery slot deactivated successfully');
+  } catch (error) {
+    if (error.message === 'Delivery slot not found or already inactive') {
+      return notFoundResponse(res, 'Active delivery slot');
+    }
+    logger.error('Deactivate delivery slot error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to deactivate delivery slot');
+  }
+};
+
+module.exports = {
+  getAvailableSlots,
+  getAllSlots,
+  createSlot,
+  updateSlot,
+  deactivateSlot
+};
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const slotsController = require('./slots.controller');
+const { validate } = require('../../middlewares/validate.middleware');
+const slotsValidators = require('./slots.validators');
+
+/**
+ * @swagger
+ * /api/delivery-slots:
+ *   get:
+ *     summary: مواعيد التوصيل المتاحة لمنطقة خلال الأيام القادمة
+ *     description: ترجع فقط المواعيد التي لم تمتلئ بعد. أرسل slot_id و delivery_date عند إتمام الطلب لحجز الموعد.
+ *     tags: [Shipping]
+ *     parameters:
+ *       - in: query
+ *         name: region
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: اسم المنطقة (بالعربي)
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *         description: عدد الأيام القادمة بما فيها اليوم (الحد الأقصى DELIVERY_SLOT_BOOKING_DAYS)
+ *     responses:
+ *       200:
+ *         description: قائمة المواعيد (slot_id, delivery_date, start_time, end_time, remaining)
+ *       400:
+ *         description: منطقة غير صالحة
+ */
+router.get('/', slotsValidators.getAvailable, validate, slotsController.getAvailableSlots);
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const prisma = require('../../config/prisma');
+const shippingService = require('../shipping/shipping.service');
+const { localDate, localTime, addDays, daysBetween, toDateString } = require('../../utils/date');
+
+/**
+ * Delivery Slots Service
+ * Weekly delivery windows per shipping zone with a per-date order capacity.
+ *
+ * A slot (e.g. Sunday 16:00–18:00, 10 orders) repeats every week. Each dated
+ * occurrence has a row in delivery_slot_reservations counting the orders
+ * booked into it; placeOrder reserves a place inside its transaction.
+ */
+
+// How many days ahead (including today) customers can book
+const BOOKING_DAYS = Number(process.env.DELIVERY_SLOT_BOOKING_DAYS) || 7;
+
+const slotSelect = {
+  slot_id: true,
+  zone_id: true,
+  day_of_week: true,
+  start_time: true,
+  end_time: true,
+  max_orders: true,
+  is_active: true,
+  created_at: true
+};
+
+/**
+ * Check a slot occurrence is bookable: right weekday, inside the booking
+ * window, and (for today) not started yet
+ * @param {Object} slot - Slot record
+ * @param {Date} date - UTC-midnight delivery date
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isBookableOccurrence = (slot, date, now) => {
+  const today = localDate(now);
+  const offset = daysBetween(today, date);
+
+  if (offset < 0 || offset >= BOOKING_DAYS) return false;
+  if (date.getUTCDay() !== slot.day_of_week) return false;
+  if (offset === 0 && slot.start_time <= localTime(now)) return false;
+
+  return true;
+};
+
+/**
+ * List bookable slot occurrences for a region over the next days (public)
+ * Full occurrences are left out.
+ * @param {string} region - Region name
+ * @param {number} [days] - Days ahead including today (max BOOKING_DAYS)
+ * @returns {Array} [{ slot_id, delivery_date, day_of_week, start_time, end_time, remaining }]
+ */
+const getAvailableSlots = async (region, days = BOOKING_DAYS) => {
+  const zone = await shippingService.findActiveZone(prisma, region);
+
+  if (!zone) {
+    throw new Error(shippingService.INVALID_REGION_MESSAGE);
+  }
+
+  const slots = await prisma.deliverySlot.findMany({
+    where: { zone_id: zone.zone_id, is_active: true },
+    select: slotSelect,
+    orderBy: [{ day_of_week: 'asc' }, { start_time: 'asc' }]
+  });
+
+  if (slots.length === 0) return [];
+
+  const now = new Date();
+  const today = localDate(now);
+  const lastDay = addDays(today, Math.min(days, BOOKING_DAYS) - 1);
+
+  const reservations = await prisma.deliverySlotReservation.findMany({
+    where: {
+      slot_id: { in: slots.map(s => s.slot_id) },
+      delivery_date: { gte: today, lte: lastDay }
+    },
+    select: { slot_id: true, delivery_date: true, reserved_count: true }
+  });
+
+  const reservedMap = {};
+  for (const r of reservations) {
+    reservedMap[`${r.slot_id}:${toDateString(r.delivery_date)}`] = r.reserved_count;
+  }
+
+  const available = [];
+  for (let date = today; date <= lastDay; date = addDays(date, 1)) {
+    for (const slot of slots) {
+      if (!isBookableOccurrence(slot, date, now)) continue;
+
+      const delivery_date = toDateString(date);
+      const remaining = slot.max_orders - (reservedMap[`${slot.slot_id}:${delivery_date}`] || 0);
+      if (remaining <= 0) continue;
+
+      available.push({
+        slot_id: slot.slot_id,
+        delivery_date,
+        day_of_week: slot.day_of_week,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        remaining
+      });
+    }
+  }
+
+  return available;
+};
+
+/**
+ * Reserve a place in a slot occurrence inside the order transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} booking - { slot_id, delivery_date (YYYY-MM-DD), region }
+ * @returns {Object} { delivery_slot_id, delivery_date, start_time, end_time }
+ */
+const reserveSlot = async (tx, { slot_id, delivery_date, region }) => {
+  const slot = await tx.deliverySlot.findUnique({
+    where: { slot_id },
+    select: {
+      ...slotSelect,
+      zone: { select: { region_name: true, is_active: true } }
+    }
+  });
+
+  if (!slot || !slot.is_active) {
+    throw new Error('Delivery slot not found');
+  }
+
+  if (!slot.zone.is_active || slot.zone.region_name !== region) {
+    throw new Error('Delivery slot is not available for this region');
+  }
+
+  const date = new Date(delivery_date);
+  if (isNaN(date.getTime()) || !isBookableOccurrence(slot, date, new Date())) {
+    throw new Error('Delivery slot is not available on this date');
+  }
+
+  const dateString = toDateString(date);
+
+  // Make sure the counter row exists, then take a place only while the slot
+  // still has capacity. The conditional UPDATE is the concurrency guard:
+  // two orders racing for the last place cannot both succeed.
+  await tx.$executeRaw`
+    INSERT INTO delivery_slot_reservations (slot_id, delivery_date, reserved_count)
+    VALUES (${slot_id}, ${dateString}::date, 0)
+    ON CONFLICT (slot_id, delivery_date) DO NOTHING
+  `;
+
+  const reserved = await tx.$executeRaw`
+    UPDATE delivery_slot_reservations
+    SET reserved_count = reserved_count + 1
+    WHERE slot_id = ${slot_id}
+      AND delivery_date = ${dateString}::date
+      AND reserved_count < ${slot.max_orders}
+  `;
+
+  if (reserved === 0) {
+    throw new Error('Delivery slot is full. Please choose another time.');
+  }
+
+  return {
+    delivery_slot_id: slot_id,
+    delivery_date: date,
+    start_time: slot.start_time,
+    end_time: slot.end_time
+  };
+};
+
+/**
+ * Give back the place held by an order that is being cancelled
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} slot_id - Slot ID stored on the order
+ * @param {Date} delivery_date - Delivery date stored on the order
+ */
+const releaseSlot = async (tx, slot_id, delivery_date) => {
+  await tx.deliverySlotReservation.updateMany({
+    where: { slot_id, delivery_date, reserved_count: { gt: 0 } },
+    data: { reserved_count: { decrement: 1 } }
+  });
+};
+
+// ─── Admin ────────────────────────────────────────────────────────────────────
+
+/**
+ * Validate the combined slot rules (shared by create and update)
+ * @param {Object} data - Final slot values after merging the update
+ */
+const assertSlotRules = (data) => {
+  if (data.end_time <= data.start_time) {
+    throw new Error('end_time must be after start_time');
+  }
+};
+
+/**
+ * Get all slots (admin only)
+ * @param {Object} options - { zone_id, is_active }
+ * @returns {Array} Slots with their region name
+ */
+const getAllSlots = async (options = {}) => {
+  const where = {};
+  if (options.zone_id) {
+    where.zone_id = options.zone_id;
+  }
+  if (options.is_active !== undefined) {
+    where.is_active = options.is_active === 'true';
+  }
+
+  const slots = await prisma.deliverySlot.findMany({
+    where,
+    select: {
+      ...slotSelect,
+      zone: { select: { region_name: true } }
+    },
+    orderBy: [{ zone_id: 'asc' }, { day_of_week: 'asc' }, { start_time: 'asc' }]
+  });
+
+  return slots.map(({ zone, ...slot }) => ({
+    ...slot,
+    region_name: zone.region_name
+  }));
+};
+
+/**
+ * Create slot (admin only)
+ * @param {Object} slotData - Slot data
+ * @returns {Object} Created slot
+ */
+const createSlot = async (slotData) => {
+  assertSlotRules(slotData);
+
+  const zone = await prisma.shippingZone.findUnique({
+    where: { zone_id: slotData.zone_id },
+    select: { zone_id: true }
+  });
+
+  if (!zone) {
+    throw new Error('Shipping zone not found');
+  }
+
+  return await prisma.deliverySlot.create({
+    data: {
+      zone_id: slotData.zone_id,
+      day_of_week: slotData.day_of_week,
+      start_time: slotData.start_time,
+      end_time: slotData.end_time,
+      max_orders: slotData.max_orders,
+      is_active: slotData.is_active ?? true
+    },
+    select: slotSelect
+  });
+};
+
+/**
+ * Update slot (admin only)
+ * Lowering max_orders below the places already booked only blocks new bookings.
+ * @param {number} slot_id - Slot ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Object} Updated slot
+ */
+const updateSlot = async (slot_id, updateData) => {
+  const existing = await prisma.deliverySlot.findUnique({
+    where: { slot_id },
+    select: slotSelect
+  });
+
+  if (!existing) {
+    throw new Error('Delivery slot not found');
+  }
+
+  const allowedFields = ['day_of_week', 'start_time', 'end_time', 'max_orders', 'is_active'];
+
+  const updatePayload = {};
+  for (const field of allowedFields) {
+    if (updateData[field] !== undefined) updatePayload[field] = updateData[field];
+  }
+
+  // Guard: reject empty update request
+  if (Object.keys(updatePayload).length === 0) {
+    throw new Error('At least one field must be provided to update');
+  }
+
+  assertSlotRules({ ...existing, ...updatePayload });
+
+  return await prisma.deliverySlot.update({
+    where: { slot_id },
+    data: updatePayload,
+    select: slotSelect
+  });
+};
+
+/**
+ * Deactivate slot (admin only)
+ * Slots are kept because orders reference them; existing bookings stay valid.
+ * @param {number} slot_id - Slot ID
+ * @returns {Object} Deactivated slot info
+ */
+const deactivateSlot = async (slot_id) => {
+  const result = await prisma.deliverySlot.updateMany({
+    where: { slot_id, is_active: true },
+    data: { is_active: false }
+  });
+
+  if (result.count === 0) {
+    throw new Error('Delivery slot not found or already inactive');
+  }
+
+  return { slot_id, is_active: false };
+};
+
+module.exports = {
+  BOOKING_DAYS,
+  getAvailableSlots,
+  reserveSlot,
+  releaseSlot,
+  getAllSlots,
+  createSlot,
+  updateSlot,
+  deactivateSlot
+};
@@ -0,0 +1,98 @@
+const { body, param, query } = require('express-validator');
+
+/**
+ * Delivery Slots Validation Rules
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Available slots query validation rules
+ */
+const getAvailable = [
+  query('region')
+    .notEmpty()
+    .withMessage('Region is required'),
+
+  query('days')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('days must be a positive integer')
+];
+
+/**
+ * Create slot validation rules
+ */
+const create = [
+  body('zone_id')
+    .isInt({ min: 1 })
+    .withMessage('Zone ID must be a positive integer'),
+
+  body('day_of_week')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('day_of_week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('start_time')
+    .matches(TIME_PATTERN)
+    .withMessage('start_time must be in HH:MM format'),
+
+  body('end_time')
+    .matches(TIME_PATTERN)
+    .withMessage('end_time must be in HH:MM format'),
+
+  body('max_orders')
+    .isInt({ min: 1 })
+    .withMessage('max_orders must be a positive integer'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+];
+
+/**
+ * Update slot validation rules
+ */
+const update = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Slot ID must be a positive integer'),
+
+  body('day_of_week')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('day_of_week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('start_time')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('start_time must be in HH:MM format'),
+
+  body('end_time')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('end_time must be in HH:MM format'),
+
+  body('max_orders')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('max_orders must be a positive integer'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+];
+
+const checkSlotId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Slot ID must be a positive integer')
+];
+
+module.exports = {
+  getAvailable,
+  create,
+  update,
+  checkSlotId
+};
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const staffController = require('./staff.controller');
+const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const staffValidators = require('./staff.validators');
+
+/**
+ * @swagger
+ * /api/admin/staff/invitations:
+ *   post:
+ *     summary: دعوة موظف جديد برقم الهاتف ودور محدد
+ *     description: |
+ *       ينشئ حساب الموظف ويرسل له SMS برمز إعداد (8 أرقام) لتعيين كلمة المرور عبر POST /api/staff/setup.
+ *       لا يمكن تسجيل الدخول قبل تعيين كلمة المرور. إعادة دعوة نفس الرقم قبل قبول الدعوة ترسل رمزاً جديداً.
+ *       العملاء الحاليون تتم ترقيتهم عبر PUT /api/admin/users/{id}/role.
+ *     tags: [Admin - Staff]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone_number, name, role]
+ *             properties:
+ *               phone_number:
+ *                 type: string
+ *                 example: '0599123456'
+ *               name:
+ *                 type: string
+ *                 example: سامي
+ *               role:
+ *                 type: string
+ *                 example: OrderManager
+ *                 description: أي دور عدا Customer و Guest، بشرط ألا يحمل صلاحيات لا تملكها
+ *               require_two_factor:
+ *                 type: boolean
+ *                 description: يطلب عامل تحقق ثانٍ عند تسجيل الدخول (الافتراضي من STAFF_REQUIRE_TWO_FACTOR)
+ *     responses:
+ *       201:
+ *         description: تم إرسال الدعوة
+ *       400:
+ *         description: دور غير صالح
+ *       403:
+ *         description: "صلاحية مطلوبة: user.ban — أو الدور يحمل صلاحيات لا تملكها"
+ *       409:
+ *         description: الرقم مسجل مسبقاً
+ */
+router.post('/invitations', authenticate, requirePermission('user.ban'), staffValidators.invite, validate, audit('user'), staffController.inviteStaff);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const staffService = require('./staff.service');
+const {
+  successResponse,
+  errorResponse,
+  createdResponse,
+  forbiddenResponse,
+  serverErrorResponse
+} = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Staff Controller
+ * Handles HTTP request and response for staff invitations
+ */
+
+/**
+ * Invite a staff member by phone (admin only)
+ * POST /api/admin/staff/invitations
+ */
+const inviteStaff = async (req, res) => {
+  try {
+    const { phone_number, name, role, require_two_factor } = req.body;
+
+    const user = await staffService.inviteStaff({ phone_number, name, role, require_two_factor }, req.user.user_id, req.permissions);
+
+    return createdResponse(res, user, 'Invitation sent successfully');
+  } catch (error) {
+    if (error.message === 'Invalid role' || error.message === 'Staff invitations need a staff role') {
+      return errorResponse(res, error.message, 400);
+    }
+    if (error.message === 'Role carries permissions you do not hold') {
+      return forbiddenResponse(res, error.message);
+    }
+    if (error.message === 'Phone number already registered') {
+      return errorResponse(res, error.message, 409);
+    }
+    logger.error('Invite staff error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to send invitation');
+  }
+};
+
+/**
+ * Set the password of an invited staff account
+ * POST /api/staff/setup
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const { phone_number, setup_code, new_password } = req.body;
+
+    const result = await staffService.acceptInvitation(phone_number, setup_code, new_password);
+
+    return successResponse(res, null, result.message);
+  } catch (error) {
+    if (error.message === 'Invalid or expired setup code') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Accept invitation error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to set password');
+  }
+};
+
+module.exports = {
+  inviteStaff,
+  acceptInvitation
+};
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const staffController = require('./staff.controller');
+const { validate } = require('../../middlewares/validate.middleware');
+const staffValidators = require('./staff.validators');
+const { loginLimiter } = require('../../middlewares/rateLimit.middleware');
+
+/**
+ * @swagger
+ * /api/staff/setup:
+ *   post:
+ *     summary: تعيين كلمة مرور حساب موظف مدعو باستخدام رمز الإعداد
+ *     description: رمز الإعداد يصل بالـ SMS مع الدعوة، يُستخدم مرة واحدة ويلغى بعد 5 محاولات خاطئة. بعدها سجّل الدخول عبر POST /api/auth/login.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [phone_number, setup_code, new_password]
+ *             properties:
+ *               phone_number:
+ *                 type: string
+ *                 example: '0599123456'
+ *               setup_code:
+ *                 type: string
+ *                 example: '12345678'
+ *               new_password:
+ *                 type: string
+ *                 example: MyPass123
+ *     responses:
+ *       200:
+ *         description: تم تعيين كلمة المرور
+ *       400:
+ *         description: رمز غير صحيح أو منتهي الصلاحية
+ *       429:
+ *         description: محاولات كثيرة
+ */
+router.post('/setup', loginLimiter, staffValidators.setup, validate, staffController.acceptInvitation);
+
+module.exports = router;
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const prisma = require('../../config/prisma');
+const smsService = require('../../utils/sms');
+const { hashOtp } = require('../otp/otp.service');
+const rolesService = require('../roles/roles.service');
+
+/**
+ * Staff Service
+ * Invites staff members by phone.
+ *
+ * - The admin picks a staff role; the account is created with an unusable
+ *   password and must_set_password, so it can't log in yet.
+ * - The invitee gets an 8-digit setup code by SMS (stored hashed, valid for
+ *   STAFF_INVITE_TTL_HOURS, invalidated after INVITE_MAX_ATTEMPTS wrong guesses)
+ *   and uses it to choose a password, which also verifies the phone.
+ * - Inviting a phone again while the invite is pending sends a new code.
+ */
+
+const INVITE_TTL_HOURS = Number(process.env.STAFF_INVITE_TTL_HOURS) || 48;
+const INVITE_MAX_ATTEMPTS = 5;
+
+// Roles that can't be handed out through a staff invitation
+const NON_STAFF_ROLES = ['Customer', 'Guest'];
+
+/**
+ * Invite a staff member (admin only)
+ * The role can't carry a permission the inviting admin doesn't hold.
+ * @param {Object} data - { phone_number, name, role, require_two_factor }
+ * @param {number} invited_by - Admin user ID
+ * @param {Array<string>} actorPermissions - Permission codes of the inviting admin
+ * @returns {Object} Invited user and invitation expiry
+ */
+const inviteStaff = async ({ phone_number, name, role, require_two_factor }, invited_by, actorPermissions) => {
+  if (NON_STAFF_ROLES.includes(role)) {
+    throw new Error('Staff invitations need a staff role');
+  }
+
+  const roleRecord = await prisma.role.findUnique({ where: { name: role }, select: { name: true } });
+  if (!roleRecord) {
+    throw new Error('Invalid role');
+  }
+
+  await rolesService.assertCanGrantRole(role, actorPermissions);
+
+  const two_factor_required = require_two_factor !== undefined
+    ? Boolean(require_two_factor)
+    : process.env.STAFF_REQUIRE_TWO_FACTOR === 'true';
+
+  const setup_code = crypto.randomInt(10000000, 100000000).toString();
+  const expires_at = new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000);
+
+  // Nobody knows this password; the invitee sets a real one with the code
+  const placeholder_hash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  const user = await prisma.$transaction(async (tx) => {
+    const existing = await tx.user.findUnique({
+      where: { phone_number },
+      select: { user_id: true, must_set_password: true }
+    });
+
+    // Existing customers are promoted with PUT /api/admin/users/:id/role instead
+    if (existing && !existing.must_set_password) {
+      throw new Error('Phone number already registered');
+    }
+
+    const data = { name, role, two_factor_required };
+    const select = { user_id: true, phone_number: true, name: true, role: true, two_factor_required: true };
+
+    let invited;
+    if (existing) {
+      invited = await tx.user.update({ where: { user_id: existing.user_id }, data, select });
+
+      // A new invitation replaces the pending one
+      await tx.staffInvitation.updateMany({
+        where: { user_id: existing.user_id, is_used: false },
+        data: { is_used: true }
+      });
+    } else {
+      invited = await tx.user.create({
+        data: {
+          ...data,
+          phone_number,
+          password_hash: placeholder_hash,
+          is_active: true,
+          is_verified: false,
+          must_set_password: true
+        },
+        select
+      });
+    }
+
+    await tx.staffInvitation.create({
+      data: {
+        user_id: invited.user_id,
+        role,
+        code_hash: hashOtp(phone_number, setup_code),
+        expires_at,
+        invited_by
+      }
+    });
+
+    return invited;
+  });
+
+  await smsService.sendTemplate(phone_number, 'staff_invite', { code: setup_code, hours: INVITE_TTL_HOURS });
+
+  return { ...user, invitation_expires_at: expires_at };
+};
+
+/**
+ * Set the password of an invited account with its setup code
+ * @param {string} phone_number - Invitee phone
+ * @param {string} setup_code - Code from the invitation SMS
+ * @param {string} new_password - Chosen password
+ * @returns {Object} Success message
+ */
+const acceptInvitation = async (phone_number, setup_code, new_password) => {
+  const user = await prisma.user.findUnique({
+    where: { phone_number },
+    select: { user_id: true, must_set_password: true }
+  });
+
+  if (!user || !user.must_set_password) {
+    throw new Error('Invalid or expired setup code');
+  }
+
+  const invitation = await prisma.staffInvitation.findFirst({
+    where: { user_id: user.user_id, is_used: false, expires_at: { gt: new Date() } },
+    select: { invitation_id: true, code_hash: true },
+    orderBy: { created_at: 'desc' }
+  });
+
+  if (!invitation) {
+    throw new Error('Invalid or expired setup code');
+  }
+
+  const expected = Buffer.from(invitation.code_hash, 'hex');
+  const actual = Buffer.from(hashOtp(phone_number, setup_code), 'hex');
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    // Count the miss and invalidate the invitation on the last allowed attempt
+    await prisma.$executeRaw`
+      UPDATE staff_invitations
+      SET failed_attempts = failed_attempts + 1,
+          is_used = (failed_attempts + 1 >= ${INVITE_MAX_ATTEMPTS})
+      WHERE invitation_id = ${invitation.invitation_id} AND is_used = FALSE
+    `;
+    throw new Error('Invalid or expired setup code');
+  }
+
+  const password_hash = await bcrypt.hash(new_password, 10);
+
+  await prisma.$transaction(async (tx) => {
+    // Only one request can use the code
+    const claimed = await tx.staffInvitation.updateMany({
+      where: { invitation_id: invitation.invitation_id, is_used: false },
+      data: { is_used: true, accepted_at: new Date() }
+    });
+
+    if (claimed.count === 0) {
+      throw new Error('Invalid or expired setup code');
+    }
+
+    await tx.user.update({
+      where: { user_id: user.user_id },
+      data: { password_hash, must_set_password: false, is_verified: true }
+    });
+  });
+
+  return { message: 'تم تعيين كلمة المرور بنجاح. يمكنك الآن تسجيل الدخول.' };
+};
+
+module.exports = {
+  NON_STAFF_ROLES,
+  inviteStaff,
+  acceptInvitation
+};
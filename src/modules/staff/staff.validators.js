@@ -0,0 +1,64 @@
+const { body } = require('express-validator');
+
+/**
+ * Staff Validation Rules
+ */
+
+/**
+ * Invite staff validation rules
+ */
+const invite = [
+  body('phone_number')
+    .notEmpty()
+    .withMessage('Phone number is required')
+    .matches(/^05\d{8}$/)
+    .withMessage('Phone number must be exactly 10 digits and start with 05'),
+
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+
+  body('role')
+    .notEmpty()
+    .withMessage('Role is required'),
+
+  body('require_two_factor')
+    .optional()
+    .isBoolean()
+    .withMessage('require_two_factor must be true or false')
+    .toBoolean()
+];
+
+/**
+ * Accept invitation validation rules
+ */
+const setup = [
+  body('phone_number')
+    .notEmpty()
+    .withMessage('Phone number is required'),
+
+  body('setup_code')
+    .notEmpty()
+    .withMessage('Setup code is required')
+    .isLength({ min: 8, max: 8 })
+    .withMessage('Setup code must be 8 digits'),
+
+  body('new_password')
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/[A-Z]/)
+    .withMessage('Password must contain at least one uppercase letter')
+    .matches(/[a-z]/)
+    .withMessage('Password must contain at least one lowercase letter')
+    .matches(/\d/)
+    .withMessage('Password must contain at least one number')
+];
+
+module.exports = {
+  invite,
+  setup
+};
@@ -0,0 +1,131 @@
+const twoFactorService = require('./twofactor.service');
+const {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  serverErrorResponse
+} = require('../../utils/response');
+const logger = require('../../config/logger');
+
+/**
+ * Two-Factor Controller
+ * Handles HTTP request and response for authenticator-app 2FA
+ */
+
+// Service error → HTTP status
+const TWO_FACTOR_ERROR_STATUS = {
+  'Two-factor authentication is only available for staff accounts': 403,
+  'Two-factor authentication is already enabled': 409,
+  'Two-factor authentication is not enabled': 400,
+  'Two-factor setup has not been started': 400,
+  'Invalid two-factor code': 400,
+  'Invalid password': 401
+};
+
+/**
+ * Answer a known service error, or null
+ * @param {Object} res - Express response
+ * @param {Error} error - Service error
+ */
+const handleTwoFactorError = (res, error) => {
+  if (error.message === 'User not found') {
+    return notFoundResponse(res, 'User');
+  }
+  const status = TWO_FACTOR_ERROR_STATUS[error.message];
+  return status ? errorResponse(res, error.message, status) : null;
+};
+
+/**
+ * Two-factor status of the current user
+ * GET /api/auth/2fa
+ */
+const getStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.user_id);
+
+    return successResponse(res, status, 'Two-factor status retrieved successfully');
+  } catch (error) {
+    const handled = handleTwoFactorError(res, error);
+    if (handled) return handled;
+    logger.error('Get 2FA status error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to retrieve two-factor status');
+  }
+};
+
+/**
+ * Start enrollment (new authenticator secret)
+ * POST /api/auth/2fa/setup
+ */
+const setup = async (req, res) => {
+  try {
+    const result = await twoFactorService.startSetup(req.user.user_id);
+
+    return successResponse(res, result, 'Scan the QR code, then confirm with POST /api/auth/2fa/enable');
+  } catch (error) {
+    const handled = handleTwoFactorError(res, error);
+    if (handled) return handled;
+    logger.error('2FA setup error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to start two-factor setup');
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the app
+ * POST /api/auth/2fa/enable
+ */
+const enable = async (req, res) => {
+  try {
+    const result = await twoFactorService.enable(req.user.user_id, req.user.session_id, req.body.code);
+
+    return successResponse(res, result, 'Two-factor authentication enabled. Store the recovery codes somewhere safe.');
+  } catch (error) {
+    const handled = handleTwoFactorError(res, error);
+    if (handled) return handled;
+    logger.error('2FA enable error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to enable two-factor authentication');
+  }
+};
+
+/**
+ * Turn 2FA off
+ * POST /api/auth/2fa/disable
+ */
+const disable = async (req, res) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    const result = await twoFactorService.disable(req.user.user_id, password, { code, recovery_code });
+
+    return successResponse(res, null, result.message);
+  } catch (error) {
+    const handled = handleTwoFactorError(res, error);
+    if (handled) return handled;
+    logger.error('2FA disable error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to disable two-factor authentication');
+  }
+};
+
+/**
+ * Replace the recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.user_id, req.body.code);
+
+    return successResponse(res, result, 'New recovery codes generated. The old ones no longer work.');
+  } catch (error) {
+    const handled = handleTwoFactorError(res, error);
+    if (handled) return handled;
+    logger.error('2FA recovery codes error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to generate recovery codes');
+  }
+};
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+};
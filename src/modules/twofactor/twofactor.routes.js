@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const twoFactorController = require('./twofactor.controller');
+const { authenticate, requireUser } = require('../../middlewares/auth.middleware');
+const { validate } = require('../../middlewares/validate.middleware');
+const twoFactorValidators = require('./twofactor.validators');
+const { loginLimiter } = require('../../middlewares/rateLimit.middleware');
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: حالة التحقق الثنائي للحساب الحالي
+ *     tags: [Two-Factor Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: totp_enabled + two_factor_required + عدد رموز الاسترداد المتبقية
+ */
+router.get('/', authenticate, requireUser, twoFactorController.getStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: بدء تفعيل التحقق الثنائي بتطبيق المصادقة (للموظفين فقط)
+ *     description: يرجع secret و otpauth_url (يُعرض كـ QR code). لا يُفعّل إلا بعد تأكيده عبر POST /api/auth/2fa/enable.
+ *     tags: [Two-Factor Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: secret + otpauth_url
+ *       403:
+ *         description: الحساب ليس حساب موظف
+ *       409:
+ *         description: التحقق الثنائي مفعّل مسبقاً
+ */
+router.post('/setup', authenticate, requireUser, twoFactorController.setup);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: تأكيد التفعيل برمز من تطبيق المصادقة
+ *     description: يرجع 10 رموز استرداد تُعرض مرة واحدة فقط، وتُعتبر الجلسة الحالية متحققة منذ الآن.
+ *     tags: [Two-Factor Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: تم التفعيل — recovery_codes
+ *       400:
+ *         description: رمز غير صحيح أو لم يبدأ الإعداد
+ */
+router.post('/enable', authenticate, requireUser, loginLimiter, twoFactorValidators.confirm, validate, twoFactorController.enable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: إيقاف التحقق الثنائي
+ *     tags: [Two-Factor Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recovery_code:
+ *                 type: string
+ *                 example: ABCDE-FGHIJ
+ *     responses:
+ *       200:
+ *         description: تم الإيقاف
+ *       400:
+ *         description: رمز غير صحيح أو التحقق الثنائي غير مفعّل
+ *       401:
+ *         description: كلمة المرور غير صحيحة
+ */
+router.post('/disable', authenticate, requireUser, loginLimiter, twoFactorValidators.disable, validate, twoFactorController.disable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: إنشاء رموز استرداد جديدة (تُلغى القديمة)
+ *     tags: [Two-Factor Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: recovery_codes
+ *       400:
+ *         description: رمز غير صحيح أو التحقق الثنائي غير مفعّل
+ */
+router.post('/recovery-codes', authenticate, requireUser, loginLimiter, twoFactorValidators.confirm, validate, twoFactorController.regenerateRecoveryCodes);
+
+module.exports = router;
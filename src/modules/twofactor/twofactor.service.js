@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const prisma = require('../../config/prisma');
+const totp = require('../../utils/totp');
+const { NON_STAFF_ROLES } = require('../staff/staff.service');
+
+/**
+ * Two-Factor Service
+ * Authenticator-app (TOTP) second factor for staff accounts.
+ *
+ * - setup stores a new encrypted secret; it only takes effect once enable
+ *   confirms a code from the app.
+ * - enable hands out RECOVERY_CODE_COUNT single-use recovery codes (stored
+ *   hashed) for when the phone with the app is lost.
+ * - An accepted TOTP step is remembered (totp_last_step), so a code can't be
+ *   replayed inside its 30 second window.
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code for storage/lookup (dashes, spaces and case ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * New set of recovery codes, formatted XXXXX-XXXXX
+ * @returns {Array<string>} Raw codes (only ever returned to the user)
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Replace the user's recovery codes
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} user_id - User ID
+ * @returns {Array<string>} Raw codes
+ */
+const replaceRecoveryCodes = async (client, user_id) => {
+  const codes = generateRecoveryCodes();
+
+  await client.twoFactorRecoveryCode.deleteMany({ where: { user_id } });
+  await client.twoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({ user_id, code_hash: hashRecoveryCode(code) }))
+  });
+
+  return codes;
+};
+
+/**
+ * Check an authenticator code and mark its time step as used
+ * @param {Object} user - User row (needs user_id, totp_secret, totp_last_step)
+ * @param {string} code - 6-digit code from the app
+ * @returns {boolean} True if the code was valid and not used before
+ */
+const verifyTotp = async (user, code) => {
+  if (!user.totp_secret) return false;
+
+  const step = totp.verifyCode(totp.decryptSecret(user.totp_secret), code, user.totp_last_step);
+  if (step === null) return false;
+
+  // Only one request can use a given step
+  const claimed = await prisma.user.updateMany({
+    where: {
+      user_id: user.user_id,
+      OR: [{ totp_last_step: null }, { totp_last_step: { lt: step } }]
+    },
+    data: { totp_last_step: step }
+  });
+
+  return claimed.count > 0;
+};
+
+/**
+ * Use up one recovery code
+ * @param {number} user_id - User ID
+ * @param {string} code - Recovery code
+ * @returns {boolean} True if the code was valid and unused
+ */
+const useRecoveryCode = async (user_id, code) => {
+  const result = await prisma.twoFactorRecoveryCode.updateMany({
+    where: { user_id, code_hash: hashRecoveryCode(code), used_at: null },
+    data: { used_at: new Date() }
+  });
+
+  return result.count > 0;
+};
+
+/**
+ * Check the second factor of a user with TOTP enabled
+ * @param {Object} user - User row
+ * @param {Object} factor - { code } from the app, or { recovery_code }
+ * @returns {boolean} True if accepted
+ */
+const checkSecondFactor = async (user, { code, recovery_code }) => {
+  if (recovery_code) {
+    return await useRecoveryCode(user.user_id, recovery_code);
+  }
+  return await verifyTotp(user, code);
+};
+
+/**
+ * Start enrollment: create a new secret for the authenticator app
+ * @param {number} user_id - User ID
+ * @returns {Object} { secret, otpauth_url }
+ */
+const startSetup = async (user_id) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { phone_number: true, role: true, totp_enabled: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (NON_STAFF_ROLES.includes(user.role)) {
+    throw new Error('Two-factor authentication is only available for staff accounts');
+  }
+
+  if (user.totp_enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = totp.generateSecret();
+
+  await prisma.user.update({
+    where: { user_id },
+    data: { totp_secret: totp.encryptSecret(secret), totp_last_step: null }
+  });
+
+  return { secret, otpauth_url: totp.otpauthUrl(secret, user.phone_number) };
+};
+
+/**
+ * Finish enrollment with a code from the app
+ * The current session counts as verified from now on.
+ * @param {number} user_id - User ID
+ * @param {number} session_id - Session of the requesting token
+ * @param {string} code - 6-digit code from the app
+ * @returns {Object} { recovery_codes }
+ */
+const enable = async (user_id, session_id, code) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { user_id: true, totp_secret: true, totp_enabled: true, totp_last_step: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.totp_enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  if (!user.totp_secret) {
+    throw new Error('Two-factor setup has not been started');
+  }
+
+  if (!(await verifyTotp(user, code))) {
+    throw new Error('Invalid two-factor code');
+  }
+
+  const recovery_codes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { user_id }, data: { totp_enabled: true } });
+
+    await tx.authSession.update({ where: { session_id }, data: { mfa_verified: true } });
+
+    return await replaceRecoveryCodes(tx, user_id);
+  });
+
+  return { recovery_codes };
+};
+
+/**
+ * Turn TOTP off (needs the password and a current code or a recovery code)
+ * @param {number} user_id - User ID
+ * @param {string} password - Account password
+ * @param {Object} factor - { code } or { recovery_code }
+ * @returns {Object} Success message
+ */
+const disable = async (user_id, password, factor) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { user_id: true, password_hash: true, totp_secret: true, totp_enabled: true, totp_last_step: true }
+  });
+
+  if (!user || !user.totp_enabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  if (!(await bcrypt.compare(password, user.password_hash))) {
+    throw new Error('Invalid password');
+  }
+
+  if (!(await checkSecondFactor(user, factor))) {
+    throw new Error('Invalid two-factor code');
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { user_id },
+      data: { totp_enabled: false, totp_secret: null, totp_last_step: null }
+    });
+
+    await tx.twoFactorRecoveryCode.deleteMany({ where: { user_id } });
+  });
+
+  return { message: 'Two-factor authentication disabled' };
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * @param {number} user_id - User ID
+ * @param {string} code - 6-digit code from the app
+ * @returns {Object} { recovery_codes }
+ */
+const regenerateRecoveryCodes = async (user_id, code) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { user_id: true, totp_secret: true, totp_enabled: true, totp_last_step: true }
+  });
+
+  if (!user || !user.totp_enabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  if (!(await verifyTotp(user, code))) {
+    throw new Error('Invalid two-factor code');
+  }
+
+  const recovery_codes = await prisma.$transaction((tx) => replaceRecoveryCodes(tx, user_id));
+
+  return { recovery_codes };
+};
+
+/**
+ * Two-factor status of the user
+ * @param {number} user_id - User ID
+ * @returns {Object} { totp_enabled, recovery_codes_left }
+ */
+const getStatus = async (user_id) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { totp_enabled: true, two_factor_required: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const recovery_codes_left = await prisma.twoFactorRecoveryCode.count({
+    where: { user_id, used_at: null }
+  });
+
+  return { ...user, recovery_codes_left };
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  hashRecoveryCode,
+  checkSecondFactor,
+  startSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  getStatus
+};
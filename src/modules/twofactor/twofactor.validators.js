@@ -0,0 +1,42 @@
+const { body } = require('express-validator');
+
+/**
+ * Two-Factor Validation Rules
+ */
+
+const code = body('code')
+  .notEmpty()
+  .withMessage('Code is required')
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+/**
+ * Enable / regenerate recovery codes validation rules
+ */
+const confirm = [code];
+
+/**
+ * Disable validation rules (authenticator code or a recovery code)
+ */
+const disable = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('code')
+    .if(body('recovery_code').not().exists())
+    .notEmpty()
+    .withMessage('code or recovery_code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('recovery_code')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string')
+];
+
+module.exports = {
+  confirm,
+  disable
+};
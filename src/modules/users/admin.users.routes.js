@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const usersController = require('./users.controller');
 const { authenticate, requirePermission } = require('../../middlewares/auth.middleware');
+const { audit } = require('../../middlewares/audit.middleware');
 
 /**
  * @swagger
@@ -51,7 +52,7 @@ router.get('/', authenticate, requirePermission('user.view'), usersController.ge
  *           type: integer
  *     responses:
  *       200:
- *         description: بيانات المستخدم + إحصائياته
+ *         description: بيانات المستخدم + إحصائياته (تشمل failed_login_attempts و locked_until)
  *       403:
  *         description: "صلاحية مطلوبة: user.view"
  *       404:
@@ -75,11 +76,78 @@ router.get('/:id', authenticate, requirePermission('user.view'), usersController
  *           type: integer
  *     responses:
  *       200:
- *         description: تم تغيير حالة الحساب
+ *         description: تم تغيير حالة الحساب — ويتم تسجيل خروج المستخدم من كل الأجهزة
  *       403:
  *         description: "صلاحية مطلوبة: user.ban"
  */
-router.put('/:id/status', authenticate, requirePermission('user.ban'), usersController.toggleUserStatus);
+router.put('/:id/status', authenticate, requirePermission('user.ban'), audit('user'), usersController.toggleUserStatus);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   put:
+ *     summary: فك قفل حساب مقفل بسبب محاولات دخول خاطئة
+ *     description: يصفّر عداد المحاولات الخاطئة ومدة القفل التصاعدية
+ *     tags: [Admin - Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم فك قفل الحساب
+ *       403:
+ *         description: "صلاحية مطلوبة: user.ban"
+ *       404:
+ *         description: المستخدم غير موجود
+ */
+router.put('/:id/unlock', authenticate, requirePermission('user.ban'), audit('user'), usersController.unlockUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/impersonate:
+ *   post:
+ *     summary: الدخول كعميل لأغراض الدعم الفني
+ *     description: |
+ *       يرجع token قصير العمر (IMPERSONATION_TOKEN_MINUTES، 15 دقيقة) يعمل كحساب العميل ويحمل impersonator_id.
+ *       لا يمكن به إنشاء طلبات أو تغيير كلمة المرور أو رقم الهاتف أو حذف الحساب، ولا يوجد له refresh_token.
+ *       كل طلب يُسجّل في سجل التدقيق (permission = user.impersonate)، وتظهر الجلسة للعميل في GET /api/users/sessions.
+ *       لإنهاء الجلسة مبكراً: POST /api/auth/logout بنفس الـ token.
+ *     tags: [Admin - Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: العميل لا يستطيع إتمام السلة
+ *     responses:
+ *       200:
+ *         description: token + expires_at + بيانات العميل
+ *       400:
+ *         description: السبب مطلوب، أو الحساب ليس حساب عميل أو معطّل
+ *       403:
+ *         description: "صلاحية مطلوبة: user.impersonate"
+ *       404:
+ *         description: المستخدم غير موجود
+ */
+router.post('/:id/impersonate', authenticate, requirePermission('user.impersonate'), audit('user'), usersController.impersonateUser);
 
 /**
  * @swagger
@@ -104,14 +172,15 @@ router.put('/:id/status', authenticate, requirePermission('user.ban'), usersCont
  *             properties:
  *               role:
  *                 type: string
- *                 enum: [Customer, Guest, Admin, ProductManager, OrderManager]
+ *                 example: OrderManager
+ *                 description: اسم أي دور موجود (أدوار النظام أو الأدوار المخصصة من /api/admin/roles)
  *     responses:
  *       200:
- *         description: تم تغيير دور المستخدم
+ *         description: تم تغيير دور المستخدم — ويتم تسجيل خروجه من كل الأجهزة ليدخل بالدور الجديد
  *       403:
- *         description: "صلاحية مطلوبة: user.ban"
+ *         description: "صلاحية مطلوبة: user.ban — ولا يمكن منح أو سحب دور فيه صلاحيات لا تملكها"
  */
-router.put('/:id/role', authenticate, requirePermission('user.ban'), usersController.changeUserRole);
+router.put('/:id/role', authenticate, requirePermission('user.ban'), audit('user'), usersController.changeUserRole);
 
 /**
  * @swagger
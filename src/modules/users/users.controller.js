@@ -1,9 +1,14 @@
 const usersService = require('./users.service');
 const ordersService = require('../orders/orders.service');
+const pointsService = require('../points/points.service');
+const sessionsService = require('../sessions/sessions.service');
+const impersonationService = require('../impersonation/impersonation.service');
+const { OTP_ERROR_RESPONSES } = require('../otp/otp.service');
 const {
   successResponse,
   errorResponse,
   notFoundResponse,
+  forbiddenResponse,
   serverErrorResponse
 } = require('../../utils/response');
 const logger = require('../../config/logger');
@@ -128,11 +133,38 @@ const toggleUserStatus = async (req, res) => {
     if (error.message === 'Cannot deactivate admin users') {
       return errorResponse(res, error.message, 403);
     }
+    if (error.message === 'Deleted accounts cannot be reactivated') {
+      return errorResponse(res, error.message, 409);
+    }
     logger.error('Toggle user status error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to toggle user status');
   }
 };
 
+/**
+ * Unlock an account locked after failed logins (admin only)
+ * PUT /api/admin/users/:id/unlock
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return errorResponse(res, 'Invalid user ID', 400);
+    }
+
+    const user = await usersService.unlockUser(parseInt(id));
+
+    return successResponse(res, user, 'User unlocked successfully');
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return notFoundResponse(res, 'User');
+    }
+    logger.error('Unlock user error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to unlock user');
+  }
+};
+
 /**
  * Get user by ID (admin only)
  * GET /api/admin/users/:id
@@ -183,6 +215,10 @@ const requestPhoneChange = async (req, res) => {
     if (error.message === 'User not found') {
       return notFoundResponse(res, 'User');
     }
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
+    }
     logger.error('Request phone change error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to request phone change');
   }
@@ -201,14 +237,99 @@ const verifyPhoneChange = async (req, res) => {
     const result = await usersService.verifyPhoneChange(user_id, new_phone_number, otp_code);
     return successResponse(res, result, 'تم تغيير رقم الهاتف بنجاح');
   } catch (error) {
-    if (error.message === 'INVALID_OTP') {
-      return errorResponse(res, 'رمز التحقق غير صحيح أو منتهي الصلاحية', 400);
+    const otpError = OTP_ERROR_RESPONSES[error.message];
+    if (otpError) {
+      return errorResponse(res, otpError.message, otpError.status);
     }
     logger.error('Verify phone change error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to verify phone change');
   }
 };
 
+/**
+ * Download everything stored about the current user
+ * GET /api/users/me/export
+ * Protected route
+ */
+const exportMyData = async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+
+    const data = await usersService.exportUserData(user_id);
+
+    res.attachment(`shalabi-market-data-${user_id}.json`);
+    return successResponse(res, data, 'Data exported successfully');
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return notFoundResponse(res, 'User');
+    }
+    logger.error('Export user data error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to export data');
+  }
+};
+
+/**
+ * Answer a known account deletion error, or null
+ * @param {Object} res - Express response
+ * @param {Error} error - Service error
+ */
+const handleDeletionError = (res, error) => {
+  if (error.message === 'User not found') {
+    return notFoundResponse(res, 'User');
+  }
+  if (error.message === 'Staff accounts cannot be deleted by their owner') {
+    return errorResponse(res, error.message, 403);
+  }
+  if (error.message === 'Account has orders in progress') {
+    return errorResponse(res, 'لا يمكن حذف الحساب قبل اكتمال الطلبات الجارية', 409);
+  }
+  const otpError = OTP_ERROR_RESPONSES[error.message];
+  if (otpError) {
+    return errorResponse(res, otpError.message, otpError.status);
+  }
+  return null;
+};
+
+/**
+ * Start account deletion — sends an OTP to the account's phone
+ * POST /api/users/me/deletion
+ * Protected route
+ */
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const result = await usersService.requestAccountDeletion(req.user.user_id);
+    return successResponse(res, null, result.message);
+  } catch (error) {
+    const handled = handleDeletionError(res, error);
+    if (handled) return handled;
+    logger.error('Request account deletion error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to request account deletion');
+  }
+};
+
+/**
+ * Delete the current account (OTP confirmation)
+ * DELETE /api/users/me
+ * Protected route
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const { otp_code } = req.body;
+
+    if (!otp_code) {
+      return errorResponse(res, 'OTP code is required', 400);
+    }
+
+    const result = await usersService.deleteAccount(req.user.user_id, otp_code);
+    return successResponse(res, null, result.message);
+  } catch (error) {
+    const handled = handleDeletionError(res, error);
+    if (handled) return handled;
+    logger.error('Delete account error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to delete account');
+  }
+};
+
 /**
  * Change user role (admin only)
  * PUT /api/admin/users/:id/role
@@ -226,7 +347,7 @@ const changeUserRole = async (req, res) => {
       return errorResponse(res, 'Role is required', 400);
     }
 
-    const user = await usersService.changeUserRole(parseInt(id), role);
+    const user = await usersService.changeUserRole(parseInt(id), role, req.permissions);
 
     return successResponse(res, user, 'User role updated successfully');
   } catch (error) {
@@ -236,6 +357,9 @@ const changeUserRole = async (req, res) => {
     if (error.message === 'Invalid role' || error.message === 'Cannot change main Admin role') {
       return errorResponse(res, error.message, 400);
     }
+    if (error.message === 'Role carries permissions you do not hold') {
+      return forbiddenResponse(res, error.message);
+    }
     logger.error('Change user role error:', { error: error.message, stack: error.stack });
     return serverErrorResponse(res, 'Failed to change user role');
   }
@@ -267,6 +391,121 @@ const getUserOrders = async (req, res) => {
   }
 };
 
+/**
+ * Act as a customer for support (short-lived flagged token)
+ * POST /api/admin/users/:id/impersonate
+ */
+const impersonateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!id || isNaN(parseInt(id))) {
+      return errorResponse(res, 'Invalid user ID', 400);
+    }
+
+    if (!reason || reason.length > 255) {
+      return errorResponse(res, 'A reason of up to 255 characters is required', 400);
+    }
+
+    const result = await impersonationService.startImpersonation(
+      { user_id: parseInt(id), reason },
+      req.user.user_id,
+      { user_agent: req.get('user-agent')?.slice(0, 255) || null, ip_address: req.ip || null }
+    );
+
+    return successResponse(res, result, 'Impersonation started. The customer can see this session.');
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return notFoundResponse(res, 'User');
+    }
+    if (error.message === 'Only customer accounts can be impersonated' || error.message === 'Account is deactivated') {
+      return errorResponse(res, error.message, 400);
+    }
+    logger.error('Impersonate user error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to start impersonation');
+  }
+};
+
+/**
+ * Get loyalty points balance and ledger
+ * GET /api/users/points
+ * Protected route
+ */
+const getPointsHistory = async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const { page, limit } = req.query;
+
+    const result = await pointsService.getPointsHistory(user_id, { page, limit });
+
+    return successResponse(res, result, 'Points history retrieved successfully');
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return notFoundResponse(res, 'User');
+    }
+    logger.error('Get points history error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get points history');
+  }
+};
+
+/**
+ * List active login sessions (devices)
+ * GET /api/users/sessions
+ * Protected route
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionsService.getUserSessions(req.user.user_id, req.user.session_id);
+
+    return successResponse(res, sessions, 'Sessions retrieved successfully');
+  } catch (error) {
+    logger.error('Get sessions error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to get sessions');
+  }
+};
+
+/**
+ * Revoke one login session (log out a device)
+ * DELETE /api/users/sessions/:id
+ * Protected route
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return errorResponse(res, 'Invalid session ID', 400);
+    }
+
+    const result = await sessionsService.revokeUserSession(req.user.user_id, parseInt(id));
+
+    return successResponse(res, result, 'Session revoked successfully');
+  } catch (error) {
+    if (error.message === 'Session not found or already revoked') {
+      return notFoundResponse(res, 'Active session');
+    }
+    logger.error('Revoke session error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to revoke session');
+  }
+};
+
+/**
+ * Revoke all sessions except the current one
+ * DELETE /api/users/sessions
+ * Protected route
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await sessionsService.revokeOtherSessions(req.user.user_id, req.user.session_id);
+
+    return successResponse(res, result, 'Other sessions revoked successfully');
+  } catch (error) {
+    logger.error('Revoke other sessions error:', { error: error.message, stack: error.stack });
+    return serverErrorResponse(res, 'Failed to revoke sessions');
+  }
+};
+
 
 module.exports = {
   getProfile,
@@ -274,8 +513,17 @@ module.exports = {
   getAllUsers,
   toggleUserStatus,
   getUserById,
+  unlockUser,
   requestPhoneChange,
   verifyPhoneChange,
+  exportMyData,
+  requestAccountDeletion,
+  deleteAccount,
   changeUserRole,
-  getUserOrders
+  getUserOrders,
+  impersonateUser,
+  getPointsHistory,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const usersController = require('./users.controller');
-const { authenticate, requireUser } = require('../../middlewares/auth.middleware');
+const { authenticate, requireUser, blockImpersonation } = require('../../middlewares/auth.middleware');
 
 /**
  * @swagger
@@ -37,7 +37,7 @@ const { authenticate, requireUser } = require('../../middlewares/auth.middleware
  *         description: تم التعديل
  */
 router.get('/profile', authenticate, requireUser, usersController.getProfile);
-router.put('/profile', authenticate, requireUser, usersController.updateProfile);
+router.put('/profile', authenticate, requireUser, blockImpersonation, usersController.updateProfile);
 
 /**
  * @swagger
@@ -64,7 +64,7 @@ router.put('/profile', authenticate, requireUser, usersController.updateProfile)
  *       409:
  *         description: الرقم مسجّل لحساب آخر
  */
-router.post('/change-phone', authenticate, requireUser, usersController.requestPhoneChange);
+router.post('/change-phone', authenticate, requireUser, blockImpersonation, usersController.requestPhoneChange);
 
 /**
  * @swagger
@@ -92,6 +92,135 @@ router.post('/change-phone', authenticate, requireUser, usersController.requestP
  *       400:
  *         description: OTP غير صحيح
  */
-router.post('/verify-phone-change', authenticate, requireUser, usersController.verifyPhoneChange);
+router.post('/verify-phone-change', authenticate, requireUser, blockImpersonation, usersController.verifyPhoneChange);
+
+/**
+ * @swagger
+ * /api/users/me/export:
+ *   get:
+ *     summary: تنزيل نسخة من بياناتي (JSON)
+ *     description: الملف الشخصي، العناوين، الطلبات مع منتجاتها، التقييمات، قائمة الرغبات، سجل النقاط والكوبونات
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: ملف JSON (Content-Disposition attachment)
+ */
+router.get('/me/export', authenticate, requireUser, blockImpersonation, usersController.exportMyData);
+
+/**
+ * @swagger
+ * /api/users/me/deletion:
+ *   post:
+ *     summary: طلب حذف الحساب — يرسل OTP لرقم الحساب
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: تم إرسال رمز التحقق
+ *       403:
+ *         description: حسابات الموظفين تُحذف من الإدارة فقط
+ *       409:
+ *         description: توجد طلبات جارية لم تكتمل
+ * /api/users/me:
+ *   delete:
+ *     summary: تأكيد حذف الحساب عبر OTP
+ *     description: |
+ *       تُحذف البيانات الشخصية (الاسم، الرقم، العناوين، السلة، قائمة الرغبات) ويُعطّل الحساب.
+ *       تبقى الطلبات كما هي لأغراض المحاسبة، وتبقى التقييمات دون اسم.
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [otp_code]
+ *             properties:
+ *               otp_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: تم حذف الحساب
+ *       400:
+ *         description: OTP غير صحيح
+ *       409:
+ *         description: توجد طلبات جارية لم تكتمل
+ */
+router.post('/me/deletion', authenticate, requireUser, blockImpersonation, usersController.requestAccountDeletion);
+router.delete('/me', authenticate, requireUser, blockImpersonation, usersController.deleteAccount);
+
+/**
+ * @swagger
+ * /api/users/points:
+ *   get:
+ *     summary: رصيد نقاط الولاء وسجل الحركات
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: الرصيد الحالي + سجل الحركات (order_delivered / order_refunded)
+ */
+router.get('/points', authenticate, requireUser, usersController.getPointsHistory);
+
+/**
+ * @swagger
+ * /api/users/sessions:
+ *   get:
+ *     summary: الأجهزة والجلسات المسجّل الدخول منها
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: قائمة الجلسات النشطة (user_agent / ip_address / last_used_at) — is_current للجلسة الحالية
+ *   delete:
+ *     summary: تسجيل الخروج من كل الأجهزة الأخرى
+ *     description: يلغي كل الجلسات ما عدا الجلسة الحالية
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: تم — يرجع revoked_count
+ */
+router.get('/sessions', authenticate, requireUser, usersController.getSessions);
+router.delete('/sessions', authenticate, requireUser, blockImpersonation, usersController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/users/sessions/{id}:
+ *   delete:
+ *     summary: تسجيل الخروج من جهاز معيّن
+ *     tags: [Users]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: تم إلغاء الجلسة
+ *       404:
+ *         description: الجلسة غير موجودة أو ملغاة مسبقاً
+ */
+router.delete('/sessions/:id', authenticate, requireUser, blockImpersonation, usersController.revokeSession);
 
 module.exports = router;
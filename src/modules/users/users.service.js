@@ -1,13 +1,19 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const prisma = require('../../config/prisma');
 const { buildPaginatedResponse, safePaginate } = require('../../utils/pagination');
-const smsService = require('../../utils/sms');
+const otpService = require('../otp/otp.service');
+const sessionsService = require('../sessions/sessions.service');
+const rolesService = require('../roles/roles.service');
 
 /**
  * Users Service
  * Handles all user-related database operations
  */
 
+// Orders in these states block account deletion until they finish
+const OPEN_ORDER_STATUSES = ['Created', 'Pending', 'Confirmed', 'Shipped'];
+
 /**
  * Get user profile by ID
  * @param {number} user_id - User ID
@@ -171,6 +177,7 @@ const getAllUsers = async (options) => {
 
 /**
  * Toggle user active status (admin only)
+ * Logs the user out everywhere so the change applies immediately.
  * @param {number} user_id - User ID to toggle
  * @returns {Object} Updated user status
  */
@@ -178,7 +185,7 @@ const toggleUserStatus = async (user_id) => {
   // Check if user exists
   const user = await prisma.user.findUnique({
     where: { user_id },
-    select: { user_id: true, is_active: true, role: true }
+    select: { user_id: true, is_active: true, role: true, deleted_at: true }
   });
 
   if (!user) {
@@ -190,17 +197,28 @@ const toggleUserStatus = async (user_id) => {
     throw new Error('Cannot deactivate admin users');
   }
 
+  // Deleted accounts are anonymised and stay inactive
+  if (user.deleted_at) {
+    throw new Error('Deleted accounts cannot be reactivated');
+  }
+
   const newStatus = !user.is_active;
 
-  const updatedUser = await prisma.user.update({
-    where: { user_id },
-    data: { is_active: newStatus },
-    select: {
-      user_id: true,
-      name: true,
-      phone_number: true,
-      is_active: true
-    }
+  const updatedUser = await prisma.$transaction(async (tx) => {
+    const updated = await tx.user.update({
+      where: { user_id },
+      data: { is_active: newStatus },
+      select: {
+        user_id: true,
+        name: true,
+        phone_number: true,
+        is_active: true
+      }
+    });
+
+    await sessionsService.revokeAllUserSessions(user_id, sessionsService.REVOKE_REASONS.STATUS_CHANGED, tx);
+
+    return updated;
   });
 
   return updatedUser;
@@ -224,6 +242,9 @@ const getUserById = async (user_id) => {
       is_verified: true,
       is_active: true,
       last_login_date: true,
+      failed_login_attempts: true,
+      locked_until: true,
+      lockout_count: true,
       created_at: true
     }
   });
@@ -235,6 +256,34 @@ const getUserById = async (user_id) => {
   return user;
 };
 
+/**
+ * Unlock an account locked after failed logins (admin only)
+ * @param {number} user_id - User ID
+ * @returns {Object} Updated lockout fields
+ */
+const unlockUser = async (user_id) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { user_id: true }
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  return await prisma.user.update({
+    where: { user_id },
+    data: { failed_login_attempts: 0, lockout_count: 0, locked_until: null },
+    select: {
+      user_id: true,
+      name: true,
+      phone_number: true,
+      failed_login_attempts: true,
+      locked_until: true
+    }
+  });
+};
+
 /**
  * Get user statistics
  * @param {number} user_id - User ID
@@ -245,7 +294,7 @@ const getUserStats = async (user_id) => {
   const orderStats = await prisma.order.aggregate({
     where: {
       user_id,
-      status: { not: 'Cancelled' }
+      status: { notIn: ['Cancelled', 'Refunded'] }
     },
     _count: { order_id: true },
     _sum: { final_total: true }
@@ -292,14 +341,7 @@ const requestPhoneChange = async (user_id, new_phone_number) => {
   }
 
   // Send OTP to the NEW phone number
-  const otp_code = Math.floor(100000 + Math.random() * 900000).toString();
-  const expires_at = new Date(Date.now() + 5 * 60 * 1000);
-
-  await prisma.otpCode.create({
-    data: { phone_number: new_phone_number, otp_code, expires_at }
-  });
-
-  await smsService.sendOTP(new_phone_number, otp_code);
+  await otpService.issueOtp(new_phone_number);
 
   return { message: 'تم إرسال رمز التحقق إلى الرقم الجديد' };
 };
@@ -311,24 +353,8 @@ const requestPhoneChange = async (user_id, new_phone_number) => {
  * @param {string} otp_code - OTP code
  */
 const verifyPhoneChange = async (user_id, new_phone_number, otp_code) => {
-  const otpRecord = await prisma.otpCode.findFirst({
-    where: {
-      phone_number: new_phone_number,
-      otp_code,
-      is_used: false,
-      expires_at: { gt: new Date() }
-    },
-    orderBy: { created_at: 'desc' }
-  });
-
-  if (!otpRecord) {
-    throw new Error('INVALID_OTP');
-  }
-
-  await prisma.otpCode.update({
-    where: { otp_id: otpRecord.otp_id },
-    data: { is_used: true }
-  });
+  const otpRecord = await otpService.verifyOtp(new_phone_number, otp_code);
+  await otpService.consumeOtp(prisma, otpRecord.otp_id);
 
   const updatedUser = await prisma.user.update({
     where: { user_id },
@@ -344,15 +370,216 @@ const verifyPhoneChange = async (user_id, new_phone_number, otp_code) => {
   return updatedUser;
 };
 
+/**
+ * Everything stored about the user, for download (GET /api/users/me/export)
+ * @param {number} user_id - User ID
+ * @returns {Object} Profile, addresses, orders, reviews, wishlist, points history and coupons
+ */
+const exportUserData = async (user_id) => {
+  const profile = await prisma.user.findUnique({
+    where: { user_id },
+    select: {
+      user_id: true,
+      name: true,
+      phone_number: true,
+      role: true,
+      points: true,
+      daily_streak: true,
+      last_login_date: true,
+      is_verified: true,
+      created_at: true
+    }
+  });
+
+  if (!profile) {
+    throw new Error('User not found');
+  }
+
+  const addresses = await prisma.address.findMany({
+    where: { user_id },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const orders = await prisma.order.findMany({
+    where: { user_id },
+    include: {
+      items: {
+        select: {
+          product_id: true,
+          quantity: true,
+          price_at_purchase: true,
+          product: { select: { name: true } }
+        }
+      },
+      payments: { select: { payment_method: true, amount: true, status: true, created_at: true } },
+      status_history: { select: { old_status: true, new_status: true, changed_at: true } }
+    },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const reviews = await prisma.productReview.findMany({
+    where: { user_id },
+    select: {
+      review_id: true,
+      product_id: true,
+      rating: true,
+      comment: true,
+      created_at: true,
+      updated_at: true,
+      product: { select: { name: true } }
+    },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const wishlist = await prisma.wishlist.findMany({
+    where: { user_id },
+    select: { product_id: true, created_at: true, product: { select: { name: true } } },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const points_history = await prisma.pointsTransaction.findMany({
+    where: { user_id },
+    select: { points: true, reason: true, related_order_id: true, created_at: true },
+    orderBy: { created_at: 'asc' }
+  });
+
+  const coupons = await prisma.userCoupon.findMany({
+    where: { user_id },
+    select: { is_used: true, used_at: true, created_at: true, coupon: { select: { code: true } } },
+    orderBy: { created_at: 'asc' }
+  });
+
+  return {
+    exported_at: new Date(),
+    profile,
+    addresses,
+    orders,
+    reviews,
+    wishlist,
+    points_history,
+    coupons
+  };
+};
+
+/**
+ * Load a user that may delete their own account
+ * Staff accounts are removed by an admin, and open orders must finish first.
+ * @param {number} user_id - User ID
+ * @returns {Object} { user_id, phone_number }
+ */
+const findDeletableUser = async (user_id) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id },
+    select: { user_id: true, phone_number: true, role: true, deleted_at: true }
+  });
+
+  if (!user || user.deleted_at) {
+    throw new Error('User not found');
+  }
+
+  if (user.role !== 'Customer') {
+    throw new Error('Staff accounts cannot be deleted by their owner');
+  }
+
+  const openOrders = await prisma.order.count({
+    where: { user_id, status: { in: OPEN_ORDER_STATUSES } }
+  });
+
+  if (openOrders > 0) {
+    throw new Error('Account has orders in progress');
+  }
+
+  return user;
+};
+
+/**
+ * Start account deletion — sends an OTP to the account's phone
+ * @param {number} user_id - User ID
+ * @returns {Object} Success message
+ */
+const requestAccountDeletion = async (user_id) => {
+  const user = await findDeletableUser(user_id);
+
+  await otpService.issueOtp(user.phone_number);
+
+  return { message: 'تم إرسال رمز التحقق لتأكيد حذف الحساب' };
+};
+
+/**
+ * Delete the account after OTP confirmation
+ * The user row is anonymised rather than removed: orders keep pointing at it
+ * (and keep their own shipping details) for accounting. Reviews and the
+ * points ledger stay as well, no longer linked to a name or phone.
+ * Personal data elsewhere (addresses, cart, wishlist, unused coupons,
+ * sessions, 2FA data) is deleted.
+ * @param {number} user_id - User ID
+ * @param {string} otp_code - Code sent by requestAccountDeletion
+ * @returns {Object} Success message
+ */
+const deleteAccount = async (user_id, otp_code) => {
+  const user = await findDeletableUser(user_id);
+
+  const otpRecord = await otpService.verifyOtp(user.phone_number, otp_code);
+
+  // Nobody knows this password
+  const password_hash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  await prisma.$transaction(async (tx) => {
+    await otpService.consumeOtp(tx, otpRecord.otp_id);
+
+    await tx.user.update({
+      where: { user_id },
+      data: {
+        // Frees the phone number for a new registration
+        phone_number: `deleted_${user_id}`,
+        name: null,
+        password_hash,
+        is_active: false,
+        is_verified: false,
+        points: 0,
+        daily_streak: 0,
+        last_login_date: null,
+        failed_login_attempts: 0,
+        locked_until: null,
+        lockout_count: 0,
+        totp_secret: null,
+        totp_enabled: false,
+        totp_last_step: null,
+        two_factor_required: false,
+        deleted_at: new Date()
+      }
+    });
+
+    await tx.address.deleteMany({ where: { user_id } });
+    await tx.cart.deleteMany({ where: { user_id } });
+    await tx.wishlist.deleteMany({ where: { user_id } });
+    await tx.userCoupon.deleteMany({ where: { user_id, orders: { none: {} } } });
+    await tx.twoFactorRecoveryCode.deleteMany({ where: { user_id } });
+
+    await sessionsService.revokeAllUserSessions(user_id, sessionsService.REVOKE_REASONS.ACCOUNT_DELETED, tx);
+  });
+
+  return { message: 'تم حذف الحساب' };
+};
+
 /**
  * Change user role (admin only)
+ * Existing sessions are revoked so the user logs in again with the new role.
+ * The acting admin must hold every permission of both the new and the
+ * current role.
  * @param {number} user_id - User ID
  * @param {string} new_role - New role to assign
+ * @param {Array<string>} actorPermissions - Permission codes of the acting admin
  * @returns {Object} Updated user
  */
-const changeUserRole = async (user_id, new_role) => {
-  const validRoles = ['Customer', 'Guest', 'Admin', 'ProductManager', 'OrderManager'];
-  if (!validRoles.includes(new_role)) {
+const changeUserRole = async (user_id, new_role, actorPermissions) => {
+  // Any role in the roles table, including custom ones from /api/admin/roles
+  const role = await prisma.role.findUnique({
+    where: { name: new_role },
+    select: { name: true }
+  });
+
+  if (!role) {
     throw new Error('Invalid role');
   }
 
@@ -370,10 +597,19 @@ const changeUserRole = async (user_id, new_role) => {
     throw new Error('Cannot change main Admin role');
   }
 
-  const updated = await prisma.user.update({
-    where: { user_id },
-    data: { role: new_role },
-    select: { user_id: true, name: true, role: true, phone_number: true }
+  await rolesService.assertCanGrantRole(new_role, actorPermissions);
+  await rolesService.assertCanGrantRole(user.role, actorPermissions);
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.user.update({
+      where: { user_id },
+      data: { role: new_role },
+      select: { user_id: true, name: true, role: true, phone_number: true }
+    });
+
+    await sessionsService.revokeAllUserSessions(user_id, sessionsService.REVOKE_REASONS.ROLE_CHANGED, tx);
+
+    return result;
   });
 
   return updated;
@@ -385,8 +621,12 @@ module.exports = {
   getAllUsers,
   toggleUserStatus,
   getUserById,
+  unlockUser,
   getUserStats,
   requestPhoneChange,
   verifyPhoneChange,
+  exportUserData,
+  requestAccountDeletion,
+  deleteAccount,
   changeUserRole
 };
@@ -2,6 +2,8 @@
 const app    = require('./app');
 const prisma = require('./config/prisma');
 const logger = require('./config/logger');
+const notificationsDispatcher = require('./modules/notifications/notifications.dispatcher');
+const guestCartCleanup = require('./modules/cart/cart.cleanup');
 
 const PORT  = process.env.PORT || 3001;
 const isDev = process.env.NODE_ENV !== 'production';
@@ -14,9 +16,15 @@ const server = app.listen(PORT, () => {
   });
 });
 
+// ─── Background Jobs ──────────────────────────────────────────────────────────
+notificationsDispatcher.startDispatcher();
+guestCartCleanup.startCleanup();
+
 // ─── Graceful Shutdown ────────────────────────────────────────────────────────
 const gracefulShutdown = async (signal) => {
   logger.warn(`${signal} received — shutting down gracefully`);
+  notificationsDispatcher.stopDispatcher();
+  guestCartCleanup.stopCleanup();
   await new Promise((resolve) => server.close(resolve));
   try {
     await prisma.$disconnect();
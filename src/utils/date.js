@@ -0,0 +1,67 @@
+/**
+ * Date Helper Utility
+ * Calendar dates and clock times in the store's local timezone.
+ * Dates are returned as UTC-midnight Date objects so they compare directly
+ * with @db.Date columns.
+ */
+
+const STORE_TIMEZONE = 'Asia/Hebron';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Local calendar date
+ * @param {Date} [now] - Point in time (defaults to now)
+ * @returns {Date} UTC midnight of the local date
+ */
+const localDate = (now = new Date()) => {
+  // en-CA formats as YYYY-MM-DD
+  const day = new Intl.DateTimeFormat('en-CA', { timeZone: STORE_TIMEZONE }).format(now);
+  return new Date(day);
+};
+
+/**
+ * Local wall-clock time
+ * @param {Date} [now] - Point in time (defaults to now)
+ * @returns {string} "HH:MM" (24h)
+ */
+const localTime = (now = new Date()) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: STORE_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now);
+};
+
+/**
+ * Add whole days to a UTC-midnight date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * ONE_DAY_MS);
+
+/**
+ * Whole days between two UTC-midnight dates
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number}
+ */
+const daysBetween = (from, to) => Math.round((to - from) / ONE_DAY_MS);
+
+/**
+ * Format a UTC-midnight date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+module.exports = {
+  STORE_TIMEZONE,
+  localDate,
+  localTime,
+  addDays,
+  daysBetween,
+  toDateString
+};
@@ -0,0 +1,65 @@
+const logger = require('../config/logger');
+
+/**
+ * Interval Job Utility
+ * Background loops started by server.js (notification dispatcher, guest cart
+ * cleanup). Runs never overlap: a slow run just delays the next one. The
+ * timer doesn't keep the process alive on its own.
+ */
+
+/**
+ * Create a background job that calls `task` every `intervalMs`
+ * @param {Object} options - { name, intervalMs, task }
+ * @param {string} options.name - Name used in log lines, e.g. "Guest cart cleanup"
+ * @param {number} options.intervalMs - Time between runs
+ * @param {Function} options.task - Async work for one run; errors are logged, not thrown
+ * @returns {Object} { start, stop, runOnce }
+ */
+const createIntervalJob = ({ name, intervalMs, task }) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Run the task now, unless a run is already in progress
+   */
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await task();
+    } catch (error) {
+      logger.error(`${name} error:`, { error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * Start the loop (no-op when already started)
+   */
+  const start = () => {
+    if (timer) return;
+
+    timer = setInterval(runOnce, intervalMs);
+    timer.unref();
+
+    logger.info(`${name} started (every ${intervalMs / 1000}s)`);
+  };
+
+  /**
+   * Stop the loop (a run in progress finishes on its own)
+   */
+  const stop = () => {
+    if (!timer) return;
+
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = {
+  createIntervalJob
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const logger = require('../../../config/logger');
+
+/**
+ * Console SMS driver (default)
+ * Prints messages to the terminal so developers can read OTP codes locally.
+ * Nothing leaves the machine, so every message counts as delivered.
+ */
+
+/**
+ * Print a message to the terminal
+ * @param {Object} message - { to, body }
+ * @returns {Object} { message_id, status: 'delivered' }
+ */
+const send = async ({ to, body }) => {
+    // Simulate network delay
+    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const message_id = `console-${crypto.randomUUID()}`;
+
+    console.log('\n======================================================');
+    console.log(`📱 MOCK SMS SENT TO: ${to}`);
+    console.log(body);
+    console.log('======================================================\n');
+
+    logger.info(`[Mock SMS] ${message_id} sent to ${to}`);
+
+    return { message_id, status: 'delivered' };
+};
+
+/**
+ * Delivery status of a printed message (always delivered)
+ * @param {string} message_id - ID returned by send
+ * @returns {Object} { message_id, status }
+ */
+const getStatus = async (message_id) => {
+    return { message_id, status: 'delivered' };
+};
+
+module.exports = {
+    name: 'console',
+    send,
+    getStatus
+};
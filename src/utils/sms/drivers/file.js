@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * File SMS driver
+ * Writes each message as a JSON file into SMS_OUTBOX_DIR so tests and local
+ * tooling can read what would have been sent (e.g. to pick up an OTP code).
+ */
+
+/**
+ * Outbox directory (read on each call so tests can point it elsewhere)
+ * @returns {string} Absolute path
+ */
+const outboxDir = () => path.resolve(process.env.SMS_OUTBOX_DIR || './tmp/sms-outbox');
+
+/**
+ * File holding a stored message
+ * @param {string} message_id - Message ID
+ * @returns {string} Absolute path
+ */
+const messagePath = (message_id) => path.join(outboxDir(), `${message_id}.json`);
+
+// Keeps ids of messages written in the same millisecond in send order
+let sequence = 0;
+
+/**
+ * Write a message to the outbox
+ * @param {Object} message - { to, body, template }
+ * @returns {Object} { message_id, status: 'delivered' }
+ */
+const send = async ({ to, body, template }) => {
+    const message = {
+        message_id: `file-${Date.now()}-${String(sequence++ % 1e6).padStart(6, '0')}-${crypto.randomBytes(3).toString('hex')}`,
+        to,
+        body,
+        template: template || null,
+        status: 'delivered',
+        created_at: new Date().toISOString()
+    };
+
+    await fs.mkdir(outboxDir(), { recursive: true });
+    await fs.writeFile(messagePath(message.message_id), JSON.stringify(message, null, 2));
+
+    return { message_id: message.message_id, status: message.status };
+};
+
+/**
+ * Delivery status of a message in the outbox
+ * @param {string} message_id - ID returned by send
+ * @returns {Object} { message_id, status }
+ */
+const getStatus = async (message_id) => {
+    try {
+        const message = JSON.parse(await fs.readFile(messagePath(path.basename(message_id)), 'utf8'));
+        return { message_id, status: message.status };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('SMS message not found');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Read every message in the outbox, oldest first (test helper)
+ * @returns {Array} Stored messages
+ */
+const readOutbox = async () => {
+    let files;
+    try {
+        files = await fs.readdir(outboxDir());
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const messages = await Promise.all(
+        files
+            .filter(file => file.endsWith('.json'))
+            .map(async file => JSON.parse(await fs.readFile(path.join(outboxDir(), file), 'utf8')))
+    );
+
+    return messages.sort((a, b) => a.message_id.localeCompare(b.message_id));
+};
+
+/**
+ * Latest OTP code sent to a phone (test helper — the database only keeps hashes)
+ * @param {string} phone_number - Phone number
+ * @returns {string|null} 6-digit code
+ */
+const readLatestOtp = async (phone_number) => {
+    const otps = (await readOutbox()).filter(m => m.to === phone_number && m.template === 'otp');
+    const latest = otps[otps.length - 1];
+
+    return latest ? latest.body.match(/\d{6}/)[0] : null;
+};
+
+module.exports = {
+    name: 'file',
+    send,
+    getStatus,
+    readOutbox,
+    readLatestOtp
+};
@@ -0,0 +1,79 @@
+/**
+ * HTTP SMS driver
+ * Talks to an SMS gateway over a small JSON API. Point SMS_HTTP_URL at the
+ * real provider in production, or at a local stub during development.
+ *
+ *   POST {SMS_HTTP_URL}/messages        { to, body, sender } → { id, status }
+ *   GET  {SMS_HTTP_URL}/messages/:id                        → { id, status }
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Call the gateway API
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - Path under SMS_HTTP_URL, e.g. /messages
+ * @param {Object} [payload] - JSON body
+ * @returns {Object} Parsed JSON response
+ */
+const request = async (method, urlPath, payload) => {
+    const baseUrl = process.env.SMS_HTTP_URL;
+
+    if (!baseUrl) {
+        throw new Error('SMS_HTTP_URL is not configured');
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.SMS_HTTP_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.SMS_HTTP_TOKEN}`;
+    }
+
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${urlPath}`, {
+        method,
+        headers,
+        body: payload ? JSON.stringify(payload) : undefined,
+        signal: AbortSignal.timeout(Number(process.env.SMS_HTTP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS)
+    });
+
+    if (response.status === 404 && method === 'GET') {
+        throw new Error('SMS message not found');
+    }
+
+    if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+
+    return await response.json();
+};
+
+/**
+ * Hand a message to the gateway
+ * @param {Object} message - { to, body }
+ * @returns {Object} { message_id, status } (status as reported by the gateway, 'queued' if none)
+ */
+const send = async ({ to, body }) => {
+    const result = await request('POST', '/messages', {
+        to,
+        body,
+        sender: process.env.SMS_SENDER_NAME || 'Shalabi'
+    });
+
+    return { message_id: String(result.id), status: result.status || 'queued' };
+};
+
+/**
+ * Ask the gateway for a message's delivery status
+ * @param {string} message_id - ID returned by send
+ * @returns {Object} { message_id, status }
+ */
+const getStatus = async (message_id) => {
+    const result = await request('GET', `/messages/${encodeURIComponent(message_id)}`);
+
+    return { message_id, status: result.status };
+};
+
+module.exports = {
+    name: 'http',
+    send,
+    getStatus
+};
@@ -0,0 +1,89 @@
+const logger = require('../../config/logger');
+const { renderTemplate } = require('./templates');
+
+/**
+ * SMS Service
+ * Single entry point for every text message the store sends.
+ *
+ * Delivery goes through a driver chosen by SMS_DRIVER:
+ *   console (default) — prints to the terminal
+ *   file              — writes JSON files to SMS_OUTBOX_DIR (tests/local tools)
+ *   http              — posts to the gateway at SMS_HTTP_URL
+ *
+ * A driver implements send({ to, body, template }) → { message_id, status }
+ * and getStatus(message_id) → { message_id, status }.
+ */
+
+const drivers = {
+    console: require('./drivers/console'),
+    file: require('./drivers/file'),
+    http: require('./drivers/http')
+};
+
+/**
+ * Resolve the configured driver (read on each call so tests can switch it)
+ * @returns {Object} SMS driver
+ */
+const getDriver = () => {
+    const name = process.env.SMS_DRIVER || 'console';
+    const driver = drivers[name];
+
+    if (!driver) {
+        throw new Error(`Unknown SMS driver: ${name}`);
+    }
+
+    return driver;
+};
+
+/**
+ * Send a plain message
+ * @param {string} to - Phone number
+ * @param {string} body - Message text
+ * @param {string} [template] - Template name (kept for drivers that record it)
+ * @returns {Object} { message_id, status }
+ */
+const sendMessage = async (to, body, template) => {
+    const driver = getDriver();
+    const result = await driver.send({ to, body, template });
+
+    logger.info(`[SMS:${driver.name}] ${template || 'message'} ${result.message_id} → ${to} (${result.status})`);
+
+    return result;
+};
+
+/**
+ * Send a templated message
+ * @param {string} to - Phone number
+ * @param {string} template - Template name (see templates.js)
+ * @param {Object} params - Template params
+ * @returns {Object} { message_id, status }
+ */
+const sendTemplate = async (to, template, params) => {
+    return await sendMessage(to, renderTemplate(template, params), template);
+};
+
+/**
+ * Send an OTP verification code
+ * @param {string} phone_number - Phone number
+ * @param {string} otp_code - 6-digit code
+ * @returns {Object} { message_id, status }
+ */
+const sendOTP = async (phone_number, otp_code) => {
+    return await sendTemplate(phone_number, 'otp', { code: otp_code });
+};
+
+/**
+ * Look up the delivery status of a sent message
+ * @param {string} message_id - ID returned by send
+ * @returns {Object} { message_id, status }
+ */
+const getDeliveryStatus = async (message_id) => {
+    return await getDriver().getStatus(message_id);
+};
+
+module.exports = {
+    sendMessage,
+    sendTemplate,
+    sendOTP,
+    getDeliveryStatus
+};
@@ -0,0 +1,64 @@
+/**
+ * SMS Templates
+ * Customer-facing messages in Arabic (default) and English.
+ * Each template is a function of its params so the wording stays in one place.
+ */
+
+const SUPPORTED_LANGUAGES = ['ar', 'en'];
+
+const templates = {
+    otp: {
+        ar: ({ code }) => `رمز التحقق الخاص بك في سوق شلبي هو: ${code}\nصالح لمدة 5 دقائق. لا تشاركه مع أحد.`,
+        en: ({ code }) => `Your Shalabi Market verification code is: ${code}\nValid for 5 minutes. Do not share it with anyone.`
+    },
+    order_confirmed: {
+        ar: ({ order_id }) => `تم تأكيد طلبك رقم #${order_id} من سوق شلبي. شكراً لتسوقك معنا!`,
+        en: ({ order_id }) => `Your Shalabi Market order #${order_id} has been confirmed. Thank you for shopping with us!`
+    },
+    order_shipped: {
+        ar: ({ order_id }) => `طلبك رقم #${order_id} في الطريق إليك الآن 🚚`,
+        en: ({ order_id }) => `Your order #${order_id} is on its way 🚚`
+    },
+    order_delivered: {
+        ar: ({ order_id }) => `تم توصيل طلبك رقم #${order_id}. نتمنى لك يوماً سعيداً!`,
+        en: ({ order_id }) => `Your order #${order_id} has been delivered. Enjoy!`
+    },
+    order_cancelled: {
+        ar: ({ order_id }) => `تم إلغاء طلبك رقم #${order_id}. للاستفسار تواصل معنا.`,
+        en: ({ order_id }) => `Your order #${order_id} has been cancelled. Contact us if you have any questions.`
+    },
+    staff_invite: {
+        ar: ({ code, hours }) => `تمت دعوتك للانضمام لفريق سوق شلبي. رمز الإعداد: ${code}\nاستخدمه لتعيين كلمة المرور خلال ${hours} ساعة. لا تشاركه مع أحد.`,
+        en: ({ code, hours }) => `You've been invited to the Shalabi Market team. Setup code: ${code}\nUse it to set your password within ${hours} hours. Do not share it with anyone.`
+    },
+    account_locked: {
+        ar: ({ minutes }) => `تم قفل حسابك في سوق شلبي مؤقتاً لمدة ${minutes} دقيقة بسبب محاولات دخول خاطئة متكررة. إذا لم تكن أنت، ننصحك بتغيير كلمة المرور.`,
+        en: ({ minutes }) => `Your Shalabi Market account was locked for ${minutes} minutes after repeated failed login attempts. If this wasn't you, please change your password.`
+    }
+};
+
+/**
+ * Render a template into message text, in SMS_DEFAULT_LANGUAGE ('ar' unless set to 'en')
+ * @param {string} name - Template name (otp | order_* | staff_invite | account_locked)
+ * @param {Object} params - Template params
+ * @returns {string} Message body
+ */
+const renderTemplate = (name, params = {}) => {
+    const template = templates[name];
+
+    if (!template) {
+        throw new Error(`Unknown SMS template: ${name}`);
+    }
+
+    const language = SUPPORTED_LANGUAGES.includes(process.env.SMS_DEFAULT_LANGUAGE)
+        ? process.env.SMS_DEFAULT_LANGUAGE
+        : 'ar';
+
+    return template[language](params);
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    TEMPLATE_NAMES: Object.keys(templates),
+    renderTemplate
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP Helper Utility
+ * Time-based one-time passwords (RFC 6238: HMAC-SHA1, 6 digits, 30s steps),
+ * compatible with Google Authenticator, Authy, 1Password, etc.
+ *
+ * Secrets are kept encrypted at rest (AES-256-GCM) with a key derived from
+ * TOTP_ENCRYPTION_KEY (falls back to JWT_SECRET).
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string} RFC 4648 base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * @param {string} text - Base32 text (case and padding ignored)
+ * @returns {Buffer} Raw bytes
+ */
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/=+$/, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret (160 bits)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step for a point in time
+ * @param {number} [now] - Milliseconds since epoch
+ * @returns {number} Step counter
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Code for a given step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} 6-digit code
+ */
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} [lastUsedStep] - Step of the last accepted code (it can't be reused)
+ * @returns {number|null} Matching step, or null
+ */
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  if (!/^\d{6}$/.test(String(code))) return null;
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (phone number)
+ * @param {string} [issuer] - App name
+ * @returns {string} URI
+ */
+const otpauthUrl = (secret, account, issuer = 'Shalabi Market') => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext (base64)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  encryptSecret,
+  decryptSecret
+};
@@ -1,6 +1,10 @@
 const { PrismaClient } = require('@prisma/client');
+const { readLatestOtp } = require('./src/utils/sms/drivers/file');
 const prisma = new PrismaClient();
 
+// OTP codes are stored hashed — run the server with SMS_DRIVER=file so this
+// script can read the codes from the SMS outbox.
+
 const API_URL = 'http://localhost:3001/api';
 
 async function request(endpoint, method = 'POST', body = null) {
@@ -48,21 +52,18 @@ async function runTest() {
             throw new Error('Login should have been blocked for unverified user');
         }
 
-        // 3. Get OTP from Database directly (since we are testing)
-        console.log(`\n3. Fetching OTP from database...`);
-        const otpRecord = await prisma.otpCode.findFirst({
-            where: { phone_number: phoneNumber },
-            orderBy: { created_at: 'desc' }
-        });
-        console.log(`   Retrieved OTP: ${otpRecord?.otp_code}`);
+        // 3. Get OTP from the SMS outbox (since we are testing)
+        console.log(`\n3. Fetching OTP from SMS outbox...`);
+        const otpCode = await readLatestOtp(phoneNumber);
+        console.log(`   Retrieved OTP: ${otpCode}`);
 
-        if (!otpRecord) throw new Error('OTP not found in DB');
+        if (!otpCode) throw new Error('OTP not found in SMS outbox (is the server running with SMS_DRIVER=file?)');
 
         // 4. Verify OTP
         console.log(`\n4. Verifying OTP...`);
         const verifyRes = await request('/auth/verify-otp', 'POST', {
             phone_number: phoneNumber,
-            otp_code: otpRecord.otp_code
+            otp_code: otpCode
         });
         console.log(`   Response Status: ${verifyRes.status}`);
 
@@ -1,5 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
+const { readLatestOtp } = require('./src/utils/sms/drivers/file');
 const prisma = new PrismaClient();
+// Run the server with SMS_DRIVER=file — OTP codes are read from the SMS outbox
 const API_URL = 'http://localhost:3001/api';
 
 async function request(endpoint, method = 'GET', body = null, token = null) {
@@ -30,8 +32,7 @@ async function run() {
 
         // 1. Register Admin
         await request('/auth/register', 'POST', { phone_number: adminPhone, name: 'Admin User', password });
-        let otpRecord = await prisma.otpCode.findFirst({ where: { phone_number: adminPhone }, orderBy: { created_at: 'desc' } });
-        await request('/auth/verify-otp', 'POST', { phone_number: adminPhone, otp_code: otpRecord.otp_code });
+        await request('/auth/verify-otp', 'POST', { phone_number: adminPhone, otp_code: await readLatestOtp(adminPhone) });
         await prisma.user.update({ where: { phone_number: adminPhone }, data: { role: 'Admin' } });
 
         let res = await request('/auth/login', 'POST', { phone_number: adminPhone, password });
@@ -40,8 +41,7 @@ async function run() {
 
         // 2. Register & Setup Regular User
         await request('/auth/register', 'POST', { phone_number: userPhone, name: 'Regular User', password });
-        otpRecord = await prisma.otpCode.findFirst({ where: { phone_number: userPhone }, orderBy: { created_at: 'desc' } });
-        await request('/auth/verify-otp', 'POST', { phone_number: userPhone, otp_code: otpRecord.otp_code });
+        await request('/auth/verify-otp', 'POST', { phone_number: userPhone, otp_code: await readLatestOtp(userPhone) });
 
         res = await request('/auth/login', 'POST', { phone_number: userPhone, password });
         userToken = res.data.data.token;